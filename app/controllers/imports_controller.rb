@@ -51,11 +51,33 @@ class ImportsController < ApplicationController
         end
       end
 
+      # Article codes are looked up through the site search instead of a listing
+      sku_check = ScraperService.parse_article_codes(params[:skus]) if params[:skus].present?
+      if sku_check && (sku_check[:errors].any? || sku_check[:codes].empty?)
+        (sku_check[:errors].presence || ['Enter at least one article code']).each { |error| @import.errors.add(:skus, error) }
+        @intercars_credentials = @shop.integration_credentials('intercars')
+        render :new, status: :unprocessable_entity
+        return
+      end
+
+      # Reject URLs that are not a catalog listing before anything is started
+      url_check = sku_check ? { valid: true, url: nil } : ScraperService.validate_listing_url(params[:product_url])
+      unless url_check[:valid]
+        url_check[:errors].each { |error| @import.errors.add(:product_url, error) }
+        @intercars_credentials = @shop.integration_credentials('intercars')
+        render :new, status: :unprocessable_entity
+        return
+      end
+
       # Save scraper metadata
       metadata = {
         username: username,
-        product_url: params[:product_url],
-        max_products: params[:max_products]&.to_i || 50,
+        product_url: url_check[:url],
+        skus: sku_check&.dig(:codes),
+        max_products: sku_check ? sku_check[:codes].length : (params[:max_products]&.to_i || 50),
+        workers: (params[:workers].presence || ScraperService::DEFAULT_WORKERS).to_i.clamp(ScraperService::WORKERS.min, ScraperService::WORKERS.max),
+        start_page: params[:start_page].presence&.to_i,
+        end_page: params[:end_page].presence&.to_i,
         save_credentials: params[:save_credentials] == '1'
       }
 
@@ -97,7 +97,9 @@ class OlxCategoryTemplatesController < ApplicationController
         { name: 'title', description: 'Full product title', example: product&.title&.truncate(40) || 'Product Title' },
         { name: 'sku', description: 'Product SKU/code', example: product&.sku || 'ABC123' },
         { name: 'category', description: 'Category name', example: product&.category || 'Auto Parts' },
-        { name: 'price', description: 'Product price with currency', example: product ? "#{product.final_price} #{product.currency}" : '100.00 BAM' }
+        { name: 'price', description: 'Product price with currency', example: product ? "#{product.final_price} #{product.currency}" : '100.00 BAM' },
+        { name: 'makes', description: 'Vehicle makes the part fits', example: product&.fitment_makes&.join(', ').presence || 'Volkswagen, Audi' },
+        { name: 'fitment', description: 'Compatible vehicles, one per line (description only)', example: product&.compatibility_text&.lines&.first&.strip.presence || 'Volkswagen GOLF VI (5K1) 1.6 TDI 2008-2012' }
       ],
       specs: []
     }
@@ -7,11 +7,12 @@ class ProductsController < ApplicationController
     authorize @shop, :show?
     @products = @shop.products.order(created_at: :desc)
 
-    # Search filter - search through models, title, sub_title, technical_description, and OLX listing ID
+    # Search filter - search through models, title, sub_title, technical_description, part numbers
+    # (OE / cross-references, also without spaces and dashes) and OLX listing ID
     if params[:search].present?
       search_term = "%#{params[:search]}%"
       @products = @products.left_joins(:olx_listing).where(
-        "products.title ILIKE :search OR products.sub_title ILIKE :search OR products.models ILIKE :search OR products.technical_description ILIKE :search OR olx_listings.external_listing_id ILIKE :search",
+        "products.title ILIKE :search OR products.sub_title ILIKE :search OR products.models ILIKE :search OR products.technical_description ILIKE :search OR products.part_numbers::text ILIKE :search OR olx_listings.external_listing_id ILIKE :search",
         search: search_term
       )
     end
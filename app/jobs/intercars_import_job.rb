@@ -4,9 +4,23 @@
 # Background job for importing products from Intercars
 # Runs the scraper and updates import progress in real-time
 #
+# When the scraper dies part-way (crash, timeout) but left a checkpoint, the job is
+# retried and the scrape continues from the last finished listing page. Any other
+# error (bad output file, import failure) fails the import straight away.
+#
 class IntercarsImportJob < ApplicationJob
   queue_as :default
 
+  SCRAPE_ATTEMPTS = 3
+
+  # perform only raises this while attempts are left - the last attempt fails the import itself
+  retry_on ScraperService::ResumableScrapeError, wait: 30.seconds, attempts: SCRAPE_ATTEMPTS
+
+  # Errors that escape perform without a retry (e.g. the import log update itself failing)
+  after_discard do |job, error|
+    job.mark_import_failed(error)
+  end
+
   def perform(import_log_id, username, password, product_url, max_products)
     import_log = ImportLog.find(import_log_id)
     shop = import_log.shop
@@ -45,6 +59,16 @@ class IntercarsImportJob < ApplicationJob
           error_messages: errors.any? ? errors.to_json : nil,
           current_phase: 'completed'
         )
+      elsif result[:resumable] && executions < SCRAPE_ATTEMPTS
+        Rails.logger.warn "IntercarsImportJob: scrape interrupted (#{result[:error]}), resuming from checkpoint (attempt #{executions + 1}/#{SCRAPE_ATTEMPTS})"
+
+        import_log.update!(
+          status: 'processing',
+          completed_at: nil,
+          error_messages: ["#{result[:error]} - resuming from the last checkpoint (attempt #{executions + 1}/#{SCRAPE_ATTEMPTS})"].to_json,
+          current_phase: 'starting'
+        )
+        raise ScraperService::ResumableScrapeError, result[:error]
       else
         import_log.update!(
           status: 'failed',
@@ -53,6 +77,9 @@ class IntercarsImportJob < ApplicationJob
           current_phase: 'failed'
         )
       end
+    rescue ScraperService::ResumableScrapeError
+      # Let retry_on re-enqueue the job
+      raise
     rescue StandardError => e
       Rails.logger.error "IntercarsImportJob error: #{e.message}\n#{e.backtrace.join("\n")}"
 
@@ -64,4 +91,20 @@ class IntercarsImportJob < ApplicationJob
       )
     end
   end
+
+  ##
+  # Mark the job's import log failed with the error that stopped it
+  #
+  # @param error [Exception] The error the job gave up on
+  #
+  def mark_import_failed(error)
+    Rails.logger.error "IntercarsImportJob gave up after #{executions} attempt(s): #{error.message}"
+
+    ImportLog.find_by(id: arguments.first)&.update!(
+      status: 'failed',
+      completed_at: Time.current,
+      error_messages: [error.message].to_json,
+      current_phase: 'failed'
+    )
+  end
 end
@@ -13,6 +13,9 @@ class ImportLog < ApplicationRecord
   }, default: :pending
   enum :source, { csv: 'csv', intercars: 'intercars' }
 
+  # Scraping sub-phases reported by the scraper's progress events
+  SCRAPING_PHASES = %w[logging_in loading_page scraping].freeze
+
   # Validations
   validates :source, presence: true
 
@@ -29,6 +32,10 @@ class ImportLog < ApplicationRecord
     failed_rows.to_i > 0
   end
 
+  def scraping_phase?
+    SCRAPING_PHASES.include?(current_phase)
+  end
+
   private
 
   def set_defaults
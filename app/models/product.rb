@@ -19,7 +19,8 @@ class Product < ApplicationRecord
   # Validations
   validates :title, presence: true
   validates :source, presence: true
-  validates :currency, inclusion: { in: %w[BAM EUR USD] }, allow_nil: true
+  # RSD and PLN come from the Serbian and Polish Intercars storefronts (scraper/config/storefronts.json)
+  validates :currency, inclusion: { in: %w[BAM EUR USD RSD PLN] }, allow_nil: true
 
   # Scopes
   scope :published, -> { where(published: true) }
@@ -201,6 +202,8 @@ class Product < ApplicationRecord
         technical_description.to_s
       when 'models', 'modeli', 'odgovara'
         models.to_s
+      when 'makes', 'marke'
+        fitment_makes.join(', ')
       else
         # Try to extract from specs using the placeholder as a spec key
         # Supports both snake_case and exact matches
@@ -265,6 +268,14 @@ class Product < ApplicationRecord
         technical_description.to_s
       when 'models', 'modeli', 'odgovara'
         models.to_s
+      when 'makes', 'marke'
+        fitment_makes.join(', ')
+      when 'fitment', 'vozila', 'kompatibilnost'
+        compatibility_text
+      when 'oe_numbers', 'oe_brojevi'
+        part_numbers_text('oe_numbers')
+      when 'cross_references', 'zamjenski_brojevi'
+        part_numbers_text('cross_references')
       when 'description', 'opis'
         # Apply description_filter if defined, otherwise use raw description
         filter_description_by_template
@@ -354,6 +365,67 @@ class Product < ApplicationRecord
     result.present? ? result : description
   end
 
+  ##
+  # Vehicle makes this part fits, from the scraped fitment records
+  #
+  # @return [Array<String>] Unique makes in fitment order
+  #
+  def fitment_makes
+    Array(fitment).map { |vehicle| vehicle['make'] }.compact.uniq
+  end
+
+  ##
+  # Compatibility list for descriptions, one vehicle per line
+  # e.g. "Volkswagen GOLF VI (5K1) 1.6 TDI 2008-2012"
+  #
+  # @return [String] Vehicle lines, or the models text for products without fitment records
+  #
+  def compatibility_text
+    return models.to_s if fitment.blank?
+
+    Array(fitment).map do |vehicle|
+      years = "#{vehicle['year_from']}-#{vehicle['year_to']}" if vehicle['year_from'] || vehicle['year_to']
+      [vehicle['make'], vehicle['model'], vehicle['generation'], vehicle['engine'], years].compact_blank.join(' ')
+    end.uniq.join("\n")
+  end
+
+  ##
+  # Scraped part numbers of one kind as text, e.g. "VW 1K0615301AA, AUDI 1K0615301AA"
+  # Buyers search OLX by these numbers, so descriptions should carry them.
+  #
+  # @param kind [String] 'oe_numbers', 'article_numbers' or 'cross_references'
+  # @return [String] Comma-separated numbers (empty when none were scraped)
+  #
+  def part_numbers_text(kind)
+    Array(part_numbers&.dig(kind)).map { |entry| [entry['brand'], entry['number']].compact_blank.join(' ') }.uniq.join(', ')
+  end
+
+  ##
+  # Guaranteed stock of one branch, from the scraped per-branch stock
+  # Ranges count with their lower bound (">10" is 11), so the result is safe for listing decisions.
+  #
+  # @param branch [String] Branch name as the catalog shows it, e.g. "Sarajevo" (case-insensitive)
+  # @return [Integer, nil] Lowest quantity at the branch, or nil when its stock is unknown
+  #
+  def branch_quantity(branch)
+    entry = Array(branch_stock).find { |item| item['branch'].to_s.casecmp?(branch.to_s) }
+    return entry['quantity_min'] if entry
+
+    # Products scraped without the branch list only know the card's branch
+    quantity_min if branch_availability.to_s.casecmp?(branch.to_s)
+  end
+
+  ##
+  # Whether a branch has at least the given quantity in stock
+  #
+  # @param branch [String] Branch name
+  # @param quantity [Integer] Quantity needed (default 1)
+  # @return [Boolean]
+  #
+  def in_stock_at?(branch, quantity = 1)
+    (branch_quantity(branch) || 0) >= quantity
+  end
+
   ##
   # Auto-populate olx_title and olx_description before publishing
   # This should be called before creating/updating OLX listings
@@ -0,0 +1,5 @@
+class AddTyreToProducts < ActiveRecord::Migration[8.0]
+  def change
+    add_column :products, :tyre, :json
+  end
+end
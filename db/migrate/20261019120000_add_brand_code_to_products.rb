@@ -0,0 +1,6 @@
+class AddBrandCodeToProducts < ActiveRecord::Migration[8.0]
+  def change
+    add_column :products, :brand_code, :string
+    add_column :products, :brand_confidence, :string
+  end
+end
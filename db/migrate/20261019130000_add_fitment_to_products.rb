@@ -0,0 +1,5 @@
+class AddFitmentToProducts < ActiveRecord::Migration[8.0]
+  def change
+    add_column :products, :fitment, :json
+  end
+end
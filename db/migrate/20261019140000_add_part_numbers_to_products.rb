@@ -0,0 +1,5 @@
+class AddPartNumbersToProducts < ActiveRecord::Migration[8.0]
+  def change
+    add_column :products, :part_numbers, :json
+  end
+end
@@ -0,0 +1,8 @@
+class AddDetailFieldsToProducts < ActiveRecord::Migration[8.0]
+  def change
+    add_column :products, :ean, :string
+    add_column :products, :weight_kg, :decimal, precision: 8, scale: 3
+    add_column :products, :documents, :json
+    add_column :products, :enriched_at, :datetime
+  end
+end
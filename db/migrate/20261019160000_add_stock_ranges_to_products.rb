@@ -0,0 +1,8 @@
+class AddStockRangesToProducts < ActiveRecord::Migration[8.0]
+  def change
+    add_column :products, :quantity_min, :integer
+    add_column :products, :quantity_max, :integer
+    add_column :products, :quantity_at_least, :boolean, default: false, null: false
+    add_column :products, :branch_stock, :json
+  end
+end
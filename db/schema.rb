@@ -10,7 +10,7 @@
 #
 # It's strongly recommended that you check this file into your version control system.
 
-ActiveRecord::Schema[8.0].define(version: 2025_12_16_112753) do
+ActiveRecord::Schema[8.0].define(version: 2026_10_19_160000) do
   # These are extensions that must be enabled in order to support this database
   enable_extension "pg_catalog.plpgsql"
 
@@ -215,6 +215,19 @@ ActiveRecord::Schema[8.0].define(version: 2025_12_16_112753) do
     t.text "technical_description"
     t.text "models"
     t.datetime "discarded_at"
+    t.json "tyre"
+    t.string "brand_code"
+    t.string "brand_confidence"
+    t.json "fitment"
+    t.json "part_numbers"
+    t.string "ean"
+    t.decimal "weight_kg", precision: 8, scale: 3
+    t.json "documents"
+    t.datetime "enriched_at"
+    t.integer "quantity_min"
+    t.integer "quantity_max"
+    t.boolean "quantity_at_least", default: false, null: false
+    t.json "branch_stock"
     t.index ["discarded_at"], name: "index_products_on_discarded_at"
     t.index ["import_source"], name: "index_products_on_import_source"
     t.index ["olx_category_template_id"], name: "index_products_on_olx_category_template_id"
@@ -20,6 +20,13 @@
 class OlxListingService
   attr_reader :product, :shop
 
+  # OLX "Vrsta" (type) values for the scraper's tyre seasons
+  TYRE_SEASON_TYPES = {
+    'winter' => 'Zimske',
+    'summer' => 'Ljetne',
+    'all_season' => 'All season (Cjelogodišnje)'
+  }.freeze
+
   ##
   # Initialize service with a product
   #
@@ -713,8 +720,15 @@ class OlxListingService
       product.technical_description
     when 'models', 'modeli', 'odgovara'
       product.models
+    when 'makes', 'marke'
+      product.fitment_makes.join(', ').presence
     when 'description', 'opis'
       product.description
+    when /\Atyre_(\w+)\z/
+      # {tyre_load_index}, {tyre_speed_rating}, {tyre_noise_db} ... from the parsed tyre specification
+      tyre = product.tyre || {}
+      value = tyre.key?($1) ? tyre[$1] : tyre['eu_label']&.dig($1)
+      value.nil? ? nil : tyre_attribute_value(value)
     else
       nil
     end
@@ -838,52 +852,71 @@ class OlxListingService
   end
 
   ##
-  # Build tyre-specific attributes by parsing product title and description
+  # Build tyre-specific attributes from the tyre specification the scraper parsed
+  # (product.tyre). Products imported before the scraper emitted one fall back to
+  # parsing the title and description.
   #
   # @param category_attributes [Array<OlxCategoryAttribute>] Category attributes
   # @return [Array<Hash>] Array of attribute hashes
   #
   def build_tyre_attributes(category_attributes)
     attributes = []
+    tyre = product.tyre.presence || parse_legacy_tyre
 
-    # Parse tyre size from title (e.g., "225/55R19" or "225/55/19")
-    if product.title =~ /(\d{3})[\/-](\d{2})[\/-]?R?(\d{2})/i
-      width = $1
-      height = $2
-      diameter = $3
+    {
+      2918 => tyre['width'],                  # Širina (Width)
+      2919 => tyre['aspect_ratio'],           # Visina (Height)
+      1849 => tyre['rim_diameter'],           # Veličina (Diameter)
+      1848 => TYRE_SEASON_TYPES[tyre['season']] # Vrsta (Type)
+    }.each do |external_id, value|
+      next if value.blank?
+      next unless category_attributes.any? { |a| a.external_id == external_id }
 
-      # Širina (Width) - ID 2918
-      width_attr = category_attributes.find { |a| a.external_id == 2918 }
-      attributes << { id: 2918, value: width } if width_attr
+      attributes << { id: external_id, value: tyre_attribute_value(value) }
+    end
 
-      # Visina (Height) - ID 2919
-      height_attr = category_attributes.find { |a| a.external_id == 2919 }
-      attributes << { id: 2919, value: height } if height_attr
+    attributes
+  end
+
+  ##
+  # Tyre size and season from the title and description, for products without product.tyre
+  #
+  # @return [Hash] Tyre fields with string keys (missing fields are absent)
+  #
+  def parse_legacy_tyre
+    tyre = {}
 
-      # Veličina (Diameter) - ID 1849
-      diameter_attr = category_attributes.find { |a| a.external_id == 1849 }
-      attributes << { id: 1849, value: diameter } if diameter_attr
+    # Parse tyre size from title (e.g., "225/55R19" or "225/55/19")
+    if product.title =~ /(\d{3})[\/-](\d{2})[\/-]?R?(\d{2})/i
+      tyre['width'] = $1
+      tyre['aspect_ratio'] = $2
+      tyre['rim_diameter'] = $3
     end
 
     # Extract tyre type from description
-    type_value = nil
     if product.description.present?
       desc = product.description.downcase
       if desc.include?('sezona: zima') || desc.include?('zimsk')
-        type_value = 'Zimske'
+        tyre['season'] = 'winter'
       elsif desc.include?('sezona: ljeto') || desc.include?('ljetn')
-        type_value = 'Ljetne'
+        tyre['season'] = 'summer'
       elsif desc.include?('all season') || desc.include?('cjelogodišnj')
-        type_value = 'All season (Cjelogodišnje)'
+        tyre['season'] = 'all_season'
       end
     end
 
-    # Vrsta (Type) - ID 1848
-    if type_value
-      type_attr = category_attributes.find { |a| a.external_id == 1848 }
-      attributes << { id: 1848, value: type_value } if type_attr
-    end
+    tyre
+  end
 
-    attributes
+  ##
+  # Format a tyre value for OLX ("17.5" stays, 14.0 becomes "14", true becomes "Da")
+  #
+  def tyre_attribute_value(value)
+    case value
+    when true then 'Da'
+    when false then 'Ne'
+    when Float then value == value.to_i ? value.to_i.to_s : value.to_s
+    else value.to_s
+    end
   end
 end
@@ -16,18 +16,41 @@
 #   # Import scraped data
 #   ScraperService.import_from_json('scraper/data/products-123456.json', shop)
 #
+#   # Refresh price and stock of a shop's imported products
+#   ScraperService.refresh_prices(shop, username: 'user@example.com', password: 'secret', product_url: url)
+#
 require 'open-uri'
 
 class ScraperService
   class ScraperError < StandardError; end
   class LoginError < ScraperError; end
   class ScrapeError < ScraperError; end
+  # A scrape that died part-way but left a checkpoint - worth retrying, unlike other ScrapeErrors
+  class ResumableScrapeError < ScrapeError; end
 
   SCRAPER_DIR = Rails.root.join('scraper')
   DATA_DIR = SCRAPER_DIR.join('data')
+  SESSION_DIR = DATA_DIR.join('sessions')
   ENV_FILE = SCRAPER_DIR.join('.env')
   LOG_DIR = Rails.root.join('log', 'scraper')
 
+  # Prefix of the machine-readable progress lines written by scrape.js (scraper/lib/progress.js)
+  EVENT_PREFIX = '@@SCRAPER_EVENT '
+
+  # Browser pages scrape.js may scrape listing pages on (--workers); one tab unless an import asks for more
+  WORKERS = (1..8)
+  DEFAULT_WORKERS = 1
+
+  # Article codes one import may look up through the site search (scrape.js --sku-file)
+  MAX_ARTICLE_CODES = 1000
+
+  # Versioned layout of scrape.js output files ({ schema_version, run, products })
+  OUTPUT_SCHEMA_FILE = SCRAPER_DIR.join('config', 'output-schema.json')
+
+  # Shape of a catalog listing URL (storefront host, /c/<category>); catalog-url.js does the full parse
+  CATALOG_URL_HOST = %r{\Ahttps?://[a-z]{2}\.e-cat\.intercars\.eu(?=[:/?#]|\z)}i
+  CATALOG_URL_CATEGORY = %r{\A[^?#]*/c/[^/?#]+}
+
   # Setup dedicated logger for scraper operations
   def self.logger
     @logger ||= begin
@@ -42,7 +65,7 @@ class ScraperService
   end
 
   ##
-  # Test login to Intercars and save session cookies
+  # Test login to Intercars and save the session (Playwright storage state)
   #
   # @param username [String] Intercars username/email
   # @param password [String] Intercars password
@@ -58,12 +81,11 @@ class ScraperService
     result = execute_script('test-login', timeout: 60)
 
     if result[:success]
-      # Check if cookies were saved
-      cookies_file = DATA_DIR.join('session-cookies.json')
-      if cookies_file.exist?
+      # Check if the storage state was saved
+      if session_file(username).exist?
         { success: true, message: 'Login successful, session saved' }
       else
-        { success: false, message: 'Login failed - no session cookies saved' }
+        { success: false, message: 'Login failed - no session saved' }
       end
     else
       { success: false, message: result[:error], output: result[:output] }
@@ -106,7 +128,7 @@ class ScraperService
       json_file = latest_products_file
 
       if json_file
-        products = JSON.parse(File.read(json_file))
+        products = read_scraper_output(json_file)[:products]
         logger.info "✓ Scraped #{products.length} products successfully"
         logger.info "JSON file: #{json_file}"
 
@@ -114,11 +136,12 @@ class ScraperService
         with_images = products.count { |p| p['images']&.any? }
         with_specs = products.count { |p| p['specs'].present? }
         with_brand = products.count { |p| p['brand'].present? }
+        unsure_brand = products.count { |p| %w[low none].include?(p['brand_confidence']) }
 
         logger.info "Extraction stats:"
         logger.info "  - Products with images: #{with_images}/#{products.length}"
         logger.info "  - Products with specs: #{with_specs}/#{products.length}"
-        logger.info "  - Products with brand: #{with_brand}/#{products.length}"
+        logger.info "  - Products with brand: #{with_brand}/#{products.length} (#{unsure_brand} not confidently resolved)"
 
         {
           success: true,
@@ -152,7 +175,7 @@ class ScraperService
   # @return [Hash] Result with imported count and errors
   #
   def self.import_from_json(file_path, shop, import_log: nil)
-    products_data = JSON.parse(File.read(file_path))
+    products_data = read_scraper_output(file_path)[:products]
 
     imported = 0
     errors = []
@@ -235,6 +258,7 @@ class ScraperService
     logger.info "Found #{existing_ids.length} existing products - will skip image/tech scraping for these"
 
     # Scrape with credentials and progress tracking
+    # Runs for an import log share one run id, so a retried job resumes the interrupted scrape
     scrape_result = scrape_products_with_progress(
       max_products: max_products,
       username: username,
@@ -242,13 +266,16 @@ class ScraperService
       product_url: product_url,
       headless: true,
       import_log: import_log,
-      existing_source_ids: existing_ids
+      existing_source_ids: existing_ids,
+      run_id: import_log.present? ? "import-#{import_log.id}" : nil,
+      **import_scrape_options(import_log)
     )
 
     unless scrape_result[:success]
       return {
         success: false,
         error: scrape_result[:message] || 'Scraping failed',
+        resumable: scrape_result[:resumable] || false,
         total: 0,
         imported: 0,
         failed: 0
@@ -278,16 +305,28 @@ class ScraperService
       imported: import_result[:imported],
       total: scrape_result[:count],
       failed: scrape_result[:count] - import_result[:imported],
-      errors: import_result[:errors],
+      errors: scrape_result[:failures] + import_result[:errors],
       file: scrape_result[:file]
     }
   end
 
   ##
   # Scrape products with progress tracking
-  # Monitors the scraper log file to update progress in import_log
+  # Monitors the scraper's progress events to update progress in import_log
+  #
+  # Settings are passed as scrape.js command-line flags; existing source_ids go through
+  # a temporary file because a comma-joined env var hits size limits for big shops.
+  #
+  # With a run_id the output file name is stable and scrape.js is started with --resume,
+  # so running again after a crash or timeout continues from the last checkpointed page.
   #
-  def self.scrape_products_with_progress(max_products:, username:, password:, product_url:, headless:, import_log: nil, existing_source_ids: [])
+  # @param run_id [String, nil] Stable id of the scrape (e.g. "import-42")
+  # @param workers [Integer] Browser pages to scrape listing pages on in parallel
+  # @param start_page [Integer, nil] First listing page to scrape (opened directly by URL)
+  # @param end_page [Integer, nil] Last listing page to scrape
+  # @param skus [Array<String>, nil] Article codes to look up through the site search instead of product_url
+  #
+  def self.scrape_products_with_progress(max_products:, username:, password:, product_url:, headless:, import_log: nil, existing_source_ids: [], run_id: nil, workers: DEFAULT_WORKERS, start_page: nil, end_page: nil, skus: nil)
     ensure_setup!
 
     logger.info "=" * 80
@@ -295,29 +334,58 @@ class ScraperService
     logger.info "Product URL: #{product_url}" if product_url
     logger.info "Headless: #{headless}"
     logger.info "Existing source_ids to skip: #{existing_source_ids.length}"
+    logger.info "Parallel pages: #{workers}"
+    logger.info "Listing pages: #{start_page || 1}-#{end_page || 'last'}" if start_page || end_page
+    logger.info "Article codes: #{skus.length} (site search)" if skus.present?
 
-    # Set environment with all needed variables
-    env_vars = { MAX_PRODUCTS: max_products, HEADLESS: headless }
+    # Credentials stay in the environment - command-line arguments are visible in the process list
+    env_vars = {}
     env_vars[:INTERCARS_USERNAME] = username if username
     env_vars[:INTERCARS_PASSWORD] = password if password
-    env_vars[:PRODUCT_URL] = product_url if product_url
-
-    # Pass existing source_ids to skip re-scraping (comma-separated)
-    # IMPORTANT: Always set this value (even if empty) to clear stale data from previous runs
-    env_vars[:EXISTING_SOURCE_IDS] = existing_source_ids.any? ? existing_source_ids.join(',') : ''
+    # IMPORTANT: Always clear the legacy variable so stale IDs in .env are not merged in
+    env_vars[:EXISTING_SOURCE_IDS] = ''
 
     # Also write to .env file for backwards compatibility (local dev)
     update_env(env_vars)
 
+    FileUtils.mkdir_p(DATA_DIR)
+    file_id = run_id || "#{Time.now.to_i}-#{SecureRandom.hex(4)}"
+    output_file = DATA_DIR.join("products-#{file_id}.json")
+    ids_file = DATA_DIR.join("existing-ids-#{file_id}.txt")
+    File.write(ids_file, existing_source_ids.join("\n"))
+    skus_file = DATA_DIR.join("skus-#{file_id}.txt") if skus.present?
+    File.write(skus_file, skus.join("\n")) if skus_file
+
+    args = ['--max', max_products, '--output', output_file, '--existing-ids', ids_file, '--run-id', file_id]
+    args << (headless ? '--headless' : '--headed')
+    if skus_file
+      # Codes replace the listing; pages, workers and checkpoints do not apply
+      args += ['--sku-file', skus_file]
+    else
+      args += ['--workers', workers]
+      args += ['--start-page', start_page] if start_page
+      args += ['--end-page', end_page] if end_page
+      args += ['--url', product_url] if product_url
+    end
+    if run_id && !skus_file
+      args << '--resume'
+      logger.info "Resuming from checkpoint: #{checkpoint_file(output_file)}" if checkpoint_file(output_file).exist?
+    end
+
     # Execute with progress monitoring - pass env vars directly for reliability
-    result = execute_script_with_progress('scrape', timeout: max_products * 30, import_log: import_log, max_products: max_products, env_vars: env_vars)
+    result = begin
+      execute_script_with_progress('scrape', timeout: max_products * 30, import_log: import_log, max_products: max_products, env_vars: env_vars, args: args)
+    ensure
+      FileUtils.rm_f(ids_file)
+      FileUtils.rm_f(skus_file) if skus_file
+    end
 
     if result[:success]
-      # Find the latest products JSON file
-      json_file = latest_products_file
+      json_file = output_file.exist? ? output_file : nil
 
       if json_file
-        products = JSON.parse(File.read(json_file))
+        output = read_scraper_output(json_file)
+        products = output[:products]
         logger.info "✓ Scraped #{products.length} products successfully"
         logger.info "JSON file: #{json_file}"
 
@@ -325,17 +393,21 @@ class ScraperService
         with_images = products.count { |p| p['images']&.any? }
         with_specs = products.count { |p| p['specs'].present? }
         with_brand = products.count { |p| p['brand'].present? }
+        unsure_brand = products.count { |p| %w[low none].include?(p['brand_confidence']) }
 
         logger.info "Extraction stats:"
         logger.info "  - Products with images: #{with_images}/#{products.length}"
         logger.info "  - Products with specs: #{with_specs}/#{products.length}"
-        logger.info "  - Products with brand: #{with_brand}/#{products.length}"
+        logger.info "  - Products with brand: #{with_brand}/#{products.length} (#{unsure_brand} not confidently resolved)"
+        logger.info "  - Rejected by the output schema: #{output[:run].dig('counts', 'rejected')}" if output[:run]
+        logger.info "  - Per-product failures: #{result[:failures].length}"
 
         {
           success: true,
           products: products,
           file: json_file.to_s,
-          count: products.length
+          count: products.length,
+          failures: result[:failures]
         }
       else
         logger.error "Scraping completed but no data file found"
@@ -349,11 +421,192 @@ class ScraperService
       {
         success: false,
         message: result[:error],
-        output: result[:output]
+        output: result[:output],
+        resumable: run_id.present? && checkpoint_file(output_file).exist?
       }
     end
   end
 
+  ##
+  # Refresh price and stock of a shop's imported Intercars products with scrape.js --refresh.
+  # Only the known source_ids are looked for, and the run stops once all of them are found;
+  # nothing but price, currency, stock and branch fields is changed (see refresh_product).
+  #
+  # @param shop [Shop] Shop whose products are refreshed
+  # @param username [String] Intercars username
+  # @param password [String] Intercars password
+  # @param product_url [String, Array<String>] Listing URL(s) the products were imported from
+  # @param headless [Boolean] Run browser in headless mode
+  # @param source_ids [Array<String>, nil] SKUs to refresh (default: all of the shop's)
+  # @return [Hash] { success:, refreshed:, missing: [String], file: } or { success: false, message: }
+  #
+  def self.refresh_prices(shop, username:, password:, product_url:, headless: true, source_ids: nil)
+    ensure_setup!
+
+    source_ids ||= existing_source_ids(shop)
+    return { success: false, message: 'No imported products to refresh' } if source_ids.empty?
+
+    logger.info "=" * 80
+    logger.info "Starting price and stock refresh of #{source_ids.length} products"
+
+    FileUtils.mkdir_p(DATA_DIR)
+    file_id = "#{Time.now.to_i}-#{SecureRandom.hex(4)}"
+    output_file = DATA_DIR.join("refresh-#{file_id}.json")
+    ids_file = DATA_DIR.join("refresh-ids-#{file_id}.txt")
+    File.write(ids_file, source_ids.join("\n"))
+
+    env_vars = { INTERCARS_USERNAME: username, INTERCARS_PASSWORD: password, EXISTING_SOURCE_IDS: '' }
+    args = ['--refresh', '--output', output_file, '--existing-ids', ids_file, '--run-id', file_id]
+    args << (headless ? '--headless' : '--headed')
+    Array(product_url).each { |url| args += ['--url', url] }
+
+    # Listing pages, not products, take the time - a page holds many SKUs
+    result = begin
+      execute_script_with_progress('scrape', timeout: [source_ids.length * 3, 600].max, max_products: source_ids.length, env_vars: env_vars, args: args)
+    ensure
+      FileUtils.rm_f(ids_file)
+    end
+
+    unless result[:success] && output_file.exist?
+      logger.error "Refresh failed: #{result[:error] || 'no data file found'}"
+      return { success: false, message: result[:error] || 'Refresh completed but no data file found' }
+    end
+
+    missing_file = Pathname.new(output_file.to_s.sub(/\.json\z/, '.missing.txt'))
+    missing = missing_file.exist? ? File.readlines(missing_file, chomp: true).reject(&:blank?) : []
+    import_result = import_from_json(output_file, shop)
+
+    logger.info "✓ Refreshed #{import_result[:imported]}/#{source_ids.length} products, #{missing.length} not found on the listings"
+    logger.info "  Not found: #{missing.first(20).join(', ')}#{' ...' if missing.length > 20}" if missing.any?
+
+    {
+      success: true,
+      refreshed: import_result[:imported],
+      missing: missing,
+      errors: import_result[:errors],
+      file: output_file.to_s
+    }
+  end
+
+  ##
+  # Apply one scrape.js --refresh record (scraper/lib/refresh.js) to the stored product.
+  # Refresh records only carry price and stock, so they never create products.
+  #
+  # @param product_data [Hash] Refresh record
+  # @param shop [Shop] Shop the product belongs to
+  # @return [Product] The updated product
+  #
+  def self.refresh_product(product_data, shop)
+    source_id = product_data['source_id'] || product_data['sku']
+    product = shop.products.find_by(source: 'intercars', source_id: source_id)
+    raise ScrapeError, "#{source_id} is not an imported product - run a full import for it" unless product
+
+    attrs = {
+      price: product_data['price'] || product.price,
+      currency: product_data['currency'] || product.currency,
+      quantity: product_data['quantity'],
+      quantity_min: product_data['quantity_min'],
+      quantity_max: product_data['quantity_max'],
+      quantity_at_least: product_data['quantity_at_least'] == true,
+      branch_availability: product_data['branch_availability'],
+      refreshed_at: Time.current
+    }
+    attrs[:branch_stock] = product_data['branch_stock'] if product_data['branch_stock']
+
+    product.update!(attrs)
+    logger.info "  ↻ #{source_id}: #{attrs[:price]} #{attrs[:currency]}, stock #{attrs[:quantity] || 'UNKNOWN'} at #{attrs[:branch_availability] || 'no branch'}"
+    product
+  end
+
+  ##
+  # Scrape settings an import asked for in its metadata: parallel pages ("workers", within
+  # WORKERS), the listing page range ("start_page", "end_page") and article codes ("skus")
+  #
+  # @param import_log [ImportLog, nil]
+  # @return [Hash] { workers:, start_page:, end_page:, skus: } (page numbers and skus nil when not set)
+  #
+  def self.import_scrape_options(import_log)
+    metadata = JSON.parse(import_log&.metadata.presence || '{}') rescue {}
+    start_page = metadata['start_page'].to_i
+    end_page = metadata['end_page'].to_i
+    skus = Array(metadata['skus']).map(&:to_s).reject(&:blank?)
+
+    {
+      workers: metadata['workers'].to_i.clamp(WORKERS.min, WORKERS.max),
+      start_page: start_page.positive? ? start_page : nil,
+      end_page: end_page.positive? && end_page >= [start_page, 1].max ? end_page : nil,
+      skus: skus.presence
+    }
+  end
+
+  ##
+  # Article codes from the import form - one per line, or separated by commas, semicolons or spaces
+  #
+  # @param text [String, nil] Codes as entered
+  # @return [Hash] { codes: [String], errors: [String] } codes upper-cased without duplicates;
+  #   errors for codes the site search cannot take (see scraper/lib/urls.js buildSearchUrl)
+  #
+  def self.parse_article_codes(text)
+    codes = text.to_s.split(/[\s,;]+/).map { |code| code.strip.upcase }.reject(&:blank?).uniq
+    errors = codes.grep_v(%r{\A[A-Z0-9][A-Z0-9.\-/]*\z}).map { |code| "Invalid article code \"#{code}\"" }
+    errors << "At most #{MAX_ARTICLE_CODES} article codes per import (got #{codes.length})" if codes.length > MAX_ARTICLE_CODES
+
+    { codes: codes, errors: errors }
+  end
+
+  ##
+  # Check a listing URL before an import is started, so a pasted home page or cut-off filter
+  # URL is rejected in the form instead of failing in the browser. The URL shape is checked
+  # here, the full parse is scraper/catalog-url.js
+  #
+  # @param url [String] URL as entered
+  # @return [Hash] { valid:, errors: [String], url: } url is the canonical form when valid;
+  #   without node only the shape check runs and the URL is kept as given
+  #
+  def self.validate_listing_url(url)
+    return { valid: false, errors: ['Listing URL is required'], url: nil } if url.blank?
+
+    url = url.to_s.strip
+    shape_error = listing_url_shape_error(url)
+    return { valid: false, errors: [shape_error], url: nil } if shape_error
+
+    stdout, stderr, _status = Open3.capture3('node', 'catalog-url.js', '--json', url, chdir: SCRAPER_DIR.to_s)
+    result = JSON.parse(stdout.lines.first.to_s)
+    { valid: result['valid'] == true, errors: Array(result['errors']), url: result['url'] || url }
+  rescue Errno::ENOENT => e
+    Rails.logger.warn "[Scraper] Could not run catalog-url.js (#{e.message}) - listing URL only shape-checked"
+    { valid: true, errors: [], url: url }
+  rescue JSON::ParserError => e
+    Rails.logger.error "[Scraper] catalog-url.js gave no JSON result (#{e.message}) #{stderr}".strip
+    { valid: false, errors: ['The listing URL could not be checked - the scraper is not working, see the server log'], url: nil }
+  end
+
+  ##
+  # Error for a URL that cannot be a catalog listing (wrong host, no /c/<category>), nil otherwise
+  #
+  # @param url [String] Stripped URL
+  # @return [String, nil]
+  #
+  def self.listing_url_shape_error(url)
+    return "Not an Intercars e-catalog URL: #{url}" unless url.match?(CATALOG_URL_HOST)
+
+    path = url.sub(CATALOG_URL_HOST, '')
+    return 'No product category in the URL (/c/<category>) - open a category in the catalog and copy that URL' unless path.match?(CATALOG_URL_CATEGORY)
+
+    nil
+  end
+
+  ##
+  # Checkpoint scrape.js keeps next to an output file while a run is in progress
+  # (see scraper/lib/checkpoint.js)
+  #
+  # @param output_file [Pathname] Products JSON the run writes
+  # @return [Pathname]
+  #
+  def self.checkpoint_file(output_file)
+    Pathname.new(output_file.to_s.sub(/\.json\z/, '.checkpoint.json'))
+  end
+
   ##
   # Run investigation script to analyze site structure
   #
@@ -386,12 +639,25 @@ class ScraperService
 
   ##
   # Check if there's a valid session
+  # scrape.js reuses the saved session and only logs in again when it has expired
   #
+  # @param username [String] Optional username (checks any saved session when nil)
   # @return [Boolean]
   #
-  def self.session_valid?
-    cookies_file = DATA_DIR.join('session-cookies.json')
-    cookies_file.exist? && cookies_file.mtime > 1.day.ago
+  def self.session_valid?(username = nil)
+    files = username ? [session_file(username)] : Dir.glob(SESSION_DIR.join('*.json')).map { |f| Pathname.new(f) }
+    files.any? { |file| file.exist? && file.mtime > 1.day.ago }
+  end
+
+  ##
+  # Path of the Playwright storage state saved for a username
+  # Same rule as sessionFile() in scraper/lib/session.js (both are checked against
+  # scraper/test/fixtures/session-files.json): lower case, runs of other characters as "_",
+  # no "_" at the ends, and "default" for a blank username
+  #
+  def self.session_file(username)
+    slug = username.to_s.downcase.gsub(/[^a-z0-9._-]+/, '_').gsub(/\A_+|_+\z/, '')
+    SESSION_DIR.join("#{slug.presence || 'default'}.json")
   end
 
   private
@@ -465,9 +731,10 @@ class ScraperService
 
   ##
   # Execute script with progress monitoring
-  # Parses output to track scraping progress and updates import_log
+  # Consumes the scraper's progress events (one JSON object per stdout line,
+  # prefixed with EVENT_PREFIX) to update the phase, counts and failures in import_log
   #
-  def self.execute_script_with_progress(script_name, timeout: 120, import_log: nil, max_products: 10, env_vars: {})
+  def self.execute_script_with_progress(script_name, timeout: 120, import_log: nil, max_products: 10, env_vars: {}, args: [])
     script_file = SCRAPER_DIR.join("#{script_name}.js")
 
     unless script_file.exist?
@@ -482,17 +749,19 @@ class ScraperService
     safe_keys = env_vars.keys.map(&:to_s) - ['INTERCARS_PASSWORD']
     logger.info "Passing env vars to scraper: #{safe_keys.map { |k| "#{k}=#{subprocess_env[k]}" }.join(', ')}"
 
-    cmd = "node #{script_name}.js"
+    cmd = ['node', "#{script_name}.js", *args.map(&:to_s)]
+    logger.info "Running: #{cmd.join(' ')}"
 
     output = []
     error_output = []
     success = false
     last_progress_update = Time.now
-    last_scraped_count = 0
+    progress = { scraped: 0, failures: [] }
+    line_buffer = +''
 
     begin
       # Pass env vars directly to subprocess - more reliable than .env file in multi-worker setup
-      Open3.popen3(subprocess_env, cmd, chdir: SCRAPER_DIR.to_s) do |stdin, stdout, stderr, wait_thr|
+      Open3.popen3(subprocess_env, *cmd, chdir: SCRAPER_DIR.to_s) do |stdin, stdout, stderr, wait_thr|
         stdin.close
 
         # Collect output with timeout
@@ -506,7 +775,7 @@ class ScraperService
               import_log.update!(
                 status: 'failed',
                 completed_at: Time.current,
-                error_messages: ["Scraper timed out after #{timeout} seconds. Last progress: #{last_scraped_count}/#{max_products} products scraped."].to_json
+                error_messages: ["Scraper timed out after #{timeout} seconds. Last progress: #{progress[:scraped]}/#{max_products} products scraped."].to_json
               )
             end
             return { success: false, error: "Scraper timed out after #{timeout} seconds" }
@@ -518,14 +787,14 @@ class ScraperService
                 chunk = stdout.read_nonblock(4096)
                 output << chunk
 
-                # Parse progress from output (looking for "[X/Y] Processing:" pattern)
-                chunk.scan(/\[(\d+)\/(\d+)\] Processing:/) do |current, total|
-                  scraped = current.to_i
-                  if import_log.present? && scraped > last_scraped_count
-                    last_scraped_count = scraped
-                    last_progress_update = Time.now
-                    import_log.update!(scraped_count: scraped)
-                  end
+                # Consume complete lines only - an event may be split across chunks
+                line_buffer << chunk
+                while (newline_index = line_buffer.index("\n"))
+                  event = parse_scraper_event(line_buffer.slice!(0..newline_index))
+                  next unless event
+
+                  last_progress_update = Time.now
+                  apply_scraper_event(event, progress, import_log)
                 end
               end
             rescue EOFError, IO::WaitReadable
@@ -543,12 +812,17 @@ class ScraperService
             import_log.update!(
               status: 'failed',
               completed_at: Time.current,
-              error_messages: ["Scraper stalled - no progress for 5 minutes. Last progress: #{last_scraped_count}/#{max_products} products scraped."].to_json
+              error_messages: ["Scraper stalled - no progress for 5 minutes. Last progress: #{progress[:scraped]}/#{max_products} products scraped."].to_json
             )
             return { success: false, error: "Scraper stalled - no progress for 5 minutes" }
           end
         end
 
+        # The last event may end without a newline (process killed mid-write, unflushed exit)
+        if (event = parse_scraper_event(line_buffer))
+          apply_scraper_event(event, progress, import_log)
+        end
+
         exit_status = wait_thr.value
         success = exit_status.success?
       end
@@ -556,14 +830,14 @@ class ScraperService
       full_output = (output + error_output).join
 
       if success
-        { success: true, output: full_output }
+        { success: true, output: full_output, failures: progress[:failures] }
       else
-        error_msg = 'Script execution failed'
+        error_msg = progress[:error] ? "Script execution failed: #{progress[:error]}" : 'Script execution failed'
         if import_log.present?
           import_log.update!(
             status: 'failed',
             completed_at: Time.current,
-            error_messages: ["#{error_msg}. Scraped #{last_scraped_count}/#{max_products} products before failure."].to_json
+            error_messages: ["#{error_msg}. Scraped #{progress[:scraped]}/#{max_products} products before failure.", *progress[:failures]].to_json
           )
         end
         { success: false, error: error_msg, output: full_output }
@@ -581,6 +855,94 @@ class ScraperService
     end
   end
 
+  ##
+  # Parse one stdout line of the scraper's progress protocol (see scraper/lib/progress.js)
+  #
+  # @param line [String] Raw output line
+  # @return [Hash, nil] Event hash, or nil for human-readable log lines
+  #
+  def self.parse_scraper_event(line)
+    return nil unless line.start_with?(EVENT_PREFIX)
+
+    JSON.parse(line.delete_prefix(EVENT_PREFIX))
+  rescue JSON::ParserError => e
+    logger.warn "Unparseable scraper event: #{e.message}"
+    nil
+  end
+
+  ##
+  # Apply a progress event to the running totals and the import log
+  #
+  # @param event [Hash] Parsed event
+  # @param progress [Hash] Running state ({ scraped:, failures:, error: })
+  # @param import_log [ImportLog, nil] Import log to update
+  #
+  def self.apply_scraper_event(event, progress, import_log)
+    case event['event']
+    when 'login'
+      logger.info "Scraper login: #{event['status']}#{" (#{event['duration_ms']}ms)" if event['duration_ms']}"
+      phase = event['status'] == 'started' ? 'logging_in' : 'loading_page'
+      import_log&.update!(current_phase: phase)
+    when 'list_started'
+      logger.info "Scraper list #{event['list']}/#{event['lists']}#{" (#{event['label']})" if event['label']}: #{event['url']} (max #{event['max_products']})"
+      import_log&.update!(current_phase: 'loading_page')
+    when 'list_done'
+      logger.info "Scraper list #{event['list']} done: #{event['scraped']} products, #{event['duplicates']} duplicates skipped (#{event['duration_ms']}ms)"
+    when 'list_totals'
+      logger.info "Scraper list #{event['list']} totals: #{event['total_products'] || '?'} products on #{event['total_pages'] || '?'} pages (#{event['source'] || 'not found'}), expecting #{event['expected']}"
+      # "X of total" - the planned count replaces --max once the listing says how many there are
+      import_log&.update!(total_rows: event['planned_total']) if event['planned_total']
+    when 'page_loaded'
+      logger.info "Scraper page #{event['page']} loaded: #{event['products']} products (#{event['duration_ms']}ms)"
+      import_log&.update!(current_phase: 'scraping')
+    when 'product_extracted'
+      scraped = event['scraped'].to_i
+      if scraped > progress[:scraped]
+        progress[:scraped] = scraped
+        import_log&.update!(current_phase: 'scraping', scraped_count: scraped)
+      end
+    when 'sku_searched'
+      logger.info "Scraper code #{event['index']}/#{event['total']} #{event['code']}: #{event['status']} (#{event['results']} results, #{event['duration_ms']}ms)"
+      unless event['status'] == 'found'
+        reason = event['status'] == 'multiple' ? 'several products have this code' : 'no product with this code'
+        candidates = Array(event['candidates'])
+        progress[:failures] << "#{event['code']}: #{reason}#{" (#{candidates.join(', ')})" if candidates.any?}"
+      end
+      import_log&.update!(current_phase: 'scraping')
+    when 'product_refreshed'
+      refreshed = event['refreshed'].to_i
+      progress[:scraped] = refreshed if refreshed > progress[:scraped]
+    when 'product_rejected'
+      # Not written to the output (see <output>.rejects.json), so it is never imported
+      failure = "#{event['source_id'] || 'Unknown SKU'}#{" - #{event['title']}" if event['title']}: rejected by the output schema (#{Array(event['reasons']).join('; ')})"
+      logger.warn "Scraper: #{failure}"
+      progress[:failures] << failure
+    when 'image_failed'
+      failure = "#{event['source_id'] || 'Unknown SKU'}#{" - #{event['title']}" if event['title']}: image extraction failed (#{event['error']})"
+      logger.warn "Scraper: #{failure}"
+      progress[:failures] << failure
+    when 'product_enriched'
+      if event['status'] == 'failed'
+        failure = "#{event['source_id'] || 'Unknown SKU'}: detail page enrichment failed (#{event['error']})"
+        logger.warn "Scraper: #{failure}"
+        progress[:failures] << failure
+      end
+    when 'page_done'
+      logger.info "Scraper page #{event['page']} done: #{event['products']} products (#{event['duration_ms']}ms)"
+      import_log&.update!(current_phase: 'loading_page')
+    when 'finished'
+      logger.info "Scraper finished: #{event['count']} products in #{event['duration_ms']}ms"
+      logger.info "  Not found: #{event['missing'].length} SKUs (#{event['missing_file']})" if event['refresh'] && event['missing'].present?
+      logger.info "  Rejected: #{event['rejected']} products (#{event['rejects_file']})" if event['rejected'].to_i.positive?
+      Array(event['timings']).first(5).each do |timing|
+        logger.info "  #{timing['phase']}: #{timing['total_ms']}ms (#{timing['count']}x, max #{timing['max_ms']}ms)"
+      end
+    when 'failed'
+      progress[:error] = event['error']
+      logger.error "Scraper reported failure: #{event['error']}"
+    end
+  end
+
   def self.create_env_file(username:, password:, headless: true)
     env_content = <<~ENV
       INTERCARS_USERNAME=#{username}
@@ -612,11 +974,41 @@ class ScraperService
 
   def self.latest_products_file
     Dir.glob(DATA_DIR.join('products-*.json'))
+       .reject { |f| f.end_with?('.checkpoint.json', '.rejects.json', '.skus.json') }
        .map { |f| Pathname.new(f) }
        .max_by(&:mtime)
   end
 
+  ##
+  # Read a scrape.js output file: the { schema_version, run, products } layout of
+  # config/output-schema.json, or the bare product array older runs wrote
+  #
+  # @param file [String, Pathname] Output JSON file
+  # @return [Hash] { schema_version:, run:, products: } (schema_version and run nil for old files)
+  # @raise [ScrapeError] when the file is not scraper output or has another major schema version
+  #
+  def self.read_scraper_output(file)
+    data = JSON.parse(File.read(file))
+    return { schema_version: nil, run: nil, products: data } if data.is_a?(Array)
+
+    unless data.is_a?(Hash) && data['schema_version'].present? && data['products'].is_a?(Array)
+      raise ScrapeError, "#{file} is not a scraper output file (no schema_version and products)"
+    end
+
+    supported = JSON.parse(File.read(OUTPUT_SCHEMA_FILE))['version']
+    if data['schema_version'].split('.').first != supported.split('.').first
+      raise ScrapeError, "#{file} has output schema #{data['schema_version']}, this importer reads #{supported}"
+    end
+
+    run = data['run'] || {}
+    logger.info "Scraper output #{data['schema_version']}: run #{run['run_id']} (#{run['mode']}), #{run.dig('counts', 'products')} products, #{run.dig('counts', 'rejected')} rejected, #{run['started_at']} - #{run['finished_at']}"
+    { schema_version: data['schema_version'], run: data['run'], products: data['products'] }
+  end
+
   def self.import_product(product_data, shop, import_log)
+    # Price and stock records of scrape.js --refresh leave everything else untouched
+    return refresh_product(product_data, shop) if product_data['refresh'] == true
+
     # Create or update product using source_id from scraper (Inter Cars kod)
     source_id = product_data['source_id'] || product_data['sku'] || extract_source_id(product_data['source_url'])
 
@@ -637,8 +1029,9 @@ class ScraperService
       logger.info "  Action: #{is_update ? 'UPDATE' : 'CREATE'}"
     end
 
-    # Default price to 0 if not present
-    price = product_data['price'] || 0.0
+    # scrape.js rejects products without a price; older output wrote 0.0 for them
+    price = product_data['price']
+    raise ScrapeError, "#{source_id}: no price - not imported" unless price.is_a?(Numeric) && price.positive?
 
     # Build attributes - for reuse_existing, preserve certain fields
     attrs = {
@@ -656,6 +1049,25 @@ class ScraperService
       refreshed_at: Time.current
     }
 
+    # Parsed tyre specification (listing data, so also refreshed in fast mode); older
+    # scraper output has no tyre key and must not wipe a stored value
+    attrs[:tyre] = product_data['tyre'] if product_data.key?('tyre')
+
+    # Brand code and how sure the scraper is about the brand (same rule for older output)
+    attrs[:brand_code] = product_data['brand_code'] if product_data.key?('brand_code')
+    attrs[:brand_confidence] = product_data['brand_confidence'] if product_data.key?('brand_confidence')
+
+    # Stock as numbers; branch_stock only when the run read the branches (API or --branch-stock)
+    %w[quantity_min quantity_max quantity_at_least branch_stock].each do |field|
+      attrs[field.to_sym] = product_data[field] if product_data.key?(field)
+    end
+
+    # Detail page fields (--enrich) - only in the output for products whose page was visited,
+    # which includes existing products on a forced refresh
+    %w[ean weight_kg documents enriched_at].each do |field|
+      attrs[field.to_sym] = product_data[field] if product_data.key?(field)
+    end
+
     # For reuse_existing mode, preserve technical_description, models, and images
     if reuse_existing && is_update
       # Don't overwrite these fields - keep existing values
@@ -664,21 +1076,36 @@ class ScraperService
       # Full import - include technical description and models
       attrs[:technical_description] = product_data['technical_description']
       attrs[:models] = product_data['models']
+      attrs[:fitment] = product_data['fitment'] if product_data.key?('fitment')
+      # Only present when the run extracted part numbers (--references)
+      if product_data.key?('oe_numbers')
+        attrs[:part_numbers] = product_data.slice('oe_numbers', 'article_numbers', 'cross_references')
+      end
       attrs[:image_urls] = product_data['images']
     end
 
     # Log what we're importing
     logger.info "  Sub-title: #{product_data['sub_title'] || 'MISSING'}"
-    logger.info "  Brand: #{product_data['brand'] || 'MISSING'}"
+    logger.info "  Brand: #{product_data['brand'] || 'MISSING'}#{" (#{product_data['brand_code'] || 'no code'}, #{product_data['brand_confidence']} confidence)" if product_data['brand_confidence']}"
     logger.info "  Price: #{price} #{product_data['currency'] || 'BAM'}"
+    logger.info "  Stock: #{product_data['quantity'] || 'UNKNOWN'} at #{product_data['branch_availability'] || 'no branch'}#{" (#{product_data['branch_stock'].length} branches)" if product_data['branch_stock']}"
     logger.info "  Images: #{reuse_existing ? 'PRESERVED' : (product_data['images']&.length || 0)}"
     logger.info "  Description: #{product_data['description'] ? 'YES' : 'NO'}"
     logger.info "  Technical Description: #{reuse_existing ? 'PRESERVED' : (product_data['technical_description'] ? 'YES' : 'NO')}"
     logger.info "  Models: #{reuse_existing ? 'PRESERVED' : (product_data['models'] || 'NONE')}"
+    logger.info "  Fitment: #{reuse_existing ? 'PRESERVED' : "#{product_data['fitment']&.length || 0} vehicles"}"
+    if product_data.key?('oe_numbers')
+      logger.info "  Part numbers: #{product_data['oe_numbers'].length} OE, #{product_data['cross_references']&.length || 0} cross-references"
+    end
     logger.info "  Specs: #{product_data['specs'] ? 'YES' : 'NO'}"
-
-    # Assign OLX category template if import log has one
-    if import_log&.olx_category_template_id.present?
+    logger.info "  Detail page: #{product_data['enrichment']}#{" (EAN #{product_data['ean'] || 'none'}, #{product_data['documents']&.length || 0} documents)" if product_data['enrichment'] == 'done'}" if product_data.key?('enrichment')
+    logger.info "  Tyre: #{product_data['tyre'] ? product_data['tyre']['size'] || 'YES' : 'NO'}"
+
+    # Assign OLX category template - a batch list's template hint wins over the import log's
+    template = resolve_template_hint(shop, product_data['template_hint'])
+    if template
+      attrs[:olx_category_template_id] = template.id
+    elsif import_log&.olx_category_template_id.present?
       attrs[:olx_category_template_id] = import_log.olx_category_template_id
     end
 
@@ -722,6 +1149,26 @@ class ScraperService
     product
   end
 
+  ##
+  # Find the OLX category template a batch list asked for (scrape.js --batch "template")
+  #
+  # @param shop [Shop] Shop the product belongs to
+  # @param hint [Integer, String, nil] Template id or name
+  # @return [OlxCategoryTemplate, nil] nil when there is no hint or it matches nothing
+  #
+  def self.resolve_template_hint(shop, hint)
+    return nil if hint.blank?
+
+    template = if hint.to_s.match?(/\A\d+\z/)
+                 shop.olx_category_templates.find_by(id: hint.to_i)
+               else
+                 shop.olx_category_templates.find_by(name: hint.to_s)
+               end
+
+    logger.warn "  Template hint #{hint.inspect} does not match any template of this shop" unless template
+    template
+  end
+
   def self.extract_source_id(url)
     # Extract ID from URL like: https://example.com/product/12345
     url.to_s.match(/\/(\d+)(?:\/|$)/)&.captures&.first || url
@@ -0,0 +1,122 @@
+/**
+ * Catalog URL Tool
+ *
+ * Parses and builds Intercars catalog listing URLs without starting a browser (lib/urls.js):
+ * - Parse: prints the structured form of each URL (category path, TecDoc codes, brand codes,
+ *   branch availability, sort, page) with validation errors and the canonical URL
+ * - Build: prints the URL for a category and filters given as options
+ *
+ * The import form runs it with --json to reject URLs before a scrape is started.
+ *
+ * Usage:
+ *   node catalog-url.js <url> [more urls...] [--json]
+ *   node catalog-url.js --build --category CODE [--path A/B/C] [--brand CODE...] [options]
+ *
+ * Exit codes: 0 all URLs valid, 2 invalid URL or arguments
+ */
+
+const { runCli, UsageError, EXIT_USAGE } = require('./lib/cli');
+const { FACET_KEYS, buildCatalogUrl, validateListingUrl, CatalogUrlError } = require('./lib/urls');
+const { storefrontCodes, resolveStorefront } = require('./lib/storefront');
+
+const USAGE = 'node catalog-url.js <url> [more urls...] [--json] | --build --category CODE [options]';
+
+const OPTIONS = [
+  { name: 'url', multiple: true, value: 'URL', description: 'URL to parse; usually passed as arguments' },
+  { name: 'json', type: 'boolean', description: 'Print one JSON result per URL ({ valid, errors, warnings, url, parsed })' },
+  { name: 'build', type: 'boolean', description: 'Build a URL from the options below instead of parsing' },
+  { name: 'storefront', choices: storefrontCodes(), default: 'ba', value: 'CODE', description: `Country storefront (${storefrontCodes().join(', ')})` },
+  { name: 'language', value: 'CODE', description: 'Language path segment (default: the storefront\'s language)' },
+  { name: 'path', value: 'A/B/C', description: 'Category path ("Cijela-ponuda/Gume/Putničke-gume")' },
+  { name: 'category', value: 'CODE', description: 'Category code after /c/ ("tecdoc-5090008-5010105")' },
+  { name: 'tecdoc', value: 'CODES', description: 'TecDoc codes instead of --category ("5090008-5010105")' },
+  { name: 'brand', multiple: true, value: 'CODE', description: 'Brand filter code (icgoods_2203); repeat for more brands' },
+  { name: 'branch', value: 'VALUE', description: 'Branch availability filter (ALL)' },
+  { name: 'sort', value: 'KEY', description: 'Sort key (default: default)' },
+  { name: 'page', type: 'integer', min: 1, default: 1, value: 'N', description: 'Listing page' }
+];
+
+/**
+ * Human-readable form of one validation result
+ */
+function formatResult(input, result) {
+  const lines = [`${result.valid ? '✅' : '❌'} ${input}`];
+  const { parsed } = result;
+
+  if (parsed) {
+    lines.push(`   Storefront: ${parsed.storefront} / ${parsed.language || '-'}`);
+    lines.push(`   Path:       ${parsed.path.join(' › ') || '-'}`);
+    lines.push(`   Category:   ${parsed.category || '-'}${parsed.tecdoc ? ` (TecDoc ${parsed.tecdoc.join(', ')})` : ''}`);
+    lines.push(`   Brands:     ${parsed.brands.join(', ') || '-'}`);
+    lines.push(`   Branch:     ${parsed.branchAvailability || '-'}`);
+    lines.push(`   Sort:       ${parsed.sort || '-'}${parsed.text ? `, search "${parsed.text}"` : ''}`);
+    lines.push(`   Page:       ${parsed.page}`);
+    parsed.facets
+      .filter(group => group.key && !Object.values(FACET_KEYS).includes(group.key))
+      .forEach(group => lines.push(`   Filter:     ${group.key} = ${group.values.join(', ')}`));
+    if (parsed.params.length > 0) lines.push(`   Params:     ${parsed.params.map(([name, value]) => `${name}=${value}`).join('&')}`);
+  }
+  result.errors.forEach(error => lines.push(`   ❌ ${error}`));
+  result.warnings.forEach(warning => lines.push(`   ⚠️  ${warning}`));
+  if (result.url && result.url !== (parsed && parsed.url)) lines.push(`   Canonical:  ${result.url}`);
+
+  return lines.join('\n');
+}
+
+/**
+ * Parse or build catalog URLs
+ *
+ * @param options - Parsed CLI options
+ * @returns {boolean} Whether every URL was valid
+ */
+function catalogUrl(options) {
+  if (options.build) {
+    try {
+      console.log(buildCatalogUrl({
+        storefront: options.storefront,
+        language: options.language || resolveStorefront(options.storefront).language,
+        path: options.path || [],
+        category: options.category || null,
+        tecdoc: options.tecdoc ? options.tecdoc.split('-') : null,
+        brands: options.brand || [],
+        branchAvailability: options.branch || null,
+        sort: options.sort || null,
+        page: options.page
+      }));
+    } catch (e) {
+      if (e instanceof CatalogUrlError) throw new UsageError(e.message);
+      throw e;
+    }
+    return true;
+  }
+
+  const results = options.url.map(url => ({ input: url, ...validateListingUrl(url) }));
+  results.forEach(({ input, ...result }) => {
+    console.log(options.json ? JSON.stringify(result) : formatResult(input, result));
+  });
+  return results.every(result => result.valid);
+}
+
+if (require.main === module) {
+  runCli(options => {
+    if (!catalogUrl(options)) process.exitCode = EXIT_USAGE;
+  }, USAGE, OPTIONS, {
+    positionals: 'url',
+    validate: options => {
+      if (options.build && options.url) {
+        throw new UsageError('--build does not take URLs');
+      }
+      if (options.build && !options.category && !options.tecdoc) {
+        throw new UsageError('--build needs --category or --tecdoc');
+      }
+      if (options.tecdoc && !/^\d+(?:-\d+)*$/.test(options.tecdoc)) {
+        throw new UsageError(`--tecdoc must be codes separated by "-", got "${options.tecdoc}"`);
+      }
+      if (!options.build && (!options.url || options.url.length === 0)) {
+        throw new UsageError('At least one URL is required (or --build)');
+      }
+    }
+  });
+}
+
+module.exports = catalogUrl;
@@ -4,11 +4,13 @@
 
 const { chromium } = require('playwright-extra');
 const stealth = require('puppeteer-extra-plugin-stealth');
+const { isLoginPage, loginWithSso, SITE_URL } = require('./lib/session');
+const { loadSelectorProfile, fallbacksFor } = require('./lib/selectors');
 require('dotenv').config();
 
 chromium.use(stealth());
 
-const SITE_URL = 'https://ba.e-cat.intercars.eu/bs/';
+const SELECTORS = loadSelectorProfile();
 const PRODUCT_URL = process.env.PRODUCT_URL || 'https://ba.e-cat.intercars.eu/bs/Cijela-ponuda/Gume-Točkovi-Pribor/Gume/Putničke-gume/c/tecdoc-5090008-5010105-5010106?q=%3Adefault-m%3AbranchAvailability%3AALL%3AproductBrandCode%3Aicgoods_2203%3AproductBrandCode%3Aicgoods_2431%3Aicgoods_63841%3Aicgoods_1028867';
 
 async function debugSelectors() {
@@ -32,26 +34,8 @@ async function debugSelectors() {
     await page.goto(SITE_URL, { waitUntil: 'domcontentloaded', timeout: 30000 });
     await page.waitForTimeout(2000);
 
-    if (page.url().includes('account.intercars.eu') && page.url().includes('login')) {
-      const emailField = page.locator('input#usernameUserInput').first();
-      if (await emailField.count() > 0) {
-        await emailField.fill(process.env.INTERCARS_USERNAME);
-        const continueButton = page.locator('input[type="submit"]').first();
-        if (await continueButton.count() > 0) {
-          await continueButton.click();
-          await page.waitForTimeout(3000);
-        }
-      }
-
-      const passwordField = page.locator('input[type="password"]').first();
-      if (await passwordField.count() > 0) {
-        await passwordField.fill(process.env.INTERCARS_PASSWORD);
-        const signInButton = page.locator('button[type="submit"], input[type="submit"]').first();
-        if (await signInButton.count() > 0) {
-          await signInButton.click();
-          await page.waitForTimeout(3000);
-        }
-      }
+    if (isLoginPage(page)) {
+      await loginWithSso(page, process.env.INTERCARS_USERNAME, process.env.INTERCARS_PASSWORD);
     }
 
     // Navigate to product page
@@ -66,21 +50,20 @@ async function debugSelectors() {
     await page.waitForTimeout(5000);
 
     // Test different selectors
-    console.log('🔬 Testing selectors...\n');
+    console.log(`🔬 Testing selectors (selector profile v${SELECTORS.version})...\n`);
 
-    const results = await page.evaluate(() => {
+    const results = await page.evaluate(({ profileSelectors, skuAttribute }) => {
       const info = {
         url: window.location.href,
         title: document.title,
         selectors: {}
       };
 
-      // Test various selectors
+      // Test the profile's product link fallbacks plus a few generic candidates
       const selectorsToTest = [
-        '[data-testid="productIndexLink"]',
-        '[data-test="productIndexLink"]',
+        ...profileSelectors,
         'a[href*="/product/"]',
-        'a[data-towkod]',
+        `a[${skuAttribute}]`,
         '[class*="product"]',
         '[data-testid*="product"]'
       ];
@@ -95,7 +78,7 @@ async function debugSelectors() {
               tag: el.tagName,
               href: el.href || null,
               title: el.getAttribute('title') || el.textContent?.trim().substring(0, 50) || '',
-              sku: el.getAttribute('data-towkod') || null,
+              sku: el.getAttribute(skuAttribute) || null,
               classes: el.className
             });
           }
@@ -108,6 +91,9 @@ async function debugSelectors() {
       });
 
       return info;
+    }, {
+      profileSelectors: fallbacksFor(SELECTORS, 'productLink'),
+      skuAttribute: SELECTORS.attributes.sku
     });
 
     console.log('Results:\n');
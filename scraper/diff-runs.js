@@ -0,0 +1,103 @@
+/**
+ * Run Diff Script
+ *
+ * Compares two scrape runs without a browser (lib/diff.js) and reports what changed for the
+ * OLX listings: new SKUs, SKUs that are gone, price increases/decreases in percent and stock
+ * changes. The older side can also be a list of known source_ids with their prices.
+ *
+ * Usage:
+ *   node diff-runs.js <older> <newer> [--output FILE] [--json] [--min-change PCT]
+ *   node diff-runs.js            (the two latest data/products-*.json)
+ *
+ * The readable summary goes to the console; --output writes the full diff as JSON and
+ * --json prints it instead of the summary.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { runCli, UsageError } = require('./lib/cli');
+const { loadProducts, diffRuns, formatDiff } = require('./lib/diff');
+
+const DATA_DIR = path.join(__dirname, 'data');
+
+const USAGE = 'node diff-runs.js [older-run-or-known-list] [newer-run] [options]';
+
+const OPTIONS = [
+  { name: 'file', multiple: true, value: 'FILE', description: 'Older and newer file; usually passed as arguments (default: the two latest runs in data/)' },
+  { name: 'output', short: 'o', value: 'FILE', description: 'Also write the full diff as JSON to this file' },
+  { name: 'json', type: 'boolean', description: 'Print the diff as JSON instead of the summary' },
+  { name: 'min-change', value: 'PCT', description: 'Leave out price changes smaller than this percentage (default: 0)' },
+  { name: 'limit', type: 'integer', min: 1, default: 20, value: 'N', description: 'Lines per section in the summary' }
+];
+
+const HELP_FOOTER = `Known-product list (older side), one product per line:
+  source_id[,price[,quantity]]        e.g. 1K0615301AA,85.50,>10
+  source_id;price;quantity            when prices have a decimal comma (85,50)
+  or JSON: [{ "source_id": "...", "price": 85.5 }] / { "source_id": 85.5 }`;
+
+/**
+ * The two newest scrape outputs in data/, older first
+ */
+function latestRuns() {
+  if (!fs.existsSync(DATA_DIR)) return [];
+
+  return fs.readdirSync(DATA_DIR)
+    .filter(name => /^products-.*\.json$/.test(name) && !/\.(checkpoint|partial|skus|rejects)\./.test(name))
+    .map(name => path.join(DATA_DIR, name))
+    .sort((a, b) => fs.statSync(a).mtimeMs - fs.statSync(b).mtimeMs)
+    .slice(-2);
+}
+
+/**
+ * Compare two runs and report the differences
+ *
+ * @param options - { file: [older, newer], output, json, minChange, limit }
+ * @returns {Object} The diff (see lib/diff.js diffRuns)
+ */
+function diffCommand(options) {
+  const [olderFile, newerFile] = options.file;
+  const diff = diffRuns(loadProducts(olderFile), loadProducts(newerFile), { minChangePct: options.minChange || 0 });
+
+  if (options.output) {
+    fs.mkdirSync(path.dirname(path.resolve(options.output)), { recursive: true });
+    fs.writeFileSync(options.output, JSON.stringify(diff, null, 2));
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(diff, null, 2));
+  } else {
+    console.log(`🔍 ${path.basename(olderFile)} → ${path.basename(newerFile)}\n`);
+    console.log(formatDiff(diff, { limit: options.limit }));
+    if (options.output) console.log(`\n   ✓ Saved diff to: ${options.output}`);
+  }
+
+  return diff;
+}
+
+if (require.main === module) {
+  runCli(diffCommand, USAGE, OPTIONS, {
+    positionals: 'file',
+    footer: HELP_FOOTER,
+    validate: options => {
+      if (!options.file || options.file.length === 0) {
+        options.file = latestRuns();
+        if (options.file.length < 2) throw new UsageError('Need two files to compare (fewer than two runs in data/)');
+      }
+      if (options.file.length !== 2) {
+        throw new UsageError(`Expected an older and a newer file, got ${options.file.length}`);
+      }
+      options.file.forEach(file => {
+        if (!fs.existsSync(file)) throw new UsageError(`File not found: ${file}`);
+      });
+      if (options.minChange !== undefined) {
+        const value = Number(options.minChange);
+        if (!Number.isFinite(value) || value < 0) {
+          throw new UsageError(`--min-change must be a percentage of 0 or more, got "${options.minChange}"`);
+        }
+        options.minChange = value;
+      }
+    }
+  });
+}
+
+module.exports = diffCommand;
@@ -0,0 +1,190 @@
+/**
+ * Catalogue Discovery Script
+ *
+ * Logs in, crawls the category tree and each category's facet panel, and writes a catalogue
+ * map to JSON (lib/discovery.js):
+ * - categories: name, path, category code, TecDoc codes, parent/children, product and page
+ *   counts, brand facets (icgoods_* codes with counts) and other filter facets
+ * - brands: every brand seen, with the number of categories and products it has
+ *
+ * Use it to plan imports and to fill category/brand pickers instead of assembling URLs by
+ * hand (catalog-url.js --build turns a category code and brand codes into a listing URL).
+ *
+ * Usage:
+ *   node discover.js [start-url] [options]
+ *
+ * Credentials come from INTERCARS_USERNAME / INTERCARS_PASSWORD, like scrape.js.
+ */
+
+const { chromium } = require('playwright-extra');
+const stealth = require('puppeteer-extra-plugin-stealth');
+const fs = require('fs');
+const path = require('path');
+const { createSessionContext, ensureLoggedIn, saveSession } = require('./lib/session');
+const { openLog, log, logError, closeLog } = require('./lib/logger');
+const { runCli, UsageError } = require('./lib/cli');
+const { loadSelectorProfile } = require('./lib/selectors');
+const { createResponseCollector } = require('./lib/network');
+const { createRateLimiter, DEFAULT_DELAY_MS } = require('./lib/enrich');
+const { parseCatalogUrl, CatalogUrlError } = require('./lib/urls');
+const { storefrontCodes, storefrontOfUrl, useStorefront } = require('./lib/storefront');
+const { formatPhaseReport, resetPhases } = require('./lib/waits');
+const {
+  DEFAULT_MAX_DEPTH,
+  DEFAULT_MAX_CATEGORIES,
+  crawlCategories,
+  summariseBrands
+} = require('./lib/discovery');
+require('dotenv').config();
+
+chromium.use(stealth());
+
+// Version of the catalogue file layout - bump when fields change meaning
+const CATALOGUE_VERSION = 1;
+
+const USAGE = 'node discover.js [start-url] [options]';
+
+const OPTIONS = [
+  { name: 'root', value: 'URL', description: 'Page to start from: a category, or the catalog home (default); usually passed as an argument' },
+  { name: 'storefront', choices: storefrontCodes(), env: 'STOREFRONT', value: 'CODE', description: `Country storefront (${storefrontCodes().join(', ')}) to crawl when no start page is given (default: ba)` },
+  { name: 'output', short: 'o', value: 'FILE', description: 'Output JSON file (default: data/catalogue-<timestamp>.json)' },
+  { name: 'max-depth', type: 'integer', min: 1, default: DEFAULT_MAX_DEPTH, value: 'N', description: 'Category levels to visit below the start page' },
+  { name: 'max-categories', type: 'integer', min: 1, default: DEFAULT_MAX_CATEGORIES, value: 'N', description: 'Stop after this many categories' },
+  { name: 'delay', type: 'integer', min: 0, default: DEFAULT_DELAY_MS, value: 'MS', description: 'Minimum interval between category page visits' },
+  { name: 'skip-facets', type: 'boolean', description: 'Only map categories and counts, without brand and filter facets' },
+  { name: 'headless', type: 'boolean', default: false, env: 'HEADLESS', description: 'Run the browser without a window' },
+  { name: 'headed', type: 'boolean', description: 'Show the browser window (overrides HEADLESS)' },
+  { name: 'slow-mo', type: 'integer', min: 0, default: 50, env: 'SLOW_MO', value: 'MS', description: 'Delay between browser actions' }
+];
+
+/**
+ * Crawl the catalogue and write the map
+ *
+ * @param options - { root, storefront, output, maxDepth, maxCategories, delay, facets, headless, slowMo }
+ *                  root defaults to the storefront's catalog home
+ * @returns {Object} The catalogue map that was written
+ */
+async function discover(options = {}) {
+  const logFile = openLog('discover');
+  resetPhases();
+
+  const username = process.env.INTERCARS_USERNAME;
+  const password = process.env.INTERCARS_PASSWORD;
+  const storefront = useStorefront(options.storefront || (options.root ? storefrontOfUrl(options.root) : null));
+  const root = options.root || storefront.siteUrl;
+  const outputFile = options.output || `data/catalogue-${Date.now()}.json`;
+  const profile = loadSelectorProfile();
+  const started = Date.now();
+
+  log('🧭 Starting Intercars catalogue discovery...');
+  log(`Log file: ${logFile}`);
+  log(`Start page: ${root} (storefront ${storefront.code})`);
+  log(`Depth: ${options.maxDepth || DEFAULT_MAX_DEPTH}, at most ${options.maxCategories || DEFAULT_MAX_CATEGORIES} categories${options.facets === false ? ', no facets' : ''}`);
+
+  const browser = await chromium.launch({
+    headless: !!options.headless,
+    slowMo: options.slowMo !== undefined ? options.slowMo : 50,
+    args: [
+      '--disable-blink-features=AutomationControlled',
+      '--no-sandbox',
+      '--disable-setuid-sandbox'
+    ]
+  });
+  const { context } = await createSessionContext(browser, username);
+  const page = await context.newPage();
+  const collector = createResponseCollector(page, profile);
+  let loggedIn = false;
+
+  try {
+    console.log('🔐 Logging in to Intercars...\n');
+    const { reused } = await ensureLoggedIn(page, { username, password, log, siteUrl: storefront.siteUrl });
+    loggedIn = true;
+    log(reused ? '   ✓ Reused saved session' : '   ✓ Logged in with SSO');
+
+    console.log('\n📂 Crawling categories...\n');
+    const { categories, complete } = await crawlCategories(page, {
+      root,
+      profile,
+      collector,
+      maxDepth: options.maxDepth,
+      maxCategories: options.maxCategories,
+      facets: options.facets !== false,
+      limiter: createRateLimiter(options.delay !== undefined ? options.delay : DEFAULT_DELAY_MS)
+    });
+
+    const catalogue = {
+      version: CATALOGUE_VERSION,
+      generated_at: new Date().toISOString(),
+      root,
+      storefront: storefront.code,
+      selector_profile: profile.version,
+      complete,
+      duration_ms: Date.now() - started,
+      categories,
+      brands: summariseBrands(categories)
+    };
+
+    fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+    fs.writeFileSync(outputFile, JSON.stringify(catalogue, null, 2));
+
+    const failed = categories.filter(category => category.error).length;
+    console.log(`\n📊 Summary:`);
+    console.log(`   Categories: ${categories.length}${failed > 0 ? ` (${failed} could not be read)` : ''}`);
+    console.log(`   Brands: ${catalogue.brands.length}`);
+    if (!complete) console.log(`   ⚠️  Stopped at --max-categories ${options.maxCategories} - raise it for the full tree`);
+    console.log(`   ✓ Saved catalogue to: ${outputFile}`);
+
+    return catalogue;
+  } catch (error) {
+    logError('Error during discovery', error);
+    if (!fs.existsSync('screenshots')) fs.mkdirSync('screenshots', { recursive: true });
+    await page.screenshot({ path: 'screenshots/error-discover.png' }).catch(() => {});
+    throw error;
+  } finally {
+    if (loggedIn) {
+      await saveSession(context, username).catch(e => logError('Failed to save session', e));
+    }
+    await context.close().catch(() => {});
+    await browser.close();
+
+    const report = formatPhaseReport();
+    if (report.length > 0) {
+      log('\n⏱️  Time per phase:');
+      report.forEach(line => log(line));
+    }
+    log(`Full log saved to: ${logFile}`);
+    closeLog();
+  }
+}
+
+if (require.main === module) {
+  runCli(options => discover({
+    ...options,
+    facets: !options.skipFacets,
+    headless: options.headed ? false : options.headless
+  }), USAGE, OPTIONS, {
+    positionals: 'root',
+    validate: options => {
+      if (Array.isArray(options.root)) {
+        if (options.root.length > 1) throw new UsageError('Only one start URL can be given');
+        options.root = options.root[0];
+      }
+      if (options.root) {
+        try {
+          parseCatalogUrl(options.root);
+        } catch (e) {
+          if (!(e instanceof CatalogUrlError)) throw e;
+          throw new UsageError(`Start URL: ${e.message}`);
+        }
+        if (options.storefront && storefrontOfUrl(options.root) !== options.storefront) {
+          throw new UsageError(`Start URL is not on the ${options.storefront} storefront: ${options.root}`);
+        }
+      }
+      if (!process.env.INTERCARS_USERNAME || !process.env.INTERCARS_PASSWORD) {
+        throw new UsageError('INTERCARS_USERNAME and INTERCARS_PASSWORD must be set (env or .env)');
+      }
+    }
+  });
+}
+
+module.exports = discover;
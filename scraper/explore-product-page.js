@@ -11,11 +11,15 @@
 const { chromium } = require('playwright-extra');
 const stealth = require('puppeteer-extra-plugin-stealth');
 const fs = require('fs');
+const { loadSelectorProfile, fallbacksFor } = require('./lib/selectors');
+const { createSessionContext, ensureLoggedIn } = require('./lib/session');
 require('dotenv').config();
 
 // Add stealth plugin to avoid detection
 chromium.use(stealth());
 
+const SELECTORS = loadSelectorProfile();
+
 const PRODUCT_URL = process.env.PRODUCT_URL || 'https://ba.e-cat.intercars.eu/bs/Cijela-ponuda/Gume-Točkovi-Pribor/Gume/Putničke-gume/c/tecdoc-5090008-5010105-5010106?q=%3Adefault%3AbranchAvailability%3AALL%3AproductBrandCode%3Aicgoods_2252&sort=default';
 
 async function exploreProductPage() {
@@ -37,13 +41,8 @@ async function exploreProductPage() {
     ]
   });
 
-  const context = await browser.newContext({
-    userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
-    viewport: { width: 1920, height: 1080 },
-    locale: 'en-US',
-    timezoneId: 'America/New_York',
-    permissions: ['geolocation']
-  });
+  // Same context and saved session as scrape.js
+  const { context } = await createSessionContext(browser, process.env.INTERCARS_USERNAME);
 
   const page = await context.newPage();
 
@@ -59,63 +58,11 @@ async function exploreProductPage() {
     // Step 1: Navigate and login
     console.log('🔐 Step 1: Logging in to Intercars...\n');
 
-    await page.goto('https://ba.e-cat.intercars.eu/bs/', { waitUntil: 'domcontentloaded', timeout: 30000 });
-    await page.waitForTimeout(2000);
-
-    console.log(`   Initial URL: ${page.url()}`);
-
-    // Check if we're on SSO login page
-    if (page.url().includes('account.intercars.eu') && page.url().includes('login')) {
-      console.log('   Detected SSO login page - TWO-STEP LOGIN FLOW\n');
-
-      // STEP 1: Enter email/username
-      console.log('   Step 1a: Looking for email field...');
-      const emailField = page.locator('input#usernameUserInput').first();
-
-      if (await emailField.count() > 0) {
-        await emailField.fill(process.env.INTERCARS_USERNAME);
-        console.log(`   ✓ Email entered: ${process.env.INTERCARS_USERNAME}`);
-
-        await page.screenshot({ path: 'screenshots/explore-01-email-entered.png' });
-
-        // Submit email form
-        const continueButton = page.locator('input[type="submit"]').first();
-        if (await continueButton.count() > 0) {
-          await continueButton.click();
-          console.log('   ✓ Continue button clicked\n');
-
-          await page.waitForTimeout(3000);
-          await page.waitForLoadState('networkidle', { timeout: 10000 }).catch(() => {});
-        }
-      }
-
-      // STEP 2: Enter password (should be on password page now)
-      console.log('   Step 1b: Looking for password field...');
-      const passwordField = page.locator('input[type="password"]').first();
-
-      if (await passwordField.count() > 0) {
-        await passwordField.fill(process.env.INTERCARS_PASSWORD);
-        console.log('   ✓ Password entered');
-
-        await page.screenshot({ path: 'screenshots/explore-02-password-entered.png' });
-
-        // Submit password form
-        const signInButton = page.locator('button[type="submit"], input[type="submit"]').first();
-        if (await signInButton.count() > 0) {
-          await signInButton.click();
-          console.log('   ✓ Sign in button clicked\n');
-
-          await page.waitForTimeout(3000);
-          await page.waitForLoadState('networkidle', { timeout: 10000 }).catch(() => {});
-
-          console.log(`   ✓ After login URL: ${page.url()}\n`);
-          await page.screenshot({ path: 'screenshots/explore-03-after-login.png', fullPage: true });
-        }
-      } else {
-        console.log('   ⚠️  Password field not found - may still be on email step or login failed');
-        await page.screenshot({ path: 'screenshots/explore-login-stuck.png', fullPage: true });
-      }
-    }
+    await ensureLoggedIn(page, {
+      username: process.env.INTERCARS_USERNAME,
+      password: process.env.INTERCARS_PASSWORD
+    });
+    await page.screenshot({ path: 'screenshots/explore-03-after-login.png', fullPage: true });
 
     // Step 2: Navigate to product page
     console.log('📄 Step 2: Navigating to product listing page...\n');
@@ -157,7 +104,7 @@ async function exploreProductPage() {
     // Step 3: Analyze page structure
     console.log('🔬 Step 3: Analyzing page structure...\n');
 
-    const pageAnalysis = await page.evaluate(() => {
+    const pageAnalysis = await page.evaluate((profileImageSelectors) => {
       const analysis = {
         pageTitle: document.title,
         productCards: [],
@@ -286,7 +233,7 @@ async function exploreProductPage() {
 
       // Detect potential image selectors
       const imgSelectors = [
-        '.product-image img',
+        ...profileImageSelectors.map(selector => `${selector} img`),
         '[class*="product"] img',
         'article img',
         '.item img',
@@ -342,7 +289,7 @@ async function exploreProductPage() {
       }
 
       return analysis;
-    });
+    }, fallbacksFor(SELECTORS, 'productImage'));
 
     // Save page HTML for manual inspection
     const html = await page.content();
@@ -0,0 +1,309 @@
+/**
+ * Brand Resolution
+ *
+ * Works out the brand of every listing product instead of taking the second word of the title:
+ * - The catalog's own brand value wins when the API payload has one
+ * - Brand filter facets (productBrandCode:icgoods_* in the listing URL's q parameter)
+ *   give the brand code; a URL filtered to a single brand settles it for every product
+ * - Titles are matched against a maintained alias dictionary (config/brands.json) plus the
+ *   facet names the listing page shows, as whole words ("MANN-FILTER", "FEBI BILSTEIN")
+ * - The title-word heuristic is only a last resort and is flagged as low confidence
+ *
+ * Every product gets brand, brand_code, brand_confidence and brand_source.
+ *
+ * Set BRAND_DICTIONARY to point at a different dictionary file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseSize } = require('./tyre');
+const { FACET_KEYS, parseQuery } = require('./urls');
+
+const DEFAULT_DICTIONARY = path.join(__dirname, '..', 'config', 'brands.json');
+
+const cache = new Map();
+
+/**
+ * Uppercase, strip diacritics and turn separators into spaces so "Mann-Filter",
+ * "MANN FILTER" and "mann_filter" compare equal
+ *
+ * @param text - Brand name or title
+ * @returns {string} Normalised text
+ */
+function normaliseBrandText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[đĐ]/g, 'D')
+    .toUpperCase()
+    .replace(/[-_+.&/]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Load and validate a brand dictionary (cached per file)
+ *
+ * @param file - Path to the dictionary JSON (defaults to BRAND_DICTIONARY or config/brands.json)
+ * @returns {Object} { version, brands: [{ name, codes, aliases }], file }
+ */
+function loadBrandDictionary(file = process.env.BRAND_DICTIONARY || DEFAULT_DICTIONARY) {
+  const dictionaryPath = path.resolve(file);
+  if (cache.has(dictionaryPath)) return cache.get(dictionaryPath);
+
+  let dictionary;
+  try {
+    dictionary = JSON.parse(fs.readFileSync(dictionaryPath, 'utf8'));
+  } catch (e) {
+    throw new Error(`Cannot read brand dictionary ${dictionaryPath}: ${e.message}`);
+  }
+
+  if (!dictionary.version) {
+    throw new Error(`Brand dictionary ${dictionaryPath} has no version`);
+  }
+
+  const brands = (dictionary.brands || []).map((brand, index) => {
+    if (!brand || typeof brand.name !== 'string' || brand.name.trim() === '') {
+      throw new Error(`Brand dictionary ${dictionaryPath}: entry ${index} has no name`);
+    }
+    return {
+      name: brand.name.trim(),
+      codes: (brand.codes || []).map(String),
+      aliases: (brand.aliases || []).map(String)
+    };
+  });
+
+  const loaded = { version: dictionary.version, brands, file: dictionaryPath };
+  cache.set(dictionaryPath, loaded);
+  return loaded;
+}
+
+/**
+ * Brand codes a listing URL is filtered by
+ * The q parameter is ":sort:key:value:key:value..." - brand codes are the values of
+ * productBrandCode groups, which may hold several codes ("productBrandCode:icgoods_2431:icgoods_63841").
+ *
+ * @param url - Listing page URL
+ * @returns {Array<string>} Codes like 'icgoods_2203', in URL order
+ */
+function brandCodesFromUrl(url) {
+  let query;
+  try {
+    query = new URL(url).searchParams.get('q');
+  } catch (e) {
+    return [];
+  }
+
+  const codes = parseQuery(query).facets
+    .filter(group => group.key === FACET_KEYS.brand)
+    .flatMap(group => group.values);
+  return [...new Set(codes)];
+}
+
+/**
+ * Brand filter facets shown on the listing page
+ * A facet link's URL differs from the current one by exactly its own brand code - added
+ * for an inactive facet, removed for an active one.
+ *
+ * @param page - Playwright page on a listing page
+ * @param selector - Facet selector (selectorFor(profile, 'brandFacet'))
+ * @returns {Array<Object>} [{ code, name, count, active }]
+ */
+async function extractBrandFacets(page, selector) {
+  const entries = await page.evaluate((facetSelector) => {
+    return [...document.querySelectorAll(facetSelector)].map(el => ({
+      target: el.getAttribute('href') || el.getAttribute('value') || el.getAttribute('data-url') || '',
+      text: (el.closest('label') || el).textContent.replace(/\s+/g, ' ').trim()
+    }));
+  }, selector);
+
+  const current = brandCodesFromUrl(page.url());
+  const facets = new Map();
+
+  entries.forEach(({ target, text }) => {
+    let codes;
+    if (/^icgoods_\d+$/.test(target)) {
+      codes = [target];
+    } else {
+      let linked;
+      try {
+        linked = brandCodesFromUrl(new URL(target, page.url()).href);
+      } catch (e) {
+        return;
+      }
+      codes = [
+        ...linked.filter(code => !current.includes(code)),
+        ...current.filter(code => !linked.includes(code))
+      ];
+    }
+    if (codes.length !== 1 || facets.has(codes[0])) return;
+
+    // "ZOHA (128)" - the number is the product count
+    const countMatch = text.match(/\((\d[\d.,\s]*)\)\s*$/);
+    const name = text.replace(/\(\d[\d.,\s]*\)\s*$/, '').trim();
+    if (!name) return;
+
+    facets.set(codes[0], {
+      code: codes[0],
+      name,
+      count: countMatch ? parseInt(countMatch[1].replace(/\D/g, ''), 10) : null,
+      active: current.includes(codes[0])
+    });
+  });
+
+  return [...facets.values()];
+}
+
+/**
+ * Whole-word position of a normalised term in a normalised title, or -1
+ */
+function termPosition(haystack, term) {
+  return term ? ` ${haystack} `.indexOf(` ${term} `) : -1;
+}
+
+/**
+ * Build a resolver for the products of one listing page
+ *
+ * @param options - { dictionary, facets, urlCodes }
+ * @returns {Object} { resolve(input), unknownFacets() }
+ */
+function createBrandResolver({ dictionary = loadBrandDictionary(), facets = [], urlCodes = [] } = {}) {
+  // One entry per brand; facets either attach their code to a dictionary brand or become brands
+  const entries = dictionary.brands.map(brand => ({
+    name: brand.name,
+    codes: [...brand.codes],
+    terms: [...new Set([brand.name, ...brand.aliases].map(normaliseBrandText).filter(Boolean))],
+    known: true
+  }));
+
+  const byTerm = new Map();
+  entries.forEach(entry => entry.terms.forEach(term => {
+    if (!byTerm.has(term)) byTerm.set(term, entry);
+  }));
+
+  const unknown = facets.filter(facet => !dictionary.brands.some(brand => brand.codes.includes(facet.code)));
+  facets.forEach(facet => {
+    const term = normaliseBrandText(facet.name);
+    const entry = entries.find(candidate => candidate.codes.includes(facet.code)) || byTerm.get(term);
+    if (entry) {
+      if (!entry.codes.includes(facet.code)) entry.codes.push(facet.code);
+      return;
+    }
+    const created = { name: facet.name, codes: [facet.code], terms: [term], known: false };
+    entries.push(created);
+    byTerm.set(term, created);
+  });
+
+  const byCode = code => entries.find(entry => entry.codes.includes(code)) || null;
+
+  // The code that ties a brand to this listing, else its only known code
+  const codeOf = entry => {
+    const listed = entry.codes.find(code => urlCodes.includes(code));
+    if (listed) return listed;
+    return entry.codes.length === 1 ? entry.codes[0] : null;
+  };
+
+  const result = (entry, confidence, source, name = entry ? entry.name : null) => ({
+    brand: name,
+    brand_code: entry ? codeOf(entry) : null,
+    brand_confidence: confidence,
+    brand_source: source
+  });
+
+  /**
+   * Dictionary and facet brands named in a title, earliest first, longest term on ties;
+   * a name inside a longer matched name does not count
+   */
+  const matchTitle = title => {
+    const text = normaliseBrandText(title);
+    const matches = new Map();
+    entries.forEach(entry => entry.terms.forEach(term => {
+      const position = termPosition(text, term);
+      if (position < 0) return;
+      const previous = matches.get(entry);
+      if (!previous || position < previous.position || (position === previous.position && term.length > previous.length)) {
+        matches.set(entry, { entry, position, length: term.length });
+      }
+    }));
+    // "FEBI BILSTEIN" names Febi Bilstein, not also Bilstein
+    const found = [...matches.values()];
+    return found
+      .filter(match => !found.some(other => other !== match && other.length > match.length &&
+        other.position <= match.position && other.position + other.length >= match.position + match.length))
+      .sort((x, y) => x.position - y.position || y.length - x.length)
+      .map(match => match.entry);
+  };
+
+  /**
+   * Word the catalog puts after a tyre size ("175/65R14 ZOHA 82T"), or the second word
+   */
+  const titleWord = title => {
+    const text = String(title || '');
+    const size = parseSize(text);
+    const rest = size ? text.slice(text.indexOf(size.match) + size.match.length) : text.split(/\s+/).slice(1).join(' ');
+    const word = rest.trim().split(/\s+/)[0] || '';
+    return /[A-Za-zÀ-ž]{2,}/.test(word) ? word : null;
+  };
+
+  return {
+    /**
+     * Resolve one product's brand
+     *
+     * @param input - { title, apiBrand, apiBrandCode }
+     * @returns {Object} { brand, brand_code, brand_confidence, brand_source }
+     */
+    resolve({ title, apiBrand = null, apiBrandCode = null }) {
+      // 1. The catalog said so - only canonicalise the spelling
+      if (apiBrand) {
+        const entry = byTerm.get(normaliseBrandText(apiBrand)) || (apiBrandCode && byCode(apiBrandCode));
+        const resolved = result(entry, 'high', 'api', entry ? entry.name : String(apiBrand).trim());
+        if (apiBrandCode) resolved.brand_code = apiBrandCode;
+        return resolved;
+      }
+
+      const matches = matchTitle(title);
+
+      // 2. Listing filtered to one brand
+      if (urlCodes.length === 1) {
+        const entry = byCode(urlCodes[0]);
+        if (entry) return result(entry, 'high', 'facet');
+        const resolved = matches.length > 0 ? result(matches[0], 'medium', 'dictionary') : result(null, 'medium', 'facet', titleWord(title));
+        resolved.brand_code = urlCodes[0];
+        return resolved;
+      }
+
+      // 3. Brand named in the title; a multi-brand filter rules out the others
+      const candidates = urlCodes.length > 1
+        ? matches.filter(entry => entry.codes.some(code => urlCodes.includes(code)))
+        : matches;
+      if (candidates.length > 0) {
+        return result(candidates[0], candidates.length === 1 ? 'high' : 'medium', candidates[0].known ? 'dictionary' : 'facet');
+      }
+      if (matches.length > 0) return result(matches[0], 'medium', matches[0].known ? 'dictionary' : 'facet');
+
+      // 4. Title position heuristic
+      const word = titleWord(title);
+      if (word) return result(null, 'low', 'title', word.toUpperCase());
+
+      return result(null, 'none', null);
+    },
+
+    /**
+     * Facets whose code is not in the dictionary yet
+     *
+     * @returns {Array<Object>} [{ code, name, count, active }]
+     */
+    unknownFacets() {
+      return unknown;
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_DICTIONARY,
+  normaliseBrandText,
+  loadBrandDictionary,
+  brandCodesFromUrl,
+  extractBrandFacets,
+  createBrandResolver
+};
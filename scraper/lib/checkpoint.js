@@ -0,0 +1,128 @@
+/**
+ * Scrape Checkpoints
+ *
+ * Lets a crashed or timed-out scrape continue where it stopped instead of starting over
+ * - Products are appended to <output>.partial.ndjson after every listing page
+ * - <output>.checkpoint.json records the listing, the next page and the scraped SKUs
+ * - A resumed run reloads both, skips captured products and jumps straight to the next page
+ * - Both files are removed once the final output has been written
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CHECKPOINT_VERSION = 1;
+
+/**
+ * Checkpoint and partial-output paths for an output file
+ *
+ * @param outputFile - Final products JSON path
+ * @returns {Object} { checkpointFile, partialFile }
+ */
+function checkpointPaths(outputFile) {
+  const base = outputFile.replace(/\.json$/, '');
+  return {
+    checkpointFile: `${base}.checkpoint.json`,
+    partialFile: `${base}.partial.ndjson`
+  };
+}
+
+/**
+ * Load the checkpoint for an output file, if a previous run left one
+ *
+ * @param outputFile - Final products JSON path
+ * @param lists - Listings of the current run; the checkpoint must be for the same URLs
+ * @returns {Object|null} { position: { list, page }, listProgress, products } or null
+ */
+function loadCheckpoint(outputFile, lists) {
+  const { checkpointFile, partialFile } = checkpointPaths(outputFile);
+  if (!fs.existsSync(checkpointFile)) return null;
+
+  const checkpoint = JSON.parse(fs.readFileSync(checkpointFile, 'utf8'));
+  if (checkpoint.version !== CHECKPOINT_VERSION) {
+    throw new Error(`Unsupported checkpoint version ${checkpoint.version} in ${checkpointFile}`);
+  }
+
+  const urls = lists.map(list => list.url);
+  if (JSON.stringify(checkpoint.urls) !== JSON.stringify(urls)) {
+    throw new Error(`Checkpoint ${checkpointFile} is for different listing URLs - delete it to start over`);
+  }
+
+  // A torn last line means the crash hit mid-write; anything after it is unusable
+  const appended = [];
+  if (fs.existsSync(partialFile)) {
+    for (const line of fs.readFileSync(partialFile, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        appended.push(JSON.parse(line));
+      } catch (e) {
+        break;
+      }
+    }
+  }
+
+  // The checkpoint is the source of truth: products appended after its last save belong to
+  // a page that will be scraped again, so they are dropped
+  const scrapedIds = new Set(checkpoint.scraped_ids);
+  const products = appended.filter(p => scrapedIds.has(p.source_id || p.sku));
+  if (products.length < scrapedIds.size) {
+    throw new Error(`Checkpoint ${checkpointFile} lists ${scrapedIds.size - products.length} products missing from ${partialFile} - delete both to start over`);
+  }
+
+  // Rewrite the partial file so later appends start on a clean line
+  fs.writeFileSync(partialFile, products.map(p => `${JSON.stringify(p)}\n`).join(''));
+
+  return {
+    position: checkpoint.position,
+    listProgress: checkpoint.list_progress,
+    products
+  };
+}
+
+/**
+ * Append a finished page's products and move the checkpoint past it
+ *
+ * @param outputFile - Final products JSON path
+ * @param state - { lists, position: { list, page }, listProgress, newProducts, products }
+ *                position is where a resumed run should continue
+ */
+function saveCheckpoint(outputFile, { lists, position, listProgress, newProducts, products }) {
+  const { checkpointFile, partialFile } = checkpointPaths(outputFile);
+  fs.mkdirSync(path.dirname(checkpointFile), { recursive: true });
+
+  if (newProducts.length > 0) {
+    fs.appendFileSync(partialFile, newProducts.map(p => `${JSON.stringify(p)}\n`).join(''));
+  }
+
+  const checkpoint = {
+    version: CHECKPOINT_VERSION,
+    urls: lists.map(list => list.url),
+    position,
+    list_progress: listProgress,
+    scraped_ids: products.map(p => p.source_id || p.sku),
+    updated_at: new Date().toISOString()
+  };
+
+  // Write-then-rename so a crash never leaves a half-written checkpoint
+  fs.writeFileSync(`${checkpointFile}.tmp`, JSON.stringify(checkpoint, null, 2));
+  fs.renameSync(`${checkpointFile}.tmp`, checkpointFile);
+}
+
+/**
+ * Remove the checkpoint and partial output after a successful run
+ *
+ * @param outputFile - Final products JSON path
+ */
+function clearCheckpoint(outputFile) {
+  const { checkpointFile, partialFile } = checkpointPaths(outputFile);
+  fs.rmSync(checkpointFile, { force: true });
+  fs.rmSync(partialFile, { force: true });
+}
+
+module.exports = {
+  CHECKPOINT_VERSION,
+  checkpointPaths,
+  loadCheckpoint,
+  saveCheckpoint,
+  clearCheckpoint
+};
@@ -0,0 +1,187 @@
+/**
+ * Command-Line Options
+ *
+ * Declarative option parsing shared by the scripts (built on Node's util.parseArgs)
+ * - Each option spec carries its type, default, env var fallback and help text
+ * - Values from flags and env vars are validated the same way
+ * - --help output is generated from the specs
+ * - Invalid input throws UsageError; runCli() turns it into exit code 2
+ *
+ * Exit codes: 0 success / --help, 1 scrape failure, 2 invalid usage
+ */
+
+const { parseArgs } = require('util');
+
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Convert a raw flag/env value to the option's type
+ *
+ * @param spec - Option spec
+ * @param raw - Raw string (or boolean for boolean flags)
+ * @param source - Where the value came from, used in error messages
+ * @returns {*} Typed value
+ */
+function coerce(spec, raw, source) {
+  switch (spec.type) {
+    case 'boolean':
+      if (typeof raw === 'boolean') return raw;
+      if (/^(true|1|yes)$/i.test(raw)) return true;
+      if (/^(false|0|no|)$/i.test(raw)) return false;
+      throw new UsageError(`${source} must be true or false, got "${raw}"`);
+
+    case 'integer': {
+      const value = Number(raw);
+      if (!/^-?\d+$/.test(String(raw).trim()) || !Number.isSafeInteger(value)) {
+        throw new UsageError(`${source} must be a whole number, got "${raw}"`);
+      }
+      if (spec.min !== undefined && value < spec.min) {
+        throw new UsageError(`${source} must be at least ${spec.min}, got ${value}`);
+      }
+      return value;
+    }
+
+    default:
+      if (raw === '') throw new UsageError(`${source} must not be empty`);
+      if (spec.choices && !spec.choices.includes(raw)) {
+        throw new UsageError(`${source} must be one of ${spec.choices.join(', ')}, got "${raw}"`);
+      }
+      return raw;
+  }
+}
+
+function camelCase(name) {
+  return name.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+}
+
+/**
+ * Parse argv against a list of option specs
+ *
+ * Spec fields: name, type ('string' | 'integer' | 'boolean'), short, multiple,
+ * default, env (fallback env var), value (placeholder for help), description, min,
+ * choices (allowed values of a string option).
+ *
+ * @param argv - Arguments without node and script path (process.argv.slice(2))
+ * @param specs - Option specs
+ * @param config - { positionals: name of the option that collects positional arguments }
+ * @returns {Object} Options keyed by camelCased name, plus help: true when --help was given
+ */
+function parseOptions(argv, specs, config = {}) {
+  const parserOptions = { help: { type: 'boolean', short: 'h' } };
+  for (const spec of specs) {
+    parserOptions[spec.name] = {
+      type: spec.type === 'boolean' ? 'boolean' : 'string',
+      ...(spec.short ? { short: spec.short } : {}),
+      ...(spec.multiple ? { multiple: true } : {})
+    };
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: parserOptions, allowPositionals: !!config.positionals, strict: true });
+  } catch (e) {
+    throw new UsageError(e.message);
+  }
+
+  if (parsed.values.help) return { help: true };
+
+  const options = {};
+  for (const spec of specs) {
+    const key = camelCase(spec.name);
+    let raw = parsed.values[spec.name];
+
+    if (spec.name === config.positionals && parsed.positionals.length > 0) {
+      raw = [...(raw || []), ...parsed.positionals];
+    }
+
+    if (raw !== undefined) {
+      const values = spec.multiple ? raw : [raw];
+      const typed = values.map(value => coerce(spec, value, `--${spec.name}`));
+      options[key] = spec.multiple ? typed : typed[0];
+    } else if (spec.env && process.env[spec.env] !== undefined && process.env[spec.env] !== '') {
+      const value = coerce(spec, process.env[spec.env], spec.env);
+      options[key] = spec.multiple ? [value] : value;
+    } else {
+      options[key] = spec.default;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Build --help text from the option specs
+ *
+ * @param usage - Usage line (e.g. 'node scrape.js [options] [url...]')
+ * @param specs - Option specs
+ * @param footer - Optional text appended after the option list
+ * @returns {string} Help text
+ */
+function formatHelp(usage, specs, footer = '') {
+  const rows = specs.map(spec => {
+    const placeholder = spec.value || (spec.choices ? spec.choices.join('|') : 'VALUE');
+    const flag = `${spec.short ? `-${spec.short}, ` : '    '}--${spec.name}${spec.type === 'boolean' ? '' : ` ${placeholder}`}`;
+    const notes = [];
+    if (spec.default !== undefined && spec.default !== false) notes.push(`default: ${spec.default}`);
+    if (spec.env) notes.push(`env: ${spec.env}`);
+    return [flag, `${spec.description}${notes.length ? ` (${notes.join(', ')})` : ''}`];
+  });
+  rows.push(['-h, --help', 'Show this help']);
+
+  const width = Math.max(...rows.map(([flag]) => flag.length)) + 2;
+  const lines = rows.map(([flag, description]) => `  ${flag.padEnd(width)}${description}`);
+
+  return [`Usage: ${usage}`, '', 'Options:', ...lines, footer ? `\n${footer}` : ''].join('\n');
+}
+
+/**
+ * Parse options and run a script's main function with consistent exit codes
+ *
+ * @param main - async (options) => any
+ * @param usage - Usage line for --help
+ * @param specs - Option specs
+ * @param config - Passed to parseOptions, plus footer (help text) and validate(options)
+ */
+function runCli(main, usage, specs, config = {}) {
+  let options;
+  try {
+    options = parseOptions(process.argv.slice(2), specs, config);
+    if (options.help) {
+      console.log(formatHelp(usage, specs, config.footer));
+      process.exit(0);
+    }
+    if (config.validate) config.validate(options);
+  } catch (e) {
+    if (!(e instanceof UsageError)) throw e;
+    console.error(`❌ ${e.message}`);
+    console.error(`Usage: ${usage}`);
+    console.error('Run with --help for all options.');
+    process.exit(EXIT_USAGE);
+  }
+
+  Promise.resolve().then(() => main(options)).catch(error => {
+    if (error instanceof UsageError) {
+      console.error(`❌ ${error.message}`);
+      process.exit(EXIT_USAGE);
+    }
+    console.error('❌', error.message);
+    process.exit(EXIT_FAILURE);
+  });
+}
+
+module.exports = {
+  EXIT_FAILURE,
+  EXIT_USAGE,
+  UsageError,
+  parseOptions,
+  formatHelp,
+  runCli
+};
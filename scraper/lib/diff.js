@@ -0,0 +1,322 @@
+/**
+ * Run Diff
+ *
+ * Compares two scrape outputs (or a list of known products with their prices against a run)
+ * for diff-runs.js, keyed by source_id:
+ * - added: SKUs only in the newer run
+ * - removed: SKUs only in the older run (delisted - or simply not reached by the newer run)
+ * - price_changes: increases and decreases with the change in percent
+ * - stock_changes: quantity ranges (lib/stock.js) that changed, out of stock / back in stock,
+ *   and the branches whose stock changed when both runs read per-branch stock
+ *
+ * Known-product lists are text files with one "source_id[,price[,quantity]]" per line (commas,
+ * or semicolons/tabs when prices have a decimal comma), a JSON array of { source_id, price,
+ * quantity } or a JSON object { source_id: price }.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseQuantity } = require('./stock');
+const { parseLocaleNumber } = require('./storefront');
+
+const DIFF_VERSION = 1;
+
+/**
+ * The comparable part of one product
+ */
+function snapshot(raw) {
+  const sourceId = String(raw.source_id || raw.sku || '').trim();
+  if (!sourceId) return null;
+
+  const price = typeof raw.price === 'number' ? raw.price : parseLocaleNumber(raw.price);
+  const quantity = raw.quantity === undefined || raw.quantity === null ? null : String(raw.quantity).trim();
+  // Runs from before stock ranges only have the text
+  const range = raw.quantity_min !== undefined
+    ? { quantity_min: raw.quantity_min, quantity_max: raw.quantity_max, quantity_at_least: !!raw.quantity_at_least }
+    : parseQuantity(quantity);
+
+  return {
+    source_id: sourceId,
+    title: raw.title || null,
+    // 0.0 is what scrape.js wrote for a missing price before the output schema
+    price: price || null,
+    currency: raw.currency || null,
+    quantity,
+    ...range,
+    branch_availability: raw.branch_availability || null,
+    branch_stock: Array.isArray(raw.branch_stock) ? raw.branch_stock : null,
+    listing_url: raw.listing_url || null
+  };
+}
+
+/**
+ * Known products from a text list - "source_id[,price[,quantity]]" per line
+ */
+function parseKnownList(text) {
+  return text.split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => {
+      // Semicolons or tabs when prices have a decimal comma ("ABC123;12,50")
+      const separator = /[;\t]/.test(line) ? /[;\t]/ : (line.includes(',') ? ',' : /\s+/);
+      const [sourceId, price = null, quantity = null] = line.split(separator).map(cell => cell.trim());
+      return { source_id: sourceId, price: price || null, quantity: quantity || null };
+    })
+    // A header line ("source_id,price") has no numeric price
+    .filter((entry, index) => index > 0 || entry.price === null || parseLocaleNumber(entry.price) !== null);
+}
+
+/**
+ * Load a scrape output or a known-product list
+ *
+ * @param file - products-*.json, known-product JSON or text list
+ * @returns {Object} { file, kind: 'run' | 'known', scraped_at, products: Map(source_id -> snapshot) }
+ */
+function loadProducts(file) {
+  const filePath = path.resolve(file);
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (e) {
+    throw new Error(`Cannot read ${filePath}: ${e.message}`);
+  }
+
+  let raw;
+  let kind = 'known';
+  if (/^\s*[[{]/.test(text)) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error(`${filePath} is not valid JSON: ${e.message}`);
+    }
+    if (data && Array.isArray(data.products) && data.schema_version) {
+      // Output with a run header (config/output-schema.json)
+      raw = data.products;
+      kind = 'run';
+    } else if (Array.isArray(data)) {
+      raw = data;
+      kind = data.some(product => product && product.scraped_at) ? 'run' : 'known';
+    } else {
+      raw = Object.entries(data).map(([sourceId, price]) => ({ source_id: sourceId, price }));
+    }
+  } else {
+    raw = parseKnownList(text);
+  }
+
+  const products = new Map();
+  raw.forEach(entry => {
+    const product = entry && typeof entry === 'object' ? snapshot(entry) : null;
+    if (product && !products.has(product.source_id)) products.set(product.source_id, product);
+  });
+
+  const times = raw.map(entry => entry && entry.scraped_at).filter(Boolean).sort();
+  return { file: filePath, kind, scraped_at: times.length > 0 ? times[0] : null, products };
+}
+
+/**
+ * Price change between two snapshots, or null when either price is unknown or it did not change
+ *
+ * @param before - Snapshot from the older run
+ * @param after - Snapshot from the newer run
+ * @param minChangePct - Smaller changes (in percent) are ignored
+ * @returns {Object|null} { source_id, title, old_price, new_price, change, change_pct, direction, currency }
+ */
+function priceChange(before, after, minChangePct = 0) {
+  if (before.price === null || after.price === null) return null;
+
+  const currencyChanged = before.currency && after.currency && before.currency !== after.currency;
+  const change = Math.round((after.price - before.price) * 100) / 100;
+  if (change === 0 && !currencyChanged) return null;
+
+  const changePct = currencyChanged ? null : Math.round((change / before.price) * 10000) / 100;
+  if (changePct !== null && Math.abs(changePct) < minChangePct) return null;
+
+  return {
+    source_id: after.source_id,
+    title: after.title || before.title,
+    old_price: before.price,
+    new_price: after.price,
+    change,
+    change_pct: changePct,
+    direction: change > 0 ? 'up' : 'down',
+    currency: after.currency || before.currency,
+    ...(currencyChanged ? { old_currency: before.currency } : {})
+  };
+}
+
+/**
+ * Branches whose stock changed, when both snapshots have per-branch stock
+ */
+function branchChanges(before, after) {
+  if (!before.branch_stock || !after.branch_stock) return [];
+
+  const byName = list => new Map(list.map(entry => [entry.branch, entry]));
+  const old = byName(before.branch_stock);
+  const now = byName(after.branch_stock);
+
+  return [...new Set([...old.keys(), ...now.keys()])]
+    .map(branch => ({ branch, old: old.get(branch), now: now.get(branch) }))
+    .filter(({ old: o, now: n }) => !o || !n || o.quantity_min !== n.quantity_min || o.quantity_max !== n.quantity_max)
+    .map(({ branch, old: o, now: n }) => ({
+      branch,
+      old_quantity: o ? o.quantity : null,
+      new_quantity: n ? n.quantity : null,
+      old_min: o ? o.quantity_min : null,
+      new_min: n ? n.quantity_min : null
+    }));
+}
+
+/**
+ * Stock change between two snapshots, or null when nothing comparable changed
+ *
+ * @returns {Object|null} { source_id, title, old_quantity, new_quantity, old_min, new_min,
+ *                        status: 'out_of_stock' | 'back_in_stock' | 'changed', branches }
+ */
+function stockChange(before, after) {
+  if (before.quantity_min === null && after.quantity_min === null) return null;
+
+  const branches = branchChanges(before, after);
+  const rangeChanged = before.quantity_min !== after.quantity_min || before.quantity_max !== after.quantity_max;
+  if (!rangeChanged && branches.length === 0) return null;
+
+  // Unknown on one side (e.g. a known-product list without quantities) is not a change
+  if (rangeChanged && (before.quantity_min === null || after.quantity_min === null) && branches.length === 0) return null;
+
+  let status = 'changed';
+  if (before.quantity_min > 0 && after.quantity_min === 0) status = 'out_of_stock';
+  if (before.quantity_min === 0 && after.quantity_min > 0) status = 'back_in_stock';
+
+  return {
+    source_id: after.source_id,
+    title: after.title || before.title,
+    old_quantity: before.quantity,
+    new_quantity: after.quantity,
+    old_min: before.quantity_min,
+    new_min: after.quantity_min,
+    status,
+    branches
+  };
+}
+
+/**
+ * Compare two loaded runs
+ *
+ * @param before - loadProducts() of the older run or known-product list
+ * @param after - loadProducts() of the newer run
+ * @param options - { minChangePct } price changes below this percentage are left out
+ * @returns {Object} { version, generated_at, before, after, summary, warnings, added, removed,
+ *                   price_changes, stock_changes }
+ */
+function diffRuns(before, after, { minChangePct = 0 } = {}) {
+  const added = [];
+  const removed = [];
+  const priceChanges = [];
+  const stockChanges = [];
+
+  for (const [sourceId, product] of after.products) {
+    const old = before.products.get(sourceId);
+    if (!old) {
+      added.push({ source_id: sourceId, title: product.title, price: product.price, currency: product.currency, quantity: product.quantity, listing_url: product.listing_url });
+      continue;
+    }
+
+    const price = priceChange(old, product, minChangePct);
+    if (price) priceChanges.push(price);
+
+    const stock = stockChange(old, product);
+    if (stock) stockChanges.push(stock);
+  }
+
+  for (const [sourceId, product] of before.products) {
+    if (!after.products.has(sourceId)) {
+      removed.push({ source_id: sourceId, title: product.title, price: product.price, currency: product.currency, listing_url: product.listing_url });
+    }
+  }
+
+  // Largest moves first
+  priceChanges.sort((a, b) => Math.abs(b.change_pct || 0) - Math.abs(a.change_pct || 0));
+
+  const warnings = [];
+  const listings = run => new Set([...run.products.values()].map(product => product.listing_url).filter(Boolean));
+  const oldListings = listings(before);
+  const newListings = listings(after);
+  const notScraped = [...oldListings].filter(url => !newListings.has(url));
+  if (before.kind === 'run' && notScraped.length > 0) {
+    warnings.push(`${notScraped.length} listing(s) of the older run were not scraped again - their products count as removed`);
+  }
+  if (after.kind !== 'run') {
+    warnings.push('The newer file is not a scrape output - added/removed may not mean what they say');
+  }
+
+  return {
+    version: DIFF_VERSION,
+    generated_at: new Date().toISOString(),
+    before: { file: before.file, kind: before.kind, scraped_at: before.scraped_at, products: before.products.size },
+    after: { file: after.file, kind: after.kind, scraped_at: after.scraped_at, products: after.products.size },
+    summary: {
+      added: added.length,
+      removed: removed.length,
+      price_up: priceChanges.filter(change => change.direction === 'up').length,
+      price_down: priceChanges.filter(change => change.direction === 'down').length,
+      stock_changed: stockChanges.length,
+      out_of_stock: stockChanges.filter(change => change.status === 'out_of_stock').length,
+      back_in_stock: stockChanges.filter(change => change.status === 'back_in_stock').length
+    },
+    warnings,
+    added,
+    removed,
+    price_changes: priceChanges,
+    stock_changes: stockChanges
+  };
+}
+
+/**
+ * Readable summary of a diff
+ *
+ * @param diff - From diffRuns
+ * @param options - { limit } lines shown per section (default 20)
+ * @returns {string} Text for the console
+ */
+function formatDiff(diff, { limit = 20 } = {}) {
+  const { summary } = diff;
+  const lines = [
+    `📊 ${diff.before.products} → ${diff.after.products} products`,
+    `   ➕ New: ${summary.added}   ➖ Gone: ${summary.removed}`,
+    `   📈 Price up: ${summary.price_up}   📉 Price down: ${summary.price_down}`,
+    `   📦 Stock changed: ${summary.stock_changed} (${summary.out_of_stock} out of stock, ${summary.back_in_stock} back in stock)`
+  ];
+  diff.warnings.forEach(warning => lines.push(`   ⚠️  ${warning}`));
+
+  const section = (title, items, format) => {
+    if (items.length === 0) return;
+    lines.push('', title);
+    items.slice(0, limit).forEach(item => lines.push(`   ${format(item)}`));
+    if (items.length > limit) lines.push(`   ... and ${items.length - limit} more`);
+  };
+  const money = (value, currency) => value === null ? '?' : `${value.toFixed(2)}${currency ? ` ${currency}` : ''}`;
+
+  section('💰 Price changes:', diff.price_changes, change =>
+    `${change.direction === 'up' ? '📈' : '📉'} ${change.source_id} ${change.title || ''}: ` +
+    `${money(change.old_price, change.old_currency || change.currency)} → ${money(change.new_price, change.currency)}` +
+    `${change.change_pct !== null ? ` (${change.change_pct > 0 ? '+' : ''}${change.change_pct}%)` : ''}`);
+  section('➖ Gone (remove or check the listing):', diff.removed, product =>
+    `${product.source_id} ${product.title || ''}`);
+  section('📦 Stock changes:', diff.stock_changes, change =>
+    `${change.status === 'out_of_stock' ? '🚫' : change.status === 'back_in_stock' ? '✅' : '↔️ '} ${change.source_id}: ` +
+    `${change.old_quantity || '?'} → ${change.new_quantity || '?'}` +
+    `${change.branches.length > 0 ? ` (${change.branches.map(branch => `${branch.branch} ${branch.old_quantity || '-'} → ${branch.new_quantity || '-'}`).join(', ')})` : ''}`);
+  section('➕ New:', diff.added, product =>
+    `${product.source_id} ${product.title || ''}${product.price ? ` - ${money(product.price, product.currency)}` : ''}`);
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  DIFF_VERSION,
+  loadProducts,
+  priceChange,
+  stockChange,
+  diffRuns,
+  formatDiff
+};
@@ -0,0 +1,328 @@
+/**
+ * Catalogue Discovery
+ *
+ * Crawls the category tree of the catalog for discover.js and maps what exists, so imports
+ * can be planned without clicking through the site:
+ * - Categories: name, path, category code (tecdoc-...), TecDoc codes, parent, depth
+ * - Product count and page count of every category (the same totals scrape.js reads)
+ * - Brand facets with their icgoods_* codes and counts, and the other filter facets
+ *
+ * Children of a category are the category links whose path extends its path by one segment
+ * (the menu repeats every category on every page, so the rest are ignored). Category URLs are
+ * visited without their filters.
+ */
+
+const { log, logError } = require('./logger');
+const { selectorFor } = require('./selectors');
+const { extractBrandFacets } = require('./brands');
+const { readListingTotals } = require('./pagination');
+const { FACET_KEYS, parseCatalogUrl, buildCatalogUrl } = require('./urls');
+const { timed, waitForCondition, waitForNetworkIdle, waitForStableCount } = require('./waits');
+
+const DEFAULT_MAX_DEPTH = 3;
+const DEFAULT_MAX_CATEGORIES = 200;
+
+// A count in a link text: "1.234", "1 234" or "25" - groups of three only, so "Filter 2 1.234 proizvoda"
+// keeps the 2 in its name
+const COUNT = '\\d{1,3}(?:[.,\\s]\\d{3})+|\\d+';
+const COUNTED_NAME = [
+  new RegExp(`^(.*?)\\s*\\((${COUNT})(?:\\s+\\p{L}+)?\\)$`, 'u'),
+  new RegExp(`^(.*?)\\s*(${COUNT})\\s+(?:proizvod|artik|produkt|product|item)\\p{L}*$`, 'iu')
+];
+
+/**
+ * "Gume (1.234)", "Gume (1.234 proizvoda)" or "Gume 1.234 proizvoda" -> { name: 'Gume', count: 1234 }
+ */
+function splitCount(text) {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  for (const pattern of COUNTED_NAME) {
+    const match = clean.match(pattern);
+    if (match) return { name: match[1].trim(), count: parseInt(match[2].replace(/\D/g, ''), 10) };
+  }
+  return { name: clean, count: null };
+}
+
+/**
+ * Category URL without filters, sort or page - the key of a category
+ */
+function categoryUrl(parsed) {
+  return buildCatalogUrl({
+    storefront: parsed.storefront,
+    language: parsed.language,
+    path: parsed.path,
+    category: parsed.category
+  });
+}
+
+/**
+ * Category links on the current page
+ *
+ * @param page - Playwright page
+ * @param selector - selectorFor(profile, 'categoryLink')
+ * @returns {Array<Object>} [{ url, name, count, parsed }] catalog listing links only, first link per category
+ */
+async function extractCategoryLinks(page, selector) {
+  const links = await page.evaluate(linkSelector =>
+    [...document.querySelectorAll(linkSelector)].map(link => ({
+      href: link.href,
+      text: link.getAttribute('title') || link.innerText || link.textContent || ''
+    })), selector);
+
+  const found = new Map();
+  links.forEach(({ href, text }) => {
+    let parsed;
+    try {
+      parsed = parseCatalogUrl(href);
+    } catch (e) {
+      return;
+    }
+    if (!parsed.listing) return;
+
+    const url = categoryUrl(parsed);
+    const { name, count } = splitCount(text);
+    const known = found.get(url);
+    // The same category may be linked as an icon first and with its name later
+    if (known && known.name) return;
+    found.set(url, { url, name: name || (known && known.name) || null, count, parsed });
+  });
+
+  return [...found.values()];
+}
+
+/**
+ * Direct children of a category among the page's category links
+ *
+ * @param parent - Parsed parent URL (parseCatalogUrl) or null for the start page
+ * @param links - From extractCategoryLinks
+ * @returns {Array<Object>} Links one path level below the parent (for the start page: the
+ *                          shallowest links)
+ */
+function childLinks(parent, links) {
+  if (!parent || !parent.listing) {
+    const depths = links.map(link => link.parsed.path.length);
+    const top = Math.min(...depths);
+    return links.filter(link => link.parsed.path.length === top);
+  }
+
+  return links.filter(({ parsed }) =>
+    parsed.category !== parent.category &&
+    parsed.path.length === parent.path.length + 1 &&
+    parent.path.every((segment, index) => parsed.path[index] === segment));
+}
+
+/**
+ * Filter facets of the current listing other than brands
+ * A facet link's q parameter differs from the current one by the facet's own value.
+ *
+ * @param page - Playwright page on a listing page
+ * @param selector - selectorFor(profile, 'facetLink')
+ * @returns {Array<Object>} [{ key, values: [{ value, name, count, active }] }]
+ */
+async function extractFacets(page, selector) {
+  const entries = await page.evaluate(facetSelector =>
+    [...document.querySelectorAll(facetSelector)].map(el => ({
+      target: el.getAttribute('href') || el.getAttribute('data-url') || '',
+      text: (el.closest('label') || el).textContent
+    })), selector);
+
+  const pairs = parsed => new Set(parsed.facets.flatMap(group => group.values.map(value => `${group.key}\u0000${value}`)));
+  let current;
+  try {
+    current = pairs(parseCatalogUrl(page.url()));
+  } catch (e) {
+    return [];
+  }
+
+  const facets = new Map();
+  entries.forEach(({ target, text }) => {
+    let linked;
+    try {
+      linked = pairs(parseCatalogUrl(new URL(target, page.url()).href));
+    } catch (e) {
+      return;
+    }
+    const added = [...linked].filter(pair => !current.has(pair));
+    const removed = [...current].filter(pair => !linked.has(pair));
+    const changed = [...added, ...removed];
+    if (changed.length !== 1) return;
+
+    const [key, value] = changed[0].split('\u0000');
+    if (!key || key === 'null' || key === FACET_KEYS.brand) return;
+
+    const { name, count } = splitCount(text);
+    if (!facets.has(key)) facets.set(key, new Map());
+    if (!facets.get(key).has(value)) {
+      facets.get(key).set(value, { value, name: name || value, count, active: removed.length === 1 });
+    }
+  });
+
+  return [...facets.entries()].map(([key, values]) => ({ key, values: [...values.values()] }));
+}
+
+/**
+ * Open a catalog page and wait until its category links or products have rendered
+ *
+ * @returns {number|null} HTTP status (the page is not waited for when it is an error)
+ */
+async function openCatalogPage(page, url, profile) {
+  const response = await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+  const status = response ? response.status() : null;
+  if (status && status >= 400) return status;
+
+  await waitForCondition(page, 'cloudflare', () => !document.title.includes('Just a moment'));
+  await waitForNetworkIdle(page);
+  await waitForStableCount(page, 'render', `${selectorFor(profile, 'productLink')}, ${selectorFor(profile, 'categoryLink')}`);
+  return status;
+}
+
+/**
+ * Crawl the category tree breadth-first
+ *
+ * @param page - Logged-in Playwright page
+ * @param options - { root, profile, collector, maxDepth, maxCategories, facets, limiter }
+ *                  root is the start URL (catalog home or a category), collector the page's
+ *                  response collector (API totals), facets false to skip the facet panels,
+ *                  limiter a rate limiter ({ acquire, slowDown }) from enrich.js
+ * @returns {Object} { categories, complete } categories in crawl order; complete is false when
+ *                   maxCategories cut the crawl short
+ */
+async function crawlCategories(page, {
+  root,
+  profile,
+  collector = null,
+  maxDepth = DEFAULT_MAX_DEPTH,
+  maxCategories = DEFAULT_MAX_CATEGORIES,
+  facets = true,
+  limiter = null
+}) {
+  let rootParsed = null;
+  try {
+    rootParsed = parseCatalogUrl(root);
+  } catch (e) {
+    // Catalog home or another non-listing start page
+  }
+
+  const queue = [{ url: rootParsed && rootParsed.listing ? categoryUrl(rootParsed) : root, name: null, count: null, parent: null, depth: 0 }];
+  const seen = new Set(queue.map(entry => entry.url));
+  const categories = [];
+  let complete = true;
+
+  while (queue.length > 0) {
+    const entry = queue.shift();
+    const isRoot = entry.depth === 0;
+    if (!isRoot && categories.length >= maxCategories) {
+      complete = false;
+      break;
+    }
+
+    if (limiter) await limiter.acquire();
+    if (collector) collector.reset();
+
+    let parsed = null;
+    try {
+      parsed = parseCatalogUrl(entry.url);
+    } catch (e) {
+      // Start page outside the catalog URL scheme - only its links are used
+    }
+    const category = parsed && parsed.listing ? {
+      name: entry.name,
+      url: entry.url,
+      path: parsed.path,
+      category: parsed.category,
+      tecdoc: parsed.tecdoc,
+      parent: entry.parent,
+      depth: entry.depth,
+      listed_count: entry.count,
+      product_count: null,
+      total_pages: null,
+      per_page: null,
+      brands: [],
+      facets: [],
+      children: [],
+      error: null
+    } : null;
+
+    try {
+      const status = await timed('category', () => openCatalogPage(page, entry.url, profile));
+      if ((status === 429 || status === 503) && limiter) {
+        throw new Error(`HTTP ${status} - slowing down to one page every ${limiter.slowDown()}ms`);
+      }
+      if (status && status >= 400) throw new Error(`HTTP ${status}`);
+
+      const links = await extractCategoryLinks(page, selectorFor(profile, 'categoryLink'));
+      const children = childLinks(parsed, links);
+
+      if (category) {
+        const cards = await page.locator(selectorFor(profile, 'productLink')).count();
+        const totals = await readListingTotals(page, profile, { apiTotals: collector ? collector.totals : null, cards });
+        category.product_count = totals.total_products;
+        category.total_pages = totals.total_pages;
+        category.per_page = totals.per_page;
+        if (!category.name) category.name = await page.title().then(title => title.split('|')[0].trim()).catch(() => null);
+
+        if (facets) {
+          category.brands = (await extractBrandFacets(page, selectorFor(profile, 'brandFacet')))
+            .map(({ code, name, count }) => ({ code, name, count }));
+          category.facets = await extractFacets(page, selectorFor(profile, 'facetLink'));
+        }
+      }
+
+      // Below maxDepth children are listed but not visited
+      children.forEach(link => {
+        if (category && !category.children.includes(link.parsed.category)) category.children.push(link.parsed.category);
+        if (seen.has(link.url) || entry.depth >= maxDepth) return;
+        seen.add(link.url);
+        queue.push({ url: link.url, name: link.name, count: link.count, parent: category ? category.category : null, depth: entry.depth + 1 });
+      });
+
+      if (category) {
+        const indent = '   '.repeat(Math.max(entry.depth, 1));
+        log(`${indent}📂 ${category.name || category.category}: ${category.product_count !== null ? `${category.product_count} products` : 'no product count'}, ${category.children.length} subcategories, ${category.brands.length} brands`);
+      } else {
+        log(`   📂 Start page: ${children.length} top-level categories`);
+      }
+    } catch (error) {
+      if (!category) throw error;
+      category.error = error.message;
+      logError(`Could not read category ${entry.url}`, error);
+    }
+
+    if (category) categories.push(category);
+  }
+
+  return { categories, complete };
+}
+
+/**
+ * Brands across all categories
+ *
+ * @param categories - From crawlCategories
+ * @returns {Array<Object>} [{ code, name, categories, products }] by product count, most first;
+ *                          products counts leaf categories only (parents repeat their children)
+ */
+function summariseBrands(categories) {
+  const brands = new Map();
+
+  categories.forEach(category => {
+    const leaf = category.children.length === 0;
+    category.brands.forEach(({ code, name, count }) => {
+      if (!brands.has(code)) brands.set(code, { code, name, categories: 0, products: 0 });
+      const brand = brands.get(code);
+      brand.categories++;
+      if (leaf && count) brand.products += count;
+    });
+  });
+
+  return [...brands.values()].sort((a, b) => b.products - a.products || a.name.localeCompare(b.name));
+}
+
+module.exports = {
+  DEFAULT_MAX_DEPTH,
+  DEFAULT_MAX_CATEGORIES,
+  splitCount,
+  extractCategoryLinks,
+  childLinks,
+  extractFacets,
+  crawlCategories,
+  summariseBrands
+};
@@ -0,0 +1,341 @@
+/**
+ * Product Detail Page Enrichment
+ *
+ * Opt-in pass (scrape.js --enrich) that visits each product's detail page for the data the
+ * listing does not show:
+ * - Full spec table (merged into specs - detail values win)
+ * - EAN and weight (from the spec labels in labels.ean / labels.weight)
+ * - The complete gallery (merged into images) and linked documents (PDF datasheets, manuals)
+ * - OE numbers and cross-references when part numbers are requested (--references)
+ *
+ * Runs on its own pages in the logged-in browser context, N at a time, with a minimum interval
+ * between navigations (backing off on 429/503). Products in EXISTING_SOURCE_IDS are skipped
+ * unless a forced refresh is requested. Every product gets enrichment: 'done' | 'skipped' | 'failed'.
+ */
+
+const { log, logError } = require('./logger');
+const { emit, startTimer } = require('./progress');
+const { selectorFor } = require('./selectors');
+const { readField } = require('./network');
+const { collectImageUrls, extractPageGalleries } = require('./images');
+const { extractPartNumbers } = require('./references');
+const { isLoginPage } = require('./session');
+const { parseLocaleNumber } = require('./storefront');
+const { waitLimit, timed, waitForCondition, waitForNetworkIdle } = require('./waits');
+
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_DELAY_MS = 1500;
+
+// Back-off when the catalog answers 429 / 503: interval doubles up to this
+const MAX_DELAY_MS = 30000;
+
+/**
+ * Minimum interval between navigations, shared by all workers
+ *
+ * @param delayMs - Interval in ms
+ * @returns {Object} { acquire(), slowDown() }
+ */
+function createRateLimiter(delayMs) {
+  let interval = delayMs;
+  let nextSlot = 0;
+
+  return {
+    /** Resolve when the next navigation may start */
+    async acquire() {
+      const now = Date.now();
+      const wait = Math.max(0, nextSlot - now);
+      nextSlot = Math.max(now, nextSlot) + interval;
+      if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+    },
+
+    /** The server pushed back - double the interval */
+    slowDown() {
+      interval = Math.min(Math.max(interval * 2, 1000), MAX_DELAY_MS);
+      return interval;
+    }
+  };
+}
+
+function normaliseLabel(label) {
+  return String(label)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/g, 'd')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * First spec value whose label is one of the (normalised) labels
+ */
+function specValue(specs, labels) {
+  const wanted = labels.map(normaliseLabel);
+  const found = Object.entries(specs || {}).find(([label]) => wanted.includes(normaliseLabel(label).replace(/\s*\[.*\]$/, '')));
+  return found ? String(found[1]).trim() : null;
+}
+
+/**
+ * Weight in kg from "1,25 kg", "850 g", "1.234,5 kg" or a bare number (kg), read in the
+ * storefront's number format
+ *
+ * @param value - Spec value
+ * @returns {number|null} Weight in kg
+ */
+function parseWeight(value) {
+  if (!value) return null;
+  const match = String(value).match(/(\d[\d.,' ]*)\s*(kg|g)?\b/i);
+  if (!match) return null;
+  const amount = parseLocaleNumber(match[1]);
+  if (amount === null) return null;
+  return match[2] && match[2].toLowerCase() === 'g' ? amount / 1000 : amount;
+}
+
+/**
+ * Read specs, gallery images, documents and part number groups from a detail page
+ *
+ * @param page - Playwright page on a product detail page
+ * @param profile - Loaded selector profile
+ * @param references - Also read the part number groups
+ * @returns {Object} { specs, images, documents, references }
+ */
+async function readDetailPage(page, profile, references) {
+  return page.evaluate(({ specSelector, gallerySelector, documentSelector, referenceLabels }) => {
+    const specs = {};
+    const add = (label, value) => {
+      const key = (label || '').replace(/\s+/g, ' ').replace(/:$/, '').trim();
+      const text = (value || '').replace(/\s+/g, ' ').trim();
+      if (key && text && key.length <= 80 && !(key in specs)) specs[key] = text;
+    };
+
+    document.querySelectorAll(specSelector).forEach(container => {
+      const before = Object.keys(specs).length;
+      container.querySelectorAll('tr').forEach(row => {
+        const cells = row.querySelectorAll('th, td');
+        if (cells.length === 2) add(cells[0].innerText, cells[1].innerText);
+      });
+      container.querySelectorAll('dt').forEach(dt => {
+        const dd = dt.nextElementSibling;
+        if (dd && dd.tagName === 'DD') add(dt.innerText, dd.innerText);
+      });
+      // No table markup - "Label: Value" lines or "|" separated pairs like the listing
+      if (Object.keys(specs).length === before) {
+        container.innerText.split(/\n|\|/).forEach(part => {
+          const colon = part.indexOf(':');
+          if (colon > 0) add(part.slice(0, colon), part.slice(colon + 1));
+        });
+      }
+    });
+
+    const images = [];
+    document.querySelectorAll(gallerySelector).forEach(container => {
+      container.querySelectorAll('img, source').forEach(node => {
+        ['src', 'srcset', 'data-src', 'data-srcset', 'data-zoom'].forEach(attribute => {
+          const value = node.getAttribute(attribute);
+          if (value) images.push(value);
+        });
+      });
+    });
+
+    const documents = [];
+    document.querySelectorAll(documentSelector).forEach(link => {
+      const url = link.href;
+      if (url && !documents.some(doc => doc.url === url)) {
+        documents.push({ title: (link.innerText || link.getAttribute('title') || '').trim() || null, url });
+      }
+    });
+
+    let groups = null;
+    if (referenceLabels) {
+      groups = {};
+      const divs = [...document.querySelectorAll('div, h2, h3, h4, dt, th')];
+      for (const [field, labels] of Object.entries(referenceLabels)) {
+        const wanted = labels.map(text => text.toLowerCase());
+        const labelEl = divs.find(el =>
+          el.childNodes.length === 1 &&
+          el.childNodes[0].nodeType === Node.TEXT_NODE &&
+          wanted.includes(el.textContent.trim().replace(/:$/, '').toLowerCase()));
+        if (labelEl && labelEl.nextElementSibling) {
+          groups[field] = labelEl.nextElementSibling.innerText.split('\n').map(line => line.trim()).filter(Boolean);
+        }
+      }
+    }
+
+    return { specs, images, documents, references: groups };
+  }, {
+    specSelector: selectorFor(profile, 'detailSpecs'),
+    gallerySelector: selectorFor(profile, 'detailGallery'),
+    documentSelector: selectorFor(profile, 'detailDocument'),
+    referenceLabels: references ? {
+      oe_numbers: profile.labels.oeNumbers || [],
+      cross_references: profile.labels.crossReferences || [],
+      article_numbers: profile.labels.articleNumbers || []
+    } : null
+  });
+}
+
+/**
+ * Merge detail page data into a product
+ *
+ * @param product - Product (modified in place)
+ * @param detail - From readDetailPage, plus gallery (page data images for the SKU)
+ * @param options - { references, profile }
+ * @returns {Array<string>} Names of the fields that gained data
+ */
+function mergeDetail(product, detail, { references, profile }) {
+  const gained = [];
+
+  const newSpecs = Object.keys(detail.specs).filter(label => !(product.specs && label in product.specs));
+  if (Object.keys(detail.specs).length > 0) {
+    product.specs = { ...(product.specs || {}), ...detail.specs };
+    if (newSpecs.length > 0) gained.push(`specs+${newSpecs.length}`);
+  }
+
+  const ean = specValue(product.specs, profile.labels.ean || []);
+  if (ean) {
+    product.ean = ean.replace(/\s/g, '');
+    gained.push('ean');
+  }
+
+  const weight = parseWeight(specValue(product.specs, profile.labels.weight || []));
+  if (weight !== null) {
+    product.weight_kg = weight;
+    gained.push('weight');
+  }
+
+  // Same image in another size counts once (collectImageUrls dedupes)
+  const images = collectImageUrls([...(product.images || []), ...(detail.gallery || []), ...detail.images]);
+  if (images.length > (product.images || []).length) gained.push(`images+${images.length - (product.images || []).length}`);
+  product.images = images;
+
+  // A page without document links keeps the documents the product already has
+  const documents = [...(product.documents || [])];
+  detail.documents.forEach(doc => {
+    if (!documents.some(known => known.url === doc.url)) documents.push(doc);
+  });
+  if (documents.length > (product.documents || []).length) gained.push('documents');
+  product.documents = documents;
+
+  if (references) {
+    const partNumbers = extractPartNumbers({ groups: detail.references || {}, specs: product.specs, brand: product.brand });
+    for (const [field, entries] of Object.entries(partNumbers)) {
+      const known = new Set((product[field] || []).map(entry => `${entry.brand}|${entry.normalised}`));
+      product[field] = [...(product[field] || []), ...entries.filter(entry => !known.has(`${entry.brand}|${entry.normalised}`))];
+    }
+    gained.push('part_numbers');
+  }
+
+  product.enriched_at = new Date().toISOString();
+  return gained;
+}
+
+/**
+ * Create the enrichment pass for a run
+ *
+ * @param context - Logged-in browser context
+ * @param options - { profile, concurrency, delayMs, existingIds, force, references }
+ * @returns {Object} { enrich(products), close() }
+ */
+function createEnricher(context, {
+  profile,
+  concurrency = DEFAULT_CONCURRENCY,
+  delayMs = DEFAULT_DELAY_MS,
+  existingIds = new Set(),
+  force = false,
+  references = false
+} = {}) {
+  const limiter = createRateLimiter(delayMs);
+  const pages = [];
+
+  const skuOf = record => {
+    const sku = profile.api ? readField(record, profile.api.fields.sku) : null;
+    return sku === null ? null : String(sku).trim();
+  };
+
+  const enrichOne = async (page, product) => {
+    const sourceId = product.source_id || product.sku;
+    const productTimer = startTimer();
+
+    try {
+      await limiter.acquire();
+      const response = await page.goto(product.url, { waitUntil: 'domcontentloaded', timeout: waitLimit('detail_page') });
+      const status = response ? response.status() : null;
+
+      if (status === 429 || status === 503) {
+        const interval = limiter.slowDown();
+        throw new Error(`HTTP ${status} - slowing down to one page every ${interval}ms`);
+      }
+      if (status && status >= 400) throw new Error(`HTTP ${status}`);
+      if (isLoginPage(page)) throw new Error('Redirected to the login page - session expired');
+
+      await waitForCondition(page, 'cloudflare', () => !document.title.includes('Just a moment'));
+      await waitForNetworkIdle(page);
+
+      const detail = await readDetailPage(page, profile, references);
+      detail.gallery = (await extractPageGalleries(page, skuOf).catch(() => new Map())).get(product.sku) || [];
+
+      const gained = mergeDetail(product, detail, { references, profile });
+      product.enrichment = 'done';
+      log(`      🔎 [${sourceId}] Detail page: ${gained.length > 0 ? gained.join(', ') : 'nothing new'}`);
+      emit('product_enriched', { source_id: sourceId, status: 'done', fields: gained, duration_ms: productTimer() });
+    } catch (error) {
+      product.enrichment = 'failed';
+      logError(`Detail page enrichment failed for ${sourceId}`, error);
+      emit('product_enriched', { source_id: sourceId, status: 'failed', error: error.message, duration_ms: productTimer() });
+    }
+  };
+
+  return {
+    /**
+     * Enrich products in place; returns when all are done
+     *
+     * @param products - Products of one listing page
+     * @returns {Object} { done, skipped, failed }
+     */
+    async enrich(products) {
+      const queue = [];
+      products.forEach(product => {
+        const sourceId = product.source_id || product.sku;
+        if (!product.url) {
+          product.enrichment = 'skipped';
+        } else if (existingIds.has(sourceId) && !force) {
+          product.enrichment = 'skipped';
+        } else {
+          queue.push(product);
+        }
+      });
+
+      if (queue.length > 0) {
+        while (pages.length < Math.min(concurrency, queue.length)) pages.push(await context.newPage());
+
+        let next = 0;
+        const worker = async page => {
+          while (next < queue.length) {
+            const product = queue[next++];
+            await enrichOne(page, product);
+          }
+        };
+        await timed('enrichment', () => Promise.all(pages.slice(0, Math.min(concurrency, queue.length)).map(worker)));
+      }
+
+      const count = status => products.filter(product => product.enrichment === status).length;
+      const summary = { done: count('done'), skipped: count('skipped'), failed: count('failed') };
+      log(`   🔎 Detail pages: ${summary.done} enriched, ${summary.skipped} skipped, ${summary.failed} failed`);
+      return summary;
+    },
+
+    async close() {
+      await Promise.all(pages.map(page => page.close().catch(() => {})));
+      pages.length = 0;
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_CONCURRENCY,
+  DEFAULT_DELAY_MS,
+  createRateLimiter,
+  parseWeight,
+  mergeDetail,
+  createEnricher
+};
@@ -0,0 +1,1214 @@
+/**
+ * Listing Page Extraction
+ *
+ * The extraction pipeline shared by scrape.js and replay.js:
+ * - Waits for the React listing to render and lazy-loaded prices to appear
+ * - Extracts product cards from the listing page (no detail page visits)
+ * - Prefers the catalog's JSON responses for price/stock/attributes (lib/network.js)
+ * - Parses tyre titles and specs into a structured tyre object (lib/tyre.js)
+ * - Takes each product's image gallery from page data (lib/images.js) and only opens the
+ *   card's gallery modal when no gallery was found
+ * - Expands "Više informacija" for the technical description and models
+ * - Parses stock texts into quantity ranges and, on request, reads the per-branch stock
+ *   popover (lib/stock.js)
+ */
+
+const { log, logError } = require('./logger');
+const { emit } = require('./progress');
+const { loadSelectorProfile, fallbacksFor, selectorFor, resolveSelector } = require('./selectors');
+const { readField, mergeApiProducts } = require('./network');
+const { extractPageGalleries, extractCardImages } = require('./images');
+const { parseTyre } = require('./tyre');
+const { brandCodesFromUrl, extractBrandFacets, createBrandResolver } = require('./brands');
+const { parseFitment, formatFitment, fitmentText } = require('./fitment');
+const { extractPartNumbers } = require('./references');
+const { currentStorefront, parsePriceText } = require('./storefront');
+const { branchStockEntry, parseBranchRow, normaliseStock } = require('./stock');
+const { waitLimit, timed, waitForCondition, waitForStableCount, waitForNetworkIdle, nextFrame } = require('./waits');
+
+// DOM selectors for the Intercars catalog (config/selectors.json)
+const SELECTORS = loadSelectorProfile();
+
+// How product images are captured (--images)
+// auto: page-data gallery, modal when there is none; data: never open the modal (falls
+// back to the card thumbnail); modal: always open the modal
+const IMAGE_MODES = ['auto', 'data', 'modal'];
+
+/**
+ * Wait until the listing page has rendered its products
+ * Scrolls to the bottom and back so lazy-loaded price elements are rendered too
+ *
+ * Every step waits for a condition rather than a fixed time: the product links must be
+ * present with a stable count (React has finished rendering), and after scrolling the price
+ * elements must stop appearing. renderWaitMs is only the upper bound for rendering.
+ * With a response collector the payload usually arrives before the cards, which makes the
+ * render wait even shorter.
+ *
+ * @param page - Playwright page on a listing page
+ * @param options - { renderWaitMs, collector, quick } renderWaitMs bounds the wait for React rendering
+ *                  (default: the "render" wait limit); quick skips the lazy-load scroll when the
+ *                  API payload already carries the prices (refresh mode)
+ * @returns {boolean} True when real product links (not just pagination) were found
+ */
+async function waitForListingPage(page, { renderWaitMs = waitLimit('render'), collector = null, quick = false } = {}) {
+  // Wait for Cloudflare again (if needed)
+  await waitForCondition(page, 'cloudflare', () => !document.title.includes('Just a moment'));
+
+  // Wait for React products to load - increased timeout for filtered pages
+  log('   Waiting for React app to load products...');
+
+  // Wait for network to settle first
+  if (!await waitForNetworkIdle(page)) {
+    log('   Network not idle, continuing anyway...');
+  }
+
+  // Wait until React has rendered the cards and stopped adding more
+  const renderStart = Date.now();
+  let apiReady = false;
+  if (collector) {
+    apiReady = await collector.waitForProducts(renderWaitMs);
+    if (apiReady) log('   ✓ Product data received from catalog API');
+  }
+  const remaining = Math.max(renderWaitMs - (Date.now() - renderStart), 0);
+  const cardCount = await waitForStableCount(page, 'render', selectorFor(SELECTORS, 'productLink'), { limit: remaining });
+  if (cardCount === null) {
+    log(`   ⚠️  Product list not stable after ${renderWaitMs}ms, continuing anyway...`);
+  }
+
+  // Now check if we have products with actual titles (not just pagination)
+  const linkCounts = await page.evaluate((productLinkSelector) => {
+    const links = document.querySelectorAll(productLinkSelector);
+    let realProductCount = 0;
+
+    links.forEach(link => {
+      const title = link.getAttribute('title') || link.textContent.trim();
+      const url = link.href;
+
+      // Real products have titles longer than 3 chars and don't end in /p/[number]
+      if (title && title.length > 3 && !url.match(/\/p\/\d+$/)) {
+        realProductCount++;
+      }
+    });
+
+    return { links: links.length, real: realProductCount };
+  }, selectorFor(SELECTORS, 'productLink'));
+  const hasRealProducts = linkCounts.real > 0;
+
+  log(`   Found ${linkCounts.links} total links, ${linkCounts.real} real products`);
+  if (hasRealProducts) {
+    log('   ✓ Real products found!');
+  } else {
+    log('   ⚠️  No real products found (only pagination). Page may be filtered to empty result.');
+  }
+
+  if (quick && apiReady) {
+    log('   ⚡ Prices come from the catalog API - skipping the lazy-load scroll');
+    return hasRealProducts;
+  }
+
+  // CRITICAL FIX: Scroll to bottom of page to trigger lazy-loaded price elements
+  // Products below the fold don't have price elements rendered until scrolled into view
+  // (with API data the DOM prices are only a fallback, so a short quiet period is enough)
+  log('   📜 Scrolling to bottom to load all price elements...');
+  await page.evaluate(() => {
+    window.scrollTo(0, document.body.scrollHeight);
+  });
+  await waitForStableCount(page, 'lazy_load', selectorFor(SELECTORS, 'wholesalePrice'), {
+    quietMs: apiReady ? 200 : 500,
+    min: hasRealProducts ? 1 : 0
+  });
+
+  // Scroll back to top for consistent extraction
+  await page.evaluate(() => {
+    window.scrollTo(0, 0);
+  });
+  await nextFrame(page);
+  log('   ✓ All products should now be fully loaded');
+
+  return hasRealProducts;
+}
+
+/**
+ * Complete a product card with images and technical description
+ * Products that already exist in the database (fast mode) skip the expensive extraction
+ *
+ * @param page - Playwright page on the listing page the card came from
+ * @param productData - Product from extractListingPage (modified in place)
+ * @param options - { fastMode, scraped, imageMode, references, branchStock } scraped is the
+ *                  1-based position used in progress events, imageMode one of IMAGE_MODES
+ *                  (default 'auto'), references also extracts OE numbers and cross-references,
+ *                  branchStock reads the per-branch stock popover (both opt-in)
+ * @returns {Object} The completed product
+ */
+async function processProductCard(page, productData, { fastMode = false, scraped = null, imageMode = 'auto', references = false, branchStock = false } = {}) {
+  const sourceId = productData.source_id || productData.sku;
+
+  try {
+    if (fastMode) {
+      // FAST MODE: Skip expensive image and tech description extraction
+      // Rails will preserve existing data for these products
+      log(`       ⚡ Skipping image/tech extraction (product exists in database)`);
+      productData.images = [];
+      productData.technical_description = null;
+      productData.models = null;
+      productData.fitment = null;
+      productData.reuse_existing = true;
+    } else {
+      // FULL MODE: Extract images and technical description for new products
+      const { images, source } = await timed('images', () => captureProductImages(page, productData, { imageMode, sourceId }));
+      productData.images = images;
+      productData.image_source = source;
+
+      log(`       ✓ Extracted ${images.length} images (${source}) without leaving listing page`);
+
+      // Extract technical description by clicking "Više informacija" button
+      const techData = await timed('technical_description', () => extractTechnicalDescription(page, productData.imageContainerIndex, { references }));
+      productData.technical_description = techData.technical_description;
+      productData.models = techData.models;
+      productData.fitment = techData.fitment;
+
+      if (references) {
+        Object.assign(productData, extractPartNumbers({ groups: techData.references || {}, specs: productData.specs, brand: productData.brand }));
+        log(`       ✓ Part numbers: ${productData.oe_numbers.length} OE, ${productData.article_numbers.length} article, ${productData.cross_references.length} cross-references`);
+      }
+
+      if (techData.technical_description) {
+        log(`       ✓ Extracted technical description`);
+      }
+      if (techData.models) {
+        log(`       ✓ Extracted models: ${techData.models.substring(0, 50)}...`);
+      }
+
+      productData.reuse_existing = false;
+    }
+  } catch (error) {
+    logError(`Failed to extract images for product ${sourceId}`, error);
+    emit('image_failed', {
+      scraped,
+      source_id: sourceId,
+      title: productData.title,
+      error: error.message
+    });
+    // Still add product without images
+    productData.images = [];
+    productData.reuse_existing = fastMode;
+  }
+
+  // Stock changes between runs, so existing products get their branches too
+  if (branchStock) {
+    await timed('branch_stock', () => addBranchStock(page, productData));
+  }
+
+  // Remove the temporary imageContainerIndex and gallery before saving
+  delete productData.imageContainerIndex;
+  delete productData.gallery;
+
+  return productData;
+}
+
+/**
+ * Capture a product's images, opening the gallery modal only when needed
+ *
+ * @param page - Playwright page on the listing page the card came from
+ * @param productData - Product from extractListingPage (gallery is set when page data had one)
+ * @param options - { imageMode, sourceId }
+ * @returns {Object} { images, source: 'data' | 'card' | 'modal' | 'none' }
+ */
+async function captureProductImages(page, productData, { imageMode = 'auto', sourceId }) {
+  if (imageMode !== 'modal') {
+    if (productData.gallery && productData.gallery.length > 0) {
+      log(`       [IMG] ✓ ${productData.gallery.length} images from page data - modal not needed`);
+      return { images: productData.gallery, source: 'data' };
+    }
+
+    if (imageMode === 'data') {
+      // Without the modal the card thumbnail is the best we have
+      const images = await extractThumbnailImages(page, productData.imageContainerIndex);
+      log(`       [IMG] No gallery in page data - using ${images.length} card image(s)`);
+      return { images, source: images.length > 0 ? 'card' : 'none' };
+    }
+
+    log(`       [IMG] No gallery in page data - falling back to the gallery modal`);
+  }
+
+  // Extract images using the imageContainerIndex stored during product extraction
+  // This ensures we click on the exact same container that corresponds to this product
+  const images = await extractImagesFromProductCard(page, productData.imageContainerIndex, sourceId);
+  return { images, source: images.length > 0 ? 'modal' : 'none' };
+}
+
+/**
+ * Image URLs rendered in a card's image container (no clicking)
+ *
+ * @param page - Playwright page object
+ * @param containerIndex - The DOM index of the image container (-1 when there is none)
+ * @returns {Array<string>} Image URLs
+ */
+async function extractThumbnailImages(page, containerIndex) {
+  if (containerIndex === -1) return [];
+
+  const containers = await page.locator(await resolveSelector(page, SELECTORS, 'productImage')).all();
+  if (containerIndex >= containers.length) return [];
+
+  return extractCardImages(containers[containerIndex]);
+}
+
+/**
+ * Extract all product data from listing page (without visiting detail pages)
+ * Also tracks which image container index corresponds to each product for accurate image extraction
+ */
+async function extractProductsFromListingPage(page) {
+  log('   Extracting products from listing page...');
+
+  const { extracted: products, diagnostics } = await page.evaluate((profile) => {
+    // Resolve a selector profile field, trying its fallbacks in priority order
+    const pick = (root, field) => {
+      for (const selector of profile.selectors[field]) {
+        const el = root.querySelector(selector);
+        if (el) return el;
+      }
+      return null;
+    };
+    const pickAll = (root, field) => {
+      for (const selector of profile.selectors[field]) {
+        const found = root.querySelectorAll(selector);
+        if (found.length > 0) return Array.from(found);
+      }
+      return [];
+    };
+    const dataAttrs = profile.attributes;
+    // Walking up from a link leaves the product's card where an ancestor holds other products too
+    const leftCard = el => el.querySelectorAll(`[${dataAttrs.sku}]`).length > 1;
+
+    const productLinks = pickAll(document, 'productLink');
+    // Get ALL product image containers as an array for index lookup
+    const allImageContainers = pickAll(document, 'productImage');
+
+    // The page console is not the run's log - what is worth reporting goes back to Node
+    const diagnostics = {
+      links: productLinks.length,
+      imageContainers: allImageContainers.length,
+      skipped: 0,
+      withoutAttributes: 0,
+      withoutImage: []
+    };
+
+    const extracted = [];
+
+    productLinks.forEach(link => {
+      const title = link.getAttribute('title') || link.textContent.trim();
+      const url = link.href;
+      const sku = link.getAttribute(dataAttrs.sku);
+
+      // Skip pagination links - they end with /c/[category]/p/[number]
+      if (url.match(/\/p\/\d+$/)) return;
+
+      // Skip if no real title (pagination links have empty or numeric titles)
+      if (!title || title.length < 3) return;
+
+      let price = null;
+      // Price texts are parsed in Node with the storefront's number format and currencies
+      let priceText = null;
+      let branchAvailability = null;
+      let quantity = null;
+
+      // CRITICAL FIX: Extract price by traversing DOM from the product link
+      // This ensures we get the price for THIS specific product, not from a misaligned array
+      // The nearest container wins - values of the next card are never taken
+      let parent = link;
+      for (let i = 0; i < 10; i++) {
+        parent = parent.parentElement;
+        if (!parent || leftCard(parent)) break;
+
+        // Look for price element within this product's parent container
+        const priceEl = pick(parent, 'wholesalePrice');
+        if (priceEl && price === null && priceText === null) {
+          const dataPrice = priceEl.getAttribute(dataAttrs.price);
+          if (dataPrice) {
+            price = parseFloat(dataPrice);
+          } else {
+            priceText = priceEl.textContent.trim() || null;
+          }
+        }
+
+        // Extract branch availability
+        const stockNameEl = pick(parent, 'stockName');
+        if (stockNameEl && !branchAvailability) {
+          branchAvailability = stockNameEl.getAttribute(dataAttrs.branch) || stockNameEl.textContent.trim();
+        }
+
+        // Extract quantity
+        const stockQuantityEl = pick(parent, 'stockQuantity');
+        if (stockQuantityEl && !quantity) {
+          quantity = stockQuantityEl.getAttribute(dataAttrs.quantity) || stockQuantityEl.textContent.trim();
+        }
+
+        // Stop if we found all the data we need
+        if ((price || priceText) && branchAvailability && quantity) break;
+      }
+
+      // Extract subtitle/B2BName (product category description)
+      // This is found in the same product card as the title
+      let subTitle = null;
+
+      // Extract specs/description from productAttributes section
+      let description = null;
+      let specs = {};
+
+      // Try to find productAttributes container for this product
+      // Navigate up from the link to find the product card that contains attributes
+      let productCard = link;
+      for (let i = 0; i < 15; i++) {
+        productCard = productCard.parentElement;
+        if (!productCard || leftCard(productCard)) break;
+
+        // Extract subtitle/B2BName from this product card
+        const subTitleEl = pick(productCard, 'subTitle');
+        if (subTitleEl && !subTitle) {
+          subTitle = subTitleEl.textContent.trim();
+        }
+
+        const attrsContainer = pick(productCard, 'productAttributes');
+        if (attrsContainer) {
+          // Get the full text content and split by | to get attribute pairs
+          const fullText = attrsContainer.textContent.trim();
+
+          if (fullText.length > 0) {
+            // Split by | separator
+            const parts = fullText.split('|').map(p => p.trim()).filter(p => p.length > 0);
+
+            // Process each part (format: "Label: Value")
+            const descParts = [];
+            parts.forEach(part => {
+              const colonIdx = part.indexOf(':');
+              if (colonIdx > 0) {
+                const label = part.substring(0, colonIdx).trim();
+                const value = part.substring(colonIdx + 1).trim();
+
+                if (label && value) {
+                  descParts.push(`${label}: ${value}`);
+                  specs[label] = value;
+                }
+              }
+            });
+
+            description = descParts.join(', ');
+          }
+          break;
+        }
+      }
+
+      if (!description) diagnostics.withoutAttributes++;
+
+      if (url && (title || sku)) {
+        // CRITICAL FIX: Find the actual product image container that belongs to THIS product
+        // by traversing up from the link to find the parent product card
+        let imageContainerIndex = -1;
+        let parent = link;
+
+        // Traverse up the DOM to find the product card container - a card without a picture
+        // must not get the container of the card next to it
+        for (let i = 0; i < 15; i++) {
+          parent = parent.parentElement;
+          if (!parent || leftCard(parent)) break;
+
+          // Look for the product image container within this parent
+          const imageContainer = pick(parent, 'productImage');
+          if (imageContainer) {
+            // Find the index of this container in the global array
+            imageContainerIndex = allImageContainers.indexOf(imageContainer);
+            if (imageContainerIndex >= 0) break;
+          }
+        }
+
+        if (imageContainerIndex === -1) {
+          // DO NOT fallback to any index - this product genuinely has no images
+          // The image extraction will handle this by returning empty array
+          diagnostics.withoutImage.push(sku || title);
+        }
+
+        const productData = {
+          source: 'intercars',
+          scraped_at: new Date().toISOString(),
+          title,
+          sub_title: subTitle || null,
+          url,
+          sku,
+          source_id: sku,
+          source_url: url,
+          price: price || null,
+          currency: null,
+          price_text: priceText,
+          branch_availability: branchAvailability || null,
+          quantity: quantity || null,
+          // Resolved in Node from the API, brand facets and the brand dictionary (lib/brands.js)
+          brand: null,
+          // Images will be filled by clicking
+          images: [],
+          // Description and specs extracted from productAttributes
+          description: description,
+          specs: Object.keys(specs).length > 0 ? specs : null,
+          // IMPORTANT: Store the ACTUAL index of the image container in the global array
+          // This ensures we click on the exact right container
+          // -1 means this product has no image container (will skip image extraction)
+          imageContainerIndex: imageContainerIndex
+        };
+        extracted.push(productData);
+      } else {
+        diagnostics.skipped++;
+      }
+    });
+
+    return { extracted, diagnostics };
+  }, SELECTORS);
+
+  log(`   Found ${diagnostics.links} product links and ${diagnostics.imageContainers} image containers`);
+  if (diagnostics.skipped > 0) {
+    log(`   ⚠️  Skipped ${diagnostics.skipped} product links without URL or title/SKU`);
+  }
+  if (diagnostics.withoutAttributes > 0) {
+    log(`   ${diagnostics.withoutAttributes} products have no attribute list (no description or specs)`);
+  }
+  if (diagnostics.withoutImage.length > 0) {
+    log(`   ⚠️  No image container (images skipped): ${diagnostics.withoutImage.join(', ')}`);
+  }
+
+  const storefront = currentStorefront();
+  const priced = products.map(({ price_text: priceText, ...product }) => {
+    const fromText = priceText ? parsePriceText(priceText, storefront) : { price: null, currency: storefront.currency };
+    return {
+      ...product,
+      // No price stays null - the output schema rejects the product instead of importing it at 0
+      price: product.price || fromText.price || null,
+      currency: fromText.currency
+    };
+  });
+
+  log(`   ✓ Found ${priced.length} products on listing page`);
+  return priced;
+}
+
+/**
+ * Extract the listing page's products, preferring the catalog's JSON responses.
+ * DOM cards are always read (they hold the gallery containers); API values replace the
+ * DOM price/stock/attributes per SKU. Without a recognised payload this is plain DOM extraction.
+ * Products whose payload had no gallery get one from JSON embedded in the page when possible.
+ * Every product gets a tyre object (null for non-tyres) parsed from its final title and specs,
+ * and a resolved brand (see resolveBrands).
+ *
+ * @param page - Playwright page on a listing page
+ * @param options - { collector, light } collector is the response collector attached before
+ *                  navigation (optional); light only keeps price and stock (no galleries, tyre
+ *                  or brand resolution - refresh mode)
+ * @returns {Object} { products, extraction: 'api' | 'dom' }
+ */
+async function extractListingPage(page, { collector = null, light = false } = {}) {
+  const domProducts = await extractProductsFromListingPage(page);
+  const apiProducts = collector ? await collector.take() : new Map();
+
+  let products;
+  let extraction;
+  if (apiProducts.size === 0) {
+    if (collector) log(`   ⚠️  No recognised product payload in ${collector.responses} API responses - using DOM extraction`);
+    products = domProducts.map(product => ({ ...product, extraction: 'dom' }));
+    extraction = 'dom';
+  } else {
+    products = mergeApiProducts(domProducts, apiProducts);
+    const fromApi = products.filter(product => product.extraction === 'api').length;
+    log(`   ✓ API data for ${fromApi}/${products.length} products (${apiProducts.size} in payloads)`);
+    extraction = 'api';
+  }
+
+  if (light) {
+    products.forEach(normaliseStock);
+    return { products, extraction };
+  }
+
+  await addPageGalleries(page, products);
+
+  products.forEach(product => {
+    product.tyre = parseTyre(product.title, product.specs, product.sub_title);
+    normaliseStock(product);
+  });
+  const tyres = products.filter(product => product.tyre).length;
+  if (tyres > 0) log(`   ✓ Tyre specification parsed for ${tyres}/${products.length} products`);
+
+  await resolveBrands(page, products);
+
+  return { products, extraction };
+}
+
+/**
+ * Resolve every product's brand from the API value, the listing's brand facets and the
+ * brand dictionary. Sets brand, brand_code, brand_confidence and brand_source.
+ *
+ * @param page - Playwright page on a listing page
+ * @param products - Products from extractListingPage (modified in place)
+ */
+async function resolveBrands(page, products) {
+  let facets = [];
+  try {
+    facets = await extractBrandFacets(page, selectorFor(SELECTORS, 'brandFacet'));
+  } catch (e) {
+    logError('[BRAND] Could not read brand facets', e);
+  }
+
+  const resolver = createBrandResolver({ facets, urlCodes: brandCodesFromUrl(page.url()) });
+  products.forEach(product => {
+    Object.assign(product, resolver.resolve({
+      title: product.title,
+      apiBrand: product.brand,
+      apiBrandCode: product.brand_code || null
+    }));
+  });
+
+  const confident = products.filter(product => ['high', 'medium'].includes(product.brand_confidence)).length;
+  log(`   ✓ Brand resolved for ${confident}/${products.length} products (${facets.length} brand facets)`);
+
+  const unsure = products.filter(product => !['high', 'medium'].includes(product.brand_confidence));
+  if (unsure.length > 0) {
+    log(`   ⚠️  ${unsure.length} products without a confident brand: ${unsure.slice(0, 5).map(product => product.sku).join(', ')}${unsure.length > 5 ? ', ...' : ''}`);
+  }
+
+  const unknown = resolver.unknownFacets();
+  if (unknown.length > 0) {
+    log(`   ℹ️  Brand facets missing from config/brands.json: ${unknown.map(facet => `${facet.name} (${facet.code})`).join(', ')}`);
+  }
+}
+
+/**
+ * Fill in galleries from JSON embedded in the document for products the API did not cover
+ *
+ * @param page - Playwright page on a listing page
+ * @param products - Products from extractListingPage (modified in place)
+ */
+async function addPageGalleries(page, products) {
+  const missing = products.filter(product => !product.gallery);
+  if (missing.length === 0 || !SELECTORS.api) return;
+
+  const skuPaths = SELECTORS.api.fields.sku;
+  let galleries;
+  try {
+    galleries = await extractPageGalleries(page, record => {
+      const sku = readField(record, skuPaths);
+      return sku === null ? null : String(sku).trim();
+    });
+  } catch (e) {
+    logError('[IMG] Could not read page data for galleries', e);
+    return;
+  }
+
+  missing.forEach(product => {
+    const gallery = galleries.get(product.sku);
+    if (gallery) product.gallery = gallery;
+  });
+
+  const withGallery = products.filter(product => product.gallery).length;
+  log(`   ✓ Image galleries in page data for ${withGallery}/${products.length} products`);
+}
+
+/**
+ * Extract images by clicking on product image to open modal
+ * Stays on listing page - no navigation needed
+ *
+ * @param page - Playwright page object
+ * @param containerIndex - The exact DOM index of the image container (from productLinks iteration)
+ * @param sourceId - SKU of the product (used in logs and progress events)
+ */
+async function extractImagesFromProductCard(page, containerIndex, sourceId) {
+  try {
+    log(`       [IMG] ========================================`);
+    log(`       [IMG] Extracting images using container index ${containerIndex}...`);
+
+    // CRITICAL: If containerIndex is -1, this product has NO image container
+    // This happens when products don't have images at all
+    if (containerIndex === -1) {
+      log(`       [IMG] ⚠ Container index is -1: This product has NO images (skipping extraction)`);
+      log(`       [IMG] ========================================`);
+      return [];
+    }
+
+    // CRITICAL: Ensure no modal is open before clicking on this product
+    // This prevents images from previous modals being attached to wrong products
+    log(`       [IMG] Ensuring no modal is currently open...`);
+
+    // Check for any existing modal portal
+    const existingModalCount = await page.locator(selectorFor(SELECTORS, 'galleryModal')).count();
+    if (existingModalCount > 0) {
+      log(`       [IMG] ⚠ Found existing modal portal, forcefully closing it...`);
+
+      // Try to close it
+      await page.keyboard.press('Escape');
+      if (!await waitForModalClosed(page)) {
+        await page.keyboard.press('Escape');
+        await waitForModalClosed(page);
+      }
+
+      // Verify it's gone
+      const stillExists = await page.locator(selectorFor(SELECTORS, 'galleryModal')).count();
+      if (stillExists > 0) {
+        log(`       [IMG] ⚠ Modal portal still exists after ESC! Trying harder...`);
+        await page.mouse.click(10, 10); // Click outside
+        await waitForModalClosed(page);
+
+        const finalCheck = await page.locator(selectorFor(SELECTORS, 'galleryModal')).count();
+        if (finalCheck > 0) {
+          log(`       [IMG] ✗ ERROR: Cannot close existing modal! Skipping this product to avoid image mismatch.`);
+          emit('image_failed', { source_id: sourceId, error: 'Previous gallery modal could not be closed' });
+          return [];
+        }
+      }
+
+      log(`       [IMG] ✓ Existing modal closed successfully`);
+    } else {
+      log(`       [IMG] ✓ No existing modal found, safe to proceed`);
+    }
+
+    // Get all image containers in DOM order - MUST use same selector as product extraction
+    // to ensure indices match perfectly
+    log(`       [IMG] Looking for image containers...`);
+    const allImageContainers = await page.locator(await resolveSelector(page, SELECTORS, 'productImage')).all();
+    log(`       [IMG] Found ${allImageContainers.length} total image containers on page`);
+
+    // Use the EXACT index that was stored during product extraction
+    // This ensures we're clicking on the image container that corresponds to the same DOM position
+    if (containerIndex < 0 || containerIndex >= allImageContainers.length) {
+      logError(`[IMG] ⚠ Container index ${containerIndex} is invalid (found ${allImageContainers.length} containers)`, null);
+      log(`       [IMG] This product will have no images to prevent mismatch`);
+      log(`       [IMG] ========================================`);
+      return [];
+    }
+
+    const container = allImageContainers[containerIndex];
+    log(`       [IMG] Using image container at DOM index ${containerIndex}`);
+
+    // Check if this container has a real image or just an SVG placeholder
+    // Products without images show an SVG placeholder (no-image icon)
+    log(`       [IMG] Checking if container has real images or just SVG placeholder...`);
+    const hasRealImage = await container.evaluate((el) => {
+      // Check if there's an <img> element (real product image)
+      const imgElement = el.querySelector('img');
+      if (imgElement) {
+        return true;
+      }
+
+      // If only SVG exists, it's a placeholder for "no image available"
+      return false;
+    });
+
+    if (!hasRealImage) {
+      log(`       [IMG] ⚠ Product has no images (SVG placeholder only), skipping image extraction`);
+      return [];
+    }
+
+    log(`       [IMG] ✓ Container has real images, proceeding with extraction`);
+
+    // Try to click on the product image to open modal
+    log(`       [IMG] Looking for product image to click...`);
+
+    try {
+      const productImage = container.locator('img').first();
+      const productImageCount = await productImage.count();
+      log(`       [IMG] Found ${productImageCount} img elements in container`);
+
+      if (productImageCount === 0) {
+        log(`       [IMG] ⚠ No images found in container, skipping`);
+        return [];
+      }
+
+      log(`       [IMG] Scrolling image into view...`);
+      await productImage.scrollIntoViewIfNeeded();
+
+      log(`       [IMG] CLICKING on product image to open modal...`);
+      await productImage.click();
+
+      log(`       [IMG] Waiting for modal and its slide images to load...`);
+      await waitForModalImages(page);
+
+      // CRITICAL: Verify that a modal actually appeared after clicking
+      const modalAppearedCount = await page.locator(selectorFor(SELECTORS, 'galleryModal')).count();
+      if (modalAppearedCount === 0) {
+        log(`       [IMG] ⚠ No modal appeared after clicking! This product likely has no images.`);
+        log(`       [IMG] Skipping image extraction for this product.`);
+        return [];
+      }
+
+      log(`       [IMG] ✓ Modal appeared after clicking`);
+    } catch (err) {
+      logError(`[IMG] Error clicking on product image`, err);
+      emit('image_failed', { source_id: sourceId, error: err.message });
+      return [];
+    }
+
+    // Get images AFTER clicking - extract ONLY from modal portal
+    log(`       [IMG] Extracting images from modal portal...`);
+    const modalImages = await page.evaluate(({ modalSelector, slideSelector }) => {
+      const images = [];
+
+      // Look for the modal portal (this is where clicked product images appear)
+      const modalPortal = document.querySelector(modalSelector);
+      if (!modalPortal) return [];
+
+      // Get all swiper slides in the modal (each slide = one image); none means no images
+      const slides = modalPortal.querySelectorAll(slideSelector);
+
+      // Extract image from each slide
+      slides.forEach(slide => {
+        const img = slide.querySelector('img');
+        if (img) {
+          const src = img.src || img.getAttribute('data-src');
+          if (src && src.includes('ic-files-res.cloudinary.com')) {
+            // Try to get the best quality image available
+            // First, try 1200x1200, if that doesn't exist the Rails service will fall back to what's available
+            // Extract current size if present
+            const sizeMatch = src.match(/t_t(\d+)x(\d+)v\d+/);
+            let finalUrl = src;
+
+            if (sizeMatch) {
+              const currentWidth = parseInt(sizeMatch[1]);
+              const currentHeight = parseInt(sizeMatch[2]);
+
+              // If current size is small (< 300), try to get larger versions
+              if (currentWidth < 300 || currentHeight < 300) {
+                // Try 1200x1200 as the preferred size
+                finalUrl = src.replace(/t_t\d+x\d+v\d+/, 't_t1200x1200v1');
+              }
+              // Current size is >= 300, keep it as-is
+            }
+            // No size transformation in URL: use as-is (original)
+
+            if (!images.includes(finalUrl)) images.push(finalUrl);
+          }
+        }
+      });
+
+      return images;
+    }, {
+      modalSelector: selectorFor(SELECTORS, 'galleryModal'),
+      slideSelector: selectorFor(SELECTORS, 'gallerySlide')
+    });
+
+    log(`       [IMG] ========================================`);
+    log(`       [IMG] RESULT: Extracted ${modalImages.length} product images from modal`);
+
+    if (modalImages.length === 0) {
+      log(`       [IMG] ⚠ WARNING: No images extracted! This product will have no images.`);
+    } else {
+      modalImages.forEach((img, idx) => {
+        const filename = img.substring(img.lastIndexOf('/') + 1);
+        log(`       [IMG]   ${idx + 1}. ${filename}`);
+      });
+    }
+
+    log(`       [IMG] ========================================`);
+
+    // Close modal before moving to next product - CRITICAL for preventing image mismatch
+    try {
+      log(`       [IMG] Attempting to close modal...`);
+
+      // Try pressing ESC key multiple times to ensure modal closes
+      await page.keyboard.press('Escape');
+      if (!await waitForModalClosed(page)) {
+        await page.keyboard.press('Escape');
+        await waitForModalClosed(page);
+      }
+
+      // Check if modal portal is gone (this is the key check)
+      const modalPortalStillExists = await page.locator(selectorFor(SELECTORS, 'galleryModal')).count();
+      if (modalPortalStillExists > 0) {
+        log(`       [IMG] ⚠ Modal portal still exists after ESC, trying close button...`);
+
+        // Try clicking close button
+        const closeButton = page.locator(selectorFor(SELECTORS, 'galleryClose')).first();
+        const closeButtonCount = await closeButton.count();
+        if (closeButtonCount > 0) {
+          log(`       [IMG] Found close button, clicking...`);
+          await closeButton.click();
+          await waitForModalClosed(page);
+        } else {
+          // Click outside modal as last resort
+          log(`       [IMG] No close button, clicking outside modal...`);
+          await page.mouse.click(10, 10);
+          await waitForModalClosed(page);
+        }
+      }
+
+      // Final check - verify the modal portal is completely gone
+      const modalFinalCheck = await page.locator(selectorFor(SELECTORS, 'galleryModal')).count();
+      if (modalFinalCheck > 0) {
+        log(`       [IMG] ⚠⚠⚠ CRITICAL WARNING: Modal portal still visible after close attempts!`);
+        log(`       [IMG] This may cause image mismatch for the next product!`);
+        // Extra aggressive close attempt
+        await page.keyboard.press('Escape');
+        await page.mouse.click(10, 10);
+        await waitForModalClosed(page);
+      } else {
+        log(`       [IMG] ✓ Modal closed successfully`);
+      }
+    } catch (err) {
+      logError(`[IMG] Error closing modal`, err);
+    }
+
+    return modalImages;
+
+  } catch (error) {
+    logError(`[IMG] FATAL ERROR extracting images for product ${sourceId}`, error);
+    emit('image_failed', { source_id: sourceId, error: error.message });
+    return [];
+  }
+}
+
+/**
+ * Wait until the gallery modal portal has been removed from the DOM
+ *
+ * @param page - Playwright page object
+ * @returns {boolean} True when no modal is left
+ */
+async function waitForModalClosed(page) {
+  return waitForCondition(page, 'modal_close', (modalSelector) => !document.querySelector(modalSelector),
+    selectorFor(SELECTORS, 'galleryModal'));
+}
+
+/**
+ * Wait until the gallery modal is open, every slide has an image URL and at least
+ * one slide image has finished loading
+ *
+ * @param page - Playwright page object
+ * @returns {boolean} True when the modal is ready to be read
+ */
+async function waitForModalImages(page) {
+  return waitForCondition(page, 'modal_open', ({ modalSelector, slideSelector }) => {
+    const modal = document.querySelector(modalSelector);
+    if (!modal) return false;
+
+    const slides = [...modal.querySelectorAll(slideSelector)];
+    if (slides.length === 0) return false;
+
+    const images = slides.map(slide => slide.querySelector('img'));
+    if (images.some(img => !img || !(img.getAttribute('src') || img.getAttribute('data-src')))) return false;
+
+    return images.some(img => img.complete && img.naturalWidth > 0);
+  }, {
+    modalSelector: selectorFor(SELECTORS, 'galleryModal'),
+    slideSelector: selectorFor(SELECTORS, 'gallerySlide')
+  });
+}
+
+/**
+ * Page predicates for the "Više informacija" section (run in the browser, so self-contained)
+ * Like the extraction below, a section counts as open when it has a size.
+ */
+function isAdditionalInfoVisible(sectionSelector) {
+  return [...document.querySelectorAll(sectionSelector)].some(section => {
+    const rect = section.getBoundingClientRect();
+    return rect.height > 0 && rect.width > 0;
+  });
+}
+
+function isAdditionalInfoHidden(sectionSelector) {
+  return ![...document.querySelectorAll(sectionSelector)].some(section => {
+    const rect = section.getBoundingClientRect();
+    return rect.height > 0 && rect.width > 0;
+  });
+}
+
+/**
+ * Fill in a product's branch_stock unless the API already listed its branches
+ * Without a popover the card's own branch is the only entry.
+ *
+ * @param page - Playwright page on the listing page the card came from
+ * @param productData - Product from extractListingPage (modified in place)
+ */
+async function addBranchStock(page, productData) {
+  if (productData.branch_stock && productData.branch_stock.length > 0) {
+    log(`       [STOCK] ${productData.branch_stock.length} branches from the catalog API`);
+    return;
+  }
+
+  let entries = null;
+  try {
+    entries = await extractBranchStock(page, productData.sku);
+  } catch (error) {
+    logError(`[STOCK] Could not read branch stock for ${productData.sku}`, error);
+  }
+
+  if (!entries || entries.length === 0) {
+    const own = branchStockEntry({ branch: productData.branch_availability, quantity: productData.quantity });
+    entries = own ? [own] : [];
+    log(`       [STOCK] No branch popover - ${own ? `card branch ${own.branch} only` : 'no branch on the card'}`);
+  } else {
+    log(`       [STOCK] ✓ ${entries.length} branches, ${entries.filter(entry => entry.quantity_min > 0).length} with stock`);
+  }
+
+  productData.branch_stock = entries;
+  normaliseStock(productData);
+}
+
+/**
+ * Read the per-branch stock popover of a product card
+ * Opens it from the stock element inside the card of the product's own link (found by SKU, so
+ * a card without a stock element never shifts the others) and closes it with Escape.
+ *
+ * @param page - Playwright page object
+ * @param sku - SKU of the product (the link's data-towkod)
+ * @returns {Array<Object>|null} Entries as from lib/stock.js parseBranchRow, or null when the
+ *                               card has no popover
+ */
+async function extractBranchStock(page, sku) {
+  if (!sku) return null;
+
+  const handle = await page.evaluateHandle(({ linkSelector, skuAttribute, sku, triggerSelectors }) => {
+    const link = [...document.querySelectorAll(linkSelector)].find(element => element.getAttribute(skuAttribute) === sku);
+    // Up from the link until the trigger turns up, but not past the product's own card
+    for (let card = link ? link.parentElement : null; card; card = card.parentElement) {
+      if (card.querySelectorAll(`[${skuAttribute}]`).length > 1) return null;
+      for (const selector of triggerSelectors) {
+        const trigger = card.querySelector(selector);
+        if (trigger) return trigger;
+      }
+    }
+    return null;
+  }, {
+    linkSelector: selectorFor(SELECTORS, 'productLink'),
+    skuAttribute: SELECTORS.attributes.sku,
+    sku,
+    triggerSelectors: fallbacksFor(SELECTORS, 'stockBreakdownTrigger')
+  });
+  const trigger = handle.asElement();
+  if (!trigger) {
+    await handle.dispose();
+    return null;
+  }
+
+  try {
+    await trigger.scrollIntoViewIfNeeded();
+    await trigger.click();
+  } finally {
+    await handle.dispose();
+  }
+
+  const popoverSelector = selectorFor(SELECTORS, 'stockBreakdown');
+  if (!await waitForCondition(page, 'stock_popover', isAdditionalInfoVisible, popoverSelector)) {
+    await page.keyboard.press('Escape');
+    return null;
+  }
+
+  // Cells of every row in the visible popover (table cells, or the row's children)
+  const rows = await page.evaluate(({ popoverSelector, rowSelector }) => {
+    const popover = [...document.querySelectorAll(popoverSelector)].find(element => {
+      const rect = element.getBoundingClientRect();
+      return rect.height > 0 && rect.width > 0;
+    });
+    if (!popover) return [];
+
+    return [...popover.querySelectorAll(rowSelector)].map(row => {
+      const cells = row.querySelectorAll('td, th').length > 0 ? row.querySelectorAll('td, th') : row.children;
+      return cells.length > 0 ? [...cells].map(cell => cell.innerText) : row.innerText.split('\n');
+    });
+  }, { popoverSelector, rowSelector: selectorFor(SELECTORS, 'stockBreakdownRow') });
+
+  await page.keyboard.press('Escape');
+  await waitForCondition(page, 'collapse', isAdditionalInfoHidden, popoverSelector);
+
+  return rows.map(cells => parseBranchRow(cells)).filter(Boolean);
+}
+
+/**
+ * Extract technical description by clicking "Više informacija" button
+ * Also extracts the vehicle fitment from the technical description (see lib/fitment.js)
+ *
+ * @param page - Playwright page object
+ * @param containerIndex - The index of the product card container
+ * @param options - { references } also read the OE / cross-reference / article number groups
+ * @returns {Object} { technical_description, models, fitment, references } models is the fitment
+ *                   as text, references the raw lines per group (null unless requested)
+ */
+async function extractTechnicalDescription(page, containerIndex, { references = false } = {}) {
+  try {
+    log(`       [TECH] Extracting technical description for container ${containerIndex}...`);
+
+    if (containerIndex === -1) {
+      log(`       [TECH] Container index is -1, skipping technical description extraction`);
+      return { technical_description: null, models: null, fitment: null, references: null };
+    }
+
+    // Get all product cards on the page - need to find the expand button within the right product
+    const allProductCards = await page.locator(await resolveSelector(page, SELECTORS, 'productLink')).all();
+
+    if (containerIndex >= allProductCards.length) {
+      log(`       [TECH] Container index ${containerIndex} out of bounds (${allProductCards.length} products)`);
+      return { technical_description: null, models: null, fitment: null, references: null };
+    }
+
+    // Find the product card container by traversing up from the product link
+    const productLink = allProductCards[containerIndex];
+
+    // Navigate up to find the parent container that has the expand button
+    // The expand button is in the same row/card as the product link
+    const expandButton = page.locator(await resolveSelector(page, SELECTORS, 'moreInfoButton')).nth(containerIndex);
+    const expandButtonCount = await expandButton.count();
+
+    if (expandButtonCount === 0) {
+      log(`       [TECH] No "Više informacija" button found for this product`);
+      return { technical_description: null, models: null, fitment: null, references: null };
+    }
+
+    log(`       [TECH] Found expand button, clicking...`);
+
+    // Scroll the button into view first
+    await expandButton.scrollIntoViewIfNeeded();
+
+    // Click to expand
+    await expandButton.click();
+
+    // Wait for the expanded section to appear - it should be visible now after clicking
+    // The expanded section appears as a child/sibling of the clicked product row
+    await waitForCondition(page, 'expand', isAdditionalInfoVisible, selectorFor(SELECTORS, 'additionalInfo'));
+
+    // Extract the technical description text - look for the VISIBLE expanded section
+    // Since only one section is expanded at a time, we find the one that's currently visible
+    const sectionData = await page.evaluate(({ sectionSelector, bodySelector, label, referenceLabels }) => {
+      // Find all expanded sections - there should only be one visible at a time
+      const expandedSections = document.querySelectorAll(sectionSelector);
+
+      // Find the visible/expanded section (check if it's inside an expanded-section container)
+      let section = null;
+      for (const sec of expandedSections) {
+        // Check if this section is visible (has dimensions)
+        const rect = sec.getBoundingClientRect();
+        if (rect.height > 0 && rect.width > 0) {
+          section = sec;
+          break;
+        }
+      }
+
+      if (!section) {
+        return { technicalDescription: null, references: null, foundVia: 'no visible section' };
+      }
+
+      // Look for the technical description section ("Tehnički opis")
+      let technicalDescription = null;
+      // Which strategy found it - reported by Node
+      let foundVia = null;
+
+      // Strategy 1: Find the "Tehnički opis" label and get its sibling content
+      // Structure: <div>Tehnički opis</div><div class="cOZxao"><div class="klTUHd">ACTUAL TEXT</div></div>
+      const allDivs = section.querySelectorAll('div');
+      for (const div of allDivs) {
+        // Check if this div contains exactly the section label as its direct text
+        if (div.childNodes.length === 1 &&
+            div.childNodes[0].nodeType === Node.TEXT_NODE &&
+            div.textContent.trim() === label) {
+
+          // Found the label, now get the sibling container with the actual description
+          const nextSibling = div.nextElementSibling;
+          if (nextSibling) {
+            // The description is in a nested div (class klTUHd inside cOZxao)
+            const innerDiv = nextSibling.querySelector('div');
+            if (innerDiv) {
+              technicalDescription = innerDiv.textContent.trim();
+            } else {
+              technicalDescription = nextSibling.textContent.trim();
+            }
+            foundVia = 'label sibling';
+            break;
+          }
+        }
+      }
+
+      // Strategy 2: If not found, try finding by class structure
+      if (!technicalDescription) {
+        // Look for div.cOZxao containing div.klTUHd (technicalDescriptionBody selector)
+        const bodyDiv = section.querySelector(bodySelector);
+        if (bodyDiv) {
+          technicalDescription = bodyDiv.textContent.trim();
+          foundVia = 'class structure';
+        }
+      }
+
+      // Strategy 3: Last resort - find any text containing "odgovara:"
+      if (!technicalDescription) {
+        for (const div of allDivs) {
+          const text = div.textContent.trim();
+          if (text.includes('odgovara:') && !text.includes(label) && !text.includes('TecDoc')) {
+            technicalDescription = text;
+            foundVia = 'odgovara search';
+            break;
+          }
+        }
+      }
+
+      // Part number groups: a label div followed by its list or table (one entry per line)
+      let references = null;
+      if (referenceLabels) {
+        references = {};
+        for (const [field, labels] of Object.entries(referenceLabels)) {
+          const wanted = labels.map(text => text.toLowerCase());
+          const labelDiv = [...allDivs].find(div =>
+            div.childNodes.length === 1 &&
+            div.childNodes[0].nodeType === Node.TEXT_NODE &&
+            wanted.includes(div.textContent.trim().replace(/:$/, '').toLowerCase()));
+          if (labelDiv && labelDiv.nextElementSibling) {
+            references[field] = labelDiv.nextElementSibling.innerText.split('\n').map(line => line.trim()).filter(Boolean);
+          }
+        }
+      }
+
+      return { technicalDescription, references, foundVia };
+    }, {
+      sectionSelector: selectorFor(SELECTORS, 'additionalInfo'),
+      bodySelector: selectorFor(SELECTORS, 'technicalDescriptionBody'),
+      label: SELECTORS.labels.technicalDescription,
+      referenceLabels: references ? {
+        oe_numbers: SELECTORS.labels.oeNumbers || [],
+        cross_references: SELECTORS.labels.crossReferences || [],
+        article_numbers: SELECTORS.labels.articleNumbers || []
+      } : null
+    });
+    const { technicalDescription } = sectionData;
+
+    // Vehicles the part fits, from the vehicle list in the description (lib/fitment.js)
+    const fitment = parseFitment(technicalDescription);
+    // A vehicle list with makes the vehicle data does not know is kept as written
+    const listed = /(?:odgovara|vozila)\s*:/i.test(technicalDescription || '') ? fitmentText(technicalDescription).trim() : null;
+    const techDescData = {
+      technical_description: technicalDescription,
+      models: formatFitment(fitment) || listed || null,
+      fitment: fitment.length > 0 ? fitment : null,
+      references: sectionData.references
+    };
+
+    log(`       [TECH] Technical description: ${technicalDescription ? `FOUND via ${sectionData.foundVia} (${technicalDescription.substring(0, 50)}...)` : `NOT FOUND${sectionData.foundVia ? ` (${sectionData.foundVia})` : ''}`}`);
+    if (sectionData.references) {
+      Object.entries(sectionData.references).forEach(([field, lines]) => log(`       [TECH] ${field}: ${lines.length} lines`));
+    }
+    log(`       [TECH] Fitment: ${fitment.length > 0 ? `${fitment.length} vehicles (${techDescData.models.substring(0, 50)}...)` : 'NOT FOUND'}`);
+
+    // Click to collapse the section
+    try {
+      await expandButton.click();
+      await waitForCondition(page, 'collapse', isAdditionalInfoHidden, selectorFor(SELECTORS, 'additionalInfo'));
+    } catch (e) {
+      // Ignore collapse errors
+    }
+
+    return techDescData;
+
+  } catch (error) {
+    logError(`[TECH] Error extracting technical description`, error);
+    return { technical_description: null, models: null, fitment: null, references: null };
+  }
+}
+
+module.exports = {
+  SELECTORS,
+  IMAGE_MODES,
+  waitForListingPage,
+  extractListingPage,
+  extractProductsFromListingPage,
+  processProductCard,
+  addBranchStock,
+  captureProductImages,
+  extractImagesFromProductCard,
+  extractTechnicalDescription
+};
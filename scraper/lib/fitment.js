@@ -0,0 +1,298 @@
+/**
+ * Vehicle Fitment Extraction
+ *
+ * Turns the vehicle list in a technical description ("odgovara: VW GOLF VI (5K1) 1.6 TDI
+ * 10,08-11,12; AUDI A3 (8P1) ...") into fitment records:
+ *   { make, model, generation, year_from, year_to, engine }
+ * - Makes and models come from config/vehicles.json, not from code
+ * - Vehicles are split on ";" and on ", " before a make - commas inside dates ("10,96") stay
+ * - Dates: "10,96-05,01", "10.2008-", "-10,96", "od 2005", "2008-2012" (two-digit years pivot on the current year)
+ * - Generation: chassis code in brackets plus what follows a known model name ("VI (5K1)")
+ * - Engine: from the displacement or power onwards ("1.6 TDI", "2.0 16V (110 kW)")
+ *
+ * Plain functions of their input, so saved descriptions can be checked in Node.
+ * Set VEHICLE_DATA to point at a different vehicle file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_VEHICLE_DATA = path.join(__dirname, '..', 'config', 'vehicles.json');
+
+// "10,96", "10.2008", "05/01" or a four-digit year
+const DATE = '(?:\\d{1,2}\\s?[.,/]\\s?(?:19|20)?\\d{2}|(?:19|20)\\d{2})(?![\\d.,])';
+
+// Date ranges in priority order, each with the groups [from, to]
+const DATE_RANGES = [
+  { pattern: new RegExp(`(${DATE})\\s*-\\s*(${DATE})`), from: 1, to: 2 },
+  { pattern: new RegExp(`(${DATE})\\s*-(?!\\s*\\d)`), from: 1, to: null },
+  { pattern: new RegExp(`(?:^|\\s)-\\s*(${DATE})`), from: null, to: 1 },
+  { pattern: new RegExp(`\\b(?:od|from)\\s+(${DATE})`, 'i'), from: 1, to: null },
+  { pattern: new RegExp(`\\b(?:do|to|until)\\s+(${DATE})`, 'i'), from: null, to: 1 }
+];
+
+// Engine starts at the displacement ("1.6", "2,0") or, without one, at the power ("110 kW")
+const ENGINE_START = /(?<![\d.,])\d[.,]\d(?![\d.,])|\b\d{2,3}\s?(?:kW|KS|PS|HP|KM)\b/i;
+
+const cache = new Map();
+
+/**
+ * Load and validate vehicle data (cached per file)
+ *
+ * @param file - Path to the vehicle JSON (defaults to VEHICLE_DATA or config/vehicles.json)
+ * @returns {Object} { version, makes: [{ name, aliases, models }], file }
+ */
+function loadVehicleData(file = process.env.VEHICLE_DATA || DEFAULT_VEHICLE_DATA) {
+  const dataPath = path.resolve(file);
+  if (cache.has(dataPath)) return cache.get(dataPath);
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+  } catch (e) {
+    throw new Error(`Cannot read vehicle data ${dataPath}: ${e.message}`);
+  }
+
+  if (!data.version) {
+    throw new Error(`Vehicle data ${dataPath} has no version`);
+  }
+
+  const makes = (data.makes || []).map((make, index) => {
+    if (!make || typeof make.name !== 'string' || make.name.trim() === '') {
+      throw new Error(`Vehicle data ${dataPath}: make ${index} has no name`);
+    }
+    return {
+      name: make.name.trim(),
+      aliases: (make.aliases || []).map(String),
+      models: (make.models || []).map(String)
+    };
+  });
+
+  const loaded = { version: data.version, makes, file: dataPath };
+  cache.set(dataPath, loaded);
+  return loaded;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Whole-word, case-insensitive regex for a name ("CR-V", "ŠKODA", "RAV 4")
+ */
+function wordPattern(name, flags = 'iu') {
+  const body = escapeRegExp(name.trim()).replace(/\s+/g, '\\s+');
+  return new RegExp(`(?<![\\p{L}\\p{N}])${body}(?![\\p{L}\\p{N}])`, flags);
+}
+
+/**
+ * Year of a date fragment - "10,96" -> 1996, "05.01" -> 2001, "2008" -> 2008
+ *
+ * @param fragment - Date text matched by DATE
+ * @returns {number|null} Year
+ */
+function parseYear(fragment) {
+  if (!fragment) return null;
+  const match = fragment.replace(/\s/g, '').match(/(\d{2,4})$/);
+  if (!match) return null;
+
+  if (match[1].length === 4) return parseInt(match[1], 10);
+  const year = parseInt(match[1].slice(-2), 10);
+  // A two-digit year more than a year ahead of today is last century
+  return year > (new Date().getFullYear() % 100) + 1 ? 1900 + year : 2000 + year;
+}
+
+/**
+ * First date range in a piece of text
+ *
+ * @param text - Vehicle text
+ * @returns {Object} { year_from, year_to, match } (match is the text to remove, or null)
+ */
+function parseDateRange(text) {
+  for (const { pattern, from, to } of DATE_RANGES) {
+    const match = text.match(pattern);
+    if (match) {
+      return {
+        year_from: from ? parseYear(match[from]) : null,
+        year_to: to ? parseYear(match[to]) : null,
+        match: match[0]
+      };
+    }
+  }
+  return { year_from: null, year_to: null, match: null };
+}
+
+/**
+ * The part of a technical description that lists vehicles
+ *
+ * @param description - Technical description
+ * @returns {string} Text after "odgovara:" / "Vozila:", or the whole description
+ */
+function fitmentText(description) {
+  const text = String(description || '');
+  const marker = text.match(/(?:odgovara|vozila)\s*:\s*/i);
+  return marker ? text.slice(marker.index + marker[0].length) : text;
+}
+
+/**
+ * Build matchers for makes and their models
+ */
+function buildIndex(vehicles) {
+  const makes = vehicles.makes.map(make => ({
+    name: make.name,
+    terms: [make.name, ...make.aliases].map(term => ({ term, pattern: wordPattern(term) })),
+    models: make.models
+      .map(model => ({ model, pattern: wordPattern(model, 'iyu') }))
+      .sort((a, b) => b.model.length - a.model.length)
+  }));
+
+  // Models recognised without their make - not purely numeric, not two-letter codes
+  const standalone = [];
+  makes.forEach(make => make.models.forEach(({ model }) => {
+    if (/\D/.test(model) && model.replace(/[^A-Za-z]/g, '').length >= 3 && !standalone.some(entry => entry.model === model)) {
+      standalone.push({ make, model, pattern: wordPattern(model) });
+    }
+  }));
+
+  return { makes, standalone };
+}
+
+/**
+ * Earliest match whose matched text starts with a capital - "mini" in prose is not a make
+ */
+function firstCapitalised(text, candidates) {
+  let best = null;
+  candidates.forEach(candidate => {
+    const match = text.match(candidate.pattern);
+    if (!match || match[0][0] !== match[0][0].toUpperCase()) return;
+    if (!best || match.index < best.index || (match.index === best.index && match[0].length > best.length)) {
+      best = { ...candidate, index: match.index, length: match[0].length };
+    }
+  });
+  return best;
+}
+
+/**
+ * Parse one vehicle ("GOLF VI (5K1) 1.6 TDI 10,08-11,12" after the make)
+ */
+function parseVehicle(make, rest) {
+  const dates = parseDateRange(rest);
+  // "(5,04-)" leaves empty brackets behind
+  let text = (dates.match ? rest.replace(dates.match, ' ') : rest).replace(/\(\s*\)/g, ' ');
+
+  // "(5K1)" is a chassis code, "(77 kW)" belongs to the engine; in TecDoc order
+  // ("3 (E90) 320 d") whatever follows the chassis code is the engine
+  const brackets = text.match(/\(([^()]{1,30})\)/);
+  const chassis = brackets && !ENGINE_START.test(brackets[1]) ? brackets[1].trim() : null;
+  let engineText = '';
+  if (chassis) {
+    engineText = text.slice(brackets.index + brackets[0].length);
+    text = text.slice(0, brackets.index);
+  }
+
+  const engineStart = text.search(ENGINE_START);
+  if (engineStart >= 0) {
+    engineText = `${text.slice(engineStart)} ${engineText}`;
+    text = text.slice(0, engineStart);
+  }
+  const engine = engineText.replace(/[\s,;:-]+$/, '').replace(/\s+/g, ' ').trim() || null;
+
+  const modelText = text.replace(/[,:]+/g, ' ').replace(/\s+/g, ' ').trim();
+  let model = modelText || null;
+  let generation = null;
+
+  // Longest known model at the start; the rest is the generation / body ("VI", "V Variant")
+  const known = make.models
+    .map(({ pattern }) => {
+      pattern.lastIndex = 0;
+      return modelText.match(pattern);
+    })
+    .find(Boolean);
+  if (known) {
+    model = known[0];
+    generation = modelText.slice(known[0].length).trim() || null;
+  }
+  if (chassis) generation = generation ? `${generation} (${chassis})` : `(${chassis})`;
+
+  return {
+    make: make.name,
+    model,
+    generation,
+    year_from: dates.year_from,
+    year_to: dates.year_to,
+    engine
+  };
+}
+
+/**
+ * Extract fitment records from a technical description
+ *
+ * @param description - Technical description (or just its vehicle list)
+ * @param vehicles - Vehicle data (defaults to loadVehicleData())
+ * @returns {Array<Object>} [{ make, model, generation, year_from, year_to, engine }]
+ */
+function parseFitment(description, vehicles = loadVehicleData()) {
+  const text = fitmentText(description);
+  if (!text.trim()) return [];
+
+  const { makes, standalone } = buildIndex(vehicles);
+  const makeTerms = makes.flatMap(make => make.terms.map(({ term }) => escapeRegExp(term).replace(/\s+/g, '\\s+')));
+  // ", " only separates vehicles when a make follows - "10,96" and "1.6, 66 kW" stay together
+  const splitter = new RegExp(`;|\\n|,\\s+(?=(?:${makeTerms.join('|')})(?![\\p{L}\\p{N}]))`, 'iu');
+
+  const records = [];
+  let previous = null;
+
+  text.split(splitter).map(part => part.trim()).filter(Boolean).forEach(part => {
+    const candidates = makes.flatMap(make => make.terms.map(({ pattern }) => ({ make, pattern })));
+    const found = firstCapitalised(part, candidates);
+
+    let make;
+    let rest;
+    if (found) {
+      make = found.make;
+      rest = part.slice(found.index + found.length);
+    } else {
+      // "PASSAT B6" after "VW GOLF VI;" - a model of the previous make, else a well-known model
+      const sameMake = previous && previous.models.some(({ pattern }) => {
+        pattern.lastIndex = 0;
+        return pattern.test(part);
+      });
+      const model = sameMake ? { make: previous, index: 0 } : firstCapitalised(part, standalone);
+      if (!model) return;
+      make = model.make;
+      rest = part.slice(model.index);
+    }
+
+    previous = make;
+    const record = parseVehicle(make, rest);
+    const key = JSON.stringify(record).toUpperCase();
+    if (!records.some(existing => JSON.stringify(existing).toUpperCase() === key)) records.push(record);
+  });
+
+  return records;
+}
+
+/**
+ * Fitment records as the semicolon-separated "models" text stored with the product
+ *
+ * @param records - From parseFitment
+ * @returns {string|null} "Volkswagen GOLF VI (5K1) 1.6 TDI 2008-2012; ..." or null
+ */
+function formatFitment(records) {
+  if (!records || records.length === 0) return null;
+  return records.map(record => {
+    const years = record.year_from || record.year_to ? `${record.year_from || ''}-${record.year_to || ''}` : null;
+    return [record.make, record.model, record.generation, record.engine, years].filter(Boolean).join(' ');
+  }).join('; ');
+}
+
+module.exports = {
+  DEFAULT_VEHICLE_DATA,
+  loadVehicleData,
+  parseYear,
+  parseDateRange,
+  fitmentText,
+  parseFitment,
+  formatFitment
+};
@@ -0,0 +1,191 @@
+/**
+ * Product Image URLs
+ *
+ * Image capture that does not need the React gallery modal:
+ * - Product galleries are read from data the page already has - the catalog's JSON
+ *   responses (lib/network.js) and JSON embedded in the document (__NEXT_DATA__, JSON-LD,
+ *   window state objects)
+ * - Only ic-files-res.cloudinary.com URLs count as product images
+ * - Small cloudinary transformations are upgraded to 1200x1200, the same rule the modal uses
+ * - The card thumbnail can be read as a last resort, but it is only the first image
+ *
+ * extract.js decides per product whether this is enough or the modal has to be opened.
+ */
+
+const CLOUDINARY_HOST = 'ic-files-res.cloudinary.com';
+
+// How deep to walk a JSON value looking for image URLs
+const MAX_IMAGE_DEPTH = 8;
+
+// Window globals that hydrated React apps commonly leave behind
+const PAGE_STATE_GLOBALS = ['__NEXT_DATA__', '__INITIAL_STATE__', '__PRELOADED_STATE__', '__APOLLO_STATE__'];
+
+/**
+ * Upgrade a cloudinary URL to the preferred gallery size
+ * Transformations under 300px (thumbnails) become t_t1200x1200v1; larger ones and
+ * originals are kept as they are.
+ *
+ * @param src - Image URL
+ * @returns {string} URL to store
+ */
+function normaliseImageUrl(src) {
+  const url = String(src).trim().replace(/^\/\//, 'https://');
+  const sizeMatch = url.match(/t_t(\d+)x(\d+)v\d+/);
+  if (sizeMatch && (parseInt(sizeMatch[1], 10) < 300 || parseInt(sizeMatch[2], 10) < 300)) {
+    return url.replace(/t_t\d+x\d+v\d+/, 't_t1200x1200v1');
+  }
+  return url;
+}
+
+/**
+ * Split a string that may be a srcset ("a.jpg 1x, b.jpg 2x") into cloudinary URLs
+ *
+ * @param text - src, srcset or any string value
+ * @returns {Array<string>} Cloudinary URLs found
+ */
+function urlsInString(text) {
+  if (!text.includes(CLOUDINARY_HOST)) return [];
+  return text
+    .split(/,\s+|\s+/)
+    .filter(part => part.includes(CLOUDINARY_HOST))
+    .map(part => part.replace(/^url\(["']?|["']?\)$/g, ''));
+}
+
+/**
+ * Collect cloudinary image URLs from any JSON value, in document order, normalised and
+ * without duplicates (two sizes of the same image count once)
+ *
+ * @param value - String, array or object
+ * @param options - { skip(object) } return true to ignore a nested object (e.g. another product)
+ * @returns {Array<string>} Image URLs
+ */
+function collectImageUrls(value, { skip = null } = {}) {
+  const images = [];
+  const seen = new Set();
+
+  const visit = (node, depth) => {
+    if (depth > MAX_IMAGE_DEPTH || node === null || node === undefined) return;
+
+    if (typeof node === 'string') {
+      urlsInString(node).forEach(url => {
+        const image = normaliseImageUrl(url);
+        // Same public id in another transformation is the same image
+        const key = image.replace(/\/t_[^/]+\//, '/');
+        if (seen.has(key)) return;
+        seen.add(key);
+        images.push(image);
+      });
+      return;
+    }
+
+    if (typeof node !== 'object') return;
+    if (depth > 0 && skip && !Array.isArray(node) && skip(node)) return;
+    Object.values(node).forEach(child => visit(child, depth + 1));
+  };
+
+  visit(value, 0);
+  return images;
+}
+
+/**
+ * Galleries of every product record in a JSON payload
+ * A record's gallery is every image URL below it, except inside nested records with a
+ * different SKU (related products, alternatives).
+ *
+ * @param payload - Parsed JSON
+ * @param skuOf - (object) => SKU string or null when the object is not a product record
+ * @returns {Map<string, Array<string>>} Image URLs keyed by SKU
+ */
+function galleriesFromPayload(payload, skuOf) {
+  const galleries = new Map();
+
+  const visit = (node, depth) => {
+    if (!node || typeof node !== 'object' || depth > MAX_IMAGE_DEPTH) return;
+
+    const sku = Array.isArray(node) ? null : skuOf(node);
+    if (sku) {
+      const images = collectImageUrls(node, { skip: nested => {
+        const nestedSku = skuOf(nested);
+        return !!nestedSku && nestedSku !== sku;
+      } });
+      if (images.length > 0 && images.length > (galleries.get(sku) || []).length) {
+        galleries.set(sku, images);
+      }
+    }
+
+    Object.values(node).forEach(child => visit(child, depth + 1));
+  };
+
+  visit(payload, 0);
+  return galleries;
+}
+
+/**
+ * Galleries from JSON embedded in the current document
+ *
+ * @param page - Playwright page on a listing page
+ * @param skuOf - (object) => SKU string or null, see galleriesFromPayload
+ * @returns {Map<string, Array<string>>} Image URLs keyed by SKU
+ */
+async function extractPageGalleries(page, skuOf) {
+  const sources = await page.evaluate((globals) => {
+    const texts = [...document.querySelectorAll('script[type="application/json"], script[type="application/ld+json"], script#__NEXT_DATA__')]
+      .map(script => script.textContent);
+
+    globals.forEach(name => {
+      try {
+        if (window[name] && typeof window[name] === 'object') texts.push(JSON.stringify(window[name]));
+      } catch (e) {
+        // Circular or otherwise unserialisable state - skip it
+      }
+    });
+
+    return texts.filter(text => text && text.includes('cloudinary'));
+  }, PAGE_STATE_GLOBALS);
+
+  const galleries = new Map();
+  for (const text of sources) {
+    let payload;
+    try {
+      payload = JSON.parse(text);
+    } catch (e) {
+      continue;
+    }
+    for (const [sku, images] of galleriesFromPayload(payload, skuOf)) {
+      if (images.length > (galleries.get(sku) || []).length) galleries.set(sku, images);
+    }
+  }
+
+  return galleries;
+}
+
+/**
+ * Image URLs rendered inside a product card (src, srcset and lazy-load attributes)
+ * This is usually just the thumbnail of the first gallery image.
+ *
+ * @param container - Playwright locator of the card's image container
+ * @returns {Array<string>} Image URLs
+ */
+async function extractCardImages(container) {
+  const values = await container.evaluate((el) => {
+    const found = [];
+    el.querySelectorAll('img, source').forEach(node => {
+      ['src', 'srcset', 'data-src', 'data-srcset'].forEach(attribute => {
+        const value = node.getAttribute(attribute);
+        if (value) found.push(value);
+      });
+    });
+    return found;
+  });
+
+  return collectImageUrls(values);
+}
+
+module.exports = {
+  CLOUDINARY_HOST,
+  normaliseImageUrl,
+  collectImageUrls,
+  galleriesFromPayload,
+  extractPageGalleries,
+  extractCardImages
+};
@@ -0,0 +1,62 @@
+/**
+ * Run Logger
+ *
+ * Writes log lines to the console and to logs/<name>-<timestamp>.log.
+ * Call openLog() once at the start of a script; log() before that only prints to the console.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LOG_DIR = path.join(__dirname, '..', 'logs');
+
+let logStream = null;
+let logFile = null;
+
+/**
+ * Start writing the log file for this run
+ *
+ * @param name - Log file prefix (e.g. 'scrape' -> logs/scrape-1700000000000.log)
+ * @returns {string} Path of the log file
+ */
+function openLog(name) {
+  if (logStream) return logFile;
+
+  if (!fs.existsSync(LOG_DIR)) {
+    fs.mkdirSync(LOG_DIR, { recursive: true });
+  }
+
+  logFile = path.join(LOG_DIR, `${name}-${Date.now()}.log`);
+  logStream = fs.createWriteStream(logFile, { flags: 'a' });
+  return logFile;
+}
+
+function log(message) {
+  const timestamp = new Date().toISOString();
+  const logMessage = `[${timestamp}] ${message}\n`;
+
+  // Write to both console and file
+  console.log(message);
+  if (logStream) logStream.write(logMessage);
+}
+
+function logError(message, error) {
+  const timestamp = new Date().toISOString();
+  const logMessage = `[${timestamp}] ERROR: ${message}\n${error ? error.stack : ''}\n`;
+
+  console.error(message, error);
+  if (logStream) logStream.write(logMessage);
+}
+
+function closeLog() {
+  if (logStream) logStream.end();
+  logStream = null;
+}
+
+module.exports = {
+  LOG_DIR,
+  openLog,
+  log,
+  logError,
+  closeLog
+};
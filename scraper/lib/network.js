@@ -0,0 +1,414 @@
+/**
+ * Network Response Extraction
+ *
+ * The listing page is a React app that loads its products as JSON. Instead of guessing
+ * which DOM price belongs to which product link, we read those payloads directly:
+ * - A collector listens to the page's XHR/fetch responses (page.on('response'))
+ * - JSON bodies are searched for a list of product-like objects using the "api"
+ *   field paths of the selector profile
+ * - Recognised records are mapped to our product schema and keyed by SKU, including the
+ *   product's cloudinary gallery when the payload carries it (so the modal can be skipped)
+ * - extract.js merges them into the DOM cards (which still provide the gallery
+ *   containers) and falls back to DOM values when the API shape is not recognised
+ * - The same payloads usually carry the listing's totals (api.pagination paths), which
+ *   lib/pagination.js prefers over counting pager links
+ */
+
+const { loadSelectorProfile } = require('./selectors');
+const { collectImageUrls } = require('./images');
+const { currentStorefront, parseLocaleNumber, currencyCode } = require('./storefront');
+const { branchStockEntry } = require('./stock');
+const { log } = require('./logger');
+
+// How deep to search a JSON payload for the product list
+const MAX_SEARCH_DEPTH = 6;
+
+/**
+ * Read a dotted path ("wholesalePrice.value") from an object
+ *
+ * @param object - Source object
+ * @param dottedPath - Path with "." separators
+ * @returns {*} Value or undefined
+ */
+function readPath(object, dottedPath) {
+  let value = object;
+  for (const key of dottedPath.split('.')) {
+    if (value === null || typeof value !== 'object') return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+/**
+ * First non-empty scalar value among a field's candidate paths
+ *
+ * @param record - Raw API record
+ * @param paths - Candidate paths in priority order
+ * @returns {*} Value or null
+ */
+function readField(record, paths) {
+  for (const candidate of paths || []) {
+    const value = readPath(record, candidate);
+    if (value === undefined || value === null || value === '') continue;
+    if (typeof value === 'object' && !Array.isArray(value)) continue;
+    return value;
+  }
+  return null;
+}
+
+/**
+ * Parse a price that may come as a number or a formatted string ("1.234,56")
+ * Strings are read in the active storefront's number format (lib/storefront.js).
+ *
+ * @param value - Raw price
+ * @returns {number|null} Price or null
+ */
+function parsePrice(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+  return parseLocaleNumber(value);
+}
+
+/**
+ * Turn an attribute list/object from the API into { label: value } specs
+ *
+ * @param raw - Array of { name|label|key, value } or a plain object
+ * @returns {Object|null} Specs or null
+ */
+function mapAttributes(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+
+  const specs = {};
+  if (Array.isArray(raw)) {
+    raw.forEach(entry => {
+      if (!entry || typeof entry !== 'object') return;
+      const label = entry.name || entry.label || entry.key;
+      let value = entry.value !== undefined ? entry.value : entry.values;
+      if (Array.isArray(value)) value = value.join(', ');
+      if (label && value !== undefined && value !== null && value !== '') {
+        specs[String(label).trim()] = String(value).trim();
+      }
+    });
+  } else {
+    Object.entries(raw).forEach(([label, value]) => {
+      if (value !== null && typeof value !== 'object' && value !== '') specs[label] = String(value).trim();
+    });
+  }
+
+  return Object.keys(specs).length > 0 ? specs : null;
+}
+
+/**
+ * Does an object look like a product record?
+ * It needs a SKU plus either a title or a price.
+ *
+ * @param record - Candidate object
+ * @param fields - Profile api.fields
+ * @returns {boolean}
+ */
+function isProductRecord(record, fields) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) return false;
+  if (readField(record, fields.sku) === null) return false;
+  return readField(record, fields.title) !== null || readField(record, fields.price) !== null;
+}
+
+/**
+ * Find the list of product records in a JSON payload (depth-first)
+ *
+ * @param payload - Parsed JSON body
+ * @param fields - Profile api.fields
+ * @param depth - Current depth (internal)
+ * @returns {Array|null} The product records, or null when the shape is not recognised
+ */
+function findProductList(payload, fields, depth = 0) {
+  if (!payload || typeof payload !== 'object' || depth > MAX_SEARCH_DEPTH) return null;
+
+  if (Array.isArray(payload)) {
+    const records = payload.filter(item => isProductRecord(item, fields));
+    // Most of the list must be products - a single matching object in a config array is noise
+    if (records.length > 0 && records.length >= payload.length / 2) return records;
+  }
+
+  for (const value of Object.values(payload)) {
+    const found = findProductList(value, fields, depth + 1);
+    if (found) return found;
+  }
+
+  return null;
+}
+
+/**
+ * Find the listing totals in a JSON payload (depth-first, first object that has a total)
+ *
+ * @param payload - Parsed JSON body
+ * @param pagination - Profile api.pagination { totalProducts, totalPages, pageSize }
+ * @param depth - Current depth (internal)
+ * @returns {Object|null} { total_products, total_pages, per_page } (missing values null), or null
+ */
+function findPaginationTotals(payload, pagination, depth = 0) {
+  if (!pagination || !payload || typeof payload !== 'object' || Array.isArray(payload) || depth > MAX_SEARCH_DEPTH) return null;
+
+  const count = paths => {
+    const value = parseInt(readField(payload, paths), 10);
+    return Number.isInteger(value) && value >= 0 ? value : null;
+  };
+  const totals = {
+    total_products: count(pagination.totalProducts),
+    total_pages: count(pagination.totalPages),
+    per_page: count(pagination.pageSize)
+  };
+  if (totals.total_products !== null || totals.total_pages !== null) return totals;
+
+  for (const value of Object.values(payload)) {
+    const found = findPaginationTotals(value, pagination, depth + 1);
+    if (found) return found;
+  }
+
+  return null;
+}
+
+/**
+ * Map one API record to the fields of our product schema that it provides
+ *
+ * @param record - Raw API record
+ * @param fields - Profile api.fields
+ * @returns {Object} Partial product (only fields the API had values for)
+ */
+function mapApiProduct(record, fields) {
+  const sku = String(readField(record, fields.sku)).trim();
+  const product = { sku, source_id: sku };
+
+  const title = readField(record, fields.title);
+  if (title !== null) product.title = String(title).trim();
+
+  const subTitle = readField(record, fields.subTitle);
+  if (subTitle !== null) product.sub_title = String(subTitle).trim();
+
+  const brand = readField(record, fields.brand);
+  if (brand !== null) product.brand = String(brand).trim();
+
+  const brandCode = readField(record, fields.brandCode);
+  if (brandCode !== null) product.brand_code = String(brandCode).trim();
+
+  const price = parsePrice(readField(record, fields.price));
+  if (price !== null) product.price = price;
+
+  const currency = readField(record, fields.currency);
+  // Symbols like "KM" or "zł" map to ISO codes the way listing prices do (lib/storefront.js)
+  if (currency !== null) product.currency = currencyCode(currency);
+
+  const branch = readField(record, fields.branch);
+  if (branch !== null) product.branch_availability = String(branch).trim();
+
+  const quantity = readField(record, fields.quantity);
+  if (quantity !== null) product.quantity = String(quantity).trim();
+
+  // Stock of every branch when the record lists them (lib/stock.js)
+  const branches = readField(record, fields.branchStock);
+  if (Array.isArray(branches)) {
+    const branchStock = branches
+      .filter(entry => entry && typeof entry === 'object')
+      .map(entry => branchStockEntry({
+        branch: readField(entry, fields.stockBranch),
+        quantity: readField(entry, fields.stockQuantity),
+        delivery: readField(entry, fields.stockDelivery)
+      }))
+      .filter(Boolean);
+    if (branchStock.length > 0) product.branch_stock = branchStock;
+  }
+
+  const url = readField(record, fields.url);
+  if (url !== null) product.url = String(url);
+
+  for (const candidate of fields.attributes || []) {
+    const specs = mapAttributes(readPath(record, candidate));
+    if (specs) {
+      product.specs = specs;
+      product.description = Object.entries(specs).map(([label, value]) => `${label}: ${value}`).join(', ');
+      break;
+    }
+  }
+
+  // Dedicated image fields first; otherwise any cloudinary URL below the record that does
+  // not belong to a nested product (related articles carry their own SKU)
+  let gallery = [];
+  for (const candidate of fields.images || []) {
+    gallery = collectImageUrls(readPath(record, candidate));
+    if (gallery.length > 0) break;
+  }
+  if (gallery.length === 0) {
+    gallery = collectImageUrls(record, {
+      skip: nested => isProductRecord(nested, fields) && String(readField(nested, fields.sku)).trim() !== sku
+    });
+  }
+  if (gallery.length > 0) product.gallery = gallery;
+
+  return product;
+}
+
+/**
+ * Listen to a page's catalog responses and collect the products they contain
+ *
+ * @param page - Playwright page (attach before navigating so the first response is caught)
+ * @param profile - Selector profile with an "api" section (defaults to the loaded profile)
+ * @returns {Object} Collector: { reset, waitForProducts, take, detach, responses, totals }
+ */
+function createResponseCollector(page, profile = loadSelectorProfile()) {
+  const api = profile.api;
+  const products = new Map();
+  const pending = new Set();
+  let responses = 0;
+  let totals = null;
+  let waiters = [];
+
+  const notify = () => {
+    if (products.size === 0) return;
+    waiters.forEach(resolve => resolve(true));
+    waiters = [];
+  };
+
+  const onResponse = response => {
+    if (!api) return;
+
+    const request = response.request();
+    if (!['xhr', 'fetch'].includes(request.resourceType())) return;
+    if (!(response.headers()['content-type'] || '').includes('json')) return;
+
+    const url = response.url();
+    if (!api.urlPatterns.some(pattern => url.includes(pattern))) return;
+
+    const read = response.json()
+      .then(payload => {
+        responses++;
+        const records = findProductList(payload, api.fields);
+        if (!records) return;
+
+        totals = findPaginationTotals(payload, api.pagination) || totals;
+        records.forEach(record => {
+          const product = mapApiProduct(record, api.fields);
+          products.set(product.sku, { ...products.get(product.sku), ...product });
+        });
+        log(`   [API] ${records.length} products from ${url.split('?')[0]}`);
+        notify();
+      })
+      .catch(() => {
+        // Body unavailable (redirect, navigation) or not JSON after all
+      })
+      .finally(() => pending.delete(read));
+
+    pending.add(read);
+  };
+
+  page.on('response', onResponse);
+
+  return {
+    /** Forget collected products - call before navigating to the next listing page */
+    reset() {
+      products.clear();
+      responses = 0;
+      totals = null;
+    },
+
+    /**
+     * Wait until a recognised product payload arrives
+     *
+     * @param timeoutMs - Upper bound
+     * @returns {boolean} True when products were collected in time
+     */
+    async waitForProducts(timeoutMs) {
+      if (products.size > 0) return true;
+      return new Promise(resolve => {
+        const timer = setTimeout(() => {
+          waiters = waiters.filter(waiter => waiter !== done);
+          resolve(false);
+        }, timeoutMs);
+        const done = result => {
+          clearTimeout(timer);
+          resolve(result);
+        };
+        waiters.push(done);
+      });
+    },
+
+    /**
+     * Products collected since the last reset, after in-flight bodies have been read
+     *
+     * @returns {Map<string, Object>} Partial products keyed by SKU
+     */
+    async take() {
+      await Promise.all([...pending]);
+      return new Map(products);
+    },
+
+    detach() {
+      page.off('response', onResponse);
+    },
+
+    get responses() {
+      return responses;
+    },
+
+    /** Listing totals from the last product payload ({ total_products, total_pages, per_page } or null) */
+    get totals() {
+      return totals;
+    }
+  };
+}
+
+/**
+ * Merge API data into the DOM product cards.
+ * API values win (they are tied to the SKU, DOM values are tied to a guessed container);
+ * API products without a DOM card are added without a gallery container, so they only
+ * get images when the payload had a gallery.
+ *
+ * @param domProducts - Products from extractProductsFromListingPage
+ * @param apiProducts - Map from collector.take()
+ * @returns {Array} Merged products, each with extraction: 'api' | 'dom'
+ */
+function mergeApiProducts(domProducts, apiProducts) {
+  const merged = domProducts.map(product => {
+    const api = apiProducts.get(product.sku);
+    if (!api) return { ...product, extraction: 'dom' };
+
+    // The DOM link and title are authoritative; the rest is tied to the SKU in the payload
+    const { url, title, ...apiFields } = api;
+    return { ...product, ...apiFields, extraction: 'api' };
+  });
+
+  const domSkus = new Set(domProducts.map(product => product.sku));
+  for (const [sku, api] of apiProducts) {
+    if (domSkus.has(sku) || !api.title) continue;
+
+    merged.push({
+      source: 'intercars',
+      scraped_at: new Date().toISOString(),
+      title: api.title,
+      sub_title: null,
+      url: api.url || null,
+      source_url: api.url || null,
+      price: null,
+      currency: currentStorefront().currency,
+      branch_availability: null,
+      quantity: null,
+      brand: null,
+      images: [],
+      description: null,
+      specs: null,
+      ...api,
+      imageContainerIndex: -1,
+      extraction: 'api'
+    });
+  }
+
+  return merged;
+}
+
+module.exports = {
+  readField,
+  parsePrice,
+  findProductList,
+  findPaginationTotals,
+  mapApiProduct,
+  createResponseCollector,
+  mergeApiProducts
+};
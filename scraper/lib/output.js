@@ -0,0 +1,152 @@
+/**
+ * Run Output
+ *
+ * Writes the output file of a run in the layout of config/output-schema.json:
+ *
+ *   { "schema_version": "1.0.0", "run": { run_id, mode, source_urls, started_at, finished_at, counts, ... },
+ *     "products": [...] }
+ *
+ * - Fields that only exist during extraction (imageContainerIndex, gallery, price_text) are dropped
+ * - Every record is validated before it is written; records that fail (no price, no title, a
+ *   malformed currency...) go to <output>.rejects.json with their reasons instead, so nothing is
+ *   imported with made-up values
+ * - readRunOutput also reads the bare product arrays older runs wrote
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { emit } = require('./progress');
+const { loadOutputSchema, validateAgainst } = require('./schema');
+
+// Working fields of the extraction pipeline - never part of the output
+const INTERNAL_FIELDS = ['imageContainerIndex', 'gallery', 'price_text'];
+
+/**
+ * Files written next to an output file
+ *
+ * @param outputFile - Output JSON file
+ * @returns {Object} { rejectsFile }
+ */
+function outputPaths(outputFile) {
+  return { rejectsFile: `${outputFile.replace(/\.json$/, '')}.rejects.json` };
+}
+
+/**
+ * Copy of a record without the extraction-only fields
+ */
+function outputRecord(record) {
+  const copy = { ...record };
+  INTERNAL_FIELDS.forEach(field => delete copy[field]);
+  return copy;
+}
+
+/**
+ * Validate records and split them into the ones to write and the rejects
+ *
+ * @param records - Products or refresh records
+ * @param definition - Schema definition they must match ("product" or "refreshRecord")
+ * @returns {Object} { valid, rejects: [{ index, source_id, title, reasons, record }] }
+ */
+function splitValid(records, definition) {
+  const schema = loadOutputSchema();
+  const valid = [];
+  const rejects = [];
+
+  records.forEach((record, index) => {
+    const clean = outputRecord(record);
+    const reasons = validateAgainst(clean, definition, schema);
+    if (reasons.length === 0) {
+      valid.push(clean);
+    } else {
+      rejects.push({ index, source_id: clean.source_id || clean.sku || null, title: clean.title || null, reasons, record: clean });
+    }
+  });
+
+  return { valid, rejects };
+}
+
+/**
+ * Validate and write a run's records with the run header, and its rejects next to it
+ *
+ * @param outputFile - Output JSON file
+ * @param options - { run, records, definition } run is the header without finished_at and counts
+ *                  (run_id, mode, source_urls, started_at, ...); definition as for splitValid
+ * @returns {Object} { products, rejects, rejectsFile } products as written; rejectsFile is null
+ *                   when nothing was rejected
+ */
+function writeRunOutput(outputFile, { run, records, definition = 'product' }) {
+  const schema = loadOutputSchema();
+  const { valid, rejects } = splitValid(records, definition);
+  const { rejectsFile } = outputPaths(outputFile);
+  const finishedAt = new Date();
+
+  rejects.forEach(reject => {
+    emit('product_rejected', { source_id: reject.source_id, title: reject.title, reasons: reject.reasons });
+  });
+
+  const document = {
+    schema_version: schema.version,
+    run: {
+      ...run,
+      finished_at: finishedAt.toISOString(),
+      duration_ms: Math.max(finishedAt - new Date(run.started_at), 0),
+      counts: {
+        products: valid.length,
+        rejected: rejects.length,
+        with_images: valid.filter(product => Array.isArray(product.images) && product.images.length > 0).length
+      }
+    },
+    products: valid
+  };
+
+  const headerErrors = validateAgainst(document.run, 'run', schema);
+  if (headerErrors.length > 0) {
+    throw new Error(`Run header does not match output schema ${schema.version}: ${headerErrors.join('; ')}`);
+  }
+
+  fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+  fs.writeFileSync(outputFile, JSON.stringify(document, null, 2));
+
+  if (rejects.length > 0) {
+    fs.writeFileSync(rejectsFile, JSON.stringify({
+      schema_version: schema.version,
+      run_id: run.run_id,
+      written_at: document.run.finished_at,
+      rejects
+    }, null, 2));
+  } else if (fs.existsSync(rejectsFile)) {
+    fs.unlinkSync(rejectsFile);
+  }
+
+  return { products: valid, rejects, rejectsFile: rejects.length > 0 ? rejectsFile : null };
+}
+
+/**
+ * Read an output file - the current layout or the bare array of older runs
+ *
+ * @param file - Output JSON file
+ * @returns {Object} { schema_version, run, products } schema_version and run are null for old files
+ */
+function readRunOutput(file) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (Array.isArray(data)) return { schema_version: null, run: null, products: data };
+
+  if (!data || !Array.isArray(data.products) || !data.schema_version) {
+    throw new Error(`${file} is not a scraper output file (no schema_version and products)`);
+  }
+  const major = String(data.schema_version).split('.')[0];
+  if (major !== loadOutputSchema().version.split('.')[0]) {
+    throw new Error(`${file} has output schema ${data.schema_version}, this scraper reads ${loadOutputSchema().version}`);
+  }
+
+  return { schema_version: data.schema_version, run: data.run || null, products: data.products };
+}
+
+module.exports = {
+  INTERNAL_FIELDS,
+  outputPaths,
+  outputRecord,
+  splitValid,
+  writeRunOutput,
+  readRunOutput
+};
@@ -0,0 +1,163 @@
+/**
+ * Listing Pagination
+ *
+ * Lets scrape.js jump straight to any listing page and know how far the listing goes:
+ * - Page URLs: listing pages are the listing path plus /p/N (page 1 has no suffix)
+ * - Totals: product total and page count come from the catalog payload (api.pagination in the
+ *   selector profile), else from the product counter ("1.234 proizvoda") and the pager's
+ *   /p/N links - the same links extract.js skips as product noise
+ * - Planning: how many products a --start-page / --end-page range can give, for
+ *   "X of total" progress instead of only --max
+ */
+
+const { selectorFor } = require('./selectors');
+
+/**
+ * Listing URL for a given page number (pagination pages end in /p/N)
+ *
+ * @param url - Listing URL (any page)
+ * @param pageNumber - 1-based page number
+ * @returns {string} URL of that page
+ */
+function pageUrlFor(url, pageNumber) {
+  const target = new URL(url);
+  if (pageNumber <= 1 && !/\/p\/\d+\/?$/.test(target.pathname)) return url;
+
+  const basePath = target.pathname.replace(/\/p\/\d+\/?$/, '').replace(/\/$/, '');
+  target.pathname = pageNumber > 1 ? `${basePath}/p/${pageNumber}` : basePath;
+  return target.href;
+}
+
+/**
+ * Page number of a listing URL (1 when it has no /p/N)
+ *
+ * @param url - Listing URL
+ * @returns {number} 1-based page number
+ */
+function pageNumberOf(url) {
+  const match = new URL(url).pathname.match(/\/p\/(\d+)\/?$/);
+  return match ? parseInt(match[1], 10) : 1;
+}
+
+/**
+ * Listing path without the page suffix - two URLs with the same base are pages of one listing
+ */
+function listingBase(url) {
+  const target = new URL(url);
+  return `${target.origin}${target.pathname.replace(/\/p\/\d+\/?$/, '').replace(/\/$/, '')}`;
+}
+
+/**
+ * Whole number from "1.234", "1 234" or "1,234"
+ */
+function parseCount(text) {
+  const value = parseInt(String(text).replace(/[\s.,\u00a0]/g, ''), 10);
+  return Number.isInteger(value) ? value : null;
+}
+
+/**
+ * Product total from the listing's counter text
+ * "1.234 proizvoda" gives the number before a total word; "1 - 20 od 1.234" the last number.
+ *
+ * @param text - Counter text
+ * @param words - Words that follow the total (labels.productTotal)
+ * @returns {number|null} Total
+ */
+function parseProductTotal(text, words = []) {
+  if (!text) return null;
+  const clean = String(text).replace(/\s+/g, ' ');
+
+  for (const word of words) {
+    const match = clean.match(new RegExp(`(\\d[\\d.,\\s\\u00a0]*)\\s*${word}`, 'i'));
+    if (match) return parseCount(match[1]);
+  }
+
+  const numbers = clean.match(/\d{1,3}(?:[.,\s\u00a0]\d{3})+|\d+/g);
+  return numbers ? parseCount(numbers[numbers.length - 1]) : null;
+}
+
+/**
+ * Read the listing's totals from the current page
+ *
+ * @param page - Playwright page on a listing page
+ * @param profile - Loaded selector profile
+ * @param options - { apiTotals, cards } apiTotals from the response collector, cards is the
+ *                  number of products on this page (the page size when it is not the last page)
+ * @returns {Object} { total_products, total_pages, per_page, source: 'api' | 'dom' | null }
+ */
+async function readListingTotals(page, profile, { apiTotals = null, cards = null } = {}) {
+  const dom = await page.evaluate(({ linkSelector, totalSelector }) => ({
+    links: [...document.querySelectorAll(linkSelector)].map(link => link.href).filter(Boolean),
+    counter: (document.querySelector(totalSelector) || {}).innerText || null
+  }), {
+    linkSelector: selectorFor(profile, 'paginationLink'),
+    totalSelector: selectorFor(profile, 'productTotal')
+  });
+
+  const currentUrl = page.url();
+  const base = listingBase(currentUrl);
+  const linkedPages = dom.links
+    .filter(href => /\/p\/\d+\/?$/.test(new URL(href).pathname) && listingBase(href) === base)
+    .map(pageNumberOf);
+  const current = pageNumberOf(currentUrl);
+  const lastLinked = linkedPages.length > 0 ? Math.max(current, ...linkedPages) : null;
+
+  const api = apiTotals || {};
+  const totals = {
+    total_products: api.total_products != null ? api.total_products : parseProductTotal(dom.counter, profile.labels.productTotal || []),
+    total_pages: api.total_pages != null ? api.total_pages : null,
+    per_page: api.per_page != null ? api.per_page : null,
+    source: apiTotals ? 'api' : null
+  };
+
+  // A page that links to a later one is full, so its card count is the page size
+  if (totals.per_page === null && cards && lastLinked !== null && lastLinked > current) totals.per_page = cards;
+
+  // The pager may only show a window of pages ("1 2 3 ... 57"), so the product total wins
+  if (totals.total_pages === null && totals.total_products !== null && totals.per_page) {
+    totals.total_pages = Math.max(1, Math.ceil(totals.total_products / totals.per_page));
+  }
+  if (totals.total_pages === null) totals.total_pages = lastLinked;
+
+  if (!totals.source && (totals.total_products !== null || totals.total_pages !== null)) totals.source = 'dom';
+  return totals;
+}
+
+/**
+ * How many products a page range of a listing can give
+ *
+ * @param totals - From readListingTotals
+ * @param range - { startPage, endPage, max } endPage null for no end
+ * @returns {Object} { end_page, available, expected } available is null when the totals do not
+ *                   tell; expected is min(max, available)
+ */
+function planRange(totals, { startPage, endPage = null, max }) {
+  const lastPage = totals.total_pages !== null
+    ? (endPage !== null ? Math.min(endPage, totals.total_pages) : totals.total_pages)
+    : endPage;
+
+  let available = null;
+  if (totals.total_products !== null && totals.per_page) {
+    const skipped = (startPage - 1) * totals.per_page;
+    const untilEnd = lastPage !== null ? Math.min(totals.total_products, lastPage * totals.per_page) : totals.total_products;
+    available = Math.max(0, untilEnd - skipped);
+  } else if (totals.total_products !== null && startPage === 1 && endPage === null) {
+    available = totals.total_products;
+  } else if (lastPage !== null && totals.per_page) {
+    available = Math.max(0, lastPage - startPage + 1) * totals.per_page;
+  }
+
+  return {
+    end_page: lastPage,
+    available,
+    expected: available !== null ? Math.min(max, available) : max
+  };
+}
+
+module.exports = {
+  pageUrlFor,
+  pageNumberOf,
+  parseProductTotal,
+  readListingTotals,
+  planRange
+};
@@ -0,0 +1,172 @@
+/**
+ * Ordered Page Pool
+ *
+ * Worker-pool mode of scrape.js (--workers N): N pages of the same logged-in browser context
+ * work on listing pages side by side.
+ * - Tasks (parts of listing pages in scrape.js) are handed out in order to whichever worker is free
+ * - Results are committed strictly in task order, whatever order they finish in, so the
+ *   output is the same as a sequential run
+ * - The commit step decides whether to go on (product limit reached, last page found);
+ *   tasks already running when it stops finish, but their results are dropped
+ * - Commits run one at a time, so they may be async (checkpoints, enrichment)
+ * - A listing page's cards are read once, by the part that loads it; the per-card work is then
+ *   shared out by card key (createPageShares), so the other parts find their cards by SKU in
+ *   their own load of the page whatever order it comes in
+ */
+
+const DEFAULT_WORKERS = 1;
+
+// More tabs than this only gets the account rate-limited
+const MAX_WORKERS = 8;
+
+/**
+ * Open the extra pages of a pool
+ *
+ * @param context - Logged-in browser context
+ * @param first - Page the run already has (worker 0)
+ * @param size - Number of workers
+ * @param setup - (page, index) => worker state, called for every page (e.g. attach a response collector)
+ * @returns {Object} { workers: [{ index, page, ...state }], close() } close() only closes the extra pages
+ */
+async function createPagePool(context, first, size, setup = () => ({})) {
+  const workers = [];
+  for (let index = 0; index < size; index++) {
+    const page = index === 0 ? first : await context.newPage();
+    workers.push({ index, page, ...(await setup(page, index)) });
+  }
+
+  return {
+    workers,
+    async close() {
+      await Promise.all(workers.slice(1).map(worker => worker.page.close().catch(() => {})));
+    }
+  };
+}
+
+/**
+ * Run tasks on a pool and commit their results in task order
+ *
+ * @param workers - Worker states from createPagePool
+ * @param handlers - {
+ *     next()                 next task, null when there is none right now (asked again after the
+ *                            next commit while tasks are running, otherwise the run ends),
+ *     run(worker, task)      async work for one task, returns its result,
+ *     commit(task, result)   async, called in task order; return false to stop
+ *   }
+ * @returns {Object} { committed, stopped } number of committed tasks, and whether commit stopped the run
+ */
+async function runOrdered(workers, { next, run, commit }) {
+  const finished = new Map();
+  let issued = 0;
+  let committed = 0;
+  let stopped = false;
+  let failure = null;
+  let commitChain = Promise.resolve();
+
+  // Workers waiting for a task are woken after every commit
+  let wake = null;
+  let woken = new Promise(resolve => { wake = resolve; });
+  const signal = () => {
+    wake();
+    woken = new Promise(resolve => { wake = resolve; });
+  };
+
+  const flush = async () => {
+    while (!stopped && finished.has(committed)) {
+      const { task, result, error } = finished.get(committed);
+      finished.delete(committed);
+      committed++;
+      try {
+        if (error) throw error;
+        if (await commit(task, result) === false) stopped = true;
+      } catch (e) {
+        failure = e;
+        stopped = true;
+      }
+    }
+    signal();
+  };
+
+  const worker = async state => {
+    while (!stopped) {
+      const task = next();
+      if (task === null) {
+        // Nothing to hand out - wait for a running task to commit, or end
+        if (issued === committed) return;
+        await woken;
+        continue;
+      }
+
+      const sequence = issued++;
+      try {
+        finished.set(sequence, { task, result: await run(state, task) });
+      } catch (error) {
+        finished.set(sequence, { task, error });
+      }
+      commitChain = commitChain.then(flush);
+      await commitChain;
+    }
+  };
+
+  await Promise.all(workers.map(worker));
+  if (failure) throw failure;
+  return { committed, stopped };
+}
+
+/**
+ * Split a page's cards into one fixed share per part, round-robin in card order
+ *
+ * @param items - The page's cards
+ * @param parts - Number of parts
+ * @returns {Array<Array>} shares[part] - the cards that part completes
+ */
+function shareOut(items, parts) {
+  return Array.from({ length: parts }, (_, part) => items.filter((item, position) => position % parts === part));
+}
+
+/**
+ * Shares of the pages a pool is working on
+ * The part that loads a page plans it once from its cards; the page's other parts wait for
+ * that plan and get a fixed share instead of reading the page's cards again.
+ *
+ * @param parts - Number of parts per page
+ * @returns {Object} {
+ *     plan(pageNumber, items)  fix the page's shares (later calls are ignored), returns share 0,
+ *     share(pageNumber, part)  async, the share of a part once the page is planned,
+ *     forget(pageNumber)       drop a committed page
+ *   }
+ */
+function createPageShares(parts) {
+  const pages = new Map();
+  const entry = pageNumber => {
+    if (!pages.has(pageNumber)) {
+      let settle;
+      const shares = new Promise(resolve => { settle = resolve; });
+      pages.set(pageNumber, { shares, settle });
+    }
+    return pages.get(pageNumber);
+  };
+
+  return {
+    plan(pageNumber, items) {
+      const shares = shareOut(items, parts);
+      entry(pageNumber).settle(shares);
+      return shares[0];
+    },
+    async share(pageNumber, part) {
+      return (await entry(pageNumber).shares)[part];
+    },
+    forget(pageNumber) {
+      pages.delete(pageNumber);
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_WORKERS,
+  MAX_WORKERS,
+  createPagePool,
+  runOrdered,
+  shareOut,
+  createPageShares
+};
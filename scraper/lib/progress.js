@@ -0,0 +1,72 @@
+/**
+ * Progress Event Stream
+ *
+ * Machine-readable progress protocol between scrape.js and the Rails ScraperService.
+ * Every event is a single JSON object on its own stdout line, prefixed with EVENT_PREFIX
+ * so it can be told apart from the human-readable log output:
+ *
+ *   @@SCRAPER_EVENT {"event":"product_extracted","scraped":3,"max_products":10,...}
+ *
+ * Events:
+ * - started            { protocol, url, urls, skus, storefront, currency, max_products, start_page, end_page, existing_ids, image_mode, references, branch_stock, enrich, refresh, workers, resumed }
+ * - login              { status: 'started' | 'reused' | 'logged_in', duration_ms }
+ * - list_started       { list, lists, url, label, max_products }
+ * - list_totals        { list, total_products, total_pages, per_page, source, start_page, end_page, available,
+ *                        expected, planned_total } (once per list; planned_total replaces max_products)
+ * - page_loaded        { page, url, products, extraction: 'api' | 'dom', worker, duration_ms } (worker with --workers > 1)
+ * - product_extracted  { scraped, max_products, list, source_id, title, fast_mode, images, image_source, duration_ms }
+ * - sku_searched       { index, total, code, status: 'found' | 'not_found' | 'multiple', results, candidates, url, duration_ms }
+ *                        (--sku, before the product_extracted of a found code)
+ * - product_refreshed  { refreshed, wanted, list, source_id, price, currency, quantity, duration_ms } (--refresh, instead of product_extracted)
+ * - image_failed       { scraped, source_id, title, error }
+ * - product_enriched   { source_id, status: 'done' | 'failed', fields | error, duration_ms } (--enrich)
+ * - product_rejected   { source_id, title, reasons } (failed the output schema - written to <output>.rejects.json)
+ * - page_done          { page, products, scraped, duration_ms }
+ * - list_done          { list, url, label, scraped, duplicates, duration_ms }
+ * - finished           { count, with_images, file, rejected, rejects_file, duration_ms, timings }
+ *                        (--refresh adds refresh: true, missing: [source_id], missing_file;
+ *                        --sku adds sku_report, not_found: [code], multiple: [code])
+ * - failed             { error, scraped, resumable, timings }
+ *
+ * Every event also carries `at` (ISO timestamp) and `elapsed_ms` since the run started.
+ * timings is the per-phase report of lib/waits.js: [{ phase, count, total_ms, avg_ms, max_ms, timeouts }].
+ */
+
+const EVENT_PREFIX = '@@SCRAPER_EVENT ';
+const PROTOCOL_VERSION = 1;
+
+const runStartedAt = Date.now();
+
+/**
+ * Write one progress event to stdout
+ *
+ * @param event - Event name (see list above)
+ * @param data - Event payload
+ */
+function emit(event, data = {}) {
+  const payload = {
+    event,
+    at: new Date().toISOString(),
+    elapsed_ms: Date.now() - runStartedAt,
+    ...data
+  };
+
+  process.stdout.write(`${EVENT_PREFIX}${JSON.stringify(payload)}\n`);
+}
+
+/**
+ * Start a timer for a phase
+ *
+ * @returns {Function} Call to get the milliseconds elapsed since the timer started
+ */
+function startTimer() {
+  const startedAt = Date.now();
+  return () => Date.now() - startedAt;
+}
+
+module.exports = {
+  EVENT_PREFIX,
+  PROTOCOL_VERSION,
+  emit,
+  startTimer
+};
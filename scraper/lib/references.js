@@ -0,0 +1,145 @@
+/**
+ * Part Numbers and Cross-References
+ *
+ * Structured part numbers for non-tyre products, so listings can be found by OE number:
+ * - oe_numbers: vehicle manufacturer (OE/OEM) numbers - { brand: 'VW', number: '1K0 615 301 AA' }
+ * - article_numbers: the part maker's own article numbers - { brand: 'ATE', number: '24.0125-0150.1' }
+ * - cross_references: equivalent parts of other makers - { brand: 'BREMBO', number: '09.A820.11' }
+ * Every entry also has normalised (upper case, no spaces/dots/dashes/slashes) for searching.
+ *
+ * Raw text comes from the labelled groups of the "Više informacija" section (labels.oeNumbers,
+ * labels.crossReferences, labels.articleNumbers in the selector profile) and from specs with
+ * matching labels. Lines look like "VW: 1K0615301AA, 5Q0615301F", "VW 1K0 615 301 AA",
+ * "BREMBO | 09.A820.11" or just "1K0615301AA".
+ */
+
+// Spec labels (normalised like tyre.js) that hold numbers
+const SPEC_LABELS = {
+  oe_numbers: ['oe broj', 'oe brojevi', 'oe number', 'oem', 'oem broj', 'originalni broj', 'broj originala'],
+  article_numbers: ['broj artikla', 'kataloski broj', 'broj proizvodaca', 'sifra proizvodaca', 'article number'],
+  cross_references: ['zamjenski broj', 'zamjenski brojevi', 'zamjena za', 'usporedni broj', 'cross reference']
+};
+
+// A part number has a digit and is made of letters, digits and separators
+const NUMBER = /^(?=[^\s]*\d)[A-Z0-9][A-Z0-9.\-/ ]*[A-Z0-9]$|^\d$/i;
+
+function normaliseLabel(label) {
+  return String(label)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/g, 'd')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Number for searching - "1K0 615 301 AA" and "1K0-615-301-AA" both become "1K0615301AA"
+ *
+ * @param number - Part number as written
+ * @returns {string} Normalised number
+ */
+function normalisePartNumber(number) {
+  return String(number).toUpperCase().replace(/[\s.\-/]/g, '');
+}
+
+/**
+ * Split one line into brand and numbers
+ *
+ * @param line - "VW: 1K0615301AA, 5Q0615301F", "VW 1K0 615 301 AA", "09.A820.11"
+ * @param defaultBrand - Brand for lines without one
+ * @returns {Array<Object>} [{ brand, number }]
+ */
+function parseLine(line, defaultBrand) {
+  // Tabs separate table cells (brand, number) - keep them
+  const text = line.replace(/[ \u00a0]+/g, ' ').trim();
+  if (!text) return [];
+
+  let brand = null;
+  let numbers = text;
+
+  // "VW: ...", "BREMBO | ...", "VW - ..."
+  const labelled = text.match(/^([^\d:|]{2,30}?)\s*(?::|\||\s-\s|\t)\s*(.+)$/);
+  if (labelled) {
+    brand = labelled[1].trim();
+    numbers = labelled[2];
+  } else {
+    // "VW 1K0 615 301 AA" - leading words without digits are the brand
+    const leading = text.match(/^((?:[A-Za-zÀ-ž&+'-]+\s)+?)(?=\S*\d)(.+)$/);
+    if (leading) {
+      brand = leading[1].trim();
+      numbers = leading[2];
+    }
+  }
+
+  return numbers
+    .split(/\s*[,;]\s*/)
+    .map(number => number.trim())
+    .filter(number => NUMBER.test(number))
+    .map(number => ({ brand: brand ? brand.toUpperCase() : defaultBrand, number }));
+}
+
+/**
+ * Parse raw lines into unique entries
+ *
+ * @param lines - Text lines of one group
+ * @param defaultBrand - Brand for lines without one (null for OE numbers)
+ * @returns {Array<Object>} [{ brand, number, normalised }]
+ */
+function parseNumberLines(lines, defaultBrand = null) {
+  const entries = [];
+
+  (lines || []).flatMap(line => String(line).split(/\n/)).forEach(line => {
+    parseLine(line, defaultBrand).forEach(({ brand, number }) => {
+      const normalised = normalisePartNumber(number);
+      const same = entries.filter(entry => entry.normalised === normalised);
+      // A number without a brand adds nothing to the same number with one
+      if (same.some(entry => entry.brand === brand || !brand)) return;
+      const unbranded = same.find(entry => !entry.brand);
+      if (unbranded) {
+        unbranded.brand = brand;
+        return;
+      }
+      entries.push({ brand, number, normalised });
+    });
+  });
+
+  return entries;
+}
+
+/**
+ * Spec values whose label is one of the given (normalised) labels
+ */
+function specLines(specs, labels) {
+  if (!specs) return [];
+  return Object.entries(specs)
+    .filter(([label]) => labels.includes(normaliseLabel(label)))
+    .map(([, value]) => String(value));
+}
+
+/**
+ * Build the structured part numbers of a product
+ *
+ * @param input - { groups: { oe_numbers, article_numbers, cross_references } raw lines from the
+ *                page, specs, brand } (all optional)
+ * @returns {Object} { oe_numbers, article_numbers, cross_references } arrays (empty when nothing found)
+ */
+function extractPartNumbers({ groups = {}, specs = null, brand = null } = {}) {
+  const lines = field => [...(groups[field] || []), ...specLines(specs, SPEC_LABELS[field])];
+
+  const articleNumbers = parseNumberLines(lines('article_numbers'), brand ? brand.toUpperCase() : null);
+  const articleKeys = new Set(articleNumbers.map(entry => entry.normalised));
+
+  return {
+    oe_numbers: parseNumberLines(lines('oe_numbers')),
+    article_numbers: articleNumbers,
+    // The product's own number is not a cross-reference to itself
+    cross_references: parseNumberLines(lines('cross_references')).filter(entry => !articleKeys.has(entry.normalised))
+  };
+}
+
+module.exports = {
+  normalisePartNumber,
+  parseNumberLines,
+  extractPartNumbers
+};
@@ -0,0 +1,209 @@
+/**
+ * Price and Stock Refresh
+ *
+ * Lightweight pass over listings for SKUs that are already imported (scrape.js --refresh):
+ * - Only source_id, price, currency, quantity (with its range) and branch availability are kept
+ * - No images, no technical descriptions, no detail pages; the lazy-load scroll is skipped when
+ *   the catalog API already carries the prices
+ * - Pages are opened directly by their /p/N URL and the pass stops as soon as every requested
+ *   SKU has been seen, instead of walking the whole listing
+ * - SKUs that were not found on any listing are reported, so they can be checked or delisted
+ */
+
+const { emit, startTimer } = require('./progress');
+const { log } = require('./logger');
+const { pageUrlFor, pageNumberOf, readListingTotals } = require('./pagination');
+const { SELECTORS, waitForListingPage, extractListingPage, addBranchStock } = require('./extract');
+const { timed, waitForCondition, waitLimit } = require('./waits');
+
+/**
+ * Refresh record of one product card - the fields a price and stock update needs
+ *
+ * @param product - Product from extractListingPage
+ * @param list - { url, label } batch entry the card was found on
+ * @returns {Object} { source_id, sku, title, price, currency, quantity, quantity_min, quantity_max,
+ *                   quantity_at_least, branch_availability, branch_stock, listing_url, scraped_at, refresh }
+ */
+function refreshRecord(product, list) {
+  return {
+    source_id: product.source_id || product.sku,
+    sku: product.sku || null,
+    title: product.title || null,
+    price: product.price !== undefined ? product.price : null,
+    currency: product.currency || null,
+    quantity: product.quantity !== undefined ? product.quantity : null,
+    quantity_min: product.quantity_min !== undefined ? product.quantity_min : null,
+    quantity_max: product.quantity_max !== undefined ? product.quantity_max : null,
+    quantity_at_least: !!product.quantity_at_least,
+    branch_availability: product.branch_availability || null,
+    branch_stock: Array.isArray(product.branch_stock) ? product.branch_stock : null,
+    listing_url: list.url,
+    scraped_at: new Date().toISOString(),
+    refresh: true
+  };
+}
+
+/**
+ * Requested SKUs that no listing showed
+ *
+ * @param wanted - Set of requested source_ids
+ * @param found - Map of source_id to refresh record
+ * @returns {Array<string>} Missing source_ids, in the order they were requested
+ */
+function missingIds(wanted, found) {
+  return [...wanted].filter(id => !found.has(id));
+}
+
+/**
+ * Open one listing page by URL and wait for its products
+ *
+ * @param page - Logged-in Playwright page
+ * @param url - Listing page URL
+ * @param collector - API response collector (null for DOM-only extraction)
+ */
+async function openListingPage(page, url, collector) {
+  if (collector) collector.reset();
+  await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+
+  if (!await waitForCondition(page, 'cloudflare', () => !document.title.includes('Just a moment'))) {
+    log(`   ⚠️  Still seeing "Just a moment..." after ${waitLimit('cloudflare')}ms - Cloudflare may be blocking us`);
+  }
+
+  await timed('page_render', () => waitForListingPage(page, { collector, quick: true }));
+}
+
+/**
+ * Walk one listing page by page and refresh the requested SKUs on it
+ * Stops at the last page, at endPage, or as soon as every requested SKU has been found
+ * (on this or an earlier list). The list's max does not apply. Without listing totals it also
+ * stops when the catalog redirects past the last page or a page shows no card it has not
+ * shown before, so a delisted SKU cannot keep the pass going.
+ *
+ * @param page - Logged-in Playwright page
+ * @param list - { url, label } batch entry
+ * @param state - { listIndex, listCount, startPage, endPage, wanted, found, collector, branchStock }
+ *                wanted is the Set of requested source_ids; found (Map of source_id to record)
+ *                is shared across lists and filled in; branchStock also reads the stock popover
+ * @returns {Object} { refreshed, pages }
+ */
+async function refreshListing(page, list, state) {
+  const { listIndex, listCount, startPage, endPage, wanted, found, collector, branchStock } = state;
+  const listTimer = startTimer();
+  let refreshed = 0;
+  let pages = 0;
+  // Every card seen on this list - a page of only seen cards is the last page served again
+  const seenCards = new Set();
+
+  console.log(`🔄 Refreshing list ${listIndex + 1}/${listCount}${list.label ? `: ${list.label}` : ''} - ${wanted.size - found.size} SKUs still to find`);
+  console.log(`   Target URL: ${list.url}`);
+  emit('list_started', {
+    list: listIndex + 1,
+    lists: listCount,
+    url: list.url,
+    label: list.label,
+    max_products: wanted.size - found.size
+  });
+
+  let lastPage = endPage;
+  for (let pageNumber = startPage; found.size < wanted.size; pageNumber++) {
+    if (lastPage !== null && pageNumber > lastPage) {
+      log(`   ✓ Reached ${lastPage === endPage ? `end page ${endPage}` : 'the last page'}`);
+      break;
+    }
+
+    console.log(`\n   📖 Page ${pageNumber}${lastPage !== null ? ` of ${lastPage}` : ''}`);
+    const pageTimer = startTimer();
+    const url = pageUrlFor(list.url, pageNumber);
+
+    await openListingPage(page, url, collector);
+
+    // Past the last page the catalog sends us back to an earlier one
+    if (pageNumber > 1 && pageNumberOf(page.url()) !== pageNumber) {
+      log(`   ✓ Redirected to ${page.url()} - past the last page`);
+      break;
+    }
+
+    const { products: cards, extraction } = await timed('listing_extraction', () => extractListingPage(page, { collector, light: true }));
+    pages++;
+    emit('page_loaded', {
+      page: pageNumber,
+      url,
+      products: cards.length,
+      extraction,
+      duration_ms: pageTimer()
+    });
+
+    if (cards.length === 0) {
+      log('   ⚠️  No products on this page - stopping this list');
+      break;
+    }
+
+    const newCards = cards.filter(card => !seenCards.has(card.source_id || card.sku));
+    if (newCards.length === 0) {
+      log('   ✓ No products that earlier pages did not show - past the last page');
+      break;
+    }
+    newCards.forEach(card => seenCards.add(card.source_id || card.sku));
+
+    if (pageNumber === startPage) {
+      const totals = await readListingTotals(page, SELECTORS, { apiTotals: collector ? collector.totals : null, cards: cards.length });
+      if (totals.total_pages !== null) {
+        lastPage = endPage !== null ? Math.min(endPage, totals.total_pages) : totals.total_pages;
+        log(`   📚 Listing has ${totals.total_pages} pages${totals.total_products !== null ? ` (${totals.total_products} products)` : ''}`);
+      }
+    }
+
+    const matches = cards.filter(card => {
+      const sourceId = card.source_id || card.sku;
+      return wanted.has(sourceId) && !found.has(sourceId);
+    });
+
+    for (const card of matches) {
+      const cardTimer = startTimer();
+      if (branchStock) await timed('branch_stock', () => addBranchStock(page, card));
+
+      const record = refreshRecord(card, list);
+      found.set(record.source_id, record);
+      refreshed++;
+
+      emit('product_refreshed', {
+        refreshed: found.size,
+        wanted: wanted.size,
+        list: listIndex + 1,
+        source_id: record.source_id,
+        price: record.price,
+        currency: record.currency,
+        quantity: record.quantity,
+        duration_ms: cardTimer()
+      });
+    }
+
+    log(`   ✓ ${matches.length} of ${cards.length} products on this page requested (found ${found.size}/${wanted.size})`);
+    emit('page_done', {
+      page: pageNumber,
+      products: matches.length,
+      scraped: found.size,
+      duration_ms: pageTimer()
+    });
+  }
+
+  if (found.size >= wanted.size) log('   ✓ All requested SKUs found - stopping early');
+
+  log(`   ✓ List ${listIndex + 1}/${listCount} done: ${refreshed} SKUs refreshed on ${pages} pages`);
+  emit('list_done', {
+    list: listIndex + 1,
+    url: list.url,
+    label: list.label,
+    scraped: refreshed,
+    duplicates: 0,
+    duration_ms: listTimer()
+  });
+
+  return { refreshed, pages };
+}
+
+module.exports = {
+  refreshRecord,
+  missingIds,
+  refreshListing
+};
@@ -0,0 +1,177 @@
+/**
+ * Output Schema
+ *
+ * Loads the versioned JSON Schema of the scraper output (config/output-schema.json) and checks
+ * records against it before they are written (lib/output.js). The schema is the contract with
+ * ScraperService.import_from_json.
+ *
+ * The validator covers the JSON Schema keywords the output schema uses - type, enum, const,
+ * required, properties, additionalProperties, items, minimum, exclusiveMinimum, minLength,
+ * pattern, format (date-time), allOf, anyOf, local $ref (#/$defs/...) and false for fields that
+ * must not appear. Other keywords are ignored, so keep the schema to this set.
+ *
+ * Set OUTPUT_SCHEMA to point at a different schema file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_SCHEMA = path.join(__dirname, '..', 'config', 'output-schema.json');
+
+const cache = new Map();
+
+/**
+ * Load the output schema (cached per file)
+ *
+ * @param file - Path to the schema JSON (defaults to OUTPUT_SCHEMA or config/output-schema.json)
+ * @returns {Object} The schema, with version and file
+ */
+function loadOutputSchema(file = process.env.OUTPUT_SCHEMA || DEFAULT_SCHEMA) {
+  const schemaPath = path.resolve(file);
+  if (cache.has(schemaPath)) return cache.get(schemaPath);
+
+  let schema;
+  try {
+    schema = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+  } catch (e) {
+    throw new Error(`Cannot read output schema ${schemaPath}: ${e.message}`);
+  }
+
+  if (!/^\d+\.\d+\.\d+$/.test(schema.version || '')) {
+    throw new Error(`Output schema ${schemaPath} has no version (expected MAJOR.MINOR.PATCH)`);
+  }
+
+  const loaded = { ...schema, file: schemaPath };
+  cache.set(schemaPath, loaded);
+  return loaded;
+}
+
+/**
+ * JSON Schema type of a value ("integer" also counts as "number")
+ */
+function typeMatches(value, type) {
+  switch (type) {
+    case 'null': return value === null;
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    default: return typeof value === type;
+  }
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#/')) throw new Error(`Only local $ref is supported, got "${ref}"`);
+
+  const target = ref.slice(2).split('/').reduce((node, key) => (node ? node[key] : undefined), root);
+  if (target === undefined) throw new Error(`Unresolved $ref "${ref}"`);
+  return target;
+}
+
+/**
+ * Check a value against a (sub)schema and collect the reasons it fails
+ *
+ * @param value - Value to check
+ * @param schema - Schema node (object or boolean)
+ * @param root - Whole schema, for $ref
+ * @param at - Path of the value, used in the reasons ("price", "branch_stock[0].branch")
+ * @param errors - Reasons found so far (appended to)
+ * @returns {Array<string>} errors
+ */
+function check(value, schema, root, at, errors) {
+  const where = at || 'record';
+
+  if (schema === true) return errors;
+  if (schema === false) {
+    errors.push(`${where}: is not allowed`);
+    return errors;
+  }
+
+  if (schema.$ref) check(value, resolveRef(root, schema.$ref), root, at, errors);
+  (schema.allOf || []).forEach(part => check(value, part, root, at, errors));
+
+  if (schema.anyOf && !schema.anyOf.some(part => check(value, part, root, at, []).length === 0)) {
+    // Reasons of the closest alternative are the useful ones
+    const attempts = schema.anyOf.map(part => check(value, part, root, at, []));
+    errors.push(...attempts.reduce((best, attempt) => (attempt.length < best.length ? attempt : best)));
+  }
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => typeMatches(value, type))) {
+      errors.push(`${where}: must be ${types.join(' or ')}, got ${value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value}`);
+      return errors;
+    }
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push(`${where}: must be ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${where}: must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}, got ${JSON.stringify(value)}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${where}: must be at least ${schema.minimum}, got ${value}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push(`${where}: must be greater than ${schema.exclusiveMinimum}, got ${value}`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${where}: must not be empty`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${where}: must match ${schema.pattern}, got ${JSON.stringify(value)}`);
+    }
+    if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+      errors.push(`${where}: must be a date-time, got ${JSON.stringify(value)}`);
+    }
+  }
+
+  if (Array.isArray(value) && schema.items !== undefined) {
+    value.forEach((item, index) => check(item, schema.items, root, `${where}[${index}]`, errors));
+  }
+
+  if (typeMatches(value, 'object')) {
+    const field = key => (at ? `${at}.${key}` : key);
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push(`${field(key)}: is required`);
+    });
+
+    const properties = schema.properties || {};
+    Object.entries(value).forEach(([key, item]) => {
+      if (item === undefined) return;
+      if (properties[key] !== undefined) {
+        check(item, properties[key], root, field(key), errors);
+      } else if (schema.additionalProperties !== undefined) {
+        check(item, schema.additionalProperties, root, field(key), errors);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Reasons a value does not match a definition of the output schema
+ *
+ * @param value - Record to check
+ * @param definition - Name under $defs ("product", "refreshRecord", "run")
+ * @param schema - Loaded output schema (default: loadOutputSchema())
+ * @returns {Array<string>} Reasons; empty when the value is valid
+ */
+function validateAgainst(value, definition, schema = loadOutputSchema()) {
+  const node = schema.$defs && schema.$defs[definition];
+  if (!node) throw new Error(`Output schema ${schema.version} has no "${definition}" definition`);
+
+  return check(value, node, schema, '', []);
+}
+
+module.exports = {
+  loadOutputSchema,
+  validateAgainst
+};
@@ -0,0 +1,99 @@
+/**
+ * Article Code Search
+ *
+ * Looks up Intercars article codes (the cards' data-towkod values) through the site search
+ * instead of crawling a listing (scrape.js --sku / --sku-file):
+ * - Each code opens /<language>/search?q=<code>:default (lib/urls.js buildSearchUrl)
+ * - The results page is read like a listing page, so a match gets the same product record
+ *   (images and technical description are completed by scrape.js as usual)
+ * - Only a card whose code equals the searched code counts - the search also returns
+ *   products that merely mention it (cross-references, similar codes)
+ *
+ * Each code ends up as 'found', 'not_found' (no card with that code; candidates lists what the
+ * search returned instead) or 'multiple' (several cards with that code - none is picked).
+ */
+
+const { log } = require('./logger');
+const { buildSearchUrl } = require('./urls');
+const { waitForListingPage, extractListingPage } = require('./extract');
+const { timed, waitForCondition, waitLimit } = require('./waits');
+
+// Codes of other results listed for a code that was not found
+const MAX_CANDIDATES = 10;
+
+/**
+ * Article code for comparing - case and spaces do not matter ("1k0 615 301aa" -> "1K0615301AA")
+ */
+function normaliseCode(code) {
+  return String(code === null || code === undefined ? '' : code).replace(/\s+/g, '').toUpperCase();
+}
+
+/**
+ * Distinct codes of a list, in their first order
+ *
+ * @param codes - Article codes as given
+ * @returns {Array<string>} Normalised codes without duplicates or blanks
+ */
+function uniqueCodes(codes) {
+  return [...new Set(codes.map(normaliseCode).filter(Boolean))];
+}
+
+/**
+ * Match the cards of a search results page against the searched code
+ *
+ * @param code - Searched article code
+ * @param cards - Products from extractListingPage
+ * @returns {Object} { status: 'found' | 'not_found' | 'multiple', product, candidates }
+ *                   product is the matching card when found; candidates are the codes of the
+ *                   other results (not_found) or of the matching cards (multiple)
+ */
+function matchSearchResults(code, cards) {
+  const wanted = normaliseCode(code);
+  const codeOf = card => normaliseCode(card.sku || card.source_id);
+  const exact = cards.filter(card => codeOf(card) === wanted);
+
+  if (exact.length === 1) return { status: 'found', product: exact[0], candidates: [] };
+  if (exact.length > 1) {
+    return { status: 'multiple', product: null, candidates: exact.map(card => card.source_id || card.sku) };
+  }
+
+  return {
+    status: 'not_found',
+    product: null,
+    candidates: [...new Set(cards.map(codeOf).filter(Boolean))].slice(0, MAX_CANDIDATES)
+  };
+}
+
+/**
+ * Search the catalog for one article code and read the results page
+ * The page stays on the results, so a found card can be completed there (processProductCard).
+ *
+ * @param page - Logged-in Playwright page
+ * @param code - Article code
+ * @param options - { storefront, collector } storefront is the active storefront profile;
+ *                  collector is the API response collector (null for DOM-only extraction)
+ * @returns {Object} { code, url, results, extraction, status, product, candidates }
+ */
+async function searchCode(page, code, { storefront, collector = null }) {
+  const url = buildSearchUrl({ storefront: storefront.code, language: storefront.language, text: code });
+
+  if (collector) collector.reset();
+  await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+  if (!await waitForCondition(page, 'cloudflare', () => !document.title.includes('Just a moment'))) {
+    log(`   ⚠️  Still seeing "Just a moment..." after ${waitLimit('cloudflare')}ms - Cloudflare may be blocking us`);
+  }
+
+  const hasProducts = await timed('page_render', () => waitForListingPage(page, { collector }));
+  const { products: cards, extraction } = hasProducts
+    ? await timed('listing_extraction', () => extractListingPage(page, { collector }))
+    : { products: [], extraction: null };
+
+  return { code, url, results: cards.length, extraction, ...matchSearchResults(code, cards) };
+}
+
+module.exports = {
+  normaliseCode,
+  uniqueCodes,
+  matchSearchResults,
+  searchCode
+};
@@ -0,0 +1,123 @@
+/**
+ * Selector Profile
+ *
+ * Loads the versioned Intercars DOM selector profile (config/selectors.json) that every
+ * script uses instead of hard-coded selectors. Each field holds a list of fallbacks in
+ * priority order, so a UI change on Intercars means editing one JSON file.
+ * The optional "api" section maps the catalog's JSON responses (see lib/network.js).
+ *
+ * Set SELECTOR_PROFILE to point at a different profile file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PROFILE = path.join(__dirname, '..', 'config', 'selectors.json');
+
+const cache = new Map();
+
+/**
+ * Load and validate a selector profile (cached per file)
+ *
+ * @param file - Path to the profile JSON (defaults to SELECTOR_PROFILE or config/selectors.json)
+ * @returns {Object} { version, selectors, attributes, labels, api, file }
+ */
+function loadSelectorProfile(file = process.env.SELECTOR_PROFILE || DEFAULT_PROFILE) {
+  const profilePath = path.resolve(file);
+  if (cache.has(profilePath)) return cache.get(profilePath);
+
+  let profile;
+  try {
+    profile = JSON.parse(fs.readFileSync(profilePath, 'utf8'));
+  } catch (e) {
+    throw new Error(`Cannot read selector profile ${profilePath}: ${e.message}`);
+  }
+
+  if (!profile.version) {
+    throw new Error(`Selector profile ${profilePath} has no version`);
+  }
+
+  for (const [field, fallbacks] of Object.entries(profile.selectors || {})) {
+    if (!Array.isArray(fallbacks) || fallbacks.length === 0 || fallbacks.some(s => typeof s !== 'string')) {
+      throw new Error(`Selector profile ${profilePath}: "${field}" must be a non-empty list of selectors`);
+    }
+  }
+
+  for (const [field, paths] of Object.entries((profile.api && profile.api.fields) || {})) {
+    if (!Array.isArray(paths) || paths.length === 0) {
+      throw new Error(`Selector profile ${profilePath}: api field "${field}" must be a non-empty list of paths`);
+    }
+  }
+
+  for (const [field, paths] of Object.entries((profile.api && profile.api.pagination) || {})) {
+    if (!Array.isArray(paths) || paths.length === 0) {
+      throw new Error(`Selector profile ${profilePath}: api pagination "${field}" must be a non-empty list of paths`);
+    }
+  }
+
+  const loaded = {
+    version: profile.version,
+    selectors: profile.selectors || {},
+    attributes: profile.attributes || {},
+    labels: profile.labels || {},
+    api: profile.api || null,
+    file: profilePath
+  };
+
+  cache.set(profilePath, loaded);
+  return loaded;
+}
+
+/**
+ * Fallback list for a field
+ *
+ * @param profile - Loaded selector profile
+ * @param field - Field name (e.g. 'productLink')
+ * @returns {string[]} Selectors in priority order
+ */
+function fallbacksFor(profile, field) {
+  const fallbacks = profile.selectors[field];
+  if (!fallbacks) {
+    throw new Error(`Selector profile ${profile.version} has no "${field}" selector`);
+  }
+  return fallbacks;
+}
+
+/**
+ * All fallbacks for a field joined into one CSS selector list.
+ * Matches any fallback - use when every alternative identifies the same element.
+ *
+ * @param profile - Loaded selector profile
+ * @param field - Field name
+ * @returns {string} Comma-separated selector
+ */
+function selectorFor(profile, field) {
+  return fallbacksFor(profile, field).join(', ');
+}
+
+/**
+ * Pick the first fallback that matches something on the page
+ *
+ * @param page - Playwright page (or locator to search within)
+ * @param profile - Loaded selector profile
+ * @param field - Field name
+ * @returns {string} Matching selector, or the primary selector when none match
+ */
+async function resolveSelector(page, profile, field) {
+  const fallbacks = fallbacksFor(profile, field);
+
+  for (const selector of fallbacks) {
+    const count = await page.locator(selector).count().catch(() => 0);
+    if (count > 0) return selector;
+  }
+
+  return fallbacks[0];
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  loadSelectorProfile,
+  fallbacksFor,
+  selectorFor,
+  resolveSelector
+};
@@ -0,0 +1,208 @@
+/**
+ * Intercars Session Helpers
+ *
+ * Shared login/session handling for the Playwright scripts
+ * - Creates browser contexts with the same fingerprint everywhere
+ * - Restores a persisted Playwright storage state (cookies + localStorage)
+ * - Verifies the restored session is still logged in
+ * - Falls back to the two-step SSO login only when the session has expired
+ * - Writes the refreshed storage state back to disk
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadSelectorProfile, selectorFor } = require('./selectors');
+const { waitForCondition, waitForNetworkIdle, waitForUrl } = require('./waits');
+
+const SITE_URL = 'https://ba.e-cat.intercars.eu/bs/';
+const SESSION_DIR = path.join(__dirname, '..', 'data', 'sessions');
+
+const CONTEXT_OPTIONS = {
+  userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
+  viewport: { width: 1920, height: 1080 },
+  locale: 'en-US',
+  timezoneId: 'America/New_York',
+  permissions: ['geolocation']
+};
+
+/**
+ * Path of the storage state file for an Intercars account.
+ * One file per username so shops with different accounts never share a session.
+ * ScraperService.session_file applies the same rule - keep the two in step
+ * (test/fixtures/session-files.json is checked on both sides).
+ *
+ * @param username - Intercars username/email
+ * @returns {string} Absolute path to the session file
+ */
+function sessionFile(username) {
+  // Lower case, runs of other characters as "_", no "_" at the ends; blank names share "default"
+  const slug = String(username === null || username === undefined ? '' : username)
+    .toLowerCase()
+    .replace(/[^a-z0-9._-]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+  return path.join(SESSION_DIR, `${slug || 'default'}.json`);
+}
+
+/**
+ * Read a saved storage state, ignoring missing or corrupt files
+ *
+ * @param username - Intercars username/email
+ * @returns {Object|null} Playwright storage state or null
+ */
+function loadSession(username) {
+  const file = sessionFile(username);
+  if (!fs.existsSync(file)) return null;
+
+  try {
+    const state = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return Array.isArray(state.cookies) ? state : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Create a browser context, restoring the saved session when one exists
+ *
+ * @param browser - Playwright browser
+ * @param username - Intercars username/email (selects the session file)
+ * @param contextOptions - Extra Playwright context options (e.g. recordHar)
+ * @returns {Object} { context, restored }
+ */
+async function createSessionContext(browser, username, contextOptions = {}) {
+  const storageState = loadSession(username);
+  const context = await browser.newContext({
+    ...CONTEXT_OPTIONS,
+    ...contextOptions,
+    ...(storageState ? { storageState } : {})
+  });
+
+  return { context, restored: !!storageState };
+}
+
+/**
+ * Persist the context's current storage state for the next run
+ *
+ * @param context - Playwright browser context
+ * @param username - Intercars username/email
+ * @returns {string} Path the session was written to
+ */
+async function saveSession(context, username) {
+  const file = sessionFile(username);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  await context.storageState({ path: file });
+  return file;
+}
+
+function isLoginUrl(url) {
+  return url.includes('account.intercars.eu') && url.includes('login');
+}
+
+function isLoginPage(page) {
+  return isLoginUrl(page.url());
+}
+
+/**
+ * Two-step SSO login (email first, then password)
+ *
+ * @param page - Playwright page currently showing the SSO login page
+ * @param username - Intercars username/email
+ * @param password - Intercars password
+ * @param log - Logging function
+ */
+async function loginWithSso(page, username, password, log = console.log) {
+  const selectors = loadSelectorProfile();
+  log('   Detected SSO login page - TWO-STEP LOGIN FLOW\n');
+
+  // STEP 1: Enter email/username
+  const emailField = page.locator(selectorFor(selectors, 'loginEmail')).first();
+
+  if (await emailField.count() > 0) {
+    await emailField.fill(username);
+    log(`   ✓ Email entered: ${username}`);
+
+    // Submit email form
+    const continueButton = page.locator(selectorFor(selectors, 'loginContinue')).first();
+    if (await continueButton.count() > 0) {
+      await continueButton.click();
+      log('   ✓ Continue button clicked\n');
+
+      // Step two is ready once the password field is shown
+      await waitForCondition(page, 'login', (passwordSelector) => {
+        const field = document.querySelector(passwordSelector);
+        return !!field && field.offsetParent !== null;
+      }, selectorFor(selectors, 'loginPassword'));
+    }
+  }
+
+  // STEP 2: Enter password
+  const passwordField = page.locator(selectorFor(selectors, 'loginPassword')).first();
+
+  if (await passwordField.count() === 0) {
+    throw new Error('Password field not found - login failed');
+  }
+
+  await passwordField.fill(password);
+  log('   ✓ Password entered');
+
+  // Submit password form
+  const signInButton = page.locator(selectorFor(selectors, 'loginSubmit')).first();
+  if (await signInButton.count() > 0) {
+    await signInButton.click();
+    log('   ✓ Sign in button clicked\n');
+
+    // Wait for the redirect back to the catalog, then for it to finish loading
+    await waitForUrl(page, 'login', url => !isLoginUrl(url.href));
+    await waitForNetworkIdle(page);
+
+    log(`   ✓ After login URL: ${page.url()}\n`);
+  }
+}
+
+/**
+ * Make sure the page is logged in to Intercars.
+ * Opens the catalog; if the restored session still works the SSO flow is skipped,
+ * otherwise it logs in with the credentials and saves the fresh session.
+ *
+ * @param page - Playwright page
+ * @param options - { username, password, log, siteUrl } siteUrl is the storefront's catalog home
+ *                  (default: SITE_URL)
+ * @returns {Object} { reused } - reused is true when the saved session was still valid
+ */
+async function ensureLoggedIn(page, { username, password, log = console.log, siteUrl = SITE_URL }) {
+  await page.goto(siteUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
+  // An expired session is redirected to SSO by script, so let the page settle first
+  await waitForNetworkIdle(page);
+
+  log(`   Initial URL: ${page.url()}`);
+
+  if (!isLoginPage(page)) {
+    log('   ✓ Saved session is still valid - skipping SSO login\n');
+    await saveSession(page.context(), username);
+    return { reused: true };
+  }
+
+  await loginWithSso(page, username, password, log);
+
+  if (isLoginPage(page)) {
+    throw new Error('Login failed - still on SSO login page');
+  }
+
+  const file = await saveSession(page.context(), username);
+  log(`   💾 Session saved to: ${path.relative(path.join(__dirname, '..'), file)}\n`);
+
+  return { reused: false };
+}
+
+module.exports = {
+  SITE_URL,
+  SESSION_DIR,
+  CONTEXT_OPTIONS,
+  sessionFile,
+  loadSession,
+  createSessionContext,
+  saveSession,
+  isLoginPage,
+  loginWithSso,
+  ensureLoggedIn
+};
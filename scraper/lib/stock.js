@@ -0,0 +1,179 @@
+/**
+ * Stock Quantities and Branch Availability
+ *
+ * The catalog shows stock as text: "5", ">10", "10+", "1-5", "<5", "Nema" or "Dostupno".
+ * Each text becomes a range so listing decisions can compare numbers:
+ * - quantity_min / quantity_max: the smallest and largest possible quantity (max null when open)
+ * - quantity_at_least: true when the catalog only says "at least quantity_min" (">10" -> 11)
+ * The raw text stays in quantity.
+ *
+ * The card shows one branch. The per-branch breakdown ({ branch, quantity, delivery_estimate })
+ * comes from the catalog API when its records carry a branch list (api.fields.branchStock), or
+ * from the card's stock popover with --branch-stock (stockBreakdown* selectors).
+ *
+ * Words for "none", "available", "more than", "at least" and "up to" are labels of the selector
+ * profile (stockNone, stockAvailable, stockMoreThan, stockAtLeast, stockUpTo), so storefronts
+ * can add their own.
+ */
+
+const { loadSelectorProfile } = require('./selectors');
+const { parseLocaleNumber } = require('./storefront');
+
+const UNKNOWN = { quantity_min: null, quantity_max: null, quantity_at_least: false };
+
+function normaliseText(text) {
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/g, 'd')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function labelList(labels, key) {
+  const value = labels[key];
+  return (Array.isArray(value) ? value : value ? [value] : []).map(normaliseText);
+}
+
+// "do 5" starts with the word "do", "dostupno" does not
+function startsWithWord(text, word) {
+  return text.startsWith(word) && !/[a-z]/.test(text.charAt(word.length));
+}
+
+/**
+ * Whole number from a quantity text ("1.000" -> 1000, "12 kom" -> 12)
+ */
+function toCount(text) {
+  const value = parseLocaleNumber(text);
+  return value === null ? null : Math.floor(Math.abs(value));
+}
+
+/**
+ * Quantity range of a stock text
+ *
+ * @param text - Stock as shown (">10", "10+", "1-5", "<5", "5 kom", "Nema", "Dostupno") or a number
+ * @param labels - Selector profile labels (default: the loaded profile's)
+ * @returns {Object} { quantity_min, quantity_max, quantity_at_least } - all null/false when unknown
+ */
+function parseQuantity(text, labels = loadSelectorProfile().labels) {
+  if (typeof text === 'number') {
+    return Number.isFinite(text) && text >= 0
+      ? { quantity_min: Math.floor(text), quantity_max: Math.floor(text), quantity_at_least: false }
+      : { ...UNKNOWN };
+  }
+  if (text === null || text === undefined) return { ...UNKNOWN };
+
+  const clean = normaliseText(text);
+  if (!clean) return { ...UNKNOWN };
+
+  const startsWithAny = key => labelList(labels, key).some(word => startsWithWord(clean, word));
+  const hasDigit = /\d/.test(clean);
+
+  if (!hasDigit) {
+    if (startsWithAny('stockNone')) return { quantity_min: 0, quantity_max: 0, quantity_at_least: false };
+    if (startsWithAny('stockAvailable')) return { quantity_min: 1, quantity_max: null, quantity_at_least: true };
+    return { ...UNKNOWN };
+  }
+
+  const range = clean.match(/^(\d[\d.,\s]*?)\s*[-\u2013]\s*(\d[\d.,\s]*)/);
+  if (range) {
+    return { quantity_min: toCount(range[1]), quantity_max: toCount(range[2]), quantity_at_least: false };
+  }
+
+  const number = clean.match(/\d[\d.,]*(?:\s\d{3})*/);
+  const count = toCount(number[0]);
+  if (count === null) return { ...UNKNOWN };
+
+  const before = clean.slice(0, number.index).trim();
+  const after = clean.slice(number.index + number[0].length).trim();
+
+  // "10+", ">=10", "min. 10" - at least the number itself
+  if (after.startsWith('+') || /^(?:>=|\u2265)/.test(before) || startsWithAny('stockAtLeast')) {
+    return { quantity_min: count, quantity_max: null, quantity_at_least: true };
+  }
+  // ">10", "više od 10" - more than the number
+  if (before.startsWith('>') || startsWithAny('stockMoreThan')) {
+    return { quantity_min: count + 1, quantity_max: null, quantity_at_least: true };
+  }
+  // "<5" - in stock, fewer than the number; "do 5", "<=5" - up to the number
+  if (/^(?:<=|\u2264)/.test(before) || startsWithAny('stockUpTo')) {
+    return { quantity_min: count > 0 ? 1 : 0, quantity_max: count, quantity_at_least: false };
+  }
+  if (before.startsWith('<')) {
+    return { quantity_min: count > 1 ? 1 : 0, quantity_max: Math.max(count - 1, 0), quantity_at_least: false };
+  }
+
+  return { quantity_min: count, quantity_max: count, quantity_at_least: false };
+}
+
+/**
+ * One entry of a product's branch_stock list
+ *
+ * @param raw - { branch, quantity, delivery } as read from the API or the stock popover
+ * @param labels - Selector profile labels (default: the loaded profile's)
+ * @returns {Object|null} { branch, quantity, quantity_min, quantity_max, quantity_at_least,
+ *                        delivery_estimate } or null without a branch name
+ */
+function branchStockEntry({ branch, quantity = null, delivery = null }, labels = loadSelectorProfile().labels) {
+  const name = branch === null || branch === undefined ? '' : String(branch).replace(/\s+/g, ' ').trim();
+  if (!name) return null;
+
+  const text = quantity === null || quantity === undefined ? null : String(quantity).trim() || null;
+  const estimate = delivery === null || delivery === undefined ? null : String(delivery).replace(/\s+/g, ' ').trim() || null;
+
+  return {
+    branch: name,
+    quantity: text,
+    ...parseQuantity(quantity, labels),
+    delivery_estimate: estimate
+  };
+}
+
+/**
+ * Branch stock entry from the cell texts of one popover row
+ * The first cell is the branch; the first other cell that reads as a quantity is the
+ * quantity and the next non-empty cell the delivery estimate.
+ *
+ * @param cells - Cell texts of the row (["Sarajevo", ">10", "Odmah"])
+ * @param labels - Selector profile labels (default: the loaded profile's)
+ * @returns {Object|null} Entry as from branchStockEntry, or null for header/empty rows
+ */
+function parseBranchRow(cells, labels = loadSelectorProfile().labels) {
+  const [branch, ...rest] = cells.map(cell => String(cell || '').replace(/\s+/g, ' ').trim()).filter(Boolean);
+  if (!branch) return null;
+
+  const quantityIndex = rest.findIndex(cell => parseQuantity(cell, labels).quantity_min !== null);
+  if (quantityIndex === -1) return null;
+
+  return branchStockEntry({
+    branch,
+    quantity: rest[quantityIndex],
+    delivery: rest.find((cell, index) => index !== quantityIndex) || null
+  }, labels);
+}
+
+/**
+ * Set quantity_min, quantity_max and quantity_at_least of a product from its quantity
+ * With a branch list and no card quantity, the card branch's entry is used.
+ *
+ * @param product - Product with quantity, branch_availability and maybe branch_stock (modified in place)
+ * @returns {Object} The product
+ */
+function normaliseStock(product) {
+  let source = product.quantity;
+  if ((source === null || source === undefined) && Array.isArray(product.branch_stock)) {
+    const entry = product.branch_stock.find(item => item.branch === product.branch_availability);
+    if (entry) source = entry.quantity;
+  }
+
+  Object.assign(product, parseQuantity(source));
+  return product;
+}
+
+module.exports = {
+  parseQuantity,
+  branchStockEntry,
+  parseBranchRow,
+  normaliseStock
+};
@@ -0,0 +1,243 @@
+/**
+ * Country Storefronts
+ *
+ * The Intercars e-catalog runs one storefront per country (ba, hr, rs, si, pl) with the same UI
+ * in another language and currency. A storefront profile (config/storefronts.json) holds what
+ * differs:
+ * - Host and language path: https://<code>.e-cat.intercars.eu/<language>/
+ * - Currency, the symbols shown next to prices and the number format ("1.234,56", "1 234,56")
+ * - UI texts, merged into the selector profile's labels ("Više informacija" -> "Więcej informacji")
+ *
+ * One storefront is active per run: scripts call useStorefront() once before scraping, like
+ * configureWaits(). Until then the default storefront (ba) applies.
+ *
+ * Set STOREFRONTS to point at a different storefront file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadSelectorProfile } = require('./selectors');
+const { parseCatalogUrl, CatalogUrlError } = require('./urls');
+
+const DEFAULT_STOREFRONTS = path.join(__dirname, '..', 'config', 'storefronts.json');
+
+const cache = new Map();
+
+// Selector profile labels and moreInfoButton as loaded, before any storefront was applied
+const baseProfiles = new WeakMap();
+
+let active = null;
+
+/**
+ * Load and validate the storefront file (cached per file)
+ *
+ * @param file - Path to the storefront JSON (defaults to STOREFRONTS or config/storefronts.json)
+ * @returns {Object} { version, default, storefronts: { code: storefront }, file }
+ */
+function loadStorefronts(file = process.env.STOREFRONTS || DEFAULT_STOREFRONTS) {
+  const dataPath = path.resolve(file);
+  if (cache.has(dataPath)) return cache.get(dataPath);
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+  } catch (e) {
+    throw new Error(`Cannot read storefronts ${dataPath}: ${e.message}`);
+  }
+
+  if (!data.version) {
+    throw new Error(`Storefronts ${dataPath} has no version`);
+  }
+
+  const storefronts = {};
+  for (const [code, entry] of Object.entries(data.storefronts || {})) {
+    if (!/^[a-z]{2}$/.test(code)) {
+      throw new Error(`Storefronts ${dataPath}: "${code}" is not a two-letter storefront code`);
+    }
+    for (const field of ['language', 'currency', 'decimal']) {
+      if (typeof entry[field] !== 'string' || entry[field] === '') {
+        throw new Error(`Storefronts ${dataPath}: ${code} has no ${field}`);
+      }
+    }
+    if (![',', '.'].includes(entry.decimal)) {
+      throw new Error(`Storefronts ${dataPath}: ${code} decimal separator must be "," or "."`);
+    }
+
+    storefronts[code] = {
+      code,
+      name: entry.name || code,
+      language: entry.language,
+      siteUrl: `https://${code}.e-cat.intercars.eu/${entry.language}/`,
+      currency: entry.currency,
+      currencies: { [entry.currency]: entry.currency, ...(entry.currencies || {}) },
+      decimal: entry.decimal,
+      labels: entry.labels || {}
+    };
+  }
+
+  if (!storefronts[data.default]) {
+    throw new Error(`Storefronts ${dataPath}: default storefront "${data.default}" is not defined`);
+  }
+
+  const loaded = { version: data.version, default: data.default, storefronts, file: dataPath };
+  cache.set(dataPath, loaded);
+  return loaded;
+}
+
+/**
+ * Storefront codes known to the storefront file
+ */
+function storefrontCodes() {
+  return Object.keys(loadStorefronts().storefronts);
+}
+
+/**
+ * Storefront profile by code
+ *
+ * @param code - Storefront code (ba, hr, ...); the default storefront when omitted
+ * @returns {Object} { code, name, language, siteUrl, currency, currencies, decimal, labels }
+ */
+function resolveStorefront(code = null) {
+  const { storefronts, default: fallback } = loadStorefronts();
+  const storefront = storefronts[code || fallback];
+  if (!storefront) {
+    throw new Error(`Unknown storefront "${code}" (known: ${Object.keys(storefronts).join(', ')})`);
+  }
+  return storefront;
+}
+
+/**
+ * Storefront code of a catalog URL's host, or null for other URLs
+ */
+function storefrontOfUrl(url) {
+  try {
+    return parseCatalogUrl(url).storefront;
+  } catch (e) {
+    if (e instanceof CatalogUrlError) return null;
+    throw e;
+  }
+}
+
+/**
+ * Make a storefront the active one and merge its labels into the selector profile
+ * Label lists are tried storefront first, then the profile's own entries; single texts are
+ * replaced. The "Više informacija" button also matches the storefront's wording.
+ *
+ * @param code - Storefront code (default storefront when omitted)
+ * @param profile - Loaded selector profile (modified in place; defaults to the shared profile)
+ * @returns {Object} The storefront
+ */
+function useStorefront(code = null, profile = loadSelectorProfile()) {
+  const storefront = resolveStorefront(code);
+
+  if (!baseProfiles.has(profile)) {
+    baseProfiles.set(profile, {
+      labels: { ...profile.labels },
+      moreInfoButton: profile.selectors.moreInfoButton ? [...profile.selectors.moreInfoButton] : null
+    });
+  }
+  const base = baseProfiles.get(profile);
+
+  const labels = { ...base.labels };
+  for (const [key, value] of Object.entries(storefront.labels)) {
+    labels[key] = Array.isArray(value) && Array.isArray(labels[key])
+      ? [...new Set([...value, ...labels[key]])]
+      : value;
+  }
+  profile.labels = labels;
+
+  if (base.moreInfoButton && typeof labels.moreInfo === 'string') {
+    const byText = `button:has-text("${labels.moreInfo}")`;
+    profile.selectors.moreInfoButton = base.moreInfoButton.includes(byText) ? base.moreInfoButton : [...base.moreInfoButton, byText];
+  }
+
+  active = storefront;
+  return storefront;
+}
+
+/**
+ * The active storefront (the default one until useStorefront() is called)
+ */
+function currentStorefront() {
+  return active || resolveStorefront();
+}
+
+/**
+ * Number in a storefront's format
+ * Spaces and apostrophes are group separators. With both "," and "." the last one is the
+ * decimal separator. With one of them only, it groups digits when it is not the storefront's
+ * decimal separator and splits the number in threes ("1.234" in ba); otherwise it is the
+ * decimal separator ("12,5", "1,234", or "1234.56" from an API).
+ *
+ * @param text - Number as shown ("1.234,56", "1 234,56 zł")
+ * @param format - { decimal } (default: the active storefront)
+ * @returns {number|null} Number or null
+ */
+function parseLocaleNumber(text, { decimal } = currentStorefront()) {
+  if (text === null || text === undefined) return null;
+
+  let clean = String(text).replace(/[\s']/g, '').replace(/[^\d,.-]/g, '');
+  const hasComma = clean.includes(',');
+  const hasDot = clean.includes('.');
+
+  if (hasComma && hasDot) {
+    const decimalChar = clean.lastIndexOf(',') > clean.lastIndexOf('.') ? ',' : '.';
+    clean = clean.split(decimalChar === ',' ? '.' : ',').join('').replace(decimalChar, '.');
+  } else if (hasComma || hasDot) {
+    const separator = hasComma ? ',' : '.';
+    const grouped = /^-?\d{1,3}(?:[.,]\d{3})+$/.test(clean);
+    clean = grouped && separator !== decimal ? clean.split(separator).join('') : clean.replace(separator, '.');
+  }
+
+  const value = parseFloat(clean);
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Price and currency from a price text
+ *
+ * @param text - Price as shown ("1.234,56 KM", "€ 12,50", "1 234,56 zł")
+ * @param storefront - Storefront (default: the active one)
+ * @returns {Object} { price, currency } currency is the ISO code of the symbol found, else the
+ *                   storefront's currency
+ */
+function parsePriceText(text, storefront = currentStorefront()) {
+  const source = String(text || '');
+  const symbol = Object.keys(storefront.currencies)
+    .sort((a, b) => b.length - a.length)
+    .find(candidate => source.toLowerCase().includes(candidate.toLowerCase()));
+  const amount = source.match(/-?\d[\d\s.,']*/);
+
+  return {
+    price: amount ? parseLocaleNumber(amount[0].trim(), storefront) : null,
+    currency: symbol ? storefront.currencies[symbol] : storefront.currency
+  };
+}
+
+/**
+ * ISO code of a currency as the catalog API writes it ("KM", "km", "zł", "BAM")
+ *
+ * @param value - Currency symbol or code
+ * @param storefront - Storefront profile (default: the active one)
+ * @returns {string} ISO code from the storefront's currencies; an unknown three-letter code as
+ *                   is (upper case); otherwise the storefront's currency
+ */
+function currencyCode(value, storefront = currentStorefront()) {
+  const text = String(value === null || value === undefined ? '' : value).trim();
+  const symbol = Object.keys(storefront.currencies).find(candidate => candidate.toLowerCase() === text.toLowerCase());
+  if (symbol) return storefront.currencies[symbol];
+
+  return /^[A-Za-z]{3}$/.test(text) ? text.toUpperCase() : storefront.currency;
+}
+
+module.exports = {
+  loadStorefronts,
+  storefrontCodes,
+  resolveStorefront,
+  storefrontOfUrl,
+  useStorefront,
+  currentStorefront,
+  parseLocaleNumber,
+  parsePriceText,
+  currencyCode
+};
@@ -0,0 +1,215 @@
+/**
+ * Tyre Specification Parser
+ *
+ * Turns catalog titles like "175/65R14 ZOHA 82T W462H" or "225/45 ZR17 94W XL RFT" plus the
+ * listing's specs ("Sezona", "Indeks brzine", EU label classes...) into a structured tyre object:
+ * - Size: width, aspect ratio, construction, rim diameter (also "185R14C" and "31x10.50R15")
+ * - Service description: load index (single or dual "109/107") and speed rating
+ * - Season, XL / reinforced, run-flat, commercial (C), M+S and 3PMSF flags
+ * - EU label values (rolling resistance, wet grip, noise class and dB) when the specs have them
+ *
+ * Specs win over the title where both have a value - they are the catalog's own fields.
+ * Plain function of its inputs, so it can be run against saved titles in Node.
+ */
+
+// Metric "175/65R14", "225/45 ZR17", "205/55-16", "195/70 R15C", "185R14C" (no aspect ratio)
+// "225/55/19" and "205/55-16" leave the construction open
+const METRIC_SIZE = /(?:^|[\s(])(\d{3})(?:\s*[/-]\s*(\d{2}(?:[.,]\d)?))?\s*(ZR|[RDB]|-|\/)\s*(\d{2}(?:[.,]5)?)(C)?(?=$|[\s),])/i;
+
+// Metric widths (mm) and rim diameters (inch) tyres come in - "W 712/95" of an oil filter is no size
+const METRIC_WIDTH_RANGE = [100, 500];
+const RIM_DIAMETER_RANGE = [8, 30];
+
+// Flotation sizes used for off-road tyres: "31x10.50R15", "33X12.50 R20LT"
+const FLOTATION_SIZE = /(?:^|\s)(\d{2})\s*[xX]\s*(\d{1,2}[.,]\d{1,2})\s*(R|-)\s*(\d{2})(LT)?(?=$|\s)/;
+
+// "82T", "109/107R", "94W", "(99Y)" - load index followed by speed rating
+const SERVICE_DESCRIPTION = /(?:^|[\s(])(\d{2,3}(?:\/\d{2,3})?)\s?\(?([A-HJ-NP-WYZ])\)?(?=$|[\s),])/;
+
+const RUNFLAT_MARKERS = ['RFT', 'ROF', 'RUNFLAT', 'RUN FLAT', 'RUN-FLAT', 'SSR', 'ZP', 'DSST', 'EMT', 'HRS', 'RSC', 'MOE', 'SST', 'XRP'];
+
+// Season keywords in titles, sub-titles and spec values (Bosnian/Croatian/Serbian and English)
+const SEASON_KEYWORDS = [
+  { season: 'all_season', patterns: [/all[\s-]?season/i, /cjelogodi/i, /celogodi/i, /\b4\s?s(easons?)?\b/i, /\ball[\s-]?weather\b/i, /quatrac|crossclimate|vector 4|cinturato all/i] },
+  { season: 'winter', patterns: [/\bwinter\b/i, /\bzim/i, /\bsnow\b/i, /\bsnijeg/i] },
+  { season: 'summer', patterns: [/\bsummer\b/i, /\bljet/i, /\bletn/i] }
+];
+
+/**
+ * Lowercase a spec label and strip diacritics so "Širina" matches "sirina"
+ *
+ * @param label - Spec label
+ * @returns {string} Normalised label
+ */
+function normaliseLabel(label) {
+  return String(label)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/g, 'd')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * First non-empty spec value among candidate labels
+ * Labels must match exactly after normalisation - "Profil" is the aspect ratio,
+ * "Profil gume" the tread pattern.
+ *
+ * @param specs - { label: value } or null
+ * @param labels - Normalised labels in priority order
+ * @returns {string|null} Value or null
+ */
+function specValue(specs, labels) {
+  if (!specs) return null;
+  const entries = Object.entries(specs).map(([label, value]) => [normaliseLabel(label), String(value).trim()]);
+  for (const wanted of labels) {
+    const found = entries.find(([label, value]) => label === wanted && value !== '');
+    if (found) return found[1];
+  }
+  return null;
+}
+
+function toNumber(text) {
+  if (text === null || text === undefined) return null;
+  const value = parseFloat(String(text).replace(',', '.'));
+  return Number.isFinite(value) ? value : null;
+}
+
+function isYes(value) {
+  return value !== null && /^(da|yes|true|1|ja)\b/i.test(value);
+}
+
+/**
+ * Season from free text
+ *
+ * @param text - Title, sub-title or spec value
+ * @returns {string|null} 'summer' | 'winter' | 'all_season' | null
+ */
+function seasonFrom(text) {
+  if (!text) return null;
+  for (const { season, patterns } of SEASON_KEYWORDS) {
+    if (patterns.some(pattern => pattern.test(text))) return season;
+  }
+  return null;
+}
+
+/**
+ * Single EU label class letter (A-G) from a spec value like "C" or "Klasa C"
+ */
+function labelClass(value) {
+  if (!value) return null;
+  const match = value.toUpperCase().match(/\b([A-G])\b/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Parse the tyre size from a title
+ *
+ * @param title - Product title
+ * @returns {Object|null} { size, width, aspect_ratio, construction, rim_diameter, commercial } or null
+ */
+function parseSize(title) {
+  const inRange = (value, [min, max]) => value >= min && value <= max;
+  const metric = [...title.matchAll(new RegExp(METRIC_SIZE.source, 'gi'))]
+    .find(([, width, , , rim]) => inRange(toNumber(width), METRIC_WIDTH_RANGE) && inRange(toNumber(rim), RIM_DIAMETER_RANGE));
+  if (metric) {
+    const [, width, aspect, construction, rim, commercial] = metric;
+    const normalisedConstruction = ['-', '/'].includes(construction) ? null : construction.toUpperCase();
+    return {
+      size: `${width}${aspect ? `/${aspect.replace(',', '.')}` : ''}${normalisedConstruction || (aspect ? '/' : '-')}${rim.replace(',', '.')}${commercial ? 'C' : ''}`,
+      width: toNumber(width),
+      aspect_ratio: aspect ? toNumber(aspect) : null,
+      construction: normalisedConstruction,
+      rim_diameter: toNumber(rim),
+      commercial: !!commercial,
+      match: metric[0]
+    };
+  }
+
+  const flotation = title.match(FLOTATION_SIZE);
+  if (flotation) {
+    const [, diameter, width, construction, rim] = flotation;
+    return {
+      size: `${diameter}x${width.replace(',', '.')}${construction.toUpperCase() === 'R' ? 'R' : '-'}${rim}`,
+      width: toNumber(width),
+      aspect_ratio: null,
+      overall_diameter: toNumber(diameter),
+      construction: construction.toUpperCase() === 'R' ? 'R' : null,
+      rim_diameter: toNumber(rim),
+      commercial: !!flotation[5],
+      match: flotation[0]
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Parse a tyre title and its specs into structured fields
+ *
+ * @param title - Product title (e.g. "175/65R14 ZOHA 82T W462H")
+ * @param specs - { label: value } specs from the listing (optional)
+ * @param subTitle - Product sub-title / category name, used for the season (optional)
+ * @returns {Object|null} Tyre object, or null when neither the title nor the specs describe a tyre
+ */
+function parseTyre(title, specs = null, subTitle = null) {
+  const text = String(title || '');
+  const size = parseSize(text);
+
+  const specWidth = toNumber(specValue(specs, ['sirina']));
+  const specAspect = toNumber(specValue(specs, ['profil', 'visina']));
+  const specRim = toNumber(specValue(specs, ['promjer', 'precnik']));
+  // "82 (475 kg)", "V (240 km/h)"
+  const specLoad = (specValue(specs, ['index nosivosti', 'indeks nosivosti', 'indeks opterecenja']) || '').match(/^\d{2,3}(?:\s*\/\s*\d{2,3})?/);
+  const specSpeed = (specValue(specs, ['indeks brzine', 'index brzine']) || '').match(/^\(?([A-Z])\)?(?![a-z])/i);
+  const specSeason = specValue(specs, ['sezona']);
+
+  // Without a size in the title, one lone dimension ("Širina" of a wiper blade) is not a tyre
+  if (!size && [specWidth, specAspect, specRim].filter(value => value !== null).length < 2) return null;
+
+  // Load index / speed rating follow the size, so only look behind it
+  const afterSize = size ? text.slice(text.indexOf(size.match) + size.match.length) : text;
+  const service = afterSize.match(SERVICE_DESCRIPTION);
+
+  const upper = ` ${text.toUpperCase()} `;
+  const marker = word => new RegExp(`[\\s(]${word.replace(/[+]/g, '\\+')}[\\s)]`).test(upper);
+
+  const tyre = {
+    size: size ? size.size : null,
+    width: specWidth !== null ? specWidth : (size ? size.width : null),
+    aspect_ratio: specAspect !== null ? specAspect : (size ? size.aspect_ratio : null),
+    construction: size ? size.construction : null,
+    rim_diameter: specRim !== null ? specRim : (size ? size.rim_diameter : null),
+    load_index: specLoad ? specLoad[0].replace(/\s/g, '') : (service ? service[1] : null),
+    speed_rating: specSpeed ? specSpeed[1].toUpperCase() : (service ? service[2] : null),
+    season: seasonFrom(specSeason) || seasonFrom(text) || seasonFrom(subTitle),
+    xl: marker('XL') || marker('EXTRA LOAD') || marker('RF') || marker('REINF') || marker('REINFORCED'),
+    runflat: RUNFLAT_MARKERS.some(marker) || isYes(specValue(specs, ['run flat', 'runflat', 'run-flat'])),
+    commercial: size ? size.commercial : false,
+    mud_snow: marker('M+S') || marker('M/S') || marker('MS') || isYes(specValue(specs, ['oznaka m+s', 'm+s'])),
+    three_peak: marker('3PMSF') || isYes(specValue(specs, ['prianjanje na snijegu', 'prianjanje na sneg', '3pmsf'])),
+    eu_label: null
+  };
+
+  if (size && size.overall_diameter) tyre.overall_diameter = size.overall_diameter;
+
+  // Three-peak snowflake tyres are winter or all-season, never summer
+  if (!tyre.season && tyre.three_peak) tyre.season = 'winter';
+
+  const euLabel = {
+    rolling_resistance: labelClass(specValue(specs, ['indeks potrosnje', 'otpor kotrljanja', 'klasa otpora kotrljanja', 'potrosnja goriva'])),
+    wet_grip: labelClass(specValue(specs, ['indeks prianjanja', 'prianjanje na mokroj podlozi', 'prianjanje na mokrom'])),
+    noise_class: labelClass(specValue(specs, ['klasa razine buke', 'klasa buke'])),
+    noise_db: toNumber(specValue(specs, ['razine buke', 'razina buke', 'buka']))
+  };
+  if (Object.values(euLabel).some(value => value !== null)) tyre.eu_label = euLabel;
+
+  return tyre;
+}
+
+module.exports = {
+  parseTyre,
+  parseSize,
+  seasonFrom
+};
@@ -0,0 +1,274 @@
+/**
+ * Catalog URLs
+ *
+ * Parses and builds Intercars e-catalog URLs so listing targets can be checked before a
+ * browser is started (scrape.js, the import form through catalog-url.js):
+ *
+ *   https://ba.e-cat.intercars.eu/bs/Cijela-ponuda/Gume/Putničke-gume/c/tecdoc-5090008-5010105-5010106/p/3
+ *     ?q=:default-m:branchAvailability:ALL:productBrandCode:icgoods_2203
+ *
+ * - Path: storefront (ba), language (bs), category path, category code after /c/ ("tecdoc-" plus
+ *   the TecDoc node codes), page after /p/
+ * - q: "<search text>:<sort>:<key>:<value>:<key>:<value>..." - a value may be followed by more
+ *   values of the same key ("productBrandCode:icgoods_2431:icgoods_63841"), which is kept as
+ *   one facet group so parsed URLs build back to the same target
+ * - Other query parameters (sort=default) are kept as they are
+ * - Site search: /<language>/search with the search text as the first part of q
+ */
+
+const { pageNumberOf } = require('./pagination');
+
+// Storefront subdomain ("ba") of a catalog host
+const CATALOG_HOST = /^([a-z]{2})\.e-cat\.intercars\.eu$/;
+
+const FACET_KEYS = {
+  brand: 'productBrandCode',
+  branch: 'branchAvailability'
+};
+
+const DEFAULT_SORT = 'default';
+
+// Facet keys are camelCase words; values are codes like ALL or icgoods_2203
+const FACET_KEY = /^[a-z]+(?:[A-Z][a-z0-9]*)+$/;
+
+const BRAND_CODE = /^icgoods_\d+$/;
+
+const SEARCH_PATH = 'search';
+
+// Search text ends at the first ":" of q, so codes are letters, digits and . - /
+const SEARCH_CODE = /^[A-Za-z0-9][A-Za-z0-9.\-\/]*$/;
+
+class CatalogUrlError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CatalogUrlError';
+  }
+}
+
+/**
+ * Parse the catalog's q parameter
+ *
+ * @param query - Decoded q value (":default-m:branchAvailability:ALL:...")
+ * @returns {Object} { text, sort, facets: [{ key, values }] }
+ */
+function parseQuery(query) {
+  if (!query) return { text: null, sort: null, facets: [] };
+
+  const [text, sort, ...tokens] = query.split(':');
+  const facets = [];
+  let current = null;
+
+  tokens.forEach(token => {
+    if (token === '') return;
+    // A key starts a new group unless the previous key still waits for its value
+    if (FACET_KEY.test(token) && (!current || current.values.length > 0)) {
+      current = { key: token, values: [] };
+      facets.push(current);
+    } else if (current) {
+      current.values.push(token);
+    } else {
+      // Value without a key - keep it so the URL still builds back
+      current = { key: null, values: [token] };
+      facets.push(current);
+    }
+  });
+
+  return { text: text || null, sort: sort || null, facets };
+}
+
+/**
+ * Build the q parameter
+ *
+ * @param query - { text, sort, facets }
+ * @returns {string} q value (not URL-encoded)
+ */
+function buildQuery({ text = null, sort = null, facets = [] }) {
+  const groups = facets.map(({ key, values }) => [key, ...values].filter(part => part !== null).join(':'));
+  return [text || '', sort || DEFAULT_SORT, ...groups].join(':');
+}
+
+/**
+ * Values of one facet key across all groups
+ */
+function facetValues(facets, key) {
+  return facets.filter(group => group.key === key).flatMap(group => group.values);
+}
+
+/**
+ * Parse a catalog URL into its parts
+ *
+ * @param url - Catalog URL
+ * @returns {Object} { url, storefront, language, path, category, tecdoc, page, text, sort,
+ *                   branchAvailability, brands, facets, params, listing }
+ *                   listing is true when the URL points at a product category (/c/...)
+ */
+function parseCatalogUrl(url) {
+  let target;
+  try {
+    target = new URL(String(url).trim());
+  } catch (e) {
+    throw new CatalogUrlError(`Not a URL: ${url}`);
+  }
+  if (!['http:', 'https:'].includes(target.protocol)) {
+    throw new CatalogUrlError(`Not an http(s) URL: ${url}`);
+  }
+
+  const host = target.hostname.match(CATALOG_HOST);
+  if (!host) {
+    throw new CatalogUrlError(`Not an Intercars e-catalog URL (host ${target.hostname})`);
+  }
+
+  let segments;
+  try {
+    segments = target.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch (e) {
+    throw new CatalogUrlError(`Malformed path in ${url}: ${e.message}`);
+  }
+
+  const language = segments.length > 0 && /^[a-z]{2}$/.test(segments[0]) ? segments.shift() : null;
+  const page = pageNumberOf(target.href);
+  if (/\/p\/\d+\/?$/.test(target.pathname)) segments.splice(-2, 2);
+
+  const categoryIndex = segments.lastIndexOf('c');
+  const category = categoryIndex >= 0 && categoryIndex < segments.length - 1 ? segments[categoryIndex + 1] : null;
+  const path = category !== null ? segments.slice(0, categoryIndex) : segments;
+  const tecdoc = category && /^tecdoc-\d+(?:-\d+)*$/.test(category) ? category.slice('tecdoc-'.length).split('-') : null;
+
+  const { text, sort, facets } = parseQuery(target.searchParams.get('q'));
+  const params = [...target.searchParams.entries()].filter(([name]) => name !== 'q');
+
+  return {
+    url: target.href,
+    storefront: host[1],
+    language,
+    path,
+    category,
+    tecdoc,
+    page,
+    text,
+    sort,
+    branchAvailability: facetValues(facets, FACET_KEYS.branch)[0] || null,
+    brands: [...new Set(facetValues(facets, FACET_KEYS.brand))],
+    facets,
+    params,
+    listing: category !== null
+  };
+}
+
+/**
+ * Build a catalog URL from its parts
+ * facets (from parseCatalogUrl) are written as they are; without them the q parameter is
+ * built from branchAvailability and brands (one productBrandCode pair per brand).
+ *
+ * @param spec - { storefront, language, path, category | tecdoc, page, text, sort,
+ *                 branchAvailability, brands, facets, params }
+ * @returns {string} URL
+ */
+function buildCatalogUrl({
+  storefront = 'ba',
+  language = 'bs',
+  path = [],
+  category = null,
+  tecdoc = null,
+  page = 1,
+  text = null,
+  sort = null,
+  branchAvailability = null,
+  brands = [],
+  facets = null,
+  params = []
+} = {}) {
+  if (!/^[a-z]{2}$/.test(storefront)) throw new CatalogUrlError(`Invalid storefront "${storefront}"`);
+
+  const categoryCode = category || (tecdoc && tecdoc.length > 0 ? `tecdoc-${tecdoc.join('-')}` : null);
+  const pathSegments = typeof path === 'string' ? path.split('/').filter(Boolean) : path;
+  if (!Number.isInteger(page) || page < 1) throw new CatalogUrlError(`Invalid page ${page}`);
+
+  const invalidBrand = brands.find(code => !BRAND_CODE.test(code));
+  if (invalidBrand) throw new CatalogUrlError(`Invalid brand code "${invalidBrand}" (expected icgoods_<number>)`);
+
+  const segments = [
+    ...(language ? [language] : []),
+    ...pathSegments,
+    ...(categoryCode ? ['c', categoryCode] : []),
+    ...(page > 1 ? ['p', String(page)] : [])
+  ];
+  const target = new URL(`https://${storefront}.e-cat.intercars.eu/`);
+  target.pathname = `/${segments.map(encodeURIComponent).join('/')}`;
+
+  const groups = facets || [
+    ...(branchAvailability ? [{ key: FACET_KEYS.branch, values: [branchAvailability] }] : []),
+    ...brands.map(code => ({ key: FACET_KEYS.brand, values: [code] }))
+  ];
+  if (groups.length > 0 || text || sort) {
+    target.searchParams.set('q', buildQuery({ text, sort, facets: groups }));
+  }
+  params.forEach(([name, value]) => target.searchParams.append(name, value));
+
+  return target.href;
+}
+
+/**
+ * Site search URL for an article code (scrape.js --sku)
+ *
+ * @param spec - { storefront, language, text }
+ * @returns {string} URL of the search results for text
+ */
+function buildSearchUrl({ storefront = 'ba', language = 'bs', text }) {
+  const code = String(text || '').trim();
+  if (!SEARCH_CODE.test(code)) throw new CatalogUrlError(`Invalid article code "${text}"`);
+
+  return buildCatalogUrl({ storefront, language, path: [SEARCH_PATH], text: code });
+}
+
+/**
+ * Check that a URL is a catalog listing scrape.js can work with
+ *
+ * @param url - URL as pasted by a user
+ * @returns {Object} { valid, errors, warnings, url, parsed } url is the canonical form
+ *                   (built back from the parsed parts), parsed is null when it does not parse
+ */
+function validateListingUrl(url) {
+  const errors = [];
+  const warnings = [];
+  let parsed = null;
+
+  try {
+    parsed = parseCatalogUrl(url);
+  } catch (e) {
+    if (!(e instanceof CatalogUrlError)) throw e;
+    errors.push(e.message);
+    return { valid: false, errors, warnings, url: null, parsed };
+  }
+
+  if (!parsed.listing) errors.push('No product category in the URL (/c/<category>) - open a category in the catalog and copy that URL');
+  if (!parsed.language) warnings.push('No language segment (/bs/) in the URL');
+  parsed.facets.filter(group => group.key === null).forEach(group => {
+    errors.push(`Filter value without a filter name: ${group.values.join(', ')}`);
+  });
+  parsed.facets.filter(group => group.key !== null && group.values.length === 0).forEach(group => {
+    errors.push(`Filter "${group.key}" has no value - the URL looks cut off`);
+  });
+  parsed.brands.filter(code => !BRAND_CODE.test(code)).forEach(code => {
+    warnings.push(`Unusual brand code "${code}"`);
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings,
+    url: errors.length === 0 ? buildCatalogUrl(parsed) : null,
+    parsed
+  };
+}
+
+module.exports = {
+  FACET_KEYS,
+  CatalogUrlError,
+  parseQuery,
+  buildQuery,
+  parseCatalogUrl,
+  buildCatalogUrl,
+  buildSearchUrl,
+  validateListingUrl
+};
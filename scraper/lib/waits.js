@@ -0,0 +1,259 @@
+/**
+ * Readiness Waits and Phase Timing
+ *
+ * Replaces fixed sleeps with explicit conditions, each with a configurable upper bound:
+ * - waitForCondition() polls a predicate in the page (modal detached, section visible...)
+ * - waitForStableCount() waits until a selector's match count stops changing
+ * - Upper bounds are named (DEFAULT_WAIT_LIMITS) and can be overridden per run (--wait-limit)
+ * - Every wait and every timed() block is recorded per phase, so a run can report
+ *   where its time went (phaseReport / formatPhaseReport)
+ */
+
+// Upper bounds in ms - a condition that is met earlier returns immediately
+const DEFAULT_WAIT_LIMITS = {
+  cloudflare: 30000,    // "Just a moment..." challenge page gone
+  network_idle: 15000,  // No requests for 500 ms after navigation
+  render: 8000,         // Product cards present and their count stable
+  lazy_load: 3000,      // Price elements rendered after scrolling to the bottom
+  modal_open: 5000,     // Gallery modal attached and its slide images loaded
+  modal_close: 3000,    // Gallery modal detached
+  expand: 3000,         // "Više informacija" section visible
+  collapse: 1500,       // "Više informacija" section hidden again
+  stock_popover: 3000,  // Per-branch stock popover shown (--branch-stock)
+  pagination: 15000,    // Next listing page replaced the previous cards
+  login: 10000,         // SSO steps (password field shown, redirect back)
+  detail_page: 20000    // Product detail page navigation (--enrich)
+};
+
+// How often conditions are re-checked
+const POLL_INTERVAL_MS = 100;
+
+const limits = { ...DEFAULT_WAIT_LIMITS };
+const phases = new Map();
+
+function checkWaitLimit(name, ms) {
+  if (!(name in DEFAULT_WAIT_LIMITS)) {
+    throw new Error(`Unknown wait "${name}" (known: ${Object.keys(DEFAULT_WAIT_LIMITS).join(', ')})`);
+  }
+  if (!Number.isInteger(ms) || ms < 0) {
+    throw new Error(`Wait "${name}" must be a whole number of ms, got ${ms}`);
+  }
+}
+
+/**
+ * Override upper bounds for this process
+ *
+ * @param overrides - { name: ms } using the keys of DEFAULT_WAIT_LIMITS
+ */
+function configureWaits(overrides = {}) {
+  for (const [name, ms] of Object.entries(overrides)) {
+    checkWaitLimit(name, ms);
+    limits[name] = ms;
+  }
+}
+
+/**
+ * Parse "render=12000,modal_open=8000" style overrides
+ *
+ * @param values - Strings of comma-separated name=ms pairs
+ * @returns {Object} { name: ms }
+ */
+function parseWaitLimits(values) {
+  const overrides = {};
+  for (const pair of values.flatMap(value => value.split(',')).map(v => v.trim()).filter(Boolean)) {
+    const match = pair.match(/^([a-z_]+)=(\d+)$/);
+    if (!match) throw new Error(`Invalid wait limit "${pair}" - expected name=ms`);
+    checkWaitLimit(match[1], parseInt(match[2], 10));
+    overrides[match[1]] = parseInt(match[2], 10);
+  }
+  return overrides;
+}
+
+/**
+ * Current upper bound for a named wait
+ *
+ * @param name - Key of DEFAULT_WAIT_LIMITS
+ * @returns {number} Milliseconds
+ */
+function waitLimit(name) {
+  return limits[name];
+}
+
+/**
+ * Add one measurement to a phase
+ *
+ * @param phase - Phase name
+ * @param ms - Duration
+ * @param timedOut - True when a wait hit its upper bound
+ */
+function recordPhase(phase, ms, timedOut = false) {
+  const entry = phases.get(phase) || { count: 0, total_ms: 0, max_ms: 0, timeouts: 0 };
+  entry.count++;
+  entry.total_ms += ms;
+  entry.max_ms = Math.max(entry.max_ms, ms);
+  if (timedOut) entry.timeouts++;
+  phases.set(phase, entry);
+}
+
+/**
+ * Run an async block and record its duration under a phase
+ *
+ * @param phase - Phase name (e.g. 'images')
+ * @param fn - async () => result
+ * @returns {*} The block's result
+ */
+async function timed(phase, fn) {
+  const start = Date.now();
+  try {
+    return await fn();
+  } finally {
+    recordPhase(phase, Date.now() - start);
+  }
+}
+
+/**
+ * Wait until a predicate evaluated in the page returns truthy
+ *
+ * @param page - Playwright page
+ * @param name - Wait name: selects the upper bound and the phase ("wait:<name>")
+ * @param predicate - Function run in the page (receives arg)
+ * @param arg - Serialisable argument for the predicate
+ * @param options - { limit } overrides the configured upper bound
+ * @returns {boolean} True when the condition was met, false on timeout
+ */
+async function waitForCondition(page, name, predicate, arg = null, { limit = waitLimit(name) } = {}) {
+  const start = Date.now();
+  let met = true;
+  try {
+    await page.waitForFunction(predicate, arg, { timeout: Math.max(limit, 1), polling: POLL_INTERVAL_MS });
+  } catch (e) {
+    if (e.name !== 'TimeoutError') throw e;
+    met = false;
+  }
+  recordPhase(`wait:${name}`, Date.now() - start, !met);
+  return met;
+}
+
+/**
+ * Wait until a selector matches at least `min` elements and the count has not changed
+ * for `quietMs` - the signal that React has finished rendering a list
+ *
+ * @param page - Playwright page
+ * @param name - Wait name (upper bound and phase)
+ * @param selector - CSS selector
+ * @param options - { limit, quietMs, min }
+ * @returns {number|null} Stable count, or null on timeout
+ */
+async function waitForStableCount(page, name, selector, { limit = waitLimit(name), quietMs = 500, min = 1 } = {}) {
+  const start = Date.now();
+  let count = -1;
+  let stableSince = start;
+
+  while (true) {
+    const current = await page.locator(selector).count();
+    const now = Date.now();
+    if (current !== count) {
+      count = current;
+      stableSince = now;
+    }
+    if (count >= min && now - stableSince >= quietMs) {
+      recordPhase(`wait:${name}`, now - start);
+      return count;
+    }
+    if (now - start >= limit) {
+      recordPhase(`wait:${name}`, now - start, true);
+      return null;
+    }
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+  }
+}
+
+/**
+ * Wait until the page URL satisfies a predicate (survives navigations, unlike waitForCondition)
+ *
+ * @param page - Playwright page
+ * @param name - Wait name (upper bound and phase)
+ * @param predicate - (URL) => boolean, run in Node
+ * @returns {boolean} True when the URL matched in time
+ */
+async function waitForUrl(page, name, predicate) {
+  const start = Date.now();
+  const matched = await page.waitForURL(predicate, { timeout: Math.max(waitLimit(name), 1), waitUntil: 'domcontentloaded' })
+    .then(() => true, () => false);
+  recordPhase(`wait:${name}`, Date.now() - start, !matched);
+  return matched;
+}
+
+/**
+ * Wait until the page has had no network requests for 500 ms
+ *
+ * @param page - Playwright page
+ * @param name - Wait name (upper bound and phase), default 'network_idle'
+ * @returns {boolean} True when the network went idle in time
+ */
+async function waitForNetworkIdle(page, name = 'network_idle') {
+  const start = Date.now();
+  const idle = await page.waitForLoadState('networkidle', { timeout: waitLimit(name) })
+    .then(() => true, () => false);
+  recordPhase(`wait:${name}`, Date.now() - start, !idle);
+  return idle;
+}
+
+/**
+ * Wait for the browser to paint twice - enough for scroll-triggered layout to settle
+ *
+ * @param page - Playwright page
+ */
+async function nextFrame(page) {
+  await page.evaluate(() => new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve))));
+}
+
+/**
+ * Timing per phase since the last reset, slowest total first
+ *
+ * @returns {Array<Object>} [{ phase, count, total_ms, avg_ms, max_ms, timeouts }]
+ */
+function phaseReport() {
+  return [...phases.entries()]
+    .map(([phase, entry]) => ({ phase, ...entry, avg_ms: Math.round(entry.total_ms / entry.count) }))
+    .sort((a, b) => b.total_ms - a.total_ms);
+}
+
+/**
+ * Phase report as aligned log lines
+ *
+ * @returns {Array<string>} Lines
+ */
+function formatPhaseReport() {
+  const rows = phaseReport();
+  if (rows.length === 0) return [];
+
+  const width = Math.max(...rows.map(row => row.phase.length)) + 2;
+  return rows.map(row =>
+    `   ${row.phase.padEnd(width)}${String(row.count).padStart(5)}×  total ${(row.total_ms / 1000).toFixed(1).padStart(7)}s  ` +
+    `avg ${String(row.avg_ms).padStart(6)}ms  max ${String(row.max_ms).padStart(6)}ms` +
+    (row.timeouts ? `  ⚠️  ${row.timeouts} timed out` : '')
+  );
+}
+
+/** Forget all recorded timings */
+function resetPhases() {
+  phases.clear();
+}
+
+module.exports = {
+  DEFAULT_WAIT_LIMITS,
+  configureWaits,
+  parseWaitLimits,
+  waitLimit,
+  timed,
+  recordPhase,
+  waitForCondition,
+  waitForStableCount,
+  waitForNetworkIdle,
+  waitForUrl,
+  nextFrame,
+  phaseReport,
+  formatPhaseReport,
+  resetPhases
+};
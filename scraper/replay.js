@@ -0,0 +1,253 @@
+/**
+ * Offline Fixture Replay
+ *
+ * Runs the listing extraction pipeline against saved pages - no login, no network:
+ * - HTML fixtures (data/debug-page-N.html or any saved listing page) are served as the
+ *   document for --url; every other request is aborted
+ * - HAR recordings (scrape.js with RECORD_HAR=data/run.har) are replayed with routeFromHAR,
+ *   so the React app, gallery modal and "Više informacija" sections behave as recorded
+ * - Produces the same products JSON as scrape.js (run header with mode "replay", invalid
+ *   products in <out>.rejects.json)
+ *
+ * Usage:
+ *   node replay.js <fixture.html|fixture.har> [more fixtures...] [options]
+ *
+ * Options:
+ *   --url URL          Page URL the HTML fixture is served as (default: catalog home)
+ *   --out FILE         Output file (default: data/replay-<timestamp>.json)
+ *   --listing-only     Only extract listing cards (default for HTML fixtures)
+ *   --full             Also extract images and technical descriptions (default for HAR)
+ *   --images MODE      Image capture with --full: auto, data or modal (default: auto)
+ *   --references       Also extract OE numbers and cross-references with --full
+ *   --branch-stock     Also read the per-branch stock popover with --full
+ *   --render-wait MS   Upper bound for rendering (default: 1000 for HTML, 8000 for HAR)
+ *   --headed           Show the browser window
+ */
+
+const { chromium } = require('playwright');
+const fs = require('fs');
+const path = require('path');
+const { SITE_URL } = require('./lib/session');
+const { openLog, log, logError, closeLog } = require('./lib/logger');
+const { runCli, UsageError } = require('./lib/cli');
+const {
+  SELECTORS,
+  IMAGE_MODES,
+  waitForListingPage,
+  extractListingPage,
+  processProductCard
+} = require('./lib/extract');
+const { createResponseCollector } = require('./lib/network');
+const { waitLimit, formatPhaseReport } = require('./lib/waits');
+const { storefrontOfUrl, useStorefront, currentStorefront } = require('./lib/storefront');
+const { writeRunOutput } = require('./lib/output');
+
+const USAGE = 'node replay.js <fixture.html|fixture.har> [more fixtures...] [options]';
+
+const OPTIONS = [
+  { name: 'fixture', multiple: true, value: 'FILE', description: 'Fixture to replay; usually passed as arguments' },
+  { name: 'url', value: 'URL', description: 'Page URL the HTML fixture is served as (default: catalog home)' },
+  { name: 'out', value: 'FILE', description: 'Output file (default: data/replay-<timestamp>.json)' },
+  { name: 'listing-only', type: 'boolean', description: 'Only extract listing cards (default for HTML fixtures)' },
+  { name: 'full', type: 'boolean', description: 'Also extract images and technical descriptions (default for HAR)' },
+  { name: 'images', choices: IMAGE_MODES, default: 'auto', description: 'Image capture with --full: page data with modal fallback, page data only, or always the modal' },
+  { name: 'references', type: 'boolean', description: 'Also extract OE numbers and cross-references with --full' },
+  { name: 'branch-stock', type: 'boolean', description: 'Also read the per-branch stock popover with --full' },
+  { name: 'render-wait', type: 'integer', min: 0, value: 'MS', description: 'Upper bound for rendering (default: 1000 for HTML, 8000 for HAR)' },
+  { name: 'headed', type: 'boolean', description: 'Show the browser window' }
+];
+
+/**
+ * Listing page URLs recorded in a HAR file (HTML documents under /c/)
+ */
+function listingUrlsFromHar(harFile) {
+  const har = JSON.parse(fs.readFileSync(harFile, 'utf8'));
+  const urls = har.log.entries
+    .filter(entry => (entry.response.content.mimeType || '').includes('text/html'))
+    .map(entry => entry.request.url)
+    .filter(url => url.includes('/c/'));
+
+  return [...new Set(urls)];
+}
+
+/**
+ * Serve an HTML fixture as the document for url and abort everything else
+ */
+async function loadHtmlFixture(page, fixture, url) {
+  const html = fs.readFileSync(fixture, 'utf8');
+  // Normalise the same way the browser does (percent-encoding, no fragment)
+  const target = new URL(url);
+  target.hash = '';
+
+  await page.route('**/*', route => {
+    const request = route.request();
+    if (request.isNavigationRequest() && request.url() === target.href) {
+      return route.fulfill({ status: 200, contentType: 'text/html; charset=utf-8', body: html });
+    }
+    return route.abort();
+  });
+
+  await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+}
+
+/**
+ * Run the extraction pipeline on the page currently loaded
+ */
+async function extractFromPage(page, { full, renderWaitMs, products, collector = null, imageMode, references, branchStock }) {
+  await waitForListingPage(page, { renderWaitMs, collector });
+
+  const { products: productCards } = await extractListingPage(page, { collector });
+  if (productCards.length === 0) {
+    log('   ⚠️  No products found in this fixture');
+    return;
+  }
+
+  for (let i = 0; i < productCards.length; i++) {
+    const productData = productCards[i];
+    log(`      [${products.length + 1}] Processing: ${productData.title}`);
+
+    if (full) {
+      await processProductCard(page, productData, { scraped: products.length + 1, imageMode, references, branchStock });
+    } else {
+      productData.images = [];
+      productData.technical_description = null;
+      productData.models = null;
+      productData.fitment = null;
+      productData.reuse_existing = false;
+      delete productData.imageContainerIndex;
+      delete productData.gallery;
+    }
+
+    products.push(productData);
+  }
+}
+
+/**
+ * Replay fixtures and write the extracted products
+ *
+ * @param options - { fixtures, url, out, mode: 'listing' | 'full' | null, renderWait, imageMode, references,
+ *                    branchStock, headed }
+ * @returns {Array} Extracted products that passed the output schema
+ */
+async function replay(options) {
+  const logFile = openLog('replay');
+  log('🎞️  Replaying saved fixtures (offline)...');
+  log(`Log file: ${logFile}`);
+
+  const browser = await chromium.launch({ headless: !options.headed });
+  const products = [];
+  const startedAt = new Date().toISOString();
+  const sourceUrls = [];
+
+  try {
+    for (const fixture of options.fixtures) {
+      if (!fs.existsSync(fixture)) {
+        throw new UsageError(`Fixture not found: ${fixture}`);
+      }
+
+      const isHar = fixture.endsWith('.har');
+      const full = options.mode ? options.mode === 'full' : isHar;
+      const renderWaitMs = Number.isInteger(options.renderWait) ? options.renderWait : (isHar ? waitLimit('render') : 1000);
+
+      log(`\n   📂 Fixture: ${fixture} (${isHar ? 'HAR' : 'HTML'}, ${full ? 'full' : 'listing only'})`);
+
+      // Fresh context per fixture so routes never leak between fixtures
+      const context = await browser.newContext({ viewport: { width: 1920, height: 1080 } });
+      const page = await context.newPage();
+      page.on('console', msg => console.log('   [Browser]:', msg.text()));
+
+      try {
+        if (isHar) {
+          // notFound: 'abort' - anything that was not recorded fails instead of hitting the network
+          await context.routeFromHAR(fixture, { notFound: 'abort' });
+          const urls = options.url ? [options.url] : listingUrlsFromHar(fixture);
+          if (urls.length === 0) {
+            throw new Error(`No listing page found in ${fixture} - pass --url`);
+          }
+
+          // Recorded catalog API responses replay too, so the API extraction path is exercised
+          const collector = createResponseCollector(page);
+          for (const url of urls) {
+            log(`   📍 Listing page URL: ${url}`);
+            sourceUrls.push(url);
+            // Prices and UI texts follow the storefront the page was recorded on
+            useStorefront(storefrontOfUrl(url));
+            collector.reset();
+            await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+            await extractFromPage(page, { full, renderWaitMs, products, collector, imageMode: options.imageMode, references: options.references, branchStock: options.branchStock });
+          }
+        } else {
+          const url = options.url || SITE_URL;
+          log(`   📍 Serving fixture as: ${url}`);
+          sourceUrls.push(url);
+          useStorefront(storefrontOfUrl(url));
+          await loadHtmlFixture(page, fixture, url);
+          await extractFromPage(page, { full, renderWaitMs, products, imageMode: options.imageMode, references: options.references, branchStock: options.branchStock });
+        }
+      } finally {
+        await context.close();
+      }
+    }
+
+    const outputFile = options.out || path.join(__dirname, 'data', `replay-${Date.now()}.json`);
+    const storefront = currentStorefront();
+    const { products: written, rejects, rejectsFile } = writeRunOutput(outputFile, {
+      run: {
+        run_id: path.basename(outputFile).replace(/\.json$/, ''),
+        mode: 'replay',
+        source_urls: sourceUrls,
+        storefront: storefront.code,
+        currency: storefront.currency,
+        selector_profile: SELECTORS.version,
+        started_at: startedAt
+      },
+      records: products
+    });
+
+    log(`\n💾 Saved ${written.length} products to: ${outputFile}`);
+    log(`   Products with images: ${written.filter(p => p.images.length > 0).length}`);
+    if (rejects.length > 0) {
+      log(`   ⚠️  Rejected by the output schema: ${rejects.length} (see ${rejectsFile})`);
+    }
+
+    const report = formatPhaseReport();
+    if (report.length > 0) {
+      log('\n⏱️  Time per phase:');
+      report.forEach(line => log(line));
+    }
+
+    return written;
+  } finally {
+    await browser.close();
+    closeLog();
+  }
+}
+
+if (require.main === module) {
+  runCli(options => replay({
+    fixtures: options.fixture,
+    url: options.url,
+    out: options.out,
+    mode: options.full ? 'full' : (options.listingOnly ? 'listing' : null),
+    renderWait: options.renderWait,
+    imageMode: options.images,
+    references: !!options.references,
+    branchStock: !!options.branchStock,
+    headed: !!options.headed
+  }).catch(error => {
+    logError('Replay failed', error);
+    throw error;
+  }), USAGE, OPTIONS, {
+    positionals: 'fixture',
+    validate: options => {
+      if (!options.fixture || options.fixture.length === 0) {
+        throw new UsageError('At least one fixture (.html or .har) is required');
+      }
+      if (options.full && options.listingOnly) {
+        throw new UsageError('--full and --listing-only cannot be combined');
+      }
+    }
+  });
+}
+
+module.exports = replay;
@@ -3,1283 +3,1401 @@
  *
  * Scrapes product data from Intercars catalog
  * - Uses stealth mode to bypass Cloudflare
- * - Handles two-step SSO login
+ * - Reuses the saved session, falling back to two-step SSO login
  * - Navigates product catalog with pagination
  * - Waits for React products to load
- * - Extracts product details including images
- * - Saves data to JSON
+ * - Extracts product details including images (from page data, gallery modal as fallback)
+ * - Checkpoints after every listing page so interrupted runs can be resumed
+ * - Validates every product against config/output-schema.json and saves them to JSON with a
+ *   run header; invalid products go to a rejects file (lib/output.js)
+ * - With --refresh, only updates price and stock of known SKUs (lib/refresh.js)
+ * - With --sku, looks up given article codes through the site search (lib/search.js)
+ *
+ * Usage:
+ *   node scrape.js [options] <listing-url> [more listing urls...]
+ *   node scrape.js [options] --sku CODE [--sku CODE...] | --sku-file FILE
+ *   node scrape.js --help
+ *
+ * Credentials come from INTERCARS_USERNAME / INTERCARS_PASSWORD (never pass them as flags -
+ * arguments are visible in the process list). The older env vars (PRODUCT_URL, MAX_PRODUCTS,
+ * HEADLESS, SLOW_MO, EXISTING_SOURCE_IDS) still work as defaults for the matching flags.
  */
 
 const { chromium } = require('playwright-extra');
 const stealth = require('puppeteer-extra-plugin-stealth');
 const fs = require('fs');
 const path = require('path');
+const { createSessionContext, ensureLoggedIn, saveSession } = require('./lib/session');
+const { emit, startTimer, PROTOCOL_VERSION } = require('./lib/progress');
+const { runCli, UsageError } = require('./lib/cli');
+const { checkpointPaths, loadCheckpoint, saveCheckpoint, clearCheckpoint } = require('./lib/checkpoint');
+const { createResponseCollector } = require('./lib/network');
+const { openLog, log, logError, closeLog } = require('./lib/logger');
+const { createEnricher, DEFAULT_CONCURRENCY, DEFAULT_DELAY_MS } = require('./lib/enrich');
+const { createPagePool, createPageShares, runOrdered, DEFAULT_WORKERS, MAX_WORKERS } = require('./lib/pool');
+const { pageUrlFor, pageNumberOf, readListingTotals, planRange } = require('./lib/pagination');
+const { validateListingUrl, buildSearchUrl, CatalogUrlError } = require('./lib/urls');
+const { storefrontCodes, storefrontOfUrl, useStorefront } = require('./lib/storefront');
+const { refreshListing, missingIds } = require('./lib/refresh');
+const { uniqueCodes, searchCode } = require('./lib/search');
+const { writeRunOutput } = require('./lib/output');
+const {
+  SELECTORS,
+  IMAGE_MODES,
+  waitForListingPage,
+  extractListingPage,
+  extractProductsFromListingPage,
+  processProductCard
+} = require('./lib/extract');
+const { resolveSelector } = require('./lib/selectors');
+const {
+  DEFAULT_WAIT_LIMITS,
+  configureWaits,
+  parseWaitLimits,
+  waitLimit,
+  timed,
+  waitForCondition,
+  phaseReport,
+  formatPhaseReport,
+  resetPhases
+} = require('./lib/waits');
 require('dotenv').config();
 
 // Add stealth plugin to avoid detection
 chromium.use(stealth());
 
-const SITE_URL = 'https://ba.e-cat.intercars.eu/bs/';
-const PRODUCT_URL = process.env.PRODUCT_URL;
-const MAX_PRODUCTS = parseInt(process.env.MAX_PRODUCTS) || 10;
-
-// Parse existing source_ids to skip re-scraping images/tech description
-const EXISTING_SOURCE_IDS = process.env.EXISTING_SOURCE_IDS
-  ? new Set(process.env.EXISTING_SOURCE_IDS.split(',').map(id => id.trim()).filter(id => id))
-  : new Set();
-
-// Setup logging to file
-const LOG_DIR = path.join(__dirname, 'logs');
-if (!fs.existsSync(LOG_DIR)) {
-  fs.mkdirSync(LOG_DIR, { recursive: true });
-}
-
-const LOG_FILE = path.join(LOG_DIR, `scrape-${Date.now()}.log`);
-const logStream = fs.createWriteStream(LOG_FILE, { flags: 'a' });
+// Record all traffic to a HAR file for offline replay (see replay.js)
+const RECORD_HAR = process.env.RECORD_HAR;
+
+const USAGE = 'node scrape.js [options] <listing-url> [more listing urls...] | --batch FILE | --sku CODE... | --sku-file FILE';
+
+const OPTIONS = [
+  { name: 'url', short: 'u', multiple: true, value: 'URL', description: 'Listing page to scrape; repeat or pass as arguments for several (env: PRODUCT_URL)' },
+  { name: 'batch', short: 'b', value: 'FILE', description: 'JSON list of listings, each { url, max, label, template }' },
+  { name: 'sku', multiple: true, value: 'CODE', description: 'Article code (data-towkod) to look up through the site search instead of a listing; repeat or comma-separate' },
+  { name: 'sku-file', value: 'FILE', description: 'File of article codes to look up, one per line' },
+  { name: 'storefront', choices: storefrontCodes(), env: 'STOREFRONT', value: 'CODE', description: `Country storefront (${storefrontCodes().join(', ')}): currency, number format and UI texts (default: from the listing URLs' host)` },
+  { name: 'max', short: 'n', type: 'integer', min: 1, default: 10, env: 'MAX_PRODUCTS', value: 'N', description: 'Maximum number of products per listing URL' },
+  { name: 'output', short: 'o', value: 'FILE', description: 'Output JSON file (default: data/products-<timestamp>.json)' },
+  { name: 'run-id', env: 'SCRAPER_RUN_ID', value: 'ID', description: 'Run id written to the output header (default: the output file name)' },
+  { name: 'resume', type: 'boolean', description: 'Continue an interrupted run from the checkpoint next to --output' },
+  { name: 'start-page', type: 'integer', min: 1, default: 1, value: 'N', description: 'Listing page to start from (opened directly by its /p/N URL)' },
+  { name: 'end-page', type: 'integer', min: 1, value: 'N', description: 'Last listing page to scrape (default: the last page of the listing)' },
+  { name: 'workers', short: 'w', type: 'integer', min: 1, default: DEFAULT_WORKERS, env: 'SCRAPER_WORKERS', value: 'N', description: `Browser pages sharing the listing pages and their products (1-${MAX_WORKERS}; 1 clicks through pages in one tab)` },
+  { name: 'existing-ids', value: 'FILE', description: 'File of known source_ids (one per line) to scrape in fast mode' },
+  { name: 'refresh', type: 'boolean', env: 'REFRESH_ONLY', description: 'Only refresh price and stock of the --existing-ids SKUs: no images or descriptions, stops once all are found' },
+  { name: 'dom-only', type: 'boolean', description: 'Read products from the DOM only, ignoring the catalog API responses' },
+  { name: 'images', choices: IMAGE_MODES, default: 'auto', env: 'IMAGE_MODE', description: 'Image capture: page data with modal fallback, page data only, or always the gallery modal' },
+  { name: 'references', type: 'boolean', env: 'EXTRACT_REFERENCES', description: 'Also extract OE numbers, article numbers and cross-references' },
+  { name: 'branch-stock', type: 'boolean', env: 'BRANCH_STOCK', description: 'Read every branch\'s stock and delivery estimate from the card\'s stock popover' },
+  { name: 'enrich', type: 'boolean', env: 'ENRICH_DETAILS', description: 'Visit each product page for full specs, EAN, weight, gallery and documents' },
+  { name: 'enrich-concurrency', type: 'integer', min: 1, default: DEFAULT_CONCURRENCY, env: 'ENRICH_CONCURRENCY', value: 'N', description: 'Product pages open at the same time during --enrich' },
+  { name: 'enrich-delay', type: 'integer', min: 0, default: DEFAULT_DELAY_MS, env: 'ENRICH_DELAY_MS', value: 'MS', description: 'Minimum interval between product page visits during --enrich' },
+  { name: 'force-refresh', type: 'boolean', env: 'FORCE_REFRESH', description: 'Also enrich products in EXISTING_SOURCE_IDS (skipped by default)' },
+  { name: 'wait-limit', multiple: true, env: 'WAIT_LIMITS', value: 'NAME=MS', description: 'Upper bound for a readiness wait, e.g. render=12000 (repeat or comma-separate)' },
+  { name: 'headless', type: 'boolean', default: false, env: 'HEADLESS', description: 'Run the browser without a window' },
+  { name: 'headed', type: 'boolean', description: 'Show the browser window (overrides HEADLESS)' },
+  { name: 'slow-mo', type: 'integer', min: 0, default: 50, env: 'SLOW_MO', value: 'MS', description: 'Delay between browser actions' }
+];
+
+const HELP_FOOTER = `Environment:
+  INTERCARS_USERNAME, INTERCARS_PASSWORD  Login credentials (required)
+  EXISTING_SOURCE_IDS                     Comma-separated known source_ids (merged with --existing-ids)
+  RECORD_HAR                              Record all traffic to this HAR file for replay.js
+  SELECTOR_PROFILE                        Selector profile file (default: config/selectors.json)
+  STOREFRONTS                             Storefront file (default: config/storefronts.json)
+
+Batch file example:
+  [
+    { "url": "https://ba.e-cat.intercars.eu/bs/.../c/...", "max": 50, "label": "Michelin", "template": 3 },
+    { "url": "https://ba.e-cat.intercars.eu/bs/.../c/..." }
+  ]
+  max defaults to --max; label and template are copied to every product from that listing.
+
+SKU mode (--sku / --sku-file):
+  Searches the catalog for each article code and scrapes the card whose code matches, with
+  images and technical description. Codes without a match or with several matching cards
+  are listed in <output>.skus.json ({ code, status, candidates, url }).
+
+Refresh mode (--refresh):
+  Looks for the --existing-ids / EXISTING_SOURCE_IDS SKUs on the listings and writes only
+  source_id, price, currency, quantity and branch availability. --max does not apply; the
+  run stops once every SKU is found. SKUs not found go to <output>.missing.txt.
+
+Wait limits (ms, upper bounds - waits end as soon as their condition is met):
+  ${Object.entries(DEFAULT_WAIT_LIMITS).map(([name, ms]) => `${name}=${ms}`).join(', ')}
+
+Exit codes: 0 success, 1 scrape failed, 2 invalid arguments`;
 
-function log(message) {
-  const timestamp = new Date().toISOString();
-  const logMessage = `[${timestamp}] ${message}\n`;
-
-  // Write to both console and file
-  console.log(message);
-  logStream.write(logMessage);
-}
-
-function logError(message, error) {
-  const timestamp = new Date().toISOString();
-  const logMessage = `[${timestamp}] ERROR: ${message}\n${error ? error.stack : ''}\n`;
-
-  console.error(message, error);
-  logStream.write(logMessage);
+/**
+ * Check that a URL is a catalog listing before any browser is started (see lib/urls.js)
+ *
+ * @param url - URL to check
+ * @param source - Where the URL came from, used in the error message
+ */
+function validateUrl(url, source) {
+  const { valid, errors } = validateListingUrl(url);
+  if (!valid) {
+    throw new UsageError(`${source}: ${errors.join('; ')}: ${url}`);
+  }
 }
 
-async function scrapeProducts(username, password, productUrl) {
-  log('🕷️  Starting Intercars Product Scraper (with Stealth Mode)...');
-  log(`Log file: ${LOG_FILE}`);
-  log(`Existing source_ids to skip (fast mode): ${EXISTING_SOURCE_IDS.size}`);
-
-  // Use parameters if provided, otherwise fall back to env
-  const loginUsername = username || process.env.INTERCARS_USERNAME;
-  const loginPassword = password || process.env.INTERCARS_PASSWORD;
-  const targetUrl = productUrl || PRODUCT_URL;
+/**
+ * Read a batch file of listings
+ *
+ * @param file - JSON file with an array of { url, max, label, template }
+ * @param defaultMax - Max products for entries without their own max
+ * @returns {Array} Listings as { url, max, label, template }
+ */
+function loadBatch(file, defaultMax) {
+  if (!fs.existsSync(file)) {
+    throw new UsageError(`Batch file not found: ${file}`);
+  }
 
-  if (!loginUsername || !loginPassword) {
-    console.error('❌ Error: Credentials required');
-    throw new Error('Missing credentials');
+  let entries;
+  try {
+    entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new UsageError(`Batch file ${file} is not valid JSON: ${e.message}`);
   }
 
-  if (!targetUrl) {
-    console.error('❌ Error: Product URL required');
-    throw new Error('Missing product URL');
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new UsageError(`Batch file ${file} must contain a non-empty JSON array`);
   }
 
-  const browser = await chromium.launch({
-    headless: process.env.HEADLESS === 'true',
-    slowMo: parseInt(process.env.SLOW_MO) || 50,
-    args: [
-      '--disable-blink-features=AutomationControlled',
-      '--no-sandbox',
-      '--disable-setuid-sandbox'
-    ]
-  });
+  return entries.map((entry, index) => {
+    const source = `${file} entry ${index + 1}`;
+    if (!entry || typeof entry.url !== 'string') {
+      throw new UsageError(`${source}: "url" is required`);
+    }
+    validateUrl(entry.url, source);
 
-  const context = await browser.newContext({
-    userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
-    viewport: { width: 1920, height: 1080 },
-    locale: 'en-US',
-    timezoneId: 'America/New_York',
-    permissions: ['geolocation']
-  });
+    const max = entry.max === undefined ? defaultMax : entry.max;
+    if (!Number.isInteger(max) || max < 1) {
+      throw new UsageError(`${source}: "max" must be a whole number of at least 1, got ${JSON.stringify(entry.max)}`);
+    }
 
-  const page = await context.newPage();
+    return { url: entry.url, max, label: entry.label || null, template: entry.template !== undefined ? entry.template : null };
+  });
+}
 
-  // Enable console logging from page
-  page.on('console', msg => console.log('   [Browser]:', msg.text()));
+/**
+ * Storefront of a run: the given code, else the listing URLs' host
+ * One storefront per run - its number format and UI texts apply to every page.
+ *
+ * @param lists - Listings of the run
+ * @param code - --storefront (optional)
+ * @returns {string|null} Storefront code (null for the default storefront)
+ */
+function runStorefront(lists, code = null) {
+  const hosts = [...new Set(lists.map(list => storefrontOfUrl(list.url)).filter(Boolean))];
+  const storefront = code || hosts[0] || null;
+  const others = hosts.filter(host => host !== storefront);
+  if (others.length > 0) {
+    throw new UsageError(`All listings must be on the ${storefront} storefront, found ${others.join(', ')} - run each storefront separately`);
+  }
+  return storefront;
+}
 
-  const products = [];
+/**
+ * Read known source_ids from a file and/or a comma-separated string
+ *
+ * @param file - Path to a file with one source_id per line (commas also accepted)
+ * @param inline - Comma-separated source_ids (EXISTING_SOURCE_IDS)
+ * @returns {Set<string>} Source ids
+ */
+function loadExistingIds(file, inline = '') {
+  let text = inline || '';
 
-  try {
-    // Step 1: Login with two-step SSO
-    console.log('🔐 Step 1: Logging in to Intercars...\n');
+  if (file) {
+    if (!fs.existsSync(file)) {
+      throw new UsageError(`Existing IDs file not found: ${file}`);
+    }
+    text += `\n${fs.readFileSync(file, 'utf8')}`;
+  }
 
-    await page.goto(SITE_URL, { waitUntil: 'domcontentloaded', timeout: 30000 });
-    await page.waitForTimeout(2000);
+  return new Set(text.split(/[\s,]+/).map(id => id.trim()).filter(id => id));
+}
 
-    console.log(`   Initial URL: ${page.url()}`);
+/**
+ * Read article codes from --sku values and/or a file
+ *
+ * @param file - Path to a file with one code per line (commas also accepted)
+ * @param values - --sku values, each possibly comma-separated
+ * @returns {Array<string>} Normalised codes without duplicates, in the order given
+ */
+function loadSkus(file, values = []) {
+  let text = values.join(',');
 
-    // Check if we're on SSO login page
-    if (page.url().includes('account.intercars.eu') && page.url().includes('login')) {
-      console.log('   Detected SSO login page - TWO-STEP LOGIN FLOW\n');
+  if (file) {
+    if (!fs.existsSync(file)) {
+      throw new UsageError(`SKU file not found: ${file}`);
+    }
+    text += `\n${fs.readFileSync(file, 'utf8')}`;
+  }
 
-      // STEP 1: Enter email/username
-      const emailField = page.locator('input#usernameUserInput').first();
+  const codes = uniqueCodes(text.split(/[\s,;]+/));
+  codes.forEach(code => {
+    try {
+      buildSearchUrl({ text: code });
+    } catch (e) {
+      if (!(e instanceof CatalogUrlError)) throw e;
+      throw new UsageError(`--sku / --sku-file: ${e.message}`);
+    }
+  });
+  return codes;
+}
 
-      if (await emailField.count() > 0) {
-        await emailField.fill(loginUsername);
-        console.log(`   ✓ Email entered: ${loginUsername}`);
+/**
+ * Save a screenshot and the HTML of a listing page without products, for debugging
+ *
+ * @param page - Playwright page on the listing page
+ * @param pageNumber - Page number used in the file names
+ */
+async function saveEmptyPage(page, pageNumber) {
+  log('   ⚠️  No products found on this page.');
+  log('   Taking screenshot for debugging...');
 
-        // Submit email form
-        const continueButton = page.locator('input[type="submit"]').first();
-        if (await continueButton.count() > 0) {
-          await continueButton.click();
-          console.log('   ✓ Continue button clicked\n');
+  // Ensure directories exist
+  if (!fs.existsSync('screenshots')) fs.mkdirSync('screenshots', { recursive: true });
+  if (!fs.existsSync('data')) fs.mkdirSync('data', { recursive: true });
 
-          await page.waitForTimeout(3000);
-          await page.waitForLoadState('networkidle', { timeout: 10000 }).catch(() => {});
-        }
-      }
+  await page.screenshot({ path: `screenshots/debug-no-products-page-${pageNumber}.png`, fullPage: true });
 
-      // STEP 2: Enter password
-      const passwordField = page.locator('input[type="password"]').first();
+  // Try to save HTML for inspection
+  const html = await page.content();
+  fs.writeFileSync(`data/debug-page-${pageNumber}.html`, html);
+  log(`   Saved HTML to: data/debug-page-${pageNumber}.html`);
+}
 
-      if (await passwordField.count() > 0) {
-        await passwordField.fill(loginPassword);
-        console.log('   ✓ Password entered');
+/**
+ * Complete one product card (images, technical description) and tag it with its list
+ *
+ * @param page - Playwright page on the listing page the card came from
+ * @param productData - Product from extractListingPage (modified in place)
+ * @param list - { url, label, template } batch entry
+ * @param options - Passed to processProductCard
+ * @returns {number} Milliseconds spent
+ */
+async function completeProduct(page, productData, list, options) {
+  const productTimer = startTimer();
 
-        // Submit password form
-        const signInButton = page.locator('button[type="submit"], input[type="submit"]').first();
-        if (await signInButton.count() > 0) {
-          await signInButton.click();
-          console.log('   ✓ Sign in button clicked\n');
+  await processProductCard(page, productData, options);
 
-          await page.waitForTimeout(3000);
-          await page.waitForLoadState('networkidle', { timeout: 10000 }).catch(() => {});
+  // Tag the product with the list it came from
+  productData.listing_url = list.url;
+  productData.listing_label = list.label || null;
+  productData.template_hint = list.template !== undefined ? list.template : null;
 
-          console.log(`   ✓ After login URL: ${page.url()}\n`);
-        }
-      } else {
-        throw new Error('Password field not found - login failed');
-      }
-    }
+  return productTimer();
+}
 
-    // Step 2: Navigate to product listing page
-    console.log('📄 Step 2: Navigating to product listing page...\n');
+/**
+ * Add a completed product to the run's output and report it
+ *
+ * @param productData - Product from completeProduct
+ * @param details - { fastMode, duration }
+ * @param state - scrapeListing state ({ listIndex, plan, products, seenIds })
+ */
+function recordProduct(productData, { fastMode, duration }, { listIndex, plan, products, seenIds }) {
+  const sourceId = productData.source_id || productData.sku;
+  products.push(productData);
+  seenIds.add(sourceId);
+
+  emit('product_extracted', {
+    scraped: products.length,
+    max_products: plan.total,
+    list: listIndex + 1,
+    source_id: sourceId,
+    title: productData.title,
+    fast_mode: fastMode,
+    images: productData.images.length,
+    image_source: productData.image_source || null,
+    duration_ms: duration
+  });
+}
 
-    await page.goto(targetUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
+/**
+ * Read a listing's totals, plan how many products its page range gives and report it
+ * The run's planned total (plan.total) is corrected from the list's max to that number.
+ *
+ * @param page - Playwright page on a page of the listing
+ * @param list - { url, max, label } batch entry
+ * @param state - scrapeListing state ({ listIndex, plan, endPage })
+ * @param options - { collector, cards, startPage } cards is the number of products on this page
+ * @returns {Object} { totals, range } from readListingTotals and planRange
+ */
+async function announceTotals(page, list, { listIndex, plan, endPage = null }, { collector, cards, startPage }) {
+  const totals = await readListingTotals(page, SELECTORS, { apiTotals: collector ? collector.totals : null, cards });
+  const range = planRange(totals, { startPage, endPage, max: list.max });
+
+  plan.total += range.expected - list.max;
+
+  if (totals.source) {
+    log(`   📚 Listing: ${totals.total_products !== null ? `${totals.total_products} products` : 'unknown product count'}` +
+      `${totals.total_pages !== null ? ` on ${totals.total_pages} pages` : ''} (${totals.source})` +
+      ` - scraping pages ${startPage}-${range.end_page !== null ? range.end_page : '?'}, expecting ${range.expected} products`);
+  } else {
+    log('   ⚠️  Listing totals not found - progress is reported against --max');
+  }
 
-    // Wait for Cloudflare challenge to complete
-    console.log('   Waiting for Cloudflare challenge to pass...');
-    try {
-      await page.waitForFunction(() => {
-        return !document.title.includes('Just a moment');
-      }, { timeout: 30000 });
-      console.log('   ✓ Cloudflare challenge passed!');
-    } catch (e) {
-      console.log('   ⚠️  Still seeing "Just a moment..." - Cloudflare may be blocking us');
-      console.log('   Waiting an additional 10 seconds...');
-      await page.waitForTimeout(10000);
-    }
+  emit('list_totals', {
+    list: listIndex + 1,
+    total_products: totals.total_products,
+    total_pages: totals.total_pages,
+    per_page: totals.per_page,
+    source: totals.source,
+    start_page: startPage,
+    end_page: range.end_page,
+    available: range.available,
+    expected: range.expected,
+    planned_total: plan.total
+  });
 
-    console.log(`   ✓ Product page loaded`);
-    console.log(`   Product page URL: ${page.url()}\n`);
+  return { totals, range };
+}
 
-    // Step 3: Scrape products from all pages
-    console.log(`🔬 Step 3: Scraping products with pagination (max ${MAX_PRODUCTS})...\n`);
+/**
+ * Scrape one listing URL page by page until the list's product limit is reached.
+ * Products already scraped from an earlier list (same source_id) are skipped and
+ * do not count towards the limit.
+ *
+ * @param page - Logged-in Playwright page
+ * @param list - { url, max, label, template } batch entry
+ * @param state - { listIndex, listCount, plan, startPage, endPage, existingIds, seenIds, products,
+ *                  resume, onPageDone, collector, imageMode, references, branchStock, enricher }
+ *                products and seenIds are shared across lists and appended to.
+ *                plan ({ total }) is the run's planned product count, corrected from each list's totals;
+ *                endPage (null for none) is the last listing page to scrape.
+ *                collector is the API response collector (null for DOM-only extraction);
+ *                imageMode, references and branchStock are passed to processProductCard;
+ *                enricher (null unless --enrich) visits the detail pages of each page's products;
+ *                resume ({ page, scraped, duplicates }) continues a checkpointed list;
+ *                onPageDone({ nextPage, scraped, duplicates, newProducts }) runs after every page
+ * @returns {Object} { scraped, duplicates }
+ */
+async function scrapeListing(page, list, state) {
+  const { listIndex, listCount, endPage, existingIds, seenIds, products, resume, onPageDone, collector, imageMode, references, branchStock, enricher } = state;
+  const targetUrl = list.url;
+  const maxProducts = list.max;
+  const startPage = resume ? resume.page : state.startPage;
+  const listTimer = startTimer();
+  let duplicates = resume ? resume.duplicates : 0;
+
+  // Step 2: Navigate to product listing page
+  console.log(`📄 Step 2: Navigating to product listing page (list ${listIndex + 1}/${listCount}${list.label ? `: ${list.label}` : ''})...\n`);
+  console.log(`   Target URL: ${targetUrl}${startPage > 1 ? ` (starting at page ${startPage})` : ''}`);
+  emit('list_started', {
+    list: listIndex + 1,
+    lists: listCount,
+    url: targetUrl,
+    label: list.label,
+    max_products: maxProducts
+  });
 
-    let currentPage = 0;
-    let scrapedCount = 0;
+  if (collector) collector.reset();
+  await page.goto(pageUrlFor(targetUrl, startPage), { waitUntil: 'domcontentloaded', timeout: 30000 });
 
-    while (scrapedCount < MAX_PRODUCTS) {
-      console.log(`\n   📖 Page ${currentPage + 1}`);
+  // Wait for Cloudflare challenge to complete
+  console.log('   Waiting for Cloudflare challenge to pass...');
+  if (await waitForCondition(page, 'cloudflare', () => !document.title.includes('Just a moment'))) {
+    console.log('   ✓ Cloudflare challenge passed!');
+  } else {
+    console.log(`   ⚠️  Still seeing "Just a moment..." after ${waitLimit('cloudflare')}ms - Cloudflare may be blocking us`);
+    console.log('   Continuing - the listing page wait checks again');
+  }
 
-      // Wait for Cloudflare again (if needed)
-      try {
-        await page.waitForFunction(() => {
-          return !document.title.includes('Just a moment');
-        }, { timeout: 15000 });
-      } catch (e) {
-        // Continue if timeout
-      }
+  console.log(`   ✓ Product page loaded`);
+  console.log(`   Product page URL: ${page.url()}\n`);
 
-      // Wait for React products to load - increased timeout for filtered pages
-      console.log('   Waiting for React app to load products...');
+  // Step 3: Scrape products from all pages
+  console.log(`🔬 Step 3: Scraping products with pagination (max ${maxProducts})...\n`);
 
-      // Wait for network to settle first
-      await page.waitForLoadState('networkidle', { timeout: 15000 }).catch(() => {
-        console.log('   Network not idle, continuing anyway...');
-      });
+  let currentPage = startPage - 1;
+  let scrapedCount = resume ? resume.scraped : 0;
+  let listing = null;
 
-      // Give React time to render
-      await page.waitForTimeout(8000);
+  while (scrapedCount < maxProducts) {
+    const lastPage = listing ? listing.range.end_page : endPage;
+    console.log(`\n   📖 Page ${currentPage + 1}${lastPage !== null ? ` of ${lastPage}` : ''}`);
+    const pageTimer = startTimer();
 
-      // Now check if we have products with actual titles (not just pagination)
-      const hasRealProducts = await page.evaluate(() => {
-        const links = document.querySelectorAll('[data-testid="productIndexLink"]');
-        let realProductCount = 0;
+    await timed('page_render', () => waitForListingPage(page, { collector }));
 
-        links.forEach(link => {
-          const title = link.getAttribute('title') || link.textContent.trim();
-          const url = link.href;
+    // Save the current listing page URL to return to later
+    const listingPageUrl = page.url();
+    console.log(`   📍 Listing page URL: ${listingPageUrl}`);
 
-          // Real products have titles longer than 3 chars and don't end in /p/[number]
-          if (title && title.length > 3 && !url.match(/\/p\/\d+$/)) {
-            realProductCount++;
-          }
-        });
+    // Extract products directly from listing page (no detail page visits)
+    const { products: productCards, extraction } = await timed('listing_extraction', () => extractListingPage(page, { collector }));
+    emit('page_loaded', {
+      page: currentPage + 1,
+      url: listingPageUrl,
+      products: productCards.length,
+      extraction,
+      duration_ms: pageTimer()
+    });
 
-        console.log(`Found ${links.length} total links, ${realProductCount} real products`);
-        return realProductCount > 0;
-      });
+    if (productCards.length === 0) {
+      await saveEmptyPage(page, currentPage);
+      log('   Stopping pagination.');
+      break;
+    }
 
-      if (hasRealProducts) {
-        console.log('   ✓ Real products found!');
-      } else {
-        console.log('   ⚠️  No real products found (only pagination). Page may be filtered to empty result.');
-      }
+    if (!listing) {
+      listing = await announceTotals(page, list, state, { collector, cards: productCards.length, startPage });
+    }
+    const expected = listing.range.expected;
+
+    // Skip products an earlier list already scraped, then respect the list's product limit
+    const newCards = productCards.filter(card => !seenIds.has(card.source_id || card.sku));
+    if (newCards.length < productCards.length) {
+      const skipped = productCards.length - newCards.length;
+      duplicates += skipped;
+      log(`   ↷ Skipping ${skipped} products already scraped from an earlier list`);
+    }
 
-      // Save the current listing page URL to return to later
-      const listingPageUrl = page.url();
-      console.log(`   📍 Listing page URL: ${listingPageUrl}`);
+    const remainingSlots = maxProducts - scrapedCount;
+    const productsToProcess = newCards.slice(0, remainingSlots);
 
-      // CRITICAL FIX: Scroll to bottom of page to trigger lazy-loaded price elements
-      // Products below the fold don't have price elements rendered until scrolled into view
-      console.log('   📜 Scrolling to bottom to load all price elements...');
-      await page.evaluate(() => {
-        window.scrollTo(0, document.body.scrollHeight);
-      });
-      await page.waitForTimeout(2000); // Wait for lazy-loaded elements to render
+    log(`   → Processing ${productsToProcess.length} products on listing page...`);
 
-      // Scroll back to top for consistent extraction
-      await page.evaluate(() => {
-        window.scrollTo(0, 0);
-      });
-      await page.waitForTimeout(1000);
-      console.log('   ✓ All products should now be fully loaded');
+    for (let i = 0; i < productsToProcess.length; i++) {
+      const productData = productsToProcess[i];
+      const isExisting = existingIds.has(productData.source_id || productData.sku);
 
-      // Extract products directly from listing page (no detail page visits)
-      const productCards = await extractProductsFromListingPage(page);
+      log(`      [${scrapedCount + 1}/${expected}] Processing: ${productData.title}${isExisting ? ' [FAST MODE - existing]' : ''}`);
+      const duration = await completeProduct(page, productData, list, { fastMode: isExisting, scraped: products.length + 1, imageMode, references, branchStock });
 
-      if (productCards.length === 0) {
-        log('   ⚠️  No products found on this page.');
-        log('   Taking screenshot for debugging...');
+      recordProduct(productData, { fastMode: isExisting, duration }, state);
+      scrapedCount++;
+    }
 
-        // Ensure directories exist
-        if (!fs.existsSync('screenshots')) fs.mkdirSync('screenshots', { recursive: true });
-        if (!fs.existsSync('data')) fs.mkdirSync('data', { recursive: true });
+    // Detail pages before the checkpoint, so a resumed run keeps the enriched data
+    if (enricher && productsToProcess.length > 0) {
+      await enricher.enrich(productsToProcess);
+    }
 
-        await page.screenshot({ path: `screenshots/debug-no-products-page-${currentPage}.png`, fullPage: true });
+    log(`   ✓ Scraped ${productsToProcess.length} products from this page (Total: ${scrapedCount}/${expected})`);
+    emit('page_done', {
+      page: currentPage + 1,
+      products: productsToProcess.length,
+      scraped: products.length,
+      duration_ms: pageTimer()
+    });
 
-        // Try to save HTML for inspection
-        const html = await page.content();
-        fs.writeFileSync(`data/debug-page-${currentPage}.html`, html);
-        log(`   Saved HTML to: data/debug-page-${currentPage}.html`);
+    if (onPageDone) {
+      onPageDone({ nextPage: currentPage + 2, scraped: scrapedCount, duplicates, newProducts: productsToProcess });
+    }
 
-        log('   Stopping pagination.');
-        break;
-      }
+    // If we've reached our limit, stop
+    if (scrapedCount >= maxProducts) {
+      log('   ✓ Reached maximum product limit');
+      break;
+    }
 
-      // Process products on this page (respecting MAX_PRODUCTS limit)
-      const remainingSlots = MAX_PRODUCTS - scrapedCount;
-      const productsToProcess = productCards.slice(0, remainingSlots);
-
-      log(`   → Processing ${productsToProcess.length} products on listing page...`);
-
-      for (let i = 0; i < productsToProcess.length; i++) {
-        const productData = productsToProcess[i];
-        const sourceId = productData.source_id || productData.sku;
-        const isExisting = EXISTING_SOURCE_IDS.has(sourceId);
-
-        log(`      [${scrapedCount + i + 1}/${MAX_PRODUCTS}] Processing: ${productData.title}${isExisting ? ' [FAST MODE - existing]' : ''}`);
-
-        try {
-          if (isExisting) {
-            // FAST MODE: Skip expensive image and tech description extraction
-            // Rails will preserve existing data for these products
-            log(`       ⚡ Skipping image/tech extraction (product exists in database)`);
-            productData.images = [];
-            productData.technical_description = null;
-            productData.models = null;
-            productData.reuse_existing = true;
-          } else {
-            // FULL MODE: Extract images and technical description for new products
-            // Extract images using the imageContainerIndex stored during product extraction
-            // This ensures we click on the exact same container that corresponds to this product
-            const images = await extractImagesFromProductCard(page, productData.imageContainerIndex);
-            productData.images = images;
-
-            log(`       ✓ Extracted ${images.length} images without leaving listing page`);
-
-            // Extract technical description by clicking "Više informacija" button
-            const techData = await extractTechnicalDescription(page, productData.imageContainerIndex);
-            productData.technical_description = techData.technical_description;
-            productData.models = techData.models;
-
-            if (techData.technical_description) {
-              log(`       ✓ Extracted technical description`);
-            }
-            if (techData.models) {
-              log(`       ✓ Extracted models: ${techData.models.substring(0, 50)}...`);
-            }
-
-            productData.reuse_existing = false;
-          }
+    const nextPageNumber = currentPage + 2;
+    if (endPage !== null && nextPageNumber > endPage) {
+      log(`   ✓ Reached end page ${endPage}`);
+      break;
+    }
 
-          // Remove the temporary imageContainerIndex before saving
-          delete productData.imageContainerIndex;
+    // Check if there's a next page - the totals can say so when the button is missing
+    const nextButton = page.locator(await resolveSelector(page, SELECTORS, 'paginationNext'));
+    const hasNextPage = await nextButton.count() > 0;
+    const totalPages = listing.totals.total_pages;
 
-          products.push(productData);
-          scrapedCount++;
-        } catch (error) {
-          logError(`Failed to extract images for product ${i}`, error);
-          // Still add product without images
-          productData.images = [];
-          productData.reuse_existing = isExisting;
+    if (!hasNextPage && !(totalPages !== null && nextPageNumber <= totalPages)) {
+      log('   ⚠️  No next button found - last page reached');
+      break;
+    }
 
-          // Remove the temporary imageContainerIndex before saving
-          delete productData.imageContainerIndex;
+    // If this page had fewer products than expected, might be last page
+    if (productCards.length < 8) {
+      log('   ⚠️  Fewer products than expected on this page.');
+      // Still try to go to next page in case there are more
+    }
 
-          products.push(productData);
-          scrapedCount++;
-        }
+    // Click next button to go to next page; open the page by URL when that does not work
+    try {
+      if (collector) collector.reset();
+      let changed = false;
+      if (hasNextPage) {
+        const productLinkSelector = await resolveSelector(page, SELECTORS, 'productLink');
+        const before = {
+          url: page.url(),
+          selector: productLinkSelector,
+          href: await page.locator(productLinkSelector).first().getAttribute('href').catch(() => null)
+        };
+        await nextButton.click();
+        log('   ✓ Clicked next page button');
 
-        // Small delay between products (shorter for fast mode)
-        if (i < productsToProcess.length - 1) {
-          await page.waitForTimeout(isExisting ? 100 : 500);
-        }
+        // The next page is there once the URL or the first product has changed
+        changed = await waitForCondition(page, 'pagination', ({ url, selector, href }) => {
+          const first = document.querySelector(selector);
+          return window.location.href !== url || (!!first && first.getAttribute('href') !== href);
+        }, before);
+      }
+      if (!changed) {
+        log(`   ${hasNextPage ? `⚠️  Page did not change within ${waitLimit('pagination')}ms` : '⚠️  No next button'} - opening page ${nextPageNumber} by URL`);
+        if (collector) collector.reset();
+        await page.goto(pageUrlFor(targetUrl, nextPageNumber), { waitUntil: 'domcontentloaded', timeout: 30000 });
       }
+      currentPage++;
+    } catch (e) {
+      log('   ⚠️  Failed to navigate to next page: ' + e.message);
+      break;
+    }
+  }
 
-      log(`   ✓ Scraped ${productsToProcess.length} products from this page (Total: ${scrapedCount}/${MAX_PRODUCTS})`);
+  log(`   ✓ List ${listIndex + 1}/${listCount} done: ${scrapedCount} products${duplicates ? `, ${duplicates} duplicates skipped` : ''}`);
+  emit('list_done', {
+    list: listIndex + 1,
+    url: targetUrl,
+    label: list.label,
+    scraped: scrapedCount,
+    duplicates,
+    duration_ms: listTimer()
+  });
 
-      // If we've reached our limit, stop
-      if (scrapedCount >= MAX_PRODUCTS) {
-        log('   ✓ Reached maximum product limit');
-        break;
-      }
+  return { scraped: scrapedCount, duplicates };
+}
 
-      // Check if there's a next page
-      const nextButton = page.locator('[data-testid="pagination__next"]');
-      const hasNextPage = await nextButton.count() > 0;
+/**
+ * Read one listing page on a pool worker, plan its shares and complete the first share
+ * This part is the only one that reads the page's cards: the new products it finds are shared
+ * out (pageShares.plan) among the page's parts, which complete theirs with completeShareAt.
+ * Products in fast mode need no page of their own unless branch stock is read, so they stay here.
+ *
+ * @param worker - Pool worker { index, page, collector }
+ * @param list - { url, max, label, template } batch entry
+ * @param pageNumber - 1-based listing page to open (by its /p/N URL)
+ * @param options - { pageShares, seenIds, existingIds, remaining, imageMode, references, branchStock, onPageLoaded }
+ *                  pageShares is from createPageShares, remaining caps how many cards of the page
+ *                  are completed (across all parts); onPageLoaded(worker, cards) runs once the
+ *                  page's cards are read
+ * @returns {Object} { cards, completed: [{ productData, fastMode, duration }], last, duration }
+ */
+async function scrapeListingPageAt(worker, list, pageNumber, { pageShares, seenIds, existingIds, remaining, imageMode, references, branchStock, onPageLoaded = null }) {
+  const { page, collector } = worker;
+  const pageTimer = startTimer();
+  const tag = `[page ${pageNumber}, worker ${worker.index + 1}]`;
+  let shared = [];
 
-      if (!hasNextPage) {
-        log('   ⚠️  No next button found - last page reached');
-        break;
-      }
+  try {
+    if (collector) collector.reset();
+    await page.goto(pageUrlFor(list.url, pageNumber), { waitUntil: 'domcontentloaded', timeout: 30000 });
+    log(`\n   📖 Page ${pageNumber} on worker ${worker.index + 1}`);
 
-      // If this page had fewer products than expected, might be last page
-      if (productCards.length < 8) {
-        log('   ⚠️  Fewer products than expected on this page.');
-        // Still try to go to next page in case there are more
-      }
+    await timed('page_render', () => waitForListingPage(page, { collector }));
 
-      // Click next button to go to next page
-      try {
-        await nextButton.click();
-        log('   ✓ Clicked next page button');
-        await page.waitForTimeout(2000);
-        currentPage++;
-      } catch (e) {
-        log('   ⚠️  Failed to navigate to next page: ' + e.message);
-        break;
-      }
+    // Past the last page the catalog sends us back to an earlier one
+    if (pageNumber > 1 && pageNumberOf(page.url()) !== pageNumber) {
+      log(`   ${tag} Redirected to ${page.url()} - past the last page`);
+      return { cards: [], completed: [], last: true, duration: pageTimer() };
     }
 
-    // Step 4: Save results
-    console.log(`\n💾 Step 4: Saving results...`);
+    const { products: cards, extraction } = await timed('listing_extraction', () => extractListingPage(page, { collector }));
+    emit('page_loaded', {
+      page: pageNumber,
+      url: page.url(),
+      products: cards.length,
+      extraction,
+      worker: worker.index + 1,
+      duration_ms: pageTimer()
+    });
 
-    // Ensure data directory exists
-    const dataDir = 'data';
-    if (!fs.existsSync(dataDir)) {
-      fs.mkdirSync(dataDir, { recursive: true });
+    if (cards.length === 0) {
+      await saveEmptyPage(page, pageNumber);
+      return { cards, completed: [], last: true, duration: pageTimer() };
     }
 
-    const outputFile = `${dataDir}/products-${Date.now()}.json`;
-    fs.writeFileSync(outputFile, JSON.stringify(products, null, 2));
+    if (onPageLoaded) await onPageLoaded(worker, cards);
 
-    console.log(`   ✓ Saved ${products.length} products to: ${outputFile}`);
-    console.log(`\n📊 Summary:`);
-    console.log(`   Total products scraped: ${products.length}`);
-    if (products.length > 0) {
-      console.log(`   Average fields per product: ${Math.round(
-        products.reduce((sum, p) => sum + Object.keys(p).length, 0) / products.length
-      )}`);
-      console.log(`   Products with images: ${products.filter(p => p.images && p.images.length > 0).length}`);
-    }
+    const last = await page.locator(await resolveSelector(page, SELECTORS, 'paginationNext')).count() === 0;
 
-    return products;
+    const candidates = cards.filter(card => !seenIds.has(card.source_id || card.sku)).slice(0, remaining);
+    const needsPage = card => branchStock || !existingIds.has(card.source_id || card.sku);
+    shared = candidates.filter(needsPage);
+    const own = new Set(pageShares.plan(pageNumber, shared));
+    const mine = candidates.filter(card => !needsPage(card) || own.has(card));
 
-  } catch (error) {
-    logError('Error during scraping', error);
-    if (!fs.existsSync('screenshots')) fs.mkdirSync('screenshots', { recursive: true });
-    await page.screenshot({ path: 'screenshots/error-scrape.png' }).catch(() => {});
-    throw error;
-  } finally {
-    await browser.close();
-    log('\n✅ Scraping complete!');
-    log(`Full log saved to: ${LOG_FILE}`);
+    const completed = [];
+    for (let i = 0; i < mine.length; i++) {
+      const productData = mine[i];
+      const fastMode = existingIds.has(productData.source_id || productData.sku);
 
-    // Close log stream
-    logStream.end();
+      log(`      ${tag} ${i + 1}/${mine.length} Processing: ${productData.title}${fastMode ? ' [FAST MODE - existing]' : ''}`);
+      const duration = await completeProduct(page, productData, list, { fastMode, scraped: null, imageMode, references, branchStock });
+      completed.push({ productData, fastMode, duration });
+    }
+
+    return { cards, completed, last, duration: pageTimer() };
+  } finally {
+    // The page's other parts wait for its plan - also when there is nothing to share
+    pageShares.plan(pageNumber, shared);
   }
 }
 
 /**
- * Extract all product data from listing page (without visiting detail pages)
- * Also tracks which image container index corresponds to each product for accurate image extraction
+ * Complete one part's share of a listing page on a pool worker
+ * The page is only opened when the share has products. Their cards are found by SKU in this
+ * load of the page - the catalog may list them in another order than the load that planned the
+ * page. A product that is not on the page any more is completed in fast mode (listing data only).
+ *
+ * @param worker - Pool worker { index, page, collector }
+ * @param list - { url, max, label, template } batch entry
+ * @param pageNumber - 1-based listing page the share is from
+ * @param part - The share's part (1 and up - part 0 is scrapeListingPageAt)
+ * @param options - { pageShares, existingIds, imageMode, references, branchStock }
+ * @returns {Object} { cards: [], completed: [{ productData, fastMode, duration }], last: false, duration }
  */
-async function extractProductsFromListingPage(page) {
-  log('   Extracting products from listing page...');
-
-  const products = await page.evaluate(() => {
-    const productLinks = document.querySelectorAll('[data-testid="productIndexLink"]');
-    // Get ALL .product-image containers as an array for index lookup
-    const allImageContainers = Array.from(document.querySelectorAll('.product-image'));
+async function completeShareAt(worker, list, pageNumber, part, { pageShares, existingIds, imageMode, references, branchStock }) {
+  const { page, collector } = worker;
+  const share = await pageShares.share(pageNumber, part);
+  const pageTimer = startTimer();
+  const tag = `[page ${pageNumber} part ${part + 1}, worker ${worker.index + 1}]`;
+  const completed = [];
+  if (share.length === 0) return { cards: [], completed, last: false, duration: pageTimer() };
+
+  if (collector) collector.reset();
+  await page.goto(pageUrlFor(list.url, pageNumber), { waitUntil: 'domcontentloaded', timeout: 30000 });
+  log(`\n   📖 Page ${pageNumber} (part ${part + 1}, ${share.length} products) on worker ${worker.index + 1}`);
+
+  await timed('page_render', () => waitForListingPage(page, { collector }));
+
+  // Only where each card is on this load of the page - the products are the planning part's
+  const here = new Map((await extractProductsFromListingPage(page)).map(card => [card.source_id || card.sku, card]));
+
+  for (let i = 0; i < share.length; i++) {
+    const productData = share[i];
+    const sourceId = productData.source_id || productData.sku;
+    const card = here.get(sourceId);
+    // Without its card the product is completed like an existing one - nothing to read, nothing overwritten
+    const fastMode = !card || existingIds.has(sourceId);
+
+    if (card) {
+      productData.imageContainerIndex = card.imageContainerIndex;
+    } else {
+      log(`      ${tag} ⚠️  ${sourceId} is not on the page any more - keeping its listing data`);
+      emit('image_failed', { source_id: sourceId, title: productData.title, error: `Not on listing page ${pageNumber} when it was opened again` });
+    }
 
-    console.log(`[EXTRACTION] Found ${productLinks.length} product links and ${allImageContainers.length} image containers`);
+    log(`      ${tag} ${i + 1}/${share.length} Processing: ${productData.title}${fastMode ? ' [FAST MODE - existing]' : ''}`);
+    const duration = await completeProduct(page, productData, list, { fastMode, scraped: null, imageMode, references, branchStock });
+    completed.push({ productData, fastMode, duration });
+  }
 
-    const extracted = [];
-    let realProductIndex = 0; // Track index of real products (excluding pagination)
+  return { cards: [], completed, last: false, duration: pageTimer() };
+}
 
-    productLinks.forEach((link, linkIndex) => {
-      const title = link.getAttribute('title') || link.textContent.trim();
-      const url = link.href;
-      const sku = link.getAttribute('data-towkod');
+/**
+ * Worker-pool version of scrapeListing: every listing page is read once, by URL, on one of the
+ * pool's pages, and its products are completed side by side on all of them (see
+ * scrapeListingPageAt and completeShareAt). Parts are committed in task order and a page once
+ * its last part is in - products, events and checkpoints come out exactly as in a sequential run.
+ *
+ * @param pool - Page pool from createPagePool (workers carry their own response collector)
+ * @param list - { url, max, label, template } batch entry
+ * @param state - Same as scrapeListing (collector is per worker instead)
+ * @returns {Object} { scraped, duplicates }
+ */
+async function scrapeListingParallel(pool, list, state) {
+  const { listIndex, listCount, endPage, existingIds, seenIds, products, resume, onPageDone, imageMode, references, branchStock, enricher } = state;
+  const maxProducts = list.max;
+  const startPage = resume ? resume.page : state.startPage;
+  const listTimer = startTimer();
+  let duplicates = resume ? resume.duplicates : 0;
+  let scrapedCount = resume ? resume.scraped : 0;
+
+  console.log(`📄 Step 2: Scraping listing with ${pool.workers.length} pages in parallel (list ${listIndex + 1}/${listCount}${list.label ? `: ${list.label}` : ''})...\n`);
+  console.log(`   Target URL: ${list.url}${startPage > 1 ? ` (starting at page ${startPage})` : ''}`);
+  emit('list_started', {
+    list: listIndex + 1,
+    lists: listCount,
+    url: list.url,
+    label: list.label,
+    max_products: maxProducts
+  });
 
-      // Skip pagination links - they end with /c/[category]/p/[number]
-      if (url.match(/\/p\/\d+$/)) {
-        console.log(`[EXTRACTION] Skipping pagination link: ${url}`);
-        return;
+  const parts = pool.workers.length;
+  const pageShares = createPageShares(parts);
+  let nextPage = startPage;
+  let nextPart = 0;
+  let lastPage = endPage !== null ? endPage : Infinity;
+  let perPage = null;
+  let running = 0;
+  // Parts of the page being committed, until its last part is in
+  let pageParts = [];
+  // Totals are read once, on whichever page loads first
+  let listing = null;
+  let expected = maxProducts;
+
+  await runOrdered(pool.workers, {
+    next: () => {
+      // A page that has been started hands out all of its parts
+      if (nextPart === 0) {
+        if (scrapedCount >= maxProducts || nextPage > lastPage) return null;
+        // Pages already running are expected to fill the list - wait for their results
+        if (perPage && scrapedCount + running * perPage >= maxProducts) return null;
+        running++;
       }
+      const task = { pageNumber: nextPage, part: nextPart };
+      nextPart++;
+      if (nextPart === parts) {
+        nextPart = 0;
+        nextPage++;
+      }
+      return task;
+    },
 
-      // Skip if no real title (pagination links have empty or numeric titles)
-      if (!title || title.length < 3) {
-        console.log(`[EXTRACTION] Skipping link with no/short title: "${title}"`);
-        return;
+    run: async (worker, { pageNumber, part }) => {
+      if (part > 0) {
+        return completeShareAt(worker, list, pageNumber, part, { pageShares, existingIds, imageMode, references, branchStock });
       }
 
-      console.log(`[EXTRACTION] Processing product ${linkIndex} (real product index: ${realProductIndex}): ${title} (${sku})`);
-
-      let price = null;
-      let currency = 'BAM';
-      let branchAvailability = null;
-      let quantity = null;
-
-      // CRITICAL FIX: Extract price by traversing DOM from the product link
-      // This ensures we get the price for THIS specific product, not from a misaligned array
-      let parent = link;
-      for (let i = 0; i < 10; i++) {
-        parent = parent.parentElement;
-        if (!parent) break;
-
-        // Look for price element within this product's parent container
-        const priceEl = parent.querySelector('[data-testid="wholesalePrice-new"], [data-test="wholesalePrice-new"]');
-        if (priceEl) {
-          const dataPrice = priceEl.getAttribute('data-clk-listing-item-wholesale-price');
-          if (dataPrice) {
-            price = parseFloat(dataPrice);
-            console.log(`[EXTRACTION] Found price from data attribute: ${price}`);
-          } else {
-            const priceText = priceEl.textContent.trim();
-            const priceMatch = priceText.match(/([\d\s,.]+)\s*(BAM|EUR|KM)?/);
-            if (priceMatch) {
-              const cleanPrice = priceMatch[1].replace(/\s/g, '').replace(',', '.');
-              price = parseFloat(cleanPrice);
-              currency = priceMatch[2] || 'BAM';
-              console.log(`[EXTRACTION] Found price from text: ${price} ${currency}`);
-            }
+      const result = await scrapeListingPageAt(worker, list, pageNumber, {
+        pageShares,
+        seenIds,
+        existingIds,
+        remaining: maxProducts - scrapedCount,
+        imageMode,
+        references,
+        branchStock,
+        onPageLoaded: async (loadedWorker, cards) => {
+          if (!listing) {
+            listing = announceTotals(loadedWorker.page, list, state, { collector: loadedWorker.collector, cards: cards.length, startPage });
           }
+          const { range } = await listing;
+          expected = range.expected;
+          if (range.end_page !== null) lastPage = Math.min(lastPage, range.end_page);
         }
-
-        // Extract branch availability
-        const stockNameEl = parent.querySelector('[data-testid="stockName"], [data-test="stockName"]');
-        if (stockNameEl) {
-          branchAvailability = stockNameEl.getAttribute('data-clk-listing-item-availability-branch') || stockNameEl.textContent.trim();
-        }
-
-        // Extract quantity
-        const stockQuantityEl = parent.querySelector('[data-testid="stockQuantity-new"], [data-test="stockQuantity-new"]');
-        if (stockQuantityEl) {
-          quantity = stockQuantityEl.getAttribute('data-clk-listing-item-availability-amount') || stockQuantityEl.textContent.trim();
-        }
-
-        // Stop if we found all the data we need
-        if (price && branchAvailability && quantity) break;
+      });
+      if (result.last) lastPage = Math.min(lastPage, pageNumber);
+      if (result.cards.length > 0 && perPage === null) perPage = result.cards.length;
+      return result;
+    },
+
+    commit: async ({ pageNumber, part }, result) => {
+      pageParts.push(result);
+      if (part < parts - 1) return true;
+
+      // Last part in - commit the page, its products in card order
+      const [{ cards }] = pageParts;
+      const order = new Map(cards.map((card, index) => [card.source_id || card.sku, index]));
+      const positionOf = ({ productData }) => {
+        const position = order.get(productData.source_id || productData.sku);
+        return position === undefined ? Infinity : position;
+      };
+      const completed = pageParts.flatMap(loaded => loaded.completed).sort((a, b) => (positionOf(a) - positionOf(b)) || 0);
+      const last = pageParts.some(loaded => loaded.last);
+      const duration = Math.max(...pageParts.map(loaded => loaded.duration));
+      pageParts = [];
+      pageShares.forget(pageNumber);
+
+      running--;
+      if (cards.length === 0) {
+        log(`   Page ${pageNumber} has no products - stopping pagination.`);
+        return false;
       }
 
-      // Try to extract brand from title (format: "SIZE BRAND CODE")
-      let brand = null;
-      const titleParts = title.split(' ');
-      if (titleParts.length >= 2) {
-        // Second part is usually the brand (e.g., "175/65R14 ZOHA 82T W462H" -> ZOHA)
-        brand = titleParts[1];
+      // A product can move to a later page while we read - the first page it was seen on keeps it
+      const skipped = cards.filter(card => seenIds.has(card.source_id || card.sku)).length;
+      if (skipped > 0) {
+        duplicates += skipped;
+        log(`   ↷ Page ${pageNumber}: skipping ${skipped} products already scraped`);
       }
 
-      // Extract subtitle/B2BName (product category description)
-      // This is found in the same product card as the title
-      let subTitle = null;
-
-      // Extract specs/description from productAttributes section
-      let description = null;
-      let specs = {};
-
-      // Try to find productAttributes container for this product
-      // Navigate up from the link to find the product card that contains attributes
-      let productCard = link;
-      for (let i = 0; i < 15; i++) {
-        productCard = productCard.parentElement;
-        if (!productCard) break;
-
-        // Extract subtitle/B2BName from this product card
-        const subTitleEl = productCard.querySelector('[data-testid="B2BName-new"]');
-        if (subTitleEl && !subTitle) {
-          subTitle = subTitleEl.textContent.trim();
-          console.log(`[EXTRACTION] Found subtitle for product ${realProductIndex}: ${subTitle}`);
-        }
-
-        const attrsContainer = productCard.querySelector('[data-testid="productAttributes"]');
-        if (attrsContainer) {
-          console.log(`[EXTRACTION] Found productAttributes for product ${realProductIndex}`);
-
-          // Get the full text content and split by | to get attribute pairs
-          const fullText = attrsContainer.textContent.trim();
-          console.log(`[EXTRACTION] Attrs text length: ${fullText.length}`);
-
-          if (fullText.length > 0) {
-            // Split by | separator
-            const parts = fullText.split('|').map(p => p.trim()).filter(p => p.length > 0);
-            console.log(`[EXTRACTION] Found ${parts.length} attribute parts`);
-
-            // Process each part (format: "Label: Value")
-            const descParts = [];
-            parts.forEach(part => {
-              const colonIdx = part.indexOf(':');
-              if (colonIdx > 0) {
-                const label = part.substring(0, colonIdx).trim();
-                const value = part.substring(colonIdx + 1).trim();
-
-                if (label && value) {
-                  descParts.push(`${label}: ${value}`);
-                  specs[label] = value;
-                }
-              }
-            });
-
-            description = descParts.join(', ');
-            console.log(`[EXTRACTION] Extracted ${Object.keys(specs).length} spec attributes`);
-          } else {
-            console.log(`[EXTRACTION] ⚠ productAttributes container is empty`);
-          }
-          break;
-        }
-      }
+      const pageProducts = completed
+        .filter(({ productData }) => !seenIds.has(productData.source_id || productData.sku))
+        .slice(0, maxProducts - scrapedCount);
+      pageProducts.forEach(({ productData, fastMode, duration: productDuration }) => {
+        recordProduct(productData, { fastMode, duration: productDuration }, state);
+        scrapedCount++;
+      });
+      const newProducts = pageProducts.map(({ productData }) => productData);
 
-      if (!description) {
-        console.log(`[EXTRACTION] ⚠ No productAttributes found for product ${realProductIndex}`);
+      if (enricher && newProducts.length > 0) {
+        await enricher.enrich(newProducts);
       }
 
-      console.log(`[EXTRACTION] Product ${realProductIndex} fields:`);
-      console.log(`[EXTRACTION]   - Title: ${title}`);
-      console.log(`[EXTRACTION]   - Subtitle: ${subTitle || 'NOT FOUND'}`);
-      console.log(`[EXTRACTION]   - SKU: ${sku}`);
-      console.log(`[EXTRACTION]   - Brand: ${brand || 'NOT FOUND'}`);
-      console.log(`[EXTRACTION]   - Price: ${price || 'NOT FOUND'} ${currency}`);
-      console.log(`[EXTRACTION]   - Branch: ${branchAvailability || 'NOT FOUND'}`);
-      console.log(`[EXTRACTION]   - Quantity: ${quantity || 'NOT FOUND'}`);
-      console.log(`[EXTRACTION]   - Description: ${description ? 'YES (' + description.substring(0, 50) + '...)' : 'NOT FOUND'}`);
-      console.log(`[EXTRACTION]   - Specs: ${Object.keys(specs).length} attributes`);
-
-      if (url && (title || sku)) {
-        // CRITICAL FIX: Find the actual .product-image container that belongs to THIS product
-        // by traversing up from the link to find the parent product card
-        let imageContainerIndex = -1;
-        let parent = link;
-
-        // Traverse up the DOM to find the product card container
-        for (let i = 0; i < 15; i++) {
-          parent = parent.parentElement;
-          if (!parent) break;
-
-          // Look for .product-image within this parent
-          const imageContainer = parent.querySelector('.product-image');
-          if (imageContainer) {
-            // Find the index of this container in the global array
-            imageContainerIndex = allImageContainers.indexOf(imageContainer);
-            if (imageContainerIndex >= 0) {
-              console.log(`[EXTRACTION] Found image container at global index ${imageContainerIndex} for product link ${linkIndex} (real product ${realProductIndex})`);
-              break;
-            }
-          }
-        }
-
-        if (imageContainerIndex === -1) {
-          console.log(`[EXTRACTION] ⚠ WARNING: Product ${realProductIndex} has NO image container (product without images)`);
-          // DO NOT fallback to any index - this product genuinely has no images
-          // The image extraction will handle this by returning empty array
-          console.log(`[EXTRACTION] Will skip image extraction for this product to prevent mismatch`);
-        }
+      log(`   ✓ Page ${pageNumber}: ${newProducts.length} products (Total: ${scrapedCount}/${expected})`);
+      emit('page_done', {
+        page: pageNumber,
+        products: newProducts.length,
+        scraped: products.length,
+        duration_ms: duration
+      });
 
-        const productData = {
-          source: 'intercars',
-          scraped_at: new Date().toISOString(),
-          title,
-          sub_title: subTitle || null,
-          url,
-          sku,
-          source_id: sku,
-          source_url: url,
-          price: price || 0.0,
-          currency,
-          branch_availability: branchAvailability || null,
-          quantity: quantity || null,
-          brand: brand || null,
-          // Images will be filled by clicking
-          images: [],
-          // Description and specs extracted from productAttributes
-          description: description,
-          specs: Object.keys(specs).length > 0 ? specs : null,
-          // IMPORTANT: Store the ACTUAL index of the image container in the global array
-          // This ensures we click on the exact right container
-          // -1 means this product has no image container (will skip image extraction)
-          imageContainerIndex: imageContainerIndex
-        };
-        extracted.push(productData);
-        console.log(`[EXTRACTION] ✓ Added product ${realProductIndex} (link ${linkIndex}, image container index: ${imageContainerIndex})`);
+      if (onPageDone) {
+        onPageDone({ nextPage: pageNumber + 1, scraped: scrapedCount, duplicates, newProducts });
+      }
 
-        // Increment the real product index for the next product
-        realProductIndex++;
-      } else {
-        console.log(`[EXTRACTION] ⚠ Skipped product link ${linkIndex} - missing URL or title/SKU`);
+      if (scrapedCount >= maxProducts) {
+        log('   ✓ Reached maximum product limit');
+        return false;
       }
-    });
+      if (last || pageNumber >= lastPage) {
+        log(`   ⚠️  Page ${pageNumber} is the ${last ? 'last page' : 'end page'}`);
+        return false;
+      }
+      return true;
+    }
+  });
 
-    console.log(`[EXTRACTION] Total extracted: ${extracted.length} products`);
-    return extracted;
+  log(`   ✓ List ${listIndex + 1}/${listCount} done: ${scrapedCount} products${duplicates ? `, ${duplicates} duplicates skipped` : ''}`);
+  emit('list_done', {
+    list: listIndex + 1,
+    url: list.url,
+    label: list.label,
+    scraped: scrapedCount,
+    duplicates,
+    duration_ms: listTimer()
   });
 
-  log(`   ✓ Found ${products.length} products on listing page`);
-  return products;
+  return { scraped: scrapedCount, duplicates };
 }
 
 /**
- * Extract images by clicking on product image to open modal
- * Stays on listing page - no navigation needed
+ * Look up article codes through the site search and scrape the card that matches each one.
+ * Codes without exactly one matching card are only reported.
  *
- * @param page - Playwright page object
- * @param containerIndex - The exact DOM index of the image container (from productLinks iteration)
+ * @param page - Logged-in Playwright page
+ * @param codes - Normalised article codes (loadSkus)
+ * @param state - { plan, storefront, existingIds, seenIds, products, collector, imageMode, references,
+ *                  branchStock, enricher } as for scrapeListing; storefront is the active profile
+ * @returns {Array} One result per code: { code, status, source_id, results, candidates, url }
  */
-async function extractImagesFromProductCard(page, containerIndex) {
-  try {
-    log(`       [IMG] ========================================`);
-    log(`       [IMG] Extracting images using container index ${containerIndex}...`);
-
-    // CRITICAL: If containerIndex is -1, this product has NO image container
-    // This happens when products don't have images at all
-    if (containerIndex === -1) {
-      log(`       [IMG] ⚠ Container index is -1: This product has NO images (skipping extraction)`);
-      log(`       [IMG] ========================================`);
-      return [];
-    }
-
-    // CRITICAL: Ensure no modal is open before clicking on this product
-    // This prevents images from previous modals being attached to wrong products
-    log(`       [IMG] Ensuring no modal is currently open...`);
-
-    // Check for any existing modal portal
-    const existingModalCount = await page.locator('.ReactModalPortal').count();
-    if (existingModalCount > 0) {
-      log(`       [IMG] ⚠ Found existing modal portal, forcefully closing it...`);
-
-      // Try to close it
-      await page.keyboard.press('Escape');
-      await page.waitForTimeout(1000);
-      await page.keyboard.press('Escape');
-      await page.waitForTimeout(1000);
-
-      // Verify it's gone
-      const stillExists = await page.locator('.ReactModalPortal').count();
-      if (stillExists > 0) {
-        log(`       [IMG] ⚠ Modal portal still exists after ESC! Trying harder...`);
-        await page.mouse.click(10, 10); // Click outside
-        await page.waitForTimeout(2000);
-
-        const finalCheck = await page.locator('.ReactModalPortal').count();
-        if (finalCheck > 0) {
-          log(`       [IMG] ✗ ERROR: Cannot close existing modal! Skipping this product to avoid image mismatch.`);
-          return [];
-        }
-      }
+async function scrapeSkus(page, codes, state) {
+  const { storefront, existingIds, seenIds, products, collector, imageMode, references, branchStock, enricher } = state;
+  const results = [];
+
+  console.log(`🔎 Step 2: Looking up ${codes.length} article codes through the site search...\n`);
+
+  for (let i = 0; i < codes.length; i++) {
+    const code = codes[i];
+    const searchTimer = startTimer();
+    console.log(`\n   🔎 [${i + 1}/${codes.length}] ${code}`);
+
+    const search = await searchCode(page, code, { storefront, collector });
+    const result = {
+      code,
+      status: search.status,
+      source_id: search.product ? search.product.source_id || search.product.sku : null,
+      results: search.results,
+      candidates: search.candidates,
+      url: search.url
+    };
+    results.push(result);
+
+    emit('sku_searched', {
+      index: i + 1,
+      total: codes.length,
+      code,
+      status: search.status,
+      results: search.results,
+      candidates: search.candidates,
+      url: search.url,
+      duration_ms: searchTimer()
+    });
 
-      log(`       [IMG] ✓ Existing modal closed successfully`);
-    } else {
-      log(`       [IMG] ✓ No existing modal found, safe to proceed`);
+    if (search.status !== 'found') {
+      log(search.status === 'multiple'
+        ? `   ⚠️  ${search.candidates.length} cards with code ${code} - not scraped, pick one by its listing`
+        : `   ⚠️  No card with code ${code}${search.candidates.length > 0 ? ` (search returned ${search.candidates.join(', ')})` : ''}`);
+      continue;
     }
 
-    // Additional wait to ensure DOM is stable
-    await page.waitForTimeout(1000);
-
-    // Get all image containers in DOM order - MUST use same selector as product extraction
-    // to ensure indices match perfectly
-    log(`       [IMG] Looking for image containers...`);
-    const allImageContainers = await page.locator('.product-image').all();
-    log(`       [IMG] Found ${allImageContainers.length} total image containers on page`);
-
-    // Use the EXACT index that was stored during product extraction
-    // This ensures we're clicking on the image container that corresponds to the same DOM position
-    if (containerIndex < 0 || containerIndex >= allImageContainers.length) {
-      logError(`[IMG] ⚠ Container index ${containerIndex} is invalid (found ${allImageContainers.length} containers)`, null);
-      log(`       [IMG] This product will have no images to prevent mismatch`);
-      log(`       [IMG] ========================================`);
-      return [];
+    const productData = search.product;
+    if (seenIds.has(result.source_id)) {
+      log(`   ↷ ${result.source_id} already scraped in this run`);
+      continue;
     }
 
-    const container = allImageContainers[containerIndex];
-    log(`       [IMG] Using image container at DOM index ${containerIndex}`);
-
-    // Check if this container has a real image or just an SVG placeholder
-    // Products without images show an SVG placeholder (no-image icon)
-    log(`       [IMG] Checking if container has real images or just SVG placeholder...`);
-    const hasRealImage = await container.evaluate((el) => {
-      // Check if there's an <img> element (real product image)
-      const imgElement = el.querySelector('img');
-      if (imgElement) {
-        return true;
-      }
+    const isExisting = existingIds.has(result.source_id);
+    log(`      Processing: ${productData.title}${isExisting ? ' [FAST MODE - existing]' : ''}`);
+    const duration = await completeProduct(page, productData, { url: search.url, label: null, template: null }, {
+      fastMode: isExisting,
+      scraped: products.length + 1,
+      imageMode,
+      references,
+      branchStock
+    });
+    productData.search_code = code;
 
-      // If only SVG exists, it's a placeholder for "no image available"
-      const svgElement = el.querySelector('svg');
-      if (svgElement && !imgElement) {
-        console.log('[IMG CHECK] Only SVG placeholder found, no real images');
-        return false;
-      }
+    recordProduct(productData, { fastMode: isExisting, duration }, { ...state, listIndex: 0 });
+    if (enricher) await enricher.enrich([productData]);
+  }
 
-      return false;
-    });
+  const unmatched = results.filter(result => result.status !== 'found');
+  log(`\n   ✓ ${results.length - unmatched.length}/${results.length} article codes found` +
+    `${unmatched.length > 0 ? ` - ${unmatched.filter(r => r.status === 'not_found').length} without a match, ${unmatched.filter(r => r.status === 'multiple').length} with several` : ''}`);
 
-    if (!hasRealImage) {
-      log(`       [IMG] ⚠ Product has no images (SVG placeholder only), skipping image extraction`);
-      return [];
-    }
+  return results;
+}
 
-    log(`       [IMG] ✓ Container has real images, proceeding with extraction`);
+/**
+ * Write the per-code results of a SKU run next to the output and report the unmatched codes
+ *
+ * @param outputFile - Output JSON file; the results go next to it as <name>.skus.json
+ * @param results - Results of scrapeSkus
+ * @returns {Object} { sku_report, not_found, multiple } for the finished event
+ */
+function saveSkuReport(outputFile, results) {
+  const reportFile = outputFile.replace(/\.json$/, '') + '.skus.json';
+  const codesWith = status => results.filter(result => result.status === status).map(result => result.code);
+  const notFound = codesWith('not_found');
+  const multiple = codesWith('multiple');
 
-    // Try to click on the product image to open modal
-    log(`       [IMG] Looking for product image to click...`);
+  fs.writeFileSync(reportFile, JSON.stringify(results, null, 2));
 
-    try {
-      const productImage = container.locator('img').first();
-      const productImageCount = await productImage.count();
-      log(`       [IMG] Found ${productImageCount} img elements in container`);
+  console.log(`   Article codes found: ${results.length - notFound.length - multiple.length}/${results.length}`);
+  if (notFound.length > 0) console.log(`   ⚠️  No match: ${notFound.join(', ')}`);
+  if (multiple.length > 0) console.log(`   ⚠️  Several matches: ${multiple.join(', ')}`);
+  console.log(`   ✓ Saved search results to: ${reportFile}`);
 
-      if (productImageCount === 0) {
-        log(`       [IMG] ⚠ No images found in container, skipping`);
-        return [];
-      }
+  return { sku_report: path.resolve(reportFile), not_found: notFound, multiple };
+}
 
-      log(`       [IMG] Scrolling image into view...`);
-      await productImage.scrollIntoViewIfNeeded();
-      await page.waitForTimeout(500);
+/**
+ * Report the records the output schema rejected
+ *
+ * @param rejects - Rejects from writeRunOutput
+ * @param rejectsFile - File they were written to (null when there are none)
+ */
+function reportRejects(rejects, rejectsFile) {
+  if (rejects.length === 0) return;
 
-      log(`       [IMG] CLICKING on product image to open modal...`);
-      await productImage.click();
+  console.log(`   ⚠️  Rejected by the output schema: ${rejects.length}`);
+  rejects.slice(0, 5).forEach(reject => {
+    console.log(`      ${reject.source_id || `#${reject.index + 1}`}: ${reject.reasons.join('; ')}`);
+  });
+  console.log(`   ✓ Saved rejected products with their reasons to: ${rejectsFile}`);
+}
 
-      log(`       [IMG] Waiting 5 seconds for modal to appear...`);
-      await page.waitForTimeout(5000);
+/**
+ * Write the records of a refresh run and the SKUs it did not find, and report them
+ *
+ * @param outputFile - Output JSON file; the missing SKUs go next to it as <name>.missing.txt
+ * @param wanted - Set of requested source_ids
+ * @param found - Map of source_id to refresh record (lib/refresh.js)
+ * @param run - Run header (see lib/output.js)
+ * @param runTimer - Timer started with the run
+ * @returns {Array} Refresh records as written, in the order they were found
+ */
+function saveRefresh(outputFile, wanted, found, run, runTimer) {
+  const missing = missingIds(wanted, found);
+  const missingFile = outputFile.replace(/\.json$/, '') + '.missing.txt';
+
+  console.log(`\n💾 Saving refresh results...`);
+  const { products: records, rejects, rejectsFile } = writeRunOutput(outputFile, { run, records: [...found.values()], definition: 'refreshRecord' });
+  if (missing.length > 0) {
+    fs.writeFileSync(missingFile, `${missing.join('\n')}\n`);
+  } else if (fs.existsSync(missingFile)) {
+    fs.unlinkSync(missingFile);
+  }
 
-      // CRITICAL: Verify that a modal actually appeared after clicking
-      const modalAppearedCount = await page.locator('.ReactModalPortal').count();
-      if (modalAppearedCount === 0) {
-        log(`       [IMG] ⚠ No modal appeared after clicking! This product likely has no images.`);
-        log(`       [IMG] Skipping image extraction for this product.`);
-        return [];
-      }
+  console.log(`   ✓ Saved ${records.length} refreshed SKUs to: ${outputFile}`);
+  console.log(`\n📊 Summary:`);
+  console.log(`   Refreshed: ${records.length}/${wanted.size}`);
+  console.log(`   Out of stock: ${records.filter(record => record.quantity_max === 0).length}`);
+  if (missing.length > 0) {
+    console.log(`   ⚠️  Not found: ${missing.length} (${missing.slice(0, 10).join(', ')}${missing.length > 10 ? ', ...' : ''})`);
+    console.log(`   ✓ Saved missing SKUs to: ${missingFile}`);
+  }
+  reportRejects(rejects, rejectsFile);
+
+  emit('finished', {
+    count: records.length,
+    with_images: 0,
+    file: path.resolve(outputFile),
+    rejected: rejects.length,
+    rejects_file: rejectsFile ? path.resolve(rejectsFile) : null,
+    refresh: true,
+    missing,
+    missing_file: missing.length > 0 ? path.resolve(missingFile) : null,
+    duration_ms: runTimer(),
+    timings: phaseReport()
+  });
 
-      log(`       [IMG] ✓ Modal appeared after clicking`);
-    } catch (err) {
-      logError(`[IMG] Error clicking on product image`, err);
-      return [];
-    }
+  return records;
+}
 
-    // Get images AFTER clicking - extract ONLY from modal portal
-    log(`       [IMG] Extracting images from modal portal...`);
-    const modalImages = await page.evaluate(() => {
-      const images = [];
+/**
+ * Scrape one or more listing URLs in a single browser session.
+ * Lists are processed in order; a product found in several lists is only kept
+ * (and tagged) for the first one.
+ *
+ * @param options - { lists, urls, skus, max, output, resume, startPage, endPage, existingIds, refresh, domOnly, imageMode,
+ *                    references, branchStock, enrich, enrichConcurrency, enrichDelay, forceRefresh, workers,
+ *                    storefront, waitLimits, headless, slowMo, username, password }
+ *                  lists is an array of { url, max, label, template }; plain urls all use max.
+ *                  storefront is a storefront code (default: from the listing URLs, see runStorefront);
+ *                  existingIds may be a Set/array of source_ids; missing values fall back to env;
+ *                  waitLimits is { name: ms } overriding DEFAULT_WAIT_LIMITS;
+ *                  workers > 1 scrapes listing pages on that many pages (see scrapeListingParallel);
+ *                  refresh only updates price and stock of the existingIds on one page (see saveRefresh);
+ *                  skus (article codes) are looked up through the site search instead of lists (see scrapeSkus)
+ * @returns {Array} Scraped products (refresh records with refresh)
+ */
+async function scrapeProducts(options = {}) {
+  const logFile = openLog('scrape');
+  configureWaits(options.waitLimits || {});
+  resetPhases();
+
+  const loginUsername = options.username || process.env.INTERCARS_USERNAME;
+  const loginPassword = options.password || process.env.INTERCARS_PASSWORD;
+  const maxProducts = options.max || parseInt(process.env.MAX_PRODUCTS) || 10;
+  const targetUrls = options.urls || (process.env.PRODUCT_URL ? [process.env.PRODUCT_URL] : []);
+  const lists = options.lists || targetUrls.map(url => ({ url, max: maxProducts, label: null, template: null }));
+  const existingIds = new Set(options.existingIds || loadExistingIds(null, process.env.EXISTING_SOURCE_IDS));
+  const refresh = !!options.refresh;
+  const skus = options.skus && options.skus.length > 0 ? uniqueCodes(options.skus) : null;
+  // Corrected per list once its totals are known (announceTotals); refresh and SKU runs plan their codes
+  const plan = { total: refresh ? existingIds.size : skus ? skus.length : lists.reduce((sum, list) => sum + list.max, 0) };
+  const startPage = options.startPage || 1;
+  const endPage = options.endPage || null;
+  const workerCount = refresh || skus ? 1 : Math.min(options.workers || parseInt(process.env.SCRAPER_WORKERS) || DEFAULT_WORKERS, MAX_WORKERS);
+  const outputFile = options.output || `data/${refresh ? 'refresh' : 'products'}-${Date.now()}.json`;
+  // Header of the output file; storefront and currency are filled in once known
+  const run = {
+    run_id: options.runId || path.basename(outputFile).replace(/\.json$/, ''),
+    mode: refresh ? 'refresh' : skus ? 'sku' : 'listing',
+    source_urls: lists.map(list => list.url),
+    ...(skus ? { skus } : {}),
+    storefront: null,
+    currency: null,
+    selector_profile: SELECTORS.version,
+    started_at: new Date().toISOString()
+  };
+
+  log(`🕷️  Starting Intercars Product Scraper (with Stealth Mode)${refresh ? ' - price and stock refresh' : ''}...`);
+  log(`Log file: ${logFile}`);
+  log(refresh ? `SKUs to refresh: ${existingIds.size}` : `Existing source_ids to skip (fast mode): ${existingIds.size}`);
+  log(`Selector profile: v${SELECTORS.version} (${SELECTORS.file})`);
 
-      // Look for the modal portal (this is where clicked product images appear)
-      const modalPortal = document.querySelector('.ReactModalPortal');
-      if (!modalPortal) {
-        console.log('[IMG MODAL] ⚠ No modal portal found!');
-        return [];
-      }
+  if (!loginUsername || !loginPassword) {
+    console.error('❌ Error: Credentials required');
+    throw new Error('Missing credentials');
+  }
 
-      console.log('[IMG MODAL] ✓ Modal portal found!');
+  if (lists.length === 0 && !skus) {
+    console.error('❌ Error: Product URL required');
+    throw new Error('Missing product URL');
+  }
 
-      // Get all swiper slides in the modal (each slide = one image)
-      const slides = modalPortal.querySelectorAll('.swiper-slide');
-      console.log(`[IMG MODAL] Found ${slides.length} slides in carousel`);
+  if (refresh && existingIds.size === 0) {
+    console.error('❌ Error: Refresh mode needs the source_ids to refresh');
+    throw new Error('Missing source_ids to refresh');
+  }
 
-      // If no slides, this modal has no images
-      if (slides.length === 0) {
-        console.log('[IMG MODAL] ⚠ Modal has no slides! This product has no images.');
-        return [];
-      }
+  const storefront = useStorefront(runStorefront(lists, options.storefront));
+  log(`Storefront: ${storefront.code} - ${storefront.name} (${storefront.currency})`);
+  Object.assign(run, { storefront: storefront.code, currency: storefront.currency });
+
+  // Continue from the checkpoint of an interrupted run with the same output file
+  const checkpoint = options.resume ? loadCheckpoint(outputFile, lists) : null;
+  if (checkpoint) {
+    log(`♻️  Resuming from checkpoint: ${checkpoint.products.length} products captured, list ${checkpoint.position.list + 1}/${lists.length}, page ${checkpoint.position.page}`);
+  } else {
+    if (options.resume) log('   No checkpoint found - starting a fresh run');
+    clearCheckpoint(outputFile);
+  }
 
-      // Extract image from each slide
-      slides.forEach((slide, idx) => {
-        const img = slide.querySelector('img');
-        if (img) {
-          const src = img.src || img.getAttribute('data-src');
-          if (src && src.includes('ic-files-res.cloudinary.com')) {
-            // Try to get the best quality image available
-            // First, try 1200x1200, if that doesn't exist the Rails service will fall back to what's available
-            // Extract current size if present
-            const sizeMatch = src.match(/t_t(\d+)x(\d+)v\d+/);
-            let finalUrl = src;
-
-            if (sizeMatch) {
-              const currentWidth = parseInt(sizeMatch[1]);
-              const currentHeight = parseInt(sizeMatch[2]);
-
-              // If current size is small (< 300), try to get larger versions
-              if (currentWidth < 300 || currentHeight < 300) {
-                // Try 1200x1200 as the preferred size
-                finalUrl = src.replace(/t_t\d+x\d+v\d+/, 't_t1200x1200v1');
-                console.log(`[IMG MODAL] Slide ${idx + 1}: Upgrading from ${currentWidth}x${currentHeight} to 1200x1200`);
-              } else {
-                // Current size is >= 300, keep it as-is
-                console.log(`[IMG MODAL] Slide ${idx + 1}: Using existing size ${currentWidth}x${currentHeight}`);
-              }
-            } else {
-              // No size transformation in URL, use as-is (original)
-              console.log(`[IMG MODAL] Slide ${idx + 1}: Using original image (no size transformation)`);
-            }
-
-            if (!images.includes(finalUrl)) {
-              images.push(finalUrl);
-              const filename = finalUrl.substring(finalUrl.lastIndexOf('/') + 1);
-              console.log(`[IMG MODAL] Slide ${idx + 1}: ${filename}`);
-            }
-          } else {
-            console.log(`[IMG MODAL] Slide ${idx + 1}: No valid image src`);
-          }
-        } else {
-          console.log(`[IMG MODAL] Slide ${idx + 1}: No img element found`);
-        }
-      });
+  const browser = await chromium.launch({
+    headless: options.headless !== undefined ? options.headless : process.env.HEADLESS === 'true',
+    slowMo: options.slowMo !== undefined ? options.slowMo : (parseInt(process.env.SLOW_MO) || 50),
+    args: [
+      '--disable-blink-features=AutomationControlled',
+      '--no-sandbox',
+      '--disable-setuid-sandbox'
+    ]
+  });
 
-      console.log(`[IMG MODAL] Total images extracted from modal: ${images.length}`);
-      return images;
-    });
+  const { context, restored } = await createSessionContext(
+    browser,
+    loginUsername,
+    RECORD_HAR ? { recordHar: { path: RECORD_HAR, content: 'embed' } } : {}
+  );
+  log(restored ? '   Restored saved session state' : '   No saved session state - will log in');
+  if (RECORD_HAR) log(`   Recording HAR to: ${RECORD_HAR}`);
 
-    log(`       [IMG] ========================================`);
-    log(`       [IMG] RESULT: Extracted ${modalImages.length} product images from modal`);
+  const page = await context.newPage();
 
-    if (modalImages.length === 0) {
-      log(`       [IMG] ⚠ WARNING: No images extracted! This product will have no images.`);
-    } else {
-      modalImages.forEach((img, idx) => {
-        const filename = img.substring(img.lastIndexOf('/') + 1);
-        log(`       [IMG]   ${idx + 1}. ${filename}`);
+  // Enable console logging from page
+  page.on('console', msg => console.log('   [Browser]:', msg.text()));
+
+  // Read products from the catalog's JSON responses; DOM extraction stays the fallback
+  const collector = options.domOnly ? null : createResponseCollector(page, SELECTORS);
+
+  // Opt-in detail page visits on their own pages in the same session
+  const enricher = options.enrich && !refresh
+    ? createEnricher(context, {
+      profile: SELECTORS,
+      concurrency: options.enrichConcurrency,
+      delayMs: options.enrichDelay,
+      existingIds,
+      force: !!options.forceRefresh,
+      references: !!options.references
+    })
+    : null;
+  if (enricher) log(`   Detail page enrichment: ${options.enrichConcurrency || DEFAULT_CONCURRENCY} at a time${options.forceRefresh ? ', including existing products' : ''}`);
+
+  const products = checkpoint ? checkpoint.products : [];
+  const listProgress = checkpoint ? checkpoint.listProgress : lists.map(() => ({ scraped: 0, duplicates: 0 }));
+  let loggedIn = false;
+  let pool = null;
+  const runTimer = startTimer();
+
+  emit('started', {
+    protocol: PROTOCOL_VERSION,
+    url: lists.length > 0 ? lists[0].url : null,
+    urls: lists.map(list => list.url),
+    skus: skus ? skus.length : 0,
+    storefront: storefront.code,
+    currency: storefront.currency,
+    max_products: plan.total,
+    start_page: startPage,
+    end_page: endPage,
+    existing_ids: existingIds.size,
+    image_mode: options.imageMode || 'auto',
+    references: !!options.references,
+    branch_stock: !!options.branchStock,
+    enrich: !!enricher,
+    refresh,
+    workers: workerCount,
+    resumed: checkpoint ? products.length : 0
+  });
+
+  try {
+    // Step 1: Login (reuses the saved session when it is still valid)
+    console.log('🔐 Step 1: Logging in to Intercars...\n');
+    emit('login', { status: 'started' });
+
+    const loginTimer = startTimer();
+    const { reused } = await timed('login', () => ensureLoggedIn(page, { username: loginUsername, password: loginPassword, log, siteUrl: storefront.siteUrl }));
+    loggedIn = true;
+    log(reused ? '   ✓ Reused saved session' : '   ✓ Logged in with SSO');
+    emit('login', { status: reused ? 'reused' : 'logged_in', duration_ms: loginTimer() });
+
+    // Extra pages share the logged-in context; each reads its own API responses
+    if (workerCount > 1) {
+      pool = await createPagePool(context, page, workerCount, (workerPage, index) => {
+        if (index > 0) workerPage.on('console', msg => console.log(`   [Browser ${index + 1}]:`, msg.text()));
+        return { collector: index === 0 ? collector : (options.domOnly ? null : createResponseCollector(workerPage, SELECTORS)) };
       });
+      log(`   Worker pool: ${workerCount} pages`);
     }
 
-    log(`       [IMG] ========================================`);
-
-    // Close modal before moving to next product - CRITICAL for preventing image mismatch
-    try {
-      log(`       [IMG] Attempting to close modal...`);
-
-      // Try pressing ESC key multiple times to ensure modal closes
-      await page.keyboard.press('Escape');
-      await page.waitForTimeout(1000);
-      await page.keyboard.press('Escape');
-      await page.waitForTimeout(1000);
-
-      // Check if modal portal is gone (this is the key check)
-      const modalPortalStillExists = await page.locator('.ReactModalPortal').count();
-      if (modalPortalStillExists > 0) {
-        log(`       [IMG] ⚠ Modal portal still exists after ESC, trying close button...`);
-
-        // Try clicking close button
-        const closeButton = page.locator('button[aria-label*="close"], button[aria-label*="Close"], button[data-testid*="close"], .close-button, button.close').first();
-        const closeButtonCount = await closeButton.count();
-        if (closeButtonCount > 0) {
-          log(`       [IMG] Found close button, clicking...`);
-          await closeButton.click();
-          await page.waitForTimeout(1500);
-        } else {
-          // Click outside modal as last resort
-          log(`       [IMG] No close button, clicking outside modal...`);
-          await page.mouse.click(10, 10);
-          await page.waitForTimeout(1500);
-        }
+    if (refresh) {
+      const found = new Map();
+      for (let i = 0; i < lists.length && found.size < existingIds.size; i++) {
+        await refreshListing(page, lists[i], {
+          listIndex: i,
+          listCount: lists.length,
+          startPage,
+          endPage,
+          wanted: existingIds,
+          found,
+          collector,
+          branchStock: !!options.branchStock
+        });
       }
+      return saveRefresh(outputFile, existingIds, found, run, runTimer);
+    }
 
-      // Final check - verify the modal portal is completely gone
-      const modalFinalCheck = await page.locator('.ReactModalPortal').count();
-      if (modalFinalCheck > 0) {
-        log(`       [IMG] ⚠⚠⚠ CRITICAL WARNING: Modal portal still visible after close attempts!`);
-        log(`       [IMG] This may cause image mismatch for the next product!`);
-        // Extra aggressive close attempt
-        await page.keyboard.press('Escape');
-        await page.mouse.click(10, 10);
-        await page.waitForTimeout(2000);
+    const seenIds = new Set(products.map(p => p.source_id || p.sku));
+
+    // SKU mode has no listings - the loop below has nothing to do
+    const skuResults = skus
+      ? await scrapeSkus(page, skus, {
+        plan,
+        storefront,
+        existingIds,
+        seenIds,
+        products,
+        collector,
+        imageMode: options.imageMode || 'auto',
+        references: !!options.references,
+        branchStock: !!options.branchStock,
+        enricher
+      })
+      : null;
+    const firstList = checkpoint ? checkpoint.position.list : 0;
+
+    for (let i = firstList; i < lists.length; i++) {
+      const resume = checkpoint && i === firstList
+        ? { page: checkpoint.position.page, ...listProgress[i] }
+        : null;
+
+      const listState = {
+        listIndex: i,
+        listCount: lists.length,
+        plan,
+        startPage,
+        endPage,
+        existingIds,
+        seenIds,
+        products,
+        resume,
+        collector,
+        imageMode: options.imageMode || 'auto',
+        references: !!options.references,
+        branchStock: !!options.branchStock,
+        enricher,
+        onPageDone: ({ nextPage, scraped, duplicates, newProducts }) => {
+          listProgress[i] = { scraped, duplicates };
+          saveCheckpoint(outputFile, { lists, position: { list: i, page: nextPage }, listProgress, newProducts, products });
+        }
+      };
+      if (pool) {
+        await scrapeListingParallel(pool, lists[i], listState);
       } else {
-        log(`       [IMG] ✓ Modal closed successfully`);
+        await scrapeListing(page, lists[i], listState);
       }
 
-      // Extra wait to ensure DOM is completely stable before next product
-      await page.waitForTimeout(1500);
-    } catch (err) {
-      logError(`[IMG] Error closing modal`, err);
+      // List finished - a resumed run starts with the next one
+      saveCheckpoint(outputFile, { lists, position: { list: i + 1, page: startPage }, listProgress, newProducts: [], products });
     }
 
-    return modalImages;
-
-  } catch (error) {
-    logError(`[IMG] FATAL ERROR extracting images for product ${productIndex}`, error);
-    logError(`[IMG] Stack trace:`, error);
-    return [];
-  }
-}
+    // Step 4: Save results
+    console.log(`\n💾 Step 4: Saving results...`);
 
-/**
- * Extract technical description by clicking "Više informacija" button
- * Also extracts models from the technical description (text after "odgovara:")
- *
- * @param page - Playwright page object
- * @param containerIndex - The index of the product card container
- * @returns {Object} { technical_description, models }
- */
-async function extractTechnicalDescription(page, containerIndex) {
-  try {
-    log(`       [TECH] Extracting technical description for container ${containerIndex}...`);
+    // Only products that match the output schema are written; the rest go to the rejects file
+    const { products: written, rejects, rejectsFile } = writeRunOutput(outputFile, { run, records: products });
+    clearCheckpoint(outputFile);
 
-    if (containerIndex === -1) {
-      log(`       [TECH] Container index is -1, skipping technical description extraction`);
-      return { technical_description: null, models: null };
+    console.log(`   ✓ Saved ${written.length} products to: ${outputFile}`);
+    console.log(`\n📊 Summary:`);
+    console.log(`   Total products scraped: ${products.length}`);
+    if (written.length > 0) {
+      console.log(`   Average fields per product: ${Math.round(
+        written.reduce((sum, p) => sum + Object.keys(p).length, 0) / written.length
+      )}`);
+      console.log(`   Products with images: ${written.filter(p => p.images && p.images.length > 0).length}`);
     }
+    reportRejects(rejects, rejectsFile);
+    const skuReport = skuResults ? saveSkuReport(outputFile, skuResults) : {};
+
+    emit('finished', {
+      count: written.length,
+      with_images: written.filter(p => p.images && p.images.length > 0).length,
+      file: path.resolve(outputFile),
+      rejected: rejects.length,
+      rejects_file: rejectsFile ? path.resolve(rejectsFile) : null,
+      ...skuReport,
+      duration_ms: runTimer(),
+      timings: phaseReport()
+    });
 
-    // Get all product cards on the page - need to find the expand button within the right product
-    const allProductCards = await page.locator('[data-testid="productIndexLink"]').all();
+    return written;
 
-    if (containerIndex >= allProductCards.length) {
-      log(`       [TECH] Container index ${containerIndex} out of bounds (${allProductCards.length} products)`);
-      return { technical_description: null, models: null };
+  } catch (error) {
+    logError('Error during scraping', error);
+    emit('failed', {
+      error: error.message,
+      scraped: products.length,
+      resumable: fs.existsSync(checkpointPaths(outputFile).checkpointFile),
+      timings: phaseReport()
+    });
+    if (!fs.existsSync('screenshots')) fs.mkdirSync('screenshots', { recursive: true });
+    await page.screenshot({ path: 'screenshots/error-scrape.png' }).catch(() => {});
+    throw error;
+  } finally {
+    // Write back the refreshed session so the next run can skip the SSO login
+    if (loggedIn) {
+      await saveSession(context, loginUsername).catch(e => logError('Failed to save session', e));
     }
+    if (enricher) await enricher.close();
+    if (pool) await pool.close();
+    // Closing the context flushes the HAR recording
+    await context.close().catch(() => {});
+    await browser.close();
 
-    // Find the product card container by traversing up from the product link
-    const productLink = allProductCards[containerIndex];
+    const report = formatPhaseReport();
+    if (report.length > 0) {
+      log('\n⏱️  Time per phase:');
+      report.forEach(line => log(line));
+    }
 
-    // Navigate up to find the parent container that has the expand button
-    // The expand button is in the same row/card as the product link
-    const expandButton = page.locator('[data-testid="expandButton-MoreInfo"]').nth(containerIndex);
-    const expandButtonCount = await expandButton.count();
+    log('\n✅ Scraping complete!');
+    log(`Full log saved to: ${logFile}`);
 
-    if (expandButtonCount === 0) {
-      log(`       [TECH] No "Više informacija" button found for this product`);
-      return { technical_description: null, models: null };
-    }
+    // Close log stream
+    closeLog();
+  }
+}
 
-    log(`       [TECH] Found expand button, clicking...`);
-
-    // Scroll the button into view first
-    await expandButton.scrollIntoViewIfNeeded();
-    await page.waitForTimeout(300);
-
-    // Click to expand
-    await expandButton.click();
-    await page.waitForTimeout(1500);
-
-    // Wait for the expanded section to appear - it should be visible now after clicking
-    // The expanded section appears as a child/sibling of the clicked product row
-    await page.waitForSelector('[data-testid="productAdditionalInfo"]', { timeout: 3000 }).catch(() => {});
-
-    // Extract the technical description text - look for the VISIBLE expanded section
-    // Since only one section is expanded at a time, we find the one that's currently visible
-    const techDescData = await page.evaluate(() => {
-      // Find all expanded sections - there should only be one visible at a time
-      const expandedSections = document.querySelectorAll('[data-testid="productAdditionalInfo"]');
-
-      // Find the visible/expanded section (check if it's inside an expanded-section container)
-      let section = null;
-      for (const sec of expandedSections) {
-        // Check if this section is visible (has dimensions)
-        const rect = sec.getBoundingClientRect();
-        if (rect.height > 0 && rect.width > 0) {
-          section = sec;
-          break;
-        }
-      }
+// Module export for use in Rails ScraperService
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = scrapeProducts;
+}
 
-      if (!section) {
-        console.log('[TECH] No visible expanded section found');
-        return { technical_description: null, models: null };
+// If run directly from command line
+if (require.main === module) {
+  runCli(options => scrapeProducts({
+    ...options,
+    lists: [
+      ...(options.batch ? loadBatch(options.batch, options.max) : []),
+      ...(options.url || []).map(url => ({ url, max: options.max, label: null, template: null }))
+    ],
+    skus: options.sku || options.skuFile ? loadSkus(options.skuFile, options.sku || []) : null,
+    headless: options.headed ? false : options.headless,
+    imageMode: options.images,
+    existingIds: loadExistingIds(options.existingIds, process.env.EXISTING_SOURCE_IDS)
+  }), USAGE, OPTIONS, {
+    positionals: 'url',
+    footer: HELP_FOOTER,
+    validate: options => {
+      // PRODUCT_URL is only a fallback when neither URLs nor a batch file are given
+      const skuMode = !!(options.sku || options.skuFile);
+      if (!options.url && !options.batch && !skuMode && process.env.PRODUCT_URL) {
+        options.url = [process.env.PRODUCT_URL];
       }
-
-      // Look for "Tehnički opis" section
-      let technicalDescription = null;
-      let models = null;
-
-      // Strategy 1: Find the "Tehnički opis" label and get its sibling content
-      // Structure: <div>Tehnički opis</div><div class="cOZxao"><div class="klTUHd">ACTUAL TEXT</div></div>
-      const allDivs = section.querySelectorAll('div');
-      for (const div of allDivs) {
-        // Check if this div contains exactly "Tehnički opis" as its direct text
-        if (div.childNodes.length === 1 &&
-            div.childNodes[0].nodeType === Node.TEXT_NODE &&
-            div.textContent.trim() === 'Tehnički opis') {
-
-          // Found the label, now get the sibling container with the actual description
-          const nextSibling = div.nextElementSibling;
-          if (nextSibling) {
-            // The description is in a nested div (class klTUHd inside cOZxao)
-            const innerDiv = nextSibling.querySelector('div');
-            if (innerDiv) {
-              technicalDescription = innerDiv.textContent.trim();
-            } else {
-              technicalDescription = nextSibling.textContent.trim();
-            }
-            console.log('[TECH] Found via label sibling:', technicalDescription.substring(0, 100));
-            break;
-          }
-        }
+      if (!options.url && !options.batch && !skuMode) {
+        throw new UsageError('At least one listing URL is required (--url, argument or --batch), or article codes (--sku, --sku-file)');
       }
-
-      // Strategy 2: If not found, try finding by class structure
-      if (!technicalDescription) {
-        // Look for div.cOZxao containing div.klTUHd
-        const cOZxaoDiv = section.querySelector('.cOZxao');
-        if (cOZxaoDiv) {
-          const klTUHdDiv = cOZxaoDiv.querySelector('.klTUHd');
-          if (klTUHdDiv) {
-            technicalDescription = klTUHdDiv.textContent.trim();
-            console.log('[TECH] Found via class structure:', technicalDescription.substring(0, 100));
-          }
+      if (skuMode) {
+        if (options.url || options.batch) {
+          throw new UsageError('--sku / --sku-file look up codes instead of listings - run listings separately');
         }
-      }
-
-      // Strategy 3: Last resort - find any text containing "odgovara:"
-      if (!technicalDescription) {
-        for (const div of allDivs) {
-          const text = div.textContent.trim();
-          if (text.includes('odgovara:') && !text.includes('Tehnički opis') && !text.includes('TecDoc')) {
-            technicalDescription = text;
-            console.log('[TECH] Found via odgovara search:', technicalDescription.substring(0, 100));
-            break;
-          }
+        if (options.refresh || options.resume) {
+          throw new UsageError(`--sku cannot be combined with --${options.refresh ? 'refresh' : 'resume'}`);
         }
-      }
-
-      // Extract models from technical description
-      // Strategy 1: Look for "odgovara:" pattern
-      if (technicalDescription) {
-        const odgovaraMatch = technicalDescription.match(/odgovara:\s*(.+)$/i);
-        if (odgovaraMatch) {
-          models = odgovaraMatch[1].trim();
-          console.log('[TECH] Extracted models via "odgovara:":', models);
+        if (loadSkus(options.skuFile, options.sku || []).length === 0) {
+          throw new UsageError('No article codes given');
         }
       }
-
-      // Strategy 2: Look for "Vozila:" pattern
-      if (!models && technicalDescription) {
-        const vozilaMatch = technicalDescription.match(/Vozila:\s*(.+?)(?:$|,\s*[A-Z][a-z]+:)/i);
-        if (vozilaMatch) {
-          models = vozilaMatch[1].trim();
-          console.log('[TECH] Extracted models via "Vozila:":', models);
-        }
+      for (const url of options.url || []) {
+        validateUrl(url, '--url');
       }
-
-      // Strategy 2b: Look for "kočioni sustav:" or "kočioni sistem:" pattern
-      // Extract the text after "sustav: BRAND;" which often contains vehicle models
-      if (!models && technicalDescription) {
-        const sustavMatch = technicalDescription.match(/ko[čc]ioni\s+s[ui]stav[a]?\s*:\s*\w+\s*[;,]\s*(.+)$/i);
-        if (sustavMatch) {
-          // The text after brake brand often contains vehicle models
-          // Will be processed by Strategy 3 below
-          console.log('[TECH] Found text after brake system:', sustavMatch[1].substring(0, 50));
-        }
+      if (options.endPage && options.endPage < options.startPage) {
+        throw new UsageError(`--end-page ${options.endPage} is before --start-page ${options.startPage}`);
       }
-
-      // Strategy 3: Look for car manufacturer names directly in the text
-      // This handles formats like "ALFA ROMEO TONALE; FIAT 500X; JEEP COMPASS"
-      // Also handles mixed case like "Audi 80 (B4)"
-      if (!models && technicalDescription) {
-        const carManufacturers = [
-          'ALFA ROMEO', 'AUDI', 'BMW', 'CITROEN', 'CITROËN', 'DACIA', 'FIAT', 'FORD', 'HONDA',
-          'HYUNDAI', 'JEEP', 'KIA', 'LANCIA', 'MAZDA', 'MERCEDES', 'MINI', 'MITSUBISHI',
-          'NISSAN', 'OPEL', 'PEUGEOT', 'RENAULT', 'SEAT', 'SKODA', 'ŠKODA', 'SUZUKI', 'TOYOTA',
-          'VOLKSWAGEN', 'VW', 'VOLVO', 'CHEVROLET', 'CHRYSLER', 'DODGE', 'PORSCHE',
-          'SAAB', 'SUBARU', 'LAND ROVER', 'JAGUAR', 'LEXUS', 'INFINITI', 'CADILLAC',
-          'TESLA', 'ISUZU', 'LADA', 'DAEWOO', 'SSANGYONG', 'SMART', 'ROVER', 'MG',
-          'TRABANT', 'WARTBURG', 'ZASTAVA', 'YUGO'
-        ];
-
-        // Common model names often used without manufacturer prefix
-        // Format: { pattern: 'MODEL', manufacturer: 'MANUFACTURER' }
-        const standaloneModels = [
-          // VW models
-          { pattern: 'GOLF', manufacturer: 'VW' },
-          { pattern: 'PASSAT', manufacturer: 'VW' },
-          { pattern: 'POLO', manufacturer: 'VW' },
-          { pattern: 'TIGUAN', manufacturer: 'VW' },
-          { pattern: 'TOURAN', manufacturer: 'VW' },
-          { pattern: 'TOUAREG', manufacturer: 'VW' },
-          { pattern: 'CADDY', manufacturer: 'VW' },
-          { pattern: 'TRANSPORTER', manufacturer: 'VW' },
-          { pattern: 'SHARAN', manufacturer: 'VW' },
-          { pattern: 'ARTEON', manufacturer: 'VW' },
-          { pattern: 'JETTA', manufacturer: 'VW' },
-          { pattern: 'BEETLE', manufacturer: 'VW' },
-          { pattern: 'SCIROCCO', manufacturer: 'VW' },
-          // Opel models
-          { pattern: 'ASTRA', manufacturer: 'OPEL' },
-          { pattern: 'CORSA', manufacturer: 'OPEL' },
-          { pattern: 'VECTRA', manufacturer: 'OPEL' },
-          { pattern: 'INSIGNIA', manufacturer: 'OPEL' },
-          { pattern: 'ZAFIRA', manufacturer: 'OPEL' },
-          { pattern: 'MERIVA', manufacturer: 'OPEL' },
-          { pattern: 'MOKKA', manufacturer: 'OPEL' },
-          // Ford models
-          { pattern: 'FOCUS', manufacturer: 'FORD' },
-          { pattern: 'FIESTA', manufacturer: 'FORD' },
-          { pattern: 'MONDEO', manufacturer: 'FORD' },
-          { pattern: 'KUGA', manufacturer: 'FORD' },
-          { pattern: 'ESCORT', manufacturer: 'FORD' },
-          // Fiat models
-          { pattern: 'PUNTO', manufacturer: 'FIAT' },
-          { pattern: 'PANDA', manufacturer: 'FIAT' },
-          { pattern: 'BRAVO', manufacturer: 'FIAT' },
-          { pattern: 'STILO', manufacturer: 'FIAT' },
-          { pattern: 'TIPO', manufacturer: 'FIAT' },
-          { pattern: 'MULTIPLA', manufacturer: 'FIAT' },
-          // Renault models
-          { pattern: 'CLIO', manufacturer: 'RENAULT' },
-          { pattern: 'MEGANE', manufacturer: 'RENAULT' },
-          { pattern: 'SCENIC', manufacturer: 'RENAULT' },
-          { pattern: 'LAGUNA', manufacturer: 'RENAULT' },
-          { pattern: 'CAPTUR', manufacturer: 'RENAULT' },
-          // Peugeot uses numbers, skip
-          // Citroen models
-          { pattern: 'BERLINGO', manufacturer: 'CITROEN' },
-          { pattern: 'XSARA', manufacturer: 'CITROEN' },
-          { pattern: 'SAXO', manufacturer: 'CITROEN' },
-          // Jeep models
-          { pattern: 'COMPASS', manufacturer: 'JEEP' },
-          { pattern: 'RENEGADE', manufacturer: 'JEEP' },
-          { pattern: 'CHEROKEE', manufacturer: 'JEEP' },
-          { pattern: 'WRANGLER', manufacturer: 'JEEP' },
-          // Seat models
-          { pattern: 'IBIZA', manufacturer: 'SEAT' },
-          { pattern: 'LEON', manufacturer: 'SEAT' },
-          { pattern: 'TOLEDO', manufacturer: 'SEAT' },
-          { pattern: 'ALTEA', manufacturer: 'SEAT' },
-          // Skoda models
-          { pattern: 'OCTAVIA', manufacturer: 'SKODA' },
-          { pattern: 'FABIA', manufacturer: 'SKODA' },
-          { pattern: 'SUPERB', manufacturer: 'SKODA' },
-          { pattern: 'RAPID', manufacturer: 'SKODA' },
-          { pattern: 'YETI', manufacturer: 'SKODA' },
-          // Toyota models
-          { pattern: 'COROLLA', manufacturer: 'TOYOTA' },
-          { pattern: 'YARIS', manufacturer: 'TOYOTA' },
-          { pattern: 'AVENSIS', manufacturer: 'TOYOTA' },
-          { pattern: 'RAV4', manufacturer: 'TOYOTA' },
-          { pattern: 'AURIS', manufacturer: 'TOYOTA' },
-          // Honda models
-          { pattern: 'CIVIC', manufacturer: 'HONDA' },
-          { pattern: 'ACCORD', manufacturer: 'HONDA' },
-          { pattern: 'CR-V', manufacturer: 'HONDA' },
-          { pattern: 'JAZZ', manufacturer: 'HONDA' },
-          // Mazda models
-          { pattern: 'MAZDA3', manufacturer: 'MAZDA' },
-          { pattern: 'MAZDA6', manufacturer: 'MAZDA' },
-          { pattern: 'CX-5', manufacturer: 'MAZDA' },
-          // Nissan models
-          { pattern: 'QASHQAI', manufacturer: 'NISSAN' },
-          { pattern: 'JUKE', manufacturer: 'NISSAN' },
-          { pattern: 'MICRA', manufacturer: 'NISSAN' },
-          { pattern: 'X-TRAIL', manufacturer: 'NISSAN' },
-          // Hyundai models
-          { pattern: 'TUCSON', manufacturer: 'HYUNDAI' },
-          { pattern: 'I30', manufacturer: 'HYUNDAI' },
-          { pattern: 'I20', manufacturer: 'HYUNDAI' },
-          { pattern: 'SANTA FE', manufacturer: 'HYUNDAI' },
-          // Kia models
-          { pattern: 'SPORTAGE', manufacturer: 'KIA' },
-          { pattern: 'CEED', manufacturer: 'KIA' },
-          { pattern: 'RIO', manufacturer: 'KIA' },
-          { pattern: 'SORENTO', manufacturer: 'KIA' },
-          // Alfa Romeo models
-          { pattern: 'GIULIETTA', manufacturer: 'ALFA ROMEO' },
-          { pattern: 'GIULIA', manufacturer: 'ALFA ROMEO' },
-          { pattern: 'STELVIO', manufacturer: 'ALFA ROMEO' },
-          { pattern: 'TONALE', manufacturer: 'ALFA ROMEO' },
-          { pattern: '147', manufacturer: 'ALFA ROMEO' },
-          { pattern: '156', manufacturer: 'ALFA ROMEO' },
-          { pattern: '159', manufacturer: 'ALFA ROMEO' },
-        ];
-
-        const foundModels = [];
-
-        // Find all manufacturer mentions and extract the following model info (case-insensitive)
-        for (const manufacturer of carManufacturers) {
-          // Case-insensitive regex to match manufacturer followed by model info
-          // Allow commas within date ranges like "10,96" or "-10,96" but stop at "; " or ", " followed by uppercase
-          // Pattern: manufacturer + model info until semicolon or comma followed by space and uppercase letter
-          const regex = new RegExp('\\b' + manufacturer + '\\s+([^;]+?)(?=;|,\\s*[A-Z]|$)', 'gi');
-          let match;
-          while ((match = regex.exec(technicalDescription)) !== null) {
-            // Preserve original case from the text
-            const fullMatch = match[0].trim();
-            // Clean up trailing commas or spaces
-            const cleanMatch = fullMatch.replace(/[,\s]+$/, '');
-            if (cleanMatch.length > manufacturer.length + 1 && !foundModels.some(m => m.toUpperCase() === cleanMatch.toUpperCase())) {
-              foundModels.push(cleanMatch);
-            }
-          }
-        }
-
-        // Also search for standalone model names (like "Golf VI" without "VW")
-        for (const model of standaloneModels) {
-          // Match model name followed by any info (version, year, engine, etc.)
-          // Stop at semicolon or comma followed by uppercase letter (next model/manufacturer)
-          const regex = new RegExp('\\b' + model.pattern + '\\s+([^;]+?)(?=;|,\\s*[A-Z]|$)', 'gi');
-          let match;
-          while ((match = regex.exec(technicalDescription)) !== null) {
-            // Prefix with manufacturer for clarity
-            const fullMatch = model.manufacturer + ' ' + match[0].trim().replace(/[,\s]+$/, '');
-            // Avoid duplicates and skip if already matched by manufacturer search
-            if (!foundModels.some(m => m.toUpperCase() === fullMatch.toUpperCase()) &&
-                !foundModels.some(m => m.toUpperCase().includes(match[0].trim().toUpperCase()))) {
-              foundModels.push(fullMatch);
-            }
-          }
+      if (options.workers > MAX_WORKERS) {
+        throw new UsageError(`--workers must be at most ${MAX_WORKERS}, got ${options.workers}`);
+      }
+      if (options.resume && !options.output) {
+        throw new UsageError('--resume needs the --output file of the run to continue');
+      }
+      if (options.refresh) {
+        if (!options.existingIds && !process.env.EXISTING_SOURCE_IDS) {
+          throw new UsageError('--refresh needs the SKUs to refresh (--existing-ids or EXISTING_SOURCE_IDS)');
         }
-
-        if (foundModels.length > 0) {
-          models = foundModels.join('; ');
-          console.log('[TECH] Extracted models via manufacturer search:', models);
+        if (options.resume || options.enrich) {
+          throw new UsageError(`--refresh cannot be combined with --${options.resume ? 'resume' : 'enrich'}`);
         }
       }
+      try {
+        options.waitLimits = parseWaitLimits(options.waitLimit || []);
+      } catch (e) {
+        throw new UsageError(`--wait-limit: ${e.message}`);
+      }
 
-      return { technical_description: technicalDescription, models: models };
-    });
-
-    log(`       [TECH] Technical description: ${techDescData.technical_description ? 'FOUND (' + techDescData.technical_description.substring(0, 50) + '...)' : 'NOT FOUND'}`);
-    log(`       [TECH] Models: ${techDescData.models ? techDescData.models.substring(0, 50) + '...' : 'NOT FOUND'}`);
-
-    // Click to collapse the section
-    try {
-      await expandButton.click();
-      await page.waitForTimeout(500);
-    } catch (e) {
-      // Ignore collapse errors
+      if (!process.env.INTERCARS_USERNAME || !process.env.INTERCARS_PASSWORD) {
+        throw new UsageError('INTERCARS_USERNAME and INTERCARS_PASSWORD must be set (env or .env)');
+      }
     }
-
-    return techDescData;
-
-  } catch (error) {
-    logError(`[TECH] Error extracting technical description`, error);
-    return { technical_description: null, models: null };
-  }
-}
-
-// Module export for use in Rails ScraperService
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = scrapeProducts;
+  });
 }
 
-// If run directly from command line
-if (require.main === module) {
-  scrapeProducts().catch(console.error);
-}
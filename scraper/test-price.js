@@ -1,8 +1,12 @@
 const { chromium } = require('playwright-extra');
 const stealth = require('puppeteer-extra-plugin-stealth');
+const { isLoginPage, loginWithSso, SITE_URL } = require('./lib/session');
+const { loadSelectorProfile, selectorFor } = require('./lib/selectors');
 chromium.use(stealth());
 require('dotenv').config();
 
+const SELECTORS = loadSelectorProfile();
+
 (async () => {
   const browser = await chromium.launch({ headless: false, slowMo: 100 });
   const context = await browser.newContext({
@@ -14,32 +18,27 @@ require('dotenv').config();
   page.on('console', msg => console.log('[Browser]:', msg.text()));
 
   console.log('Logging in...');
-  await page.goto('https://ba.e-cat.intercars.eu/bs/', { waitUntil: 'domcontentloaded', timeout: 30000 });
+  await page.goto(SITE_URL, { waitUntil: 'domcontentloaded', timeout: 30000 });
   await page.waitForTimeout(2000);
 
-  if (page.url().includes('account.intercars.eu')) {
-    await page.locator('input#usernameUserInput').first().fill(process.env.INTERCARS_USERNAME);
-    await page.locator('input[type="submit"]').first().click();
-    await page.waitForTimeout(3000);
-    await page.locator('input[type="password"]').first().fill(process.env.INTERCARS_PASSWORD);
-    await page.locator('button[type="submit"], input[type="submit"]').first().click();
-    await page.waitForTimeout(3000);
+  if (isLoginPage(page)) {
+    await loginWithSso(page, process.env.INTERCARS_USERNAME, process.env.INTERCARS_PASSWORD);
   }
 
   console.log('Going to product listing...');
   await page.goto(process.env.PRODUCT_URL, { waitUntil: 'domcontentloaded', timeout: 30000 });
   await page.waitForTimeout(3000);
-  await page.waitForSelector('[data-testid="productIndexLink"]', { timeout: 15000 });
+  await page.waitForSelector(selectorFor(SELECTORS, 'productLink'), { timeout: 15000 });
 
-  console.log('Testing price extraction...');
-  const result = await page.evaluate(() => {
-    const links = document.querySelectorAll('[data-testid="productIndexLink"]');
+  console.log(`Testing price extraction (selector profile v${SELECTORS.version})...`);
+  const result = await page.evaluate(({ linkSelector, priceSelector, attributes }) => {
+    const links = document.querySelectorAll(linkSelector);
     console.log(`Found ${links.length} product links`);
 
     const firstLink = links[0];
     if (!firstLink) return { error: 'No product links found' };
 
-    const sku = firstLink.getAttribute('data-towkod');
+    const sku = firstLink.getAttribute(attributes.sku);
     console.log(`First product SKU: ${sku}`);
 
     // Try different parent finding strategies
@@ -50,22 +49,26 @@ require('dotenv').config();
       current = current.parentElement;
       if (!current) break;
 
-      const priceEl = current.querySelector('[data-testid="wholesalePrice-new"], [data-test="wholesalePrice-new"]');
+      const priceEl = current.querySelector(priceSelector);
       strategies.push({
         level: i + 1,
         tagName: current.tagName,
         className: current.className,
         foundPrice: !!priceEl,
-        dataAttr: priceEl?.getAttribute('data-clk-listing-item-wholesale-price'),
+        dataAttr: priceEl?.getAttribute(attributes.price),
         text: priceEl?.textContent?.trim().substring(0, 50)
       });
     }
 
     // Also search globally
-    const allPriceEls = document.querySelectorAll('[data-testid="wholesalePrice-new"], [data-test="wholesalePrice-new"]');
+    const allPriceEls = document.querySelectorAll(priceSelector);
     console.log(`Found ${allPriceEls.length} price elements globally`);
 
     return {sku, strategies, totalPriceElements: allPriceEls.length };
+  }, {
+    linkSelector: selectorFor(SELECTORS, 'productLink'),
+    priceSelector: selectorFor(SELECTORS, 'wholesalePrice'),
+    attributes: SELECTORS.attributes
   });
 
   console.log('\n=== RESULTS ===');
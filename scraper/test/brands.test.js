@@ -0,0 +1,64 @@
+/**
+ * Brand resolution (lib/brands.js) against a small inline dictionary
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normaliseBrandText, brandCodesFromUrl, createBrandResolver } = require('../lib/brands');
+
+const DICTIONARY = {
+  brands: [
+    { name: 'Bilstein', codes: ['icgoods_100'], aliases: [] },
+    { name: 'Febi Bilstein', codes: ['icgoods_200'], aliases: ['FEBI'] },
+    { name: 'Mann-Filter', codes: ['icgoods_300'], aliases: ['MANN'] }
+  ]
+};
+
+const brandOf = resolved => [resolved.brand, resolved.brand_code, resolved.brand_confidence, resolved.brand_source];
+
+test('normaliseBrandText compares spellings equal', () => {
+  assert.equal(normaliseBrandText('Mann-Filter'), 'MANN FILTER');
+  assert.equal(normaliseBrandText(' mann_filter '), 'MANN FILTER');
+  assert.equal(normaliseBrandText('Škoda'), 'SKODA');
+});
+
+test('brandCodesFromUrl reads productBrandCode facets of the q parameter', () => {
+  const url = 'https://ba.e-cat.intercars.eu/bs/Filteri/c/tecdoc-10?q=:default-m:branchAvailability:ALL:productBrandCode:icgoods_300:icgoods_200';
+
+  assert.deepEqual(brandCodesFromUrl(url), ['icgoods_300', 'icgoods_200']);
+  assert.deepEqual(brandCodesFromUrl('not a url'), []);
+});
+
+test('resolve prefers the catalog brand and canonicalises its spelling', () => {
+  const resolver = createBrandResolver({ dictionary: DICTIONARY });
+
+  assert.deepEqual(brandOf(resolver.resolve({ title: 'Filter ulja', apiBrand: 'MANN FILTER' })), ['Mann-Filter', 'icgoods_300', 'high', 'api']);
+});
+
+test('resolve matches the longest brand named in the title', () => {
+  const resolver = createBrandResolver({ dictionary: DICTIONARY });
+
+  assert.deepEqual(brandOf(resolver.resolve({ title: 'Amortizer FEBI BILSTEIN 12345' })), ['Febi Bilstein', 'icgoods_200', 'high', 'dictionary']);
+  assert.deepEqual(brandOf(resolver.resolve({ title: 'Amortizer BILSTEIN B4' })), ['Bilstein', 'icgoods_100', 'high', 'dictionary']);
+});
+
+test('resolve trusts a listing filtered to one brand', () => {
+  const resolver = createBrandResolver({ dictionary: DICTIONARY, urlCodes: ['icgoods_300'] });
+
+  assert.deepEqual(brandOf(resolver.resolve({ title: 'Filter ulja W 712/95' })), ['Mann-Filter', 'icgoods_300', 'high', 'facet']);
+});
+
+test('resolve learns brands from the page facets and reports them', () => {
+  const facets = [{ code: 'icgoods_900', name: 'Knecht', count: 12, active: false }];
+  const resolver = createBrandResolver({ dictionary: DICTIONARY, facets });
+
+  assert.deepEqual(brandOf(resolver.resolve({ title: 'Filter zraka KNECHT LX 1' })), ['Knecht', 'icgoods_900', 'high', 'facet']);
+  assert.deepEqual(resolver.unknownFacets(), facets);
+});
+
+test('resolve falls back to the title word with low confidence', () => {
+  const resolver = createBrandResolver({ dictionary: DICTIONARY });
+
+  assert.deepEqual(brandOf(resolver.resolve({ title: '175/65R14 ZOHA 82T W462H' })), ['ZOHA', null, 'low', 'title']);
+  assert.deepEqual(brandOf(resolver.resolve({ title: '123' })), [null, null, 'none', null]);
+});
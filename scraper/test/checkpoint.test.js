@@ -0,0 +1,85 @@
+/**
+ * Scrape checkpoints (lib/checkpoint.js) in a temporary output directory
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { checkpointPaths, loadCheckpoint, saveCheckpoint, clearCheckpoint } = require('../lib/checkpoint');
+
+const LISTS = [{ url: 'https://ba.e-cat.intercars.eu/bs/Filteri/c/tecdoc-10' }];
+
+function outputFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoint-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'products.json');
+}
+
+test('checkpointPaths sits next to the output file', () => {
+  assert.deepEqual(checkpointPaths('/data/products.json'), {
+    checkpointFile: '/data/products.checkpoint.json',
+    partialFile: '/data/products.partial.ndjson'
+  });
+});
+
+test('loadCheckpoint returns null without a checkpoint', (t) => {
+  assert.equal(loadCheckpoint(outputFile(t), LISTS), null);
+});
+
+test('a saved checkpoint resumes at its position with its products', (t) => {
+  const file = outputFile(t);
+  const first = [{ source_id: 'A1' }, { source_id: 'A2' }];
+  const second = [{ source_id: 'B1' }];
+
+  saveCheckpoint(file, { lists: LISTS, position: { list: 0, page: 2 }, listProgress: [2], newProducts: first, products: first });
+  saveCheckpoint(file, { lists: LISTS, position: { list: 0, page: 3 }, listProgress: [3], newProducts: second, products: [...first, ...second] });
+
+  assert.deepEqual(loadCheckpoint(file, LISTS), {
+    position: { list: 0, page: 3 },
+    listProgress: [3],
+    products: [...first, ...second]
+  });
+});
+
+test('loadCheckpoint drops products appended after the last save and a torn last line', (t) => {
+  const file = outputFile(t);
+  const saved = [{ source_id: 'A1' }];
+
+  saveCheckpoint(file, { lists: LISTS, position: { list: 0, page: 2 }, listProgress: [1], newProducts: saved, products: saved });
+  fs.appendFileSync(checkpointPaths(file).partialFile, `${JSON.stringify({ source_id: 'A2' })}\n{"source_id": "A`);
+
+  assert.deepEqual(loadCheckpoint(file, LISTS).products, saved);
+  assert.equal(fs.readFileSync(checkpointPaths(file).partialFile, 'utf8'), `${JSON.stringify(saved[0])}\n`);
+});
+
+test('loadCheckpoint refuses a checkpoint for other listing URLs', (t) => {
+  const file = outputFile(t);
+  saveCheckpoint(file, { lists: LISTS, position: { list: 0, page: 2 }, listProgress: [0], newProducts: [], products: [] });
+
+  assert.throws(
+    () => loadCheckpoint(file, [{ url: 'https://ba.e-cat.intercars.eu/bs/Gume/c/tecdoc-20' }]),
+    /is for different listing URLs/
+  );
+});
+
+test('loadCheckpoint refuses a checkpoint whose products are missing', (t) => {
+  const file = outputFile(t);
+  saveCheckpoint(file, { lists: LISTS, position: { list: 0, page: 2 }, listProgress: [1], newProducts: [], products: [{ source_id: 'A1' }] });
+
+  assert.throws(() => loadCheckpoint(file, LISTS), /lists 1 products missing/);
+});
+
+test('clearCheckpoint removes both files', (t) => {
+  const file = outputFile(t);
+  const saved = [{ source_id: 'A1' }];
+  saveCheckpoint(file, { lists: LISTS, position: { list: 0, page: 2 }, listProgress: [1], newProducts: saved, products: saved });
+
+  clearCheckpoint(file);
+
+  const { checkpointFile, partialFile } = checkpointPaths(file);
+  assert.equal(fs.existsSync(checkpointFile), false);
+  assert.equal(fs.existsSync(partialFile), false);
+  assert.equal(loadCheckpoint(file, LISTS), null);
+});
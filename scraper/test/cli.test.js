@@ -0,0 +1,63 @@
+/**
+ * Declarative option parsing (lib/cli.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { UsageError, parseOptions, formatHelp } = require('../lib/cli');
+
+const SPECS = [
+  { name: 'max', type: 'integer', default: 10, min: 1, env: 'TEST_CLI_MAX', description: 'Products to scrape' },
+  { name: 'headless', type: 'boolean', default: true, env: 'TEST_CLI_HEADLESS', description: 'Run without a window' },
+  { name: 'mode', type: 'string', choices: ['listing', 'refresh'], default: 'listing', description: 'What to scrape' },
+  { name: 'url', type: 'string', multiple: true, description: 'Listing URLs' }
+];
+
+test('parseOptions types flag values and fills in defaults', () => {
+  assert.deepEqual(parseOptions(['--max', '25', '--mode', 'refresh'], SPECS), {
+    max: 25,
+    headless: true,
+    mode: 'refresh',
+    url: undefined
+  });
+});
+
+test('parseOptions collects positionals into the configured option', () => {
+  const options = parseOptions(['--url', 'https://a.example/1', 'https://a.example/2'], SPECS, { positionals: 'url' });
+
+  assert.deepEqual(options.url, ['https://a.example/1', 'https://a.example/2']);
+});
+
+test('parseOptions falls back to env vars and validates them like flags', (t) => {
+  t.after(() => {
+    delete process.env.TEST_CLI_MAX;
+    delete process.env.TEST_CLI_HEADLESS;
+  });
+
+  process.env.TEST_CLI_MAX = '5';
+  process.env.TEST_CLI_HEADLESS = 'no';
+  assert.deepEqual(parseOptions([], SPECS), { max: 5, headless: false, mode: 'listing', url: undefined });
+
+  process.env.TEST_CLI_MAX = 'five';
+  assert.throws(() => parseOptions([], SPECS), { name: 'UsageError', message: 'TEST_CLI_MAX must be a whole number, got "five"' });
+});
+
+test('parseOptions rejects invalid input with UsageError', () => {
+  assert.throws(() => parseOptions(['--max', '0'], SPECS), { message: '--max must be at least 1, got 0' });
+  assert.throws(() => parseOptions(['--mode', 'all'], SPECS), { message: '--mode must be one of listing, refresh, got "all"' });
+  assert.throws(() => parseOptions(['--unknown'], SPECS), UsageError);
+  assert.throws(() => parseOptions(['stray'], SPECS), UsageError);
+});
+
+test('parseOptions returns only help for --help', () => {
+  assert.deepEqual(parseOptions(['--max', '0', '--help'], SPECS), { help: true });
+});
+
+test('formatHelp lists every option with its default and env var', () => {
+  const help = formatHelp('node scrape.js [options]', SPECS);
+
+  assert.match(help, /^Usage: node scrape\.js \[options\]/);
+  assert.match(help, /--max VALUE\s+Products to scrape \(default: 10, env: TEST_CLI_MAX\)/);
+  assert.match(help, /--mode listing\|refresh\s+What to scrape \(default: listing\)/);
+  assert.match(help, /-h, --help\s+Show this help/);
+});
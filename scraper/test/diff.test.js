@@ -0,0 +1,124 @@
+/**
+ * Run diffs (lib/diff.js) between scrape outputs and known-product lists in a temporary directory
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadProducts, priceChange, diffRuns, formatDiff } = require('../lib/diff');
+
+const FILTERS = 'https://ba.e-cat.intercars.eu/bs/Filteri/c/tecdoc-10';
+const BRAKES = 'https://ba.e-cat.intercars.eu/bs/Kocnice/c/tecdoc-20';
+
+function writer(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'diff-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return (name, content) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+    return file;
+  };
+}
+
+const run = products => ({ schema_version: '1.0.0', run: {}, products });
+const product = (sourceId, fields = {}) => ({
+  source_id: sourceId,
+  title: `Product ${sourceId}`,
+  price: 10,
+  currency: 'BAM',
+  quantity: '5',
+  listing_url: FILTERS,
+  scraped_at: '2026-10-01T08:00:00.000Z',
+  ...fields
+});
+
+const snapshot = (fields) => ({ source_id: 'A1', title: 'Filter', price: 10, currency: 'BAM', ...fields });
+
+test('priceChange reports the change in percent', () => {
+  assert.deepEqual(priceChange(snapshot({ price: 10 }), snapshot({ price: 12.5 })), {
+    source_id: 'A1', title: 'Filter', old_price: 10, new_price: 12.5, change: 2.5, change_pct: 25, direction: 'up', currency: 'BAM'
+  });
+  assert.equal(priceChange(snapshot({ price: 10 }), snapshot({ price: 10 })), null);
+  assert.equal(priceChange(snapshot({ price: null }), snapshot({ price: 10 })), null);
+});
+
+test('priceChange leaves out small changes and flags currency changes', () => {
+  assert.equal(priceChange(snapshot({ price: 100 }), snapshot({ price: 101 }), 2), null);
+
+  const change = priceChange(snapshot({ price: 10 }), snapshot({ price: 5.11, currency: 'EUR' }), 2);
+  assert.equal(change.change_pct, null);
+  assert.equal(change.old_currency, 'BAM');
+});
+
+test('diffRuns finds added, removed, price and stock changes', (t) => {
+  const write = writer(t);
+  const before = loadProducts(write('before.json', run([
+    product('A1'),
+    product('A2', { price: 20 }),
+    product('A3', { quantity: 'Nema' }),
+    product('A4')
+  ])));
+  const after = loadProducts(write('after.json', run([
+    product('A1'),
+    product('A2', { price: 18 }),
+    product('A3', { quantity: '>10' }),
+    product('A5', { price: 7 })
+  ])));
+
+  const diff = diffRuns(before, after);
+
+  assert.deepEqual(diff.added.map(item => item.source_id), ['A5']);
+  assert.deepEqual(diff.removed.map(item => item.source_id), ['A4']);
+  assert.deepEqual(diff.price_changes.map(change => [change.source_id, change.direction, change.change_pct]), [['A2', 'down', -10]]);
+  assert.deepEqual(diff.stock_changes.map(change => [change.source_id, change.status]), [['A3', 'back_in_stock']]);
+  assert.deepEqual(diff.summary, { added: 1, removed: 1, price_up: 0, price_down: 1, stock_changed: 1, out_of_stock: 0, back_in_stock: 1 });
+  assert.deepEqual(diff.warnings, []);
+  assert.match(formatDiff(diff), /📉 A2 Product A2: 20\.00 BAM → 18\.00 BAM \(-10%\)/);
+});
+
+test('diffRuns reports branch stock changes', (t) => {
+  const write = writer(t);
+  const branches = (sarajevo, mostar) => [
+    { branch: 'Sarajevo', quantity: sarajevo, quantity_min: sarajevo === 'Nema' ? 0 : 11, quantity_max: sarajevo === 'Nema' ? 0 : null },
+    { branch: 'Mostar', quantity: mostar, quantity_min: 3, quantity_max: 3 }
+  ];
+  const before = loadProducts(write('before.json', run([product('A1', { branch_stock: branches('>10', '3') })])));
+  const after = loadProducts(write('after.json', run([product('A1', { branch_stock: branches('Nema', '3') })])));
+
+  const [change] = diffRuns(before, after).stock_changes;
+
+  assert.equal(change.status, 'changed');
+  assert.deepEqual(change.branches, [{ branch: 'Sarajevo', old_quantity: '>10', new_quantity: 'Nema', old_min: 11, new_min: 0 }]);
+});
+
+test('diffRuns warns about listings the newer run did not scrape', (t) => {
+  const write = writer(t);
+  const before = loadProducts(write('before.json', run([product('A1'), product('B1', { listing_url: BRAKES })])));
+  const after = loadProducts(write('after.json', run([product('A1')])));
+
+  assert.deepEqual(diffRuns(before, after).warnings, ['1 listing(s) of the older run were not scraped again - their products count as removed']);
+});
+
+test('a known-product list compares against a run', (t) => {
+  const write = writer(t);
+  const known = loadProducts(write('known.txt', 'source_id;price\n# checked by hand\nA1;12,50\nA2;20\n'));
+  const after = loadProducts(write('after.json', run([product('A1', { price: 10 }), product('A2', { price: 20 })])));
+
+  assert.equal(known.kind, 'known');
+  assert.deepEqual([...known.products.keys()], ['A1', 'A2']);
+
+  const diff = diffRuns(known, after);
+  assert.deepEqual(diff.price_changes.map(change => [change.source_id, change.old_price, change.new_price]), [['A1', 12.5, 10]]);
+  // The list has no quantities, so stock cannot have changed
+  assert.deepEqual(diff.stock_changes, []);
+});
+
+test('loadProducts reads legacy arrays and price maps', (t) => {
+  const write = writer(t);
+
+  assert.equal(loadProducts(write('legacy.json', [product('A1')])).kind, 'run');
+  assert.deepEqual(loadProducts(write('prices.json', { A1: 9.9, A2: '1.234,50' })).products.get('A2').price, 1234.5);
+  assert.throws(() => loadProducts(write('broken.json', '[{')), /is not valid JSON/);
+});
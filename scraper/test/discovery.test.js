@@ -0,0 +1,91 @@
+/**
+ * Catalogue discovery helpers (lib/discovery.js): link counts, category children, brand summaries
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCatalogUrl } = require('../lib/urls');
+const { splitCount, extractCategoryLinks, childLinks, summariseBrands } = require('../lib/discovery');
+
+const BASE = 'https://ba.e-cat.intercars.eu/bs/';
+
+const link = (path, name) => ({ url: `${BASE}${path}`, name, count: null, parsed: parseCatalogUrl(`${BASE}${path}`) });
+
+const LINKS = [
+  link('Filteri/c/tecdoc-10', 'Filteri'),
+  link('Filteri/Filteri-ulja/c/tecdoc-10-11', 'Filteri ulja'),
+  link('Filteri/Filteri-zraka/c/tecdoc-10-12', 'Filteri zraka'),
+  link('Filteri/Filteri-ulja/Umetci/c/tecdoc-10-11-1', 'Umetci'),
+  link('Kocnice/c/tecdoc-20', 'Kočnice'),
+  link('Kocnice/Plocice/c/tecdoc-20-1', 'Pločice')
+];
+
+test('splitCount takes the product count off a link text', () => {
+  assert.deepEqual(splitCount('Gume (1.234)'), { name: 'Gume', count: 1234 });
+  assert.deepEqual(splitCount('Gume (1 234)'), { name: 'Gume', count: 1234 });
+  assert.deepEqual(splitCount('Gume (1.234 proizvoda)'), { name: 'Gume', count: 1234 });
+  assert.deepEqual(splitCount('Putničke gume\n  1.234 proizvoda'), { name: 'Putničke gume', count: 1234 });
+  assert.deepEqual(splitCount('Akumulatori 25 artikala'), { name: 'Akumulatori', count: 25 });
+  assert.deepEqual(splitCount('Filter 2 1.234 proizvoda'), { name: 'Filter 2', count: 1234 });
+});
+
+test('splitCount leaves numbers that are part of the name', () => {
+  assert.deepEqual(splitCount('Akumulatori 12V'), { name: 'Akumulatori 12V', count: null });
+  assert.deepEqual(splitCount('Motorno ulje 5 l'), { name: 'Motorno ulje 5 l', count: null });
+  assert.deepEqual(splitCount(' Gume '), { name: 'Gume', count: null });
+  assert.deepEqual(splitCount(null), { name: '', count: null });
+});
+
+test('extractCategoryLinks keeps one link per category listing', async () => {
+  const page = {
+    evaluate: async () => [
+      { href: `${BASE}Filteri/c/tecdoc-10?q=%3Adefault%3AproductBrandCode%3Aicgoods_2203`, text: '' },
+      { href: `${BASE}Filteri/c/tecdoc-10`, text: 'Filteri (1.234)' },
+      { href: `${BASE}Filteri/c/tecdoc-10`, text: 'Filteri' },
+      { href: `${BASE}cart`, text: 'Košarica' },
+      { href: 'https://www.intercars.com/c/tecdoc-10', text: 'Other site' },
+      { href: `${BASE}Kocnice/c/tecdoc-20/p/2`, text: 'Kočnice 80 proizvoda' }
+    ]
+  };
+
+  const links = await extractCategoryLinks(page, 'a');
+
+  assert.deepEqual(links.map(({ url, name, count }) => [url, name, count]), [
+    [`${BASE}Filteri/c/tecdoc-10`, 'Filteri', 1234],
+    [`${BASE}Kocnice/c/tecdoc-20`, 'Kočnice', 80]
+  ]);
+});
+
+test('childLinks takes the links one path level below the parent', () => {
+  assert.deepEqual(childLinks(LINKS[0].parsed, LINKS).map(child => child.name), ['Filteri ulja', 'Filteri zraka']);
+  assert.deepEqual(childLinks(LINKS[1].parsed, LINKS).map(child => child.name), ['Umetci']);
+  assert.deepEqual(childLinks(LINKS[3].parsed, LINKS), []);
+});
+
+test('childLinks starts from the shallowest links', () => {
+  assert.deepEqual(childLinks(null, LINKS).map(child => child.name), ['Filteri', 'Kočnice']);
+  assert.deepEqual(childLinks(parseCatalogUrl(BASE), LINKS).map(child => child.name), ['Filteri', 'Kočnice']);
+});
+
+test('summariseBrands counts products of leaf categories only', () => {
+  const knecht = count => ({ code: 'icgoods_2203', name: 'KNECHT', count });
+  const mann = count => ({ code: 'icgoods_1131', name: 'MANN-FILTER', count });
+  const categories = [
+    { name: 'Filteri', children: ['Filteri ulja', 'Filteri zraka'], brands: [knecht(90), mann(50)] },
+    { name: 'Filteri ulja', children: [], brands: [knecht(60), mann(30)] },
+    { name: 'Filteri zraka', children: [], brands: [knecht(30), mann(20)] },
+    { name: 'Pločice', children: [], brands: [{ code: 'icgoods_0040', name: 'ATE', count: null }] }
+  ];
+
+  assert.deepEqual(summariseBrands(categories), [
+    { code: 'icgoods_2203', name: 'KNECHT', categories: 3, products: 90 },
+    { code: 'icgoods_1131', name: 'MANN-FILTER', categories: 3, products: 50 },
+    { code: 'icgoods_0040', name: 'ATE', categories: 1, products: 0 }
+  ]);
+});
+
+test('summariseBrands orders brands without products by name', () => {
+  const categories = [{ children: [], brands: [{ code: 'icgoods_2', name: 'MAHLE' }, { code: 'icgoods_1', name: 'BOSCH' }] }];
+
+  assert.deepEqual(summariseBrands(categories).map(brand => brand.name), ['BOSCH', 'MAHLE']);
+});
@@ -0,0 +1,93 @@
+/**
+ * Detail page enrichment helpers (lib/enrich.js): weights, merging detail data, rate limiting
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadSelectorProfile } = require('../lib/selectors');
+const { parseWeight, mergeDetail, createRateLimiter } = require('../lib/enrich');
+
+const profile = loadSelectorProfile();
+const IMAGE = 'https://ic-files-res.cloudinary.com/image/upload/v1/catalog';
+
+const detail = fields => ({ specs: {}, images: [], documents: [], references: null, ...fields });
+
+test('parseWeight reads kg and g in the storefront number format', () => {
+  assert.equal(parseWeight('1,25 kg'), 1.25);
+  assert.equal(parseWeight('850 g'), 0.85);
+  assert.equal(parseWeight('1.5kg'), 1.5);
+  assert.equal(parseWeight('1.234,5 kg'), 1234.5);
+  assert.equal(parseWeight('1 234 g'), 1.234);
+  // A bare number is kg
+  assert.equal(parseWeight('2'), 2);
+});
+
+test('parseWeight is null without a number', () => {
+  assert.equal(parseWeight('Nema'), null);
+  assert.equal(parseWeight(''), null);
+  assert.equal(parseWeight(null), null);
+});
+
+test('mergeDetail lets detail specs win and reads EAN and weight from them', () => {
+  const product = { specs: { Visina: '80 mm', Promjer: '76 mm' } };
+
+  const gained = mergeDetail(product, detail({ specs: { Visina: '81 mm', EAN: '4 009 026 123 456', Težina: '850 g' } }), { references: false, profile });
+
+  assert.deepEqual(product.specs, { Visina: '81 mm', Promjer: '76 mm', EAN: '4 009 026 123 456', Težina: '850 g' });
+  assert.equal(product.ean, '4009026123456');
+  assert.equal(product.weight_kg, 0.85);
+  assert.deepEqual(gained, ['specs+2', 'ean', 'weight']);
+  assert.ok(product.enriched_at);
+});
+
+test('mergeDetail adds each gallery image once', () => {
+  const product = { images: [`${IMAGE}/a.jpg`] };
+
+  const gained = mergeDetail(product, detail({ gallery: [`${IMAGE}/c.jpg`], images: [`${IMAGE}/a.jpg`, `${IMAGE}/b.jpg`, `${IMAGE}/c.jpg`] }), { references: false, profile });
+
+  assert.deepEqual(product.images, [`${IMAGE}/a.jpg`, `${IMAGE}/c.jpg`, `${IMAGE}/b.jpg`]);
+  assert.deepEqual(gained, ['images+2']);
+});
+
+test('mergeDetail adds documents and keeps the known ones', () => {
+  const datasheet = { title: 'Datasheet', url: 'https://ba.e-cat.intercars.eu/docs/oc90.pdf' };
+  const manual = { title: 'Upute', url: 'https://ba.e-cat.intercars.eu/docs/oc90-upute.pdf' };
+  const product = { documents: [datasheet] };
+
+  assert.deepEqual(mergeDetail(product, detail({ documents: [] }), { references: false, profile }), []);
+  assert.deepEqual(product.documents, [datasheet]);
+
+  assert.deepEqual(mergeDetail(product, detail({ documents: [datasheet, manual] }), { references: false, profile }), ['documents']);
+  assert.deepEqual(product.documents, [datasheet, manual]);
+});
+
+test('mergeDetail adds only part numbers the product does not have yet', () => {
+  const product = {
+    brand: 'KNECHT',
+    oe_numbers: [{ brand: 'VW', number: '1K0 615 301 AA', normalised: '1K0615301AA' }]
+  };
+
+  mergeDetail(product, detail({ references: { oe_numbers: ['VW 1K0615301AA', 'AUDI 1K0615301AA'] } }), { references: true, profile });
+
+  assert.deepEqual(product.oe_numbers.map(entry => [entry.brand, entry.normalised]), [['VW', '1K0615301AA'], ['AUDI', '1K0615301AA']]);
+  assert.deepEqual(product.cross_references, []);
+});
+
+test('the rate limiter doubles its interval up to 30 seconds', () => {
+  const limiter = createRateLimiter(1500);
+
+  assert.deepEqual([1, 2, 3, 4, 5, 6].map(() => limiter.slowDown()), [3000, 6000, 12000, 24000, 30000, 30000]);
+  // Backing off from no delay waits at least a second
+  assert.equal(createRateLimiter(0).slowDown(), 1000);
+});
+
+test('the rate limiter spaces navigations by its interval', async () => {
+  const limiter = createRateLimiter(40);
+  const started = Date.now();
+
+  await limiter.acquire();
+  await limiter.acquire();
+  await limiter.acquire();
+
+  assert.ok(Date.now() - started >= 75, `three navigations took ${Date.now() - started}ms`);
+});
@@ -0,0 +1,71 @@
+/**
+ * Vehicle fitment extraction (lib/fitment.js) against config/vehicles.json
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseYear, parseDateRange, parseFitment, formatFitment } = require('../lib/fitment');
+
+test('parseYear reads "10,96"-style fragments and four-digit years', () => {
+  assert.equal(parseYear('10,96'), 1996);
+  assert.equal(parseYear('05.01'), 2001);
+  assert.equal(parseYear('05/01'), 2001);
+  assert.equal(parseYear('10.2008'), 2008);
+  assert.equal(parseYear('2008'), 2008);
+  assert.equal(parseYear(''), null);
+  assert.equal(parseYear(null), null);
+});
+
+test('parseYear pivots two-digit years on the current year', () => {
+  const current = new Date().getFullYear() % 100;
+  const pad = year => String(year % 100).padStart(2, '0');
+
+  // Up to a year ahead is this century, anything later the last one
+  assert.equal(parseYear(`01,${pad(current)}`), 2000 + current);
+  assert.equal(parseYear(`01,${pad(current + 1)}`), 2000 + current + 1);
+  assert.equal(parseYear(`01,${pad(current + 2)}`), 1900 + current + 2);
+  assert.equal(parseYear('01,99'), 1999);
+  assert.equal(parseYear('01,00'), 2000);
+});
+
+test('parseDateRange reads closed, open-ended and worded ranges', () => {
+  assert.deepEqual(parseDateRange('GOLF IV 1.6 10,96-05,01'), { year_from: 1996, year_to: 2001, match: '10,96-05,01' });
+  assert.deepEqual(parseDateRange('GOLF VI 2008-2012'), { year_from: 2008, year_to: 2012, match: '2008-2012' });
+  assert.deepEqual(parseDateRange('OCTAVIA II 10.2008-'), { year_from: 2008, year_to: null, match: '10.2008-' });
+  assert.deepEqual(parseDateRange('PASSAT -10,96'), { year_from: null, year_to: 1996, match: ' -10,96' });
+  assert.deepEqual(parseDateRange('CLIO od 2005'), { year_from: 2005, year_to: null, match: 'od 2005' });
+});
+
+test('parseDateRange does not take displacements or power for dates', () => {
+  assert.deepEqual(parseDateRange('1.6 TDI (77 kW)'), { year_from: null, year_to: null, match: null });
+});
+
+test('parseFitment splits several makes in one description', () => {
+  const records = parseFitment('Odgovara: VW GOLF VI (5K1) 1.6 TDI 10,08-11,12; AUDI A3 (8P1) 2.0 TDI 05,03-08,12, ŠKODA OCTAVIA II (1Z3) 1.9 TDI 06,04-');
+
+  assert.deepEqual(records, [
+    { make: 'Volkswagen', model: 'GOLF', generation: 'VI (5K1)', year_from: 2008, year_to: 2012, engine: '1.6 TDI' },
+    { make: 'Audi', model: 'A3', generation: '(8P1)', year_from: 2003, year_to: 2012, engine: '2.0 TDI' },
+    { make: 'Skoda', model: 'OCTAVIA', generation: 'II (1Z3)', year_from: 2004, year_to: null, engine: '1.9 TDI' }
+  ]);
+});
+
+test('parseFitment keeps the comma of a "10,96" date inside its vehicle', () => {
+  const records = parseFitment('VW GOLF IV (1J1) 1.9 TDI 10,97-06,05, VW PASSAT B5 (3B2) 1.9 TDI 10,96-11,00');
+
+  assert.deepEqual(records.map(record => [record.model, record.year_from, record.year_to, record.engine]), [
+    ['GOLF', 1997, 2005, '1.9 TDI'],
+    ['PASSAT', 1996, 2000, '1.9 TDI']
+  ]);
+});
+
+test('parseFitment returns no records for text without vehicles', () => {
+  assert.deepEqual(parseFitment('Kočione pločice za prednju osovinu, sa senzorom trošenja.'), []);
+  assert.deepEqual(parseFitment(''), []);
+  assert.deepEqual(parseFitment(null), []);
+});
+
+test('formatFitment joins records into the models text', () => {
+  assert.equal(formatFitment(parseFitment('VW GOLF VI (5K1) 1.6 TDI 10,08-11,12')), 'Volkswagen GOLF VI (5K1) 1.6 TDI 2008-2012');
+  assert.equal(formatFitment([]), null);
+});
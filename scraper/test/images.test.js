@@ -0,0 +1,43 @@
+/**
+ * Product image URLs from page data (lib/images.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normaliseImageUrl, collectImageUrls, galleriesFromPayload } = require('../lib/images');
+
+const IMAGE = 'https://ic-files-res.cloudinary.com/image/upload';
+
+test('normaliseImageUrl upgrades thumbnails and keeps larger sizes', () => {
+  assert.equal(normaliseImageUrl(`${IMAGE}/t_t100x100v1/v1/catalog/a.jpg`), `${IMAGE}/t_t1200x1200v1/v1/catalog/a.jpg`);
+  assert.equal(normaliseImageUrl(`${IMAGE}/t_t600x600v2/v1/catalog/a.jpg`), `${IMAGE}/t_t600x600v2/v1/catalog/a.jpg`);
+  assert.equal(normaliseImageUrl(`//ic-files-res.cloudinary.com/image/upload/v1/catalog/a.jpg`), `${IMAGE}/v1/catalog/a.jpg`);
+});
+
+test('collectImageUrls reads srcsets and counts two sizes of one image once', () => {
+  const images = collectImageUrls({
+    thumbnail: `${IMAGE}/t_t100x100v1/v1/catalog/a.jpg 1x, ${IMAGE}/t_t600x600v1/v1/catalog/a.jpg 2x`,
+    gallery: [`${IMAGE}/v1/catalog/b.jpg`, 'https://example.com/logo.png']
+  });
+
+  assert.deepEqual(images, [`${IMAGE}/t_t1200x1200v1/v1/catalog/a.jpg`, `${IMAGE}/v1/catalog/b.jpg`]);
+});
+
+test('galleriesFromPayload keeps nested products out of a gallery', () => {
+  const payload = {
+    results: [
+      {
+        sku: 'ABC123',
+        images: [`${IMAGE}/v1/catalog/abc-1.jpg`, `${IMAGE}/v1/catalog/abc-2.jpg`],
+        alternatives: [{ sku: 'DEF456', images: [`${IMAGE}/v1/catalog/def-1.jpg`] }]
+      }
+    ]
+  };
+
+  const galleries = galleriesFromPayload(payload, node => node.sku || null);
+
+  assert.deepEqual([...galleries], [
+    ['ABC123', [`${IMAGE}/v1/catalog/abc-1.jpg`, `${IMAGE}/v1/catalog/abc-2.jpg`]],
+    ['DEF456', [`${IMAGE}/v1/catalog/def-1.jpg`]]
+  ]);
+});
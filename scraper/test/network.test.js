@@ -0,0 +1,118 @@
+/**
+ * Catalog API payloads (lib/network.js) read with the "api" section of config/selectors.json
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadSelectorProfile } = require('../lib/selectors');
+const { parsePrice, findProductList, findPaginationTotals, mapApiProduct, mergeApiProducts } = require('../lib/network');
+
+const { fields, pagination } = loadSelectorProfile().api;
+const IMAGE = 'https://ic-files-res.cloudinary.com/image/upload/v1/catalog';
+
+const RECORD = {
+  towKod: 'OC90',
+  name: 'Filter ulja',
+  brand: { name: 'KNECHT', code: 'icgoods_2203' },
+  wholesalePrice: { value: '1.234,56', currency: 'KM' },
+  availability: { branch: 'Sarajevo', amount: '>10', branches: [{ branchName: 'Mostar', amount: '1-5' }] },
+  attributes: [{ name: 'Visina', value: '80 mm' }, { name: 'Navoj', values: ['M20', '1,5'] }],
+  images: [`${IMAGE}/oc90-1.jpg`, `${IMAGE}/oc90-2.jpg`],
+  relatedProducts: [{ towKod: 'OC91', name: 'Filter', images: [`${IMAGE}/oc91.jpg`] }]
+};
+
+const PAYLOAD = {
+  config: [{ code: 'menu', name: 'Filteri' }, { id: 1 }, { id: 2 }],
+  data: {
+    pagination: { totalResults: '45', numberOfPages: 3, pageSize: 20 },
+    results: [RECORD, { towKod: 'W712/95', name: 'Filter ulja', price: 12.5 }]
+  }
+};
+
+test('parsePrice reads numbers and storefront-formatted strings', () => {
+  assert.equal(parsePrice(12.5), 12.5);
+  assert.equal(parsePrice('1.234,56'), 1234.56);
+  assert.equal(parsePrice(NaN), null);
+  assert.equal(parsePrice('Nema'), null);
+  assert.equal(parsePrice({ value: 1 }), null);
+});
+
+test('findProductList finds the product records below the payload', () => {
+  assert.deepEqual(findProductList(PAYLOAD, fields).map(record => record.towKod), ['OC90', 'W712/95']);
+  assert.deepEqual(findProductList([RECORD], fields), [RECORD]);
+});
+
+test('findProductList ignores lists that are mostly not products', () => {
+  // One object with a code and a name in a config list is not a product list
+  assert.equal(findProductList({ config: PAYLOAD.config }, fields), null);
+  assert.equal(findProductList({ results: [{ name: 'No code' }, { name: 'Nor here' }, { towKod: 'OC90', name: 'Filter' }] }, fields), null);
+  // A code alone, without a title or price, is not a product
+  assert.equal(findProductList({ results: [{ towKod: 'OC90' }] }, fields), null);
+  assert.equal(findProductList('[]', fields), null);
+});
+
+test('findPaginationTotals reads the listing totals', () => {
+  assert.deepEqual(findPaginationTotals(PAYLOAD, pagination), { total_products: 45, total_pages: 3, per_page: 20 });
+  assert.deepEqual(findPaginationTotals({ totalCount: 7 }, pagination), { total_products: 7, total_pages: null, per_page: null });
+  assert.equal(findPaginationTotals({ results: [] }, pagination), null);
+});
+
+test('mapApiProduct ties price, currency and stock to the SKU', () => {
+  const product = mapApiProduct(RECORD, fields);
+
+  assert.equal(product.sku, 'OC90');
+  assert.equal(product.source_id, 'OC90');
+  assert.equal(product.price, 1234.56);
+  assert.equal(product.currency, 'BAM');
+  assert.equal(product.brand, 'KNECHT');
+  assert.equal(product.brand_code, 'icgoods_2203');
+  assert.equal(product.branch_availability, 'Sarajevo');
+  assert.equal(product.quantity, '>10');
+  assert.deepEqual(product.branch_stock.map(entry => [entry.branch, entry.quantity_min, entry.quantity_max]), [['Mostar', 1, 5]]);
+  assert.deepEqual(product.specs, { Visina: '80 mm', Navoj: 'M20, 1,5' });
+  assert.deepEqual(product.gallery, [`${IMAGE}/oc90-1.jpg`, `${IMAGE}/oc90-2.jpg`]);
+});
+
+test('mapApiProduct leaves out fields the record has no value for', () => {
+  assert.deepEqual(mapApiProduct({ code: ' 1K0615301AA ', price: 0, currency: '' }, fields), { sku: '1K0615301AA', source_id: '1K0615301AA', price: 0 });
+});
+
+test('mapApiProduct does not take images of related products', () => {
+  const { images, ...withoutImages } = RECORD;
+
+  assert.equal(mapApiProduct(withoutImages, fields).gallery, undefined);
+});
+
+test('mergeApiProducts puts API values on the DOM card with the same SKU', () => {
+  const dom = [
+    { sku: 'OC90', title: 'Filter ulja OC 90', url: '/bs/p/OC90', price: 99, currency: 'BAM', imageContainerIndex: 0 },
+    { sku: 'X1', title: 'Only on the page', price: 5, currency: 'BAM', imageContainerIndex: 1 }
+  ];
+  const api = new Map([['OC90', { ...mapApiProduct(RECORD, fields), url: '/api/OC90', title: 'API title' }]]);
+
+  const [matched, domOnly] = mergeApiProducts(dom, api);
+
+  assert.equal(matched.extraction, 'api');
+  assert.equal(matched.price, 1234.56);
+  // The DOM link and title stay
+  assert.equal(matched.url, '/bs/p/OC90');
+  assert.equal(matched.title, 'Filter ulja OC 90');
+  assert.equal(matched.imageContainerIndex, 0);
+  assert.deepEqual(domOnly, { ...dom[1], extraction: 'dom' });
+});
+
+test('mergeApiProducts adds titled API products that have no DOM card', () => {
+  const api = new Map([
+    ['W712/95', mapApiProduct(PAYLOAD.data.results[1], fields)],
+    ['NOTITLE', { sku: 'NOTITLE', source_id: 'NOTITLE', price: 3 }]
+  ]);
+
+  const merged = mergeApiProducts([], api);
+
+  assert.equal(merged.length, 1);
+  assert.equal(merged[0].sku, 'W712/95');
+  assert.equal(merged[0].price, 12.5);
+  assert.equal(merged[0].currency, 'BAM');
+  assert.equal(merged[0].imageContainerIndex, -1);
+  assert.equal(merged[0].extraction, 'api');
+});
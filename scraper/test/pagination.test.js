@@ -0,0 +1,43 @@
+/**
+ * Listing page URLs, totals and page ranges (lib/pagination.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { pageUrlFor, pageNumberOf, parseProductTotal, planRange } = require('../lib/pagination');
+
+const LISTING = 'https://ba.e-cat.intercars.eu/bs/Filteri/c/tecdoc-10?q=:default-m:branchAvailability:ALL';
+
+test('pageUrlFor adds, replaces and removes the /p/N suffix', () => {
+  assert.equal(pageUrlFor(LISTING, 1), LISTING);
+  assert.equal(pageUrlFor(LISTING, 3), 'https://ba.e-cat.intercars.eu/bs/Filteri/c/tecdoc-10/p/3?q=:default-m:branchAvailability:ALL');
+  assert.equal(pageUrlFor(pageUrlFor(LISTING, 3), 5), 'https://ba.e-cat.intercars.eu/bs/Filteri/c/tecdoc-10/p/5?q=:default-m:branchAvailability:ALL');
+  assert.equal(pageUrlFor(pageUrlFor(LISTING, 3), 1), LISTING);
+});
+
+test('pageNumberOf reads the page of a listing URL', () => {
+  assert.equal(pageNumberOf(LISTING), 1);
+  assert.equal(pageNumberOf(pageUrlFor(LISTING, 12)), 12);
+});
+
+test('parseProductTotal reads the counter text', () => {
+  assert.equal(parseProductTotal('1.234 proizvoda', ['proizvoda']), 1234);
+  assert.equal(parseProductTotal('1 - 20 od 1.234'), 1234);
+  assert.equal(parseProductTotal('Prikazano 20 od 1 234 artikala', ['artikala']), 1234);
+  assert.equal(parseProductTotal(''), null);
+});
+
+test('planRange counts the products a page range can give', () => {
+  const totals = { total_products: 95, total_pages: 5, per_page: 20 };
+
+  assert.deepEqual(planRange(totals, { startPage: 1, max: 50 }), { end_page: 5, available: 95, expected: 50 });
+  assert.deepEqual(planRange(totals, { startPage: 3, max: 100 }), { end_page: 5, available: 55, expected: 55 });
+  assert.deepEqual(planRange(totals, { startPage: 2, endPage: 3, max: 100 }), { end_page: 3, available: 40, expected: 40 });
+  assert.deepEqual(planRange(totals, { startPage: 2, endPage: 99, max: 100 }), { end_page: 5, available: 75, expected: 75 });
+});
+
+test('planRange falls back to --max when the totals do not tell', () => {
+  const unknown = { total_products: null, total_pages: null, per_page: null };
+
+  assert.deepEqual(planRange(unknown, { startPage: 1, max: 30 }), { end_page: null, available: null, expected: 30 });
+});
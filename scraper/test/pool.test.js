@@ -0,0 +1,186 @@
+/**
+ * Ordered task pool and page shares (lib/pool.js) with plain objects as workers
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { runOrdered, shareOut, createPageShares } = require('../lib/pool');
+
+const WORKERS = [{ index: 0 }, { index: 1 }, { index: 2 }];
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Hands out 0..count-1, then null
+function tasks(count) {
+  let issued = 0;
+  return () => (issued < count ? issued++ : null);
+}
+
+test('runOrdered commits results in task order whatever order they finish in', async () => {
+  const finishOrder = [];
+  const committed = [];
+
+  const result = await runOrdered(WORKERS, {
+    next: tasks(7),
+    // Earlier tasks take longer, so they finish after later ones
+    run: async (worker, task) => {
+      await delay((7 - task) * 3);
+      finishOrder.push(task);
+      return { task, worker: worker.index };
+    },
+    commit: async (task, result) => {
+      assert.equal(result.task, task);
+      committed.push(task);
+    }
+  });
+
+  assert.notDeepEqual(finishOrder, [0, 1, 2, 3, 4, 5, 6]);
+  assert.deepEqual(committed, [0, 1, 2, 3, 4, 5, 6]);
+  assert.deepEqual(result, { committed: 7, stopped: false });
+});
+
+test('runOrdered stops handing out tasks once commit returns false', async () => {
+  const committed = [];
+  let issued = 0;
+
+  const result = await runOrdered(WORKERS, {
+    next: () => (issued < 100 ? issued++ : null),
+    run: async (worker, task) => {
+      await delay(1);
+      return task;
+    },
+    commit: async (task) => {
+      committed.push(task);
+      return task < 4;
+    }
+  });
+
+  // Tasks already running finish, but nothing after the stop is committed
+  assert.deepEqual(committed, [0, 1, 2, 3, 4]);
+  assert.equal(result.stopped, true);
+  assert.ok(issued <= 5 + WORKERS.length);
+});
+
+test('runOrdered asks again for tasks after a commit', async () => {
+  // A task only becomes available once the one before it is committed
+  let available = 1;
+  let issued = 0;
+  const committed = [];
+
+  await runOrdered(WORKERS, {
+    next: () => (issued < available && issued < 4 ? issued++ : null),
+    run: async (worker, task) => task,
+    commit: async (task) => {
+      committed.push(task);
+      available++;
+    }
+  });
+
+  assert.deepEqual(committed, [0, 1, 2, 3]);
+});
+
+test('runOrdered rethrows a failed task after the tasks before it are committed', async () => {
+  const committed = [];
+
+  await assert.rejects(runOrdered(WORKERS, {
+    next: tasks(6),
+    run: async (worker, task) => {
+      await delay(1);
+      if (task === 2) throw new Error('page crashed');
+      return task;
+    },
+    commit: async (task) => {
+      committed.push(task);
+    }
+  }), /page crashed/);
+
+  assert.deepEqual(committed, [0, 1]);
+});
+
+test('shareOut deals the cards round-robin, one fixed share per part', () => {
+  assert.deepEqual(shareOut(['a', 'b', 'c', 'd', 'e'], 3), [['a', 'd'], ['b', 'e'], ['c']]);
+  assert.deepEqual(shareOut(['a'], 3), [['a'], [], []]);
+});
+
+// Listing pages of three cards whose order changes with every load, like scrape.js reads them:
+// part 0 loads the page and plans it, the other parts find their share's cards by SKU
+function listingPages(workers) {
+  const loads = [];
+  const load = (pageNumber, part) => {
+    const skus = [`P${pageNumber}-A`, `P${pageNumber}-B`, `P${pageNumber}-C`];
+    const turn = loads.filter(loaded => loaded.pageNumber === pageNumber).length % skus.length;
+    loads.push({ pageNumber, part });
+    // Each load starts one card further on
+    return skus.slice(turn).concat(skus.slice(0, turn)).map((sku, position) => ({ sku, position }));
+  };
+  const pageShares = createPageShares(workers.length);
+  const pages = new Map();
+  let issued = 0;
+
+  const run = () => runOrdered(workers, {
+    next: () => (issued < 2 * workers.length ? issued++ : null),
+    run: async (worker, task) => {
+      const pageNumber = Math.floor(task / workers.length) + 1;
+      const part = task % workers.length;
+      await delay(part);
+
+      if (part === 0) {
+        const cards = load(pageNumber, part).map(({ sku, position }) => ({ sku, loadedAt: position }));
+        const mine = pageShares.plan(pageNumber, cards);
+        return { pageNumber, cards, completed: mine.map(card => ({ ...card, completedAt: card.loadedAt })) };
+      }
+
+      const share = await pageShares.share(pageNumber, part);
+      if (share.length === 0) return { pageNumber, cards: [], completed: [] };
+      const here = new Map(load(pageNumber, part).map(card => [card.sku, card]));
+      return { pageNumber, cards: [], completed: share.map(card => ({ ...card, completedAt: here.get(card.sku).position })) };
+    },
+    commit: async (task, result) => {
+      const page = pages.get(result.pageNumber) || { cards: [], completed: [] };
+      page.cards.push(...result.cards);
+      page.completed.push(...result.completed);
+      pages.set(result.pageNumber, page);
+    }
+  });
+
+  return { run, loads, pages };
+}
+
+test('page shares complete every card once when a later load lists them in another order', async () => {
+  const { run, loads, pages } = listingPages([{ index: 0 }, { index: 1 }]);
+
+  await run();
+
+  for (const [pageNumber, { cards, completed }] of pages) {
+    // The cards of the first load, each completed once
+    assert.deepEqual(cards.map(card => card.sku), [`P${pageNumber}-A`, `P${pageNumber}-B`, `P${pageNumber}-C`]);
+    assert.deepEqual(completed.map(card => card.sku).sort(), cards.map(card => card.sku));
+  }
+  // The second load has B first - the share's card B was found there by SKU, not at its first position
+  const shared = pages.get(1).completed.find(card => card.sku === 'P1-B');
+  assert.deepEqual([shared.loadedAt, shared.completedAt], [1, 0]);
+  assert.deepEqual(loads.map(({ pageNumber, part }) => [pageNumber, part]), [[1, 0], [1, 1], [2, 0], [2, 1]]);
+});
+
+test('parts with an empty share do not load the page', async () => {
+  const { run, loads, pages } = listingPages([{ index: 0 }, { index: 1 }, { index: 2 }, { index: 3 }]);
+
+  await run();
+
+  // Three cards for four parts - part 3 has nothing to do
+  assert.equal(loads.filter(({ part }) => part === 3).length, 0);
+  assert.equal(loads.length, 6);
+  assert.deepEqual(pages.get(2).completed.map(card => card.sku).sort(), ['P2-A', 'P2-B', 'P2-C']);
+});
+
+test('a page planned with nothing to share lets its other parts end', async () => {
+  const pageShares = createPageShares(3);
+  const waiting = Promise.all([pageShares.share(4, 1), pageShares.share(4, 2)]);
+
+  // What scrape.js does when the loading part fails or finds the page empty
+  pageShares.plan(4, []);
+  pageShares.plan(4, ['ignored']);
+
+  assert.deepEqual(await waiting, [[], []]);
+  pageShares.forget(4);
+});
@@ -0,0 +1,50 @@
+/**
+ * Part numbers and cross-references (lib/references.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalisePartNumber, parseNumberLines, extractPartNumbers } = require('../lib/references');
+
+test('normalisePartNumber drops separators for searching', () => {
+  assert.equal(normalisePartNumber('1K0 615-301/aa.'), '1K0615301AA');
+});
+
+test('parseNumberLines reads labelled, prefixed and bare lines', () => {
+  assert.deepEqual(parseNumberLines([
+    'VW: 1K0615301AA, 5Q0615301F',
+    'AUDI 1K0 615 301 AA',
+    'BREMBO | 09.A820.11',
+    // Same number without a brand adds nothing
+    '1K0615301AA',
+    'Nema'
+  ]), [
+    { brand: 'VW', number: '1K0615301AA', normalised: '1K0615301AA' },
+    { brand: 'VW', number: '5Q0615301F', normalised: '5Q0615301F' },
+    { brand: 'AUDI', number: '1K0 615 301 AA', normalised: '1K0615301AA' },
+    { brand: 'BREMBO', number: '09.A820.11', normalised: '09A82011' }
+  ]);
+});
+
+test('parseNumberLines gives unbranded lines the default brand', () => {
+  assert.deepEqual(parseNumberLines(['24.0125-0150.1'], 'ATE'), [
+    { brand: 'ATE', number: '24.0125-0150.1', normalised: '24012501501' }
+  ]);
+});
+
+test('extractPartNumbers merges page groups with spec values', () => {
+  const numbers = extractPartNumbers({
+    groups: { oe_numbers: ['VW: 1K0615301AA'], cross_references: ['BREMBO | 09.A820.11', 'ATE 24.0125-0150.1'] },
+    specs: { 'OE broj': '5Q0615301F', 'Broj artikla': '24.0125-0150.1' },
+    brand: 'Ate'
+  });
+
+  assert.deepEqual(numbers.oe_numbers.map(entry => [entry.brand, entry.number]), [['VW', '1K0615301AA'], [null, '5Q0615301F']]);
+  assert.deepEqual(numbers.article_numbers.map(entry => [entry.brand, entry.number]), [['ATE', '24.0125-0150.1']]);
+  // The product's own number is not a cross-reference to itself
+  assert.deepEqual(numbers.cross_references.map(entry => [entry.brand, entry.number]), [['BREMBO', '09.A820.11']]);
+});
+
+test('extractPartNumbers returns empty lists without input', () => {
+  assert.deepEqual(extractPartNumbers(), { oe_numbers: [], article_numbers: [], cross_references: [] });
+});
@@ -0,0 +1,73 @@
+/**
+ * Offline replay (replay.js) of a saved listing page through extractListingPage
+ *
+ * Needs Playwright's Chromium (npx playwright install chromium); skipped without it.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { chromium } = require('playwright');
+const replay = require('../replay');
+const { readRunOutput } = require('../lib/output');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'listing-page.html');
+const LISTING_URL = 'https://ba.e-cat.intercars.eu/bs/Filteri/c/tecdoc-10';
+const PRODUCT_URL = 'https://ba.e-cat.intercars.eu/bs/Filteri';
+
+const browserMissing = !fs.existsSync(chromium.executablePath()) && 'Playwright Chromium is not installed';
+
+function outputFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'replay.json');
+}
+
+test('replay extracts every product card of a saved listing page', { skip: browserMissing }, async (t) => {
+  const out = outputFile(t);
+
+  const products = await replay({ fixtures: [FIXTURE], url: LISTING_URL, out, mode: 'listing' });
+
+  // The pager link is not a product
+  assert.deepEqual(products.map(product => [product.sku, product.price, product.currency]), [
+    ['OC90', 15.9, 'BAM'],
+    ['W712/95', 1234.56, 'BAM'],
+    ['LX1006/2D', 12.5, 'BAM']
+  ]);
+  assert.deepEqual(products.map(product => [product.branch_availability, product.quantity, product.quantity_min]), [
+    ['Sarajevo', '>10', 11],
+    ['Mostar', '1-5', 1],
+    ['Tuzla', 'Nema', 0]
+  ]);
+  assert.deepEqual(products.map(product => [product.brand, product.brand_code]), [
+    ['Knecht', 'icgoods_2203'],
+    ['Mann-Filter', 'icgoods_1131'],
+    ['Mahle', 'icgoods_0872']
+  ]);
+
+  const [oc90] = products;
+  assert.equal(oc90.title, 'Filter ulja KNECHT OC 90');
+  assert.equal(oc90.sub_title, 'Filter ulja');
+  assert.equal(oc90.url, `${PRODUCT_URL}/Filteri-ulja/Filter-ulja-KNECHT-OC-90/p/OC90`);
+  assert.deepEqual(oc90.specs, { Visina: '79 mm', 'Vanjski promjer': '76 mm', Navoj: 'M20x1,5' });
+  assert.equal(oc90.extraction, 'dom');
+  assert.deepEqual(products.map(product => product.tyre), [null, null, null]);
+  // Listing-only replays skip images
+  assert.deepEqual(products.map(product => product.images), [[], [], []]);
+});
+
+test('replay writes a run output file like scrape.js', { skip: browserMissing }, async (t) => {
+  const out = outputFile(t);
+
+  await replay({ fixtures: [FIXTURE], url: LISTING_URL, out, mode: 'listing' });
+
+  const { run, products } = readRunOutput(out);
+  assert.equal(run.mode, 'replay');
+  assert.deepEqual(run.source_urls, [LISTING_URL]);
+  assert.equal(run.storefront, 'ba');
+  assert.deepEqual(run.counts, { products: 3, rejected: 0, with_images: 0 });
+  assert.deepEqual(products.map(product => product.source_id), ['OC90', 'W712/95', 'LX1006/2D']);
+  assert.equal(fs.existsSync(out.replace(/\.json$/, '.rejects.json')), false);
+});
@@ -0,0 +1,137 @@
+/**
+ * Output schema validation (lib/schema.js) and run output files (lib/output.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadOutputSchema, validateAgainst } = require('../lib/schema');
+const { splitValid, writeRunOutput, readRunOutput } = require('../lib/output');
+
+const PRODUCT = {
+  source: 'intercars',
+  source_id: 'A1',
+  sku: 'A1',
+  title: 'Filter ulja',
+  price: 10,
+  currency: 'BAM',
+  images: [],
+  reuse_existing: false,
+  scraped_at: '2026-10-01T08:00:00.000Z'
+};
+
+function outputFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'output-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'products-1.json');
+}
+
+// writeRunOutput reports rejects as progress events on stdout - collect them instead
+function captureEvents(t) {
+  const events = [];
+  const write = process.stdout.write;
+  t.mock.method(process.stdout, 'write', function (chunk, ...rest) {
+    if (String(chunk).startsWith('@@SCRAPER_EVENT ')) {
+      events.push(JSON.parse(String(chunk).slice('@@SCRAPER_EVENT '.length)));
+      return true;
+    }
+    return write.call(this, chunk, ...rest);
+  });
+  return events;
+}
+
+test('loadOutputSchema reads the versioned schema', () => {
+  const schema = loadOutputSchema();
+
+  assert.match(schema.version, /^\d+\.\d+\.\d+$/);
+  assert.ok(schema.$defs.product && schema.$defs.refreshRecord && schema.$defs.run);
+});
+
+test('validateAgainst accepts a complete product', () => {
+  assert.deepEqual(validateAgainst(PRODUCT, 'product'), []);
+});
+
+test('validateAgainst gives a reason per broken field', () => {
+  assert.deepEqual(validateAgainst({ ...PRODUCT, title: '', price: 0, currency: 'KM', gallery: [] }, 'product'), [
+    'title: must not be empty',
+    'price: must be greater than 0, got 0',
+    'currency: must match ^[A-Z]{3}$, got "KM"',
+    'gallery: is not allowed'
+  ]);
+
+  const { price, ...withoutPrice } = PRODUCT;
+  assert.deepEqual(validateAgainst(withoutPrice, 'product'), ['price: is required']);
+  assert.deepEqual(validateAgainst({ ...PRODUCT, price: null }, 'product'), ['price: must be number, got null']);
+  assert.deepEqual(validateAgainst({ ...PRODUCT, branch_stock: [{ branch: '' }] }, 'product'), ['branch_stock[0].branch: must not be empty']);
+});
+
+test('validateAgainst follows $ref, enum, anyOf and date-time', () => {
+  const schema = {
+    version: '1.0.0',
+    $defs: {
+      code: { type: 'string', pattern: '^[A-Z]+$' },
+      thing: {
+        type: 'object',
+        required: ['code', 'kind'],
+        properties: {
+          code: { $ref: '#/$defs/code' },
+          kind: { enum: ['a', 'b'] },
+          when: { type: 'string', format: 'date-time' },
+          size: { anyOf: [{ type: 'integer', minimum: 1 }, { type: 'string', minLength: 1 }] }
+        },
+        additionalProperties: false
+      }
+    }
+  };
+
+  assert.deepEqual(validateAgainst({ code: 'AB', kind: 'a', when: '2026-10-01T08:00:00Z', size: 2 }, 'thing', schema), []);
+  assert.deepEqual(validateAgainst({ code: 'ab', kind: 'c', when: 'soon', size: 0, extra: 1 }, 'thing', schema), [
+    'code: must match ^[A-Z]+$, got "ab"',
+    'kind: must be one of "a", "b", got "c"',
+    'when: must be a date-time, got "soon"',
+    'size: must be at least 1, got 0',
+    'extra: is not allowed'
+  ]);
+  assert.throws(() => validateAgainst({}, 'missing', schema), /has no "missing" definition/);
+});
+
+test('splitValid drops extraction fields and sets rejects aside', () => {
+  const { valid, rejects } = splitValid([
+    { ...PRODUCT, imageContainerIndex: 3, price_text: '10,00 KM' },
+    { ...PRODUCT, source_id: 'A2', sku: 'A2', price: null }
+  ], 'product');
+
+  assert.deepEqual(valid, [PRODUCT]);
+  assert.deepEqual(rejects.map(reject => [reject.index, reject.source_id, reject.reasons]), [[1, 'A2', ['price: must be number, got null']]]);
+});
+
+test('writeRunOutput writes the run header, products and rejects file', (t) => {
+  const events = captureEvents(t);
+  const file = outputFile(t);
+  const run = { run_id: 'run-1', mode: 'listing', source_urls: ['https://ba.e-cat.intercars.eu/bs/Filteri/c/tecdoc-10'], started_at: '2026-10-01T08:00:00.000Z' };
+
+  const result = writeRunOutput(file, { run, records: [PRODUCT, { ...PRODUCT, source_id: 'A2', sku: 'A2', price: 0 }] });
+
+  const written = readRunOutput(file);
+  assert.equal(written.schema_version, loadOutputSchema().version);
+  assert.deepEqual(written.products, [PRODUCT]);
+  assert.deepEqual(written.run.counts, { products: 1, rejected: 1, with_images: 0 });
+  assert.equal(result.rejectsFile, file.replace(/\.json$/, '.rejects.json'));
+  assert.deepEqual(JSON.parse(fs.readFileSync(result.rejectsFile, 'utf8')).rejects.map(reject => reject.source_id), ['A2']);
+  assert.deepEqual(events.map(event => [event.event, event.source_id]), [['product_rejected', 'A2']]);
+});
+
+test('readRunOutput reads legacy arrays and refuses other files', (t) => {
+  const file = outputFile(t);
+
+  fs.writeFileSync(file, JSON.stringify([PRODUCT]));
+  assert.deepEqual(readRunOutput(file), { schema_version: null, run: null, products: [PRODUCT] });
+
+  fs.writeFileSync(file, JSON.stringify({ products: [] }));
+  assert.throws(() => readRunOutput(file), /is not a scraper output file/);
+
+  fs.writeFileSync(file, JSON.stringify({ schema_version: '99.0.0', run: {}, products: [] }));
+  assert.throws(() => readRunOutput(file), /has output schema 99\.0\.0/);
+});
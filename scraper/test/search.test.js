@@ -0,0 +1,35 @@
+/**
+ * Article code matching of search results (lib/search.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normaliseCode, uniqueCodes, matchSearchResults } = require('../lib/search');
+
+test('normaliseCode ignores case and spaces', () => {
+  assert.equal(normaliseCode('1k0 615 301aa'), '1K0615301AA');
+  assert.equal(normaliseCode(null), '');
+});
+
+test('uniqueCodes keeps the first order without duplicates or blanks', () => {
+  assert.deepEqual(uniqueCodes(['oc90', 'OC90', ' ', 'W 712/95', 'w712/95']), ['OC90', 'W712/95']);
+});
+
+test('matchSearchResults takes only the card with the searched code', () => {
+  const cards = [{ sku: 'OC90OF' }, { sku: 'oc 90' }, { sku: 'OC91' }];
+
+  assert.deepEqual(matchSearchResults('OC90', cards), { status: 'found', product: cards[1], candidates: [] });
+});
+
+test('matchSearchResults lists the other results when the code is not found', () => {
+  const cards = [{ sku: 'OC90OF' }, { source_id: 'OC91' }, { sku: 'oc91' }];
+
+  assert.deepEqual(matchSearchResults('OC90', cards), { status: 'not_found', product: null, candidates: ['OC90OF', 'OC91'] });
+  assert.deepEqual(matchSearchResults('OC90', []), { status: 'not_found', product: null, candidates: [] });
+});
+
+test('matchSearchResults picks none of several cards with the code', () => {
+  const cards = [{ source_id: 'OC90', sku: 'OC90' }, { source_id: 'OC 90', sku: 'OC 90' }];
+
+  assert.deepEqual(matchSearchResults('oc90', cards), { status: 'multiple', product: null, candidates: ['OC90', 'OC 90'] });
+});
@@ -0,0 +1,20 @@
+/**
+ * Session file names (lib/session.js) - the same cases are checked against
+ * ScraperService.session_file, so Rails looks at the file Node writes
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { SESSION_DIR, sessionFile } = require('../lib/session');
+const { cases } = require('./fixtures/session-files.json');
+
+test('sessionFile gives the shared session file names', () => {
+  cases.forEach(({ username, file }) => {
+    assert.equal(sessionFile(username), path.join(SESSION_DIR, file), `username ${JSON.stringify(username)}`);
+  });
+});
+
+test('sessionFile treats a missing username like a blank one', () => {
+  assert.equal(sessionFile(undefined), path.join(SESSION_DIR, 'default.json'));
+});
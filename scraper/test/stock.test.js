@@ -0,0 +1,82 @@
+/**
+ * Stock quantity ranges and branch stock entries (lib/stock.js) with the default selector profile
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseQuantity, branchStockEntry, parseBranchRow, normaliseStock } = require('../lib/stock');
+
+const range = (min, max, atLeast = false) => ({ quantity_min: min, quantity_max: max, quantity_at_least: atLeast });
+
+test('parseQuantity reads exact counts and closed ranges', () => {
+  assert.deepEqual(parseQuantity('5'), range(5, 5));
+  assert.deepEqual(parseQuantity('5 kom'), range(5, 5));
+  assert.deepEqual(parseQuantity('1.000'), range(1000, 1000));
+  assert.deepEqual(parseQuantity('1-5'), range(1, 5));
+  assert.deepEqual(parseQuantity(3.7), range(3, 3));
+});
+
+test('parseQuantity reads open-ended quantities', () => {
+  assert.deepEqual(parseQuantity('>10'), range(11, null, true));
+  assert.deepEqual(parseQuantity('više od 10'), range(11, null, true));
+  assert.deepEqual(parseQuantity('10+'), range(10, null, true));
+  assert.deepEqual(parseQuantity('>=10'), range(10, null, true));
+  assert.deepEqual(parseQuantity('min. 10'), range(10, null, true));
+});
+
+test('parseQuantity reads upper bounds', () => {
+  assert.deepEqual(parseQuantity('<5'), range(1, 4));
+  assert.deepEqual(parseQuantity('<1'), range(0, 0));
+  assert.deepEqual(parseQuantity('do 5'), range(1, 5));
+});
+
+test('parseQuantity reads the none and available labels', () => {
+  assert.deepEqual(parseQuantity('Nema'), range(0, 0));
+  assert.deepEqual(parseQuantity('Dostupno'), range(1, null, true));
+});
+
+test('parseQuantity leaves unknown text unknown', () => {
+  assert.deepEqual(parseQuantity('abc'), range(null, null));
+  assert.deepEqual(parseQuantity(''), range(null, null));
+  assert.deepEqual(parseQuantity(null), range(null, null));
+  assert.deepEqual(parseQuantity(-1), range(null, null));
+});
+
+test('parseQuantity uses the labels it is given', () => {
+  const labels = { stockNone: ['ni na zalogi'], stockAvailable: ['na zalogi'], stockMoreThan: ['več kot'] };
+
+  assert.deepEqual(parseQuantity('Ni na zalogi', labels), range(0, 0));
+  assert.deepEqual(parseQuantity('Več kot 10', labels), range(11, null, true));
+  assert.deepEqual(parseQuantity('Nema', labels), range(null, null));
+});
+
+test('parseBranchRow reads branch, quantity and delivery cells', () => {
+  assert.deepEqual(parseBranchRow(['Sarajevo', '>10', 'Odmah']), {
+    branch: 'Sarajevo',
+    quantity: '>10',
+    ...range(11, null, true),
+    delivery_estimate: 'Odmah'
+  });
+  assert.equal(parseBranchRow(['Poslovnica', 'Količina']), null);
+  assert.equal(parseBranchRow([]), null);
+});
+
+test('branchStockEntry needs a branch name', () => {
+  assert.equal(branchStockEntry({ branch: '  ' }), null);
+  assert.deepEqual(branchStockEntry({ branch: ' Mostar ', quantity: 'Nema' }), {
+    branch: 'Mostar',
+    quantity: 'Nema',
+    ...range(0, 0),
+    delivery_estimate: null
+  });
+});
+
+test('normaliseStock falls back to the card branch entry', () => {
+  const product = normaliseStock({
+    quantity: null,
+    branch_availability: 'Mostar',
+    branch_stock: [{ branch: 'Sarajevo', quantity: '>10' }, { branch: 'Mostar', quantity: '3' }]
+  });
+
+  assert.deepEqual(range(product.quantity_min, product.quantity_max, product.quantity_at_least), range(3, 3));
+});
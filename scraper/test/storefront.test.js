@@ -0,0 +1,60 @@
+/**
+ * Storefront profiles and locale-aware prices (lib/storefront.js) with config/storefronts.json
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveStorefront, storefrontOfUrl, parseLocaleNumber, parsePriceText, currencyCode } = require('../lib/storefront');
+
+const BA = resolveStorefront('ba');
+const PL = resolveStorefront('pl');
+const RS = resolveStorefront('rs');
+
+test('parseLocaleNumber reads grouped and decimal numbers', () => {
+  assert.equal(parseLocaleNumber('1.234,56', BA), 1234.56);
+  assert.equal(parseLocaleNumber('1 234,56 zł', PL), 1234.56);
+  assert.equal(parseLocaleNumber("1'234.5", BA), 1234.5);
+  assert.equal(parseLocaleNumber('12,5', BA), 12.5);
+  assert.equal(parseLocaleNumber('-3', BA), -3);
+  assert.equal(parseLocaleNumber('Nema', BA), null);
+  assert.equal(parseLocaleNumber(null, BA), null);
+});
+
+test('parseLocaleNumber reads a lone separator by the storefront decimal', () => {
+  // Groups of three with the other separator are thousands
+  assert.equal(parseLocaleNumber('1.234', { decimal: ',' }), 1234);
+  assert.equal(parseLocaleNumber('1,234', { decimal: '.' }), 1234);
+  // The storefront's own decimal separator, or no groups of three, is a decimal point
+  assert.equal(parseLocaleNumber('1,234', { decimal: ',' }), 1.234);
+  assert.equal(parseLocaleNumber('1234.56', { decimal: ',' }), 1234.56);
+});
+
+test('parsePriceText finds the amount and the currency symbol', () => {
+  assert.deepEqual(parsePriceText('1.234,56 KM', BA), { price: 1234.56, currency: 'BAM' });
+  assert.deepEqual(parsePriceText('€ 12,50', BA), { price: 12.5, currency: 'EUR' });
+  assert.deepEqual(parsePriceText('1 234,56 zł', PL), { price: 1234.56, currency: 'PLN' });
+  assert.deepEqual(parsePriceText('2.500,00 din.', RS), { price: 2500, currency: 'RSD' });
+});
+
+test('parsePriceText falls back to the storefront currency', () => {
+  assert.deepEqual(parsePriceText('99,90', BA), { price: 99.9, currency: 'BAM' });
+  assert.deepEqual(parsePriceText('', BA), { price: null, currency: 'BAM' });
+});
+
+test('currencyCode maps API currencies to ISO codes', () => {
+  assert.equal(currencyCode('KM', BA), 'BAM');
+  assert.equal(currencyCode('km', BA), 'BAM');
+  assert.equal(currencyCode('zł', PL), 'PLN');
+  assert.equal(currencyCode('usd', BA), 'USD');
+  assert.equal(currencyCode(null, PL), 'PLN');
+  assert.equal(currencyCode('$$', BA), 'BAM');
+});
+
+test('storefrontOfUrl reads the storefront of catalog hosts only', () => {
+  assert.equal(storefrontOfUrl('https://pl.e-cat.intercars.eu/pl/Filtry/c/tecdoc-10'), 'pl');
+  assert.equal(storefrontOfUrl('https://example.com/'), null);
+});
+
+test('resolveStorefront refuses unknown codes', () => {
+  assert.throws(() => resolveStorefront('xx'), /Unknown storefront "xx"/);
+});
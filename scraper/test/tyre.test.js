@@ -0,0 +1,75 @@
+/**
+ * Tyre titles and specs (lib/tyre.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTyre, seasonFrom } = require('../lib/tyre');
+
+test('parseTyre reads size and service description from a title', () => {
+  const tyre = parseTyre('175/65R14 ZOHA 82T W462H');
+
+  assert.equal(tyre.size, '175/65R14');
+  assert.deepEqual([tyre.width, tyre.aspect_ratio, tyre.construction, tyre.rim_diameter], [175, 65, 'R', 14]);
+  assert.deepEqual([tyre.load_index, tyre.speed_rating], ['82', 'T']);
+  assert.equal(tyre.season, null);
+  assert.equal(tyre.eu_label, null);
+});
+
+test('parseTyre reads the title markers', () => {
+  const sport = parseTyre('225/45 ZR17 94W XL RFT');
+  assert.equal(sport.size, '225/45ZR17');
+  assert.equal(sport.construction, 'ZR');
+  assert.equal(sport.xl, true);
+  assert.equal(sport.runflat, true);
+
+  const van = parseTyre('195/70 R15C 104/102R M+S 3PMSF');
+  assert.equal(van.size, '195/70R15C');
+  assert.equal(van.commercial, true);
+  assert.equal(van.load_index, '104/102');
+  assert.equal(van.mud_snow, true);
+  assert.equal(van.three_peak, true);
+  // Three-peak snowflake without a season keyword is a winter tyre
+  assert.equal(van.season, 'winter');
+});
+
+test('parseTyre reads flotation sizes', () => {
+  const tyre = parseTyre('31x10.50R15 LT 109Q');
+
+  assert.equal(tyre.size, '31x10.50R15');
+  assert.deepEqual([tyre.overall_diameter, tyre.width, tyre.rim_diameter], [31, 10.5, 15]);
+  assert.deepEqual([tyre.load_index, tyre.speed_rating], ['109', 'Q']);
+});
+
+test('parseTyre takes dimensions, season and EU label from the specs', () => {
+  const tyre = parseTyre('Guma', {
+    'Širina': '205',
+    'Profil': '55',
+    'Promjer': '16',
+    'Indeks nosivosti': '91 (615 kg)',
+    'Indeks brzine': 'V (240 km/h)',
+    'Sezona': 'Zimska',
+    'Indeks potrošnje': 'C',
+    'Indeks prianjanja': 'B',
+    'Razine buke': '71 dB',
+    'Klasa razine buke': 'B'
+  });
+
+  assert.deepEqual([tyre.width, tyre.aspect_ratio, tyre.rim_diameter], [205, 55, 16]);
+  assert.deepEqual([tyre.load_index, tyre.speed_rating, tyre.season], ['91', 'V', 'winter']);
+  assert.deepEqual(tyre.eu_label, { rolling_resistance: 'C', wet_grip: 'B', noise_class: 'B', noise_db: 71 });
+});
+
+test('parseTyre returns null for products that are not tyres', () => {
+  assert.equal(parseTyre('Uljni filter'), null);
+  // One lone dimension (a wiper blade's width) is not a tyre size
+  assert.equal(parseTyre('Metlica brisača', { 'Širina': '600' }), null);
+  // An article code that looks like a size but is out of the tyre ranges
+  assert.equal(parseTyre('Filter ulja MANN-FILTER W 712/95', { Visina: '102 mm' }), null);
+});
+
+test('seasonFrom reads season words', () => {
+  assert.equal(seasonFrom('Cjelogodišnja'), 'all_season');
+  assert.equal(seasonFrom('ljetna'), 'summer');
+  assert.equal(seasonFrom(null), null);
+});
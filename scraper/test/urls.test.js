@@ -0,0 +1,80 @@
+/**
+ * Catalog URL parsing and building (lib/urls.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CatalogUrlError, parseQuery, buildQuery, parseCatalogUrl, buildCatalogUrl, buildSearchUrl, validateListingUrl } = require('../lib/urls');
+
+const LISTING = 'https://ba.e-cat.intercars.eu/bs/Cijela-ponuda/Gume/Putni%C4%8Dke-gume/c/tecdoc-5090008-5010105-5010106/p/3' +
+  '?q=:default-m:branchAvailability:ALL:productBrandCode:icgoods_2431:icgoods_63841&sort=default';
+
+// Everything but the URL string itself, which build normalises (":" in q is encoded)
+const parts = ({ url, ...rest }) => rest;
+
+test('parseCatalogUrl splits a listing URL into its parts', () => {
+  const parsed = parseCatalogUrl(LISTING);
+
+  assert.equal(parsed.storefront, 'ba');
+  assert.equal(parsed.language, 'bs');
+  assert.deepEqual(parsed.path, ['Cijela-ponuda', 'Gume', 'Putničke-gume']);
+  assert.equal(parsed.category, 'tecdoc-5090008-5010105-5010106');
+  assert.deepEqual(parsed.tecdoc, ['5090008', '5010105', '5010106']);
+  assert.equal(parsed.page, 3);
+  assert.equal(parsed.sort, 'default-m');
+  assert.equal(parsed.branchAvailability, 'ALL');
+  assert.deepEqual(parsed.brands, ['icgoods_2431', 'icgoods_63841']);
+  assert.deepEqual(parsed.params, [['sort', 'default']]);
+  assert.equal(parsed.listing, true);
+});
+
+test('a parsed URL builds back to the same target', () => {
+  const parsed = parseCatalogUrl(LISTING);
+  const built = buildCatalogUrl(parsed);
+
+  assert.deepEqual(parts(parseCatalogUrl(built)), parts(parsed));
+  assert.equal(buildCatalogUrl(parseCatalogUrl(built)), built);
+});
+
+test('the q parameter keeps multi-value facet groups', () => {
+  const query = ':default-m:branchAvailability:ALL:productBrandCode:icgoods_2431:icgoods_63841';
+
+  assert.deepEqual(parseQuery(query).facets, [
+    { key: 'branchAvailability', values: ['ALL'] },
+    { key: 'productBrandCode', values: ['icgoods_2431', 'icgoods_63841'] }
+  ]);
+  assert.equal(buildQuery(parseQuery(query)), query);
+});
+
+test('buildCatalogUrl builds filters from brands and branch availability', () => {
+  const url = buildCatalogUrl({ path: ['Filteri'], tecdoc: ['10'], page: 2, branchAvailability: 'ALL', brands: ['icgoods_1'] });
+  const parsed = parseCatalogUrl(url);
+
+  assert.equal(new URL(url).pathname, '/bs/Filteri/c/tecdoc-10/p/2');
+  assert.deepEqual([parsed.branchAvailability, parsed.brands], ['ALL', ['icgoods_1']]);
+  assert.throws(() => buildCatalogUrl({ brands: ['MANN'] }), CatalogUrlError);
+  assert.throws(() => buildCatalogUrl({ page: 0 }), CatalogUrlError);
+});
+
+test('buildSearchUrl puts the article code first in q', () => {
+  assert.equal(parseCatalogUrl(buildSearchUrl({ text: 'OC90' })).text, 'OC90');
+  assert.throws(() => buildSearchUrl({ text: 'OC:90' }), /Invalid article code/);
+});
+
+test('validateListingUrl accepts listings in canonical form', () => {
+  const result = validateListingUrl(`  ${LISTING}  `);
+
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(parts(parseCatalogUrl(result.url)), parts(parseCatalogUrl(LISTING)));
+});
+
+test('validateListingUrl rejects what scrape.js cannot work with', () => {
+  assert.deepEqual(validateListingUrl('https://example.com/bs/Filteri/c/tecdoc-10').errors, ['Not an Intercars e-catalog URL (host example.com)']);
+  assert.match(validateListingUrl('https://ba.e-cat.intercars.eu/bs/').errors[0], /No product category/);
+  assert.deepEqual(
+    validateListingUrl('https://ba.e-cat.intercars.eu/bs/Filteri/c/tecdoc-10?q=:default-m:branchAvailability').errors,
+    ['Filter "branchAvailability" has no value - the URL looks cut off']
+  );
+  assert.equal(validateListingUrl('not a url').valid, false);
+});
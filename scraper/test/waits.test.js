@@ -0,0 +1,96 @@
+/**
+ * Wait upper bounds and the per-phase timing report (lib/waits.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_WAIT_LIMITS, configureWaits, parseWaitLimits, waitLimit,
+  recordPhase, waitForCondition, phaseReport, formatPhaseReport, resetPhases
+} = require('../lib/waits');
+
+// Limits and phases are per process - put them back after each test
+function restoreWaits(t) {
+  t.after(() => {
+    configureWaits(DEFAULT_WAIT_LIMITS);
+    resetPhases();
+  });
+}
+
+test('parseWaitLimits reads comma-separated name=ms pairs from each value', () => {
+  assert.deepEqual(parseWaitLimits(['render=12000, modal_open=8000', 'login=0']), { render: 12000, modal_open: 8000, login: 0 });
+  assert.deepEqual(parseWaitLimits(['', ' , ']), {});
+});
+
+test('parseWaitLimits rejects malformed pairs and unknown waits', () => {
+  assert.throws(() => parseWaitLimits(['render']), /Invalid wait limit "render" - expected name=ms/);
+  assert.throws(() => parseWaitLimits(['render=-5']), /Invalid wait limit "render=-5"/);
+  assert.throws(() => parseWaitLimits(['render=1.5s']), /Invalid wait limit/);
+  assert.throws(() => parseWaitLimits(['rendering=1000']), /Unknown wait "rendering" \(known: cloudflare, network_idle, render/);
+});
+
+test('configureWaits overrides the upper bounds of this process', (t) => {
+  restoreWaits(t);
+  assert.equal(waitLimit('render'), DEFAULT_WAIT_LIMITS.render);
+
+  configureWaits({ render: 12000 });
+
+  assert.equal(waitLimit('render'), 12000);
+  assert.equal(waitLimit('modal_open'), DEFAULT_WAIT_LIMITS.modal_open);
+  assert.throws(() => configureWaits({ render: 1.5 }), /Wait "render" must be a whole number of ms, got 1.5/);
+  assert.throws(() => configureWaits({ nap: 100 }), /Unknown wait "nap"/);
+});
+
+test('waitForCondition records met and timed-out waits under the wait name', async (t) => {
+  restoreWaits(t);
+  configureWaits({ expand: 250 });
+  const timeouts = [];
+  const timeoutError = Object.assign(new Error('Timeout 250ms exceeded'), { name: 'TimeoutError' });
+  const page = {
+    waitForFunction: async (predicate, arg, { timeout }) => {
+      timeouts.push(timeout);
+      if (arg === 'never') throw timeoutError;
+    }
+  };
+
+  assert.equal(await waitForCondition(page, 'expand', () => true, 'now'), true);
+  assert.equal(await waitForCondition(page, 'expand', () => false, 'never'), false);
+  assert.equal(await waitForCondition(page, 'expand', () => true, 'now', { limit: 0 }), true);
+
+  assert.deepEqual(timeouts, [250, 250, 1]);
+  assert.deepEqual(phaseReport().map(row => [row.phase, row.count, row.timeouts]), [['wait:expand', 3, 1]]);
+});
+
+test('waitForCondition passes on errors other than timeouts', async (t) => {
+  restoreWaits(t);
+  const page = { waitForFunction: async () => { throw new Error('Target closed'); } };
+
+  await assert.rejects(waitForCondition(page, 'expand', () => true), /Target closed/);
+});
+
+test('phaseReport sums each phase, slowest total first', (t) => {
+  restoreWaits(t);
+  recordPhase('images', 300);
+  recordPhase('wait:render', 1200);
+  recordPhase('images', 4500);
+  recordPhase('wait:render', 8000, true);
+
+  assert.deepEqual(phaseReport(), [
+    { phase: 'wait:render', count: 2, total_ms: 9200, max_ms: 8000, timeouts: 1, avg_ms: 4600 },
+    { phase: 'images', count: 2, total_ms: 4800, max_ms: 4500, timeouts: 0, avg_ms: 2400 }
+  ]);
+});
+
+test('formatPhaseReport aligns one line per phase and flags timeouts', (t) => {
+  restoreWaits(t);
+  assert.deepEqual(formatPhaseReport(), []);
+
+  recordPhase('wait:render', 1200);
+  recordPhase('wait:render', 8000, true);
+  recordPhase('images', 4800);
+
+  assert.deepEqual(formatPhaseReport(), [
+    '   wait:render      2×  total     9.2s  avg   4600ms  max   8000ms  ⚠️  1 timed out',
+    '   images           1×  total     4.8s  avg   4800ms  max   4800ms'
+  ]);
+});
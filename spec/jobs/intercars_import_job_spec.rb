@@ -0,0 +1,55 @@
+require 'rails_helper'
+
+RSpec.describe IntercarsImportJob, type: :job do
+  include ActiveJob::TestHelper
+
+  let(:import_log) { create(:import_log, shop: create(:shop), source: 'intercars', status: 'pending') }
+  let(:interrupted) { { success: false, resumable: true, error: 'Scraper timed out', output: '' } }
+  let(:imported) { { success: true, total: 20, imported: 20, failed: 0, errors: [] } }
+
+  def run_job
+    perform_enqueued_jobs do
+      described_class.perform_later(import_log.id, 'user', 'secret', 'https://ba.e-cat.intercars.eu/bs/Filteri/c/tecdoc-10', 20)
+    end
+  end
+
+  it 'resumes an interrupted scrape from its checkpoint' do
+    allow(ScraperService).to receive(:scrape_and_import).and_return(interrupted, imported)
+
+    run_job
+
+    expect(ScraperService).to have_received(:scrape_and_import).twice
+    expect(import_log.reload).to have_attributes(status: 'completed', successful_rows: 20, current_phase: 'completed')
+  end
+
+  it 'fails the import once the attempts are used up' do
+    allow(ScraperService).to receive(:scrape_and_import).and_return(interrupted)
+
+    run_job
+
+    expect(ScraperService).to have_received(:scrape_and_import).exactly(described_class::SCRAPE_ATTEMPTS).times
+    expect(import_log.reload).to have_attributes(status: 'failed', current_phase: 'failed')
+    expect(JSON.parse(import_log.error_messages)).to include('Scraper timed out')
+  end
+
+  it 'fails the import straight away on other errors' do
+    allow(ScraperService).to receive(:scrape_and_import)
+      .and_raise(ScraperService::ScrapeError, 'Output file is not scraper output')
+
+    run_job
+
+    expect(ScraperService).to have_received(:scrape_and_import).once
+    expect(import_log.reload).to have_attributes(status: 'failed', current_phase: 'failed')
+    expect(JSON.parse(import_log.error_messages)).to include('Output file is not scraper output')
+  end
+
+  describe '#mark_import_failed' do
+    it 'fails the import log of the job' do
+      job = described_class.new(import_log.id, 'user', 'secret', nil, 20)
+
+      job.mark_import_failed(ScraperService::ResumableScrapeError.new('Scraper timed out'))
+
+      expect(import_log.reload).to have_attributes(status: 'failed', current_phase: 'failed', error_messages: ['Scraper timed out'].to_json)
+    end
+  end
+end
@@ -0,0 +1,50 @@
+require 'rails_helper'
+
+RSpec.describe OlxListingService do
+  describe '#build_tyre_attributes' do
+    let(:category_attributes) do
+      [2918, 2919, 1849, 1848].map { |external_id| build(:olx_category_attribute, external_id: external_id) }
+    end
+
+    def tyre_attributes(product)
+      described_class.new(product).send(:build_tyre_attributes, category_attributes)
+    end
+
+    it 'maps the tyre the scraper parsed' do
+      product = build(:product, shop: build(:shop), title: '205/55R16 91V', tyre: {
+        'width' => 205, 'aspect_ratio' => 55, 'rim_diameter' => 16.0, 'season' => 'all_season'
+      })
+
+      expect(tyre_attributes(product)).to eq([
+        { id: 2918, value: '205' },
+        { id: 2919, value: '55' },
+        { id: 1849, value: '16' },
+        { id: 1848, value: 'All season (Cjelogodišnje)' }
+      ])
+    end
+
+    it 'keeps half-inch rims' do
+      product = build(:product, shop: build(:shop), tyre: { 'width' => 215, 'aspect_ratio' => 75, 'rim_diameter' => 17.5 })
+
+      expect(tyre_attributes(product)).to include({ id: 1849, value: '17.5' })
+    end
+
+    it 'only sends attributes the category has' do
+      product = build(:product, shop: build(:shop), tyre: { 'width' => 205, 'aspect_ratio' => 55, 'rim_diameter' => 16, 'season' => 'winter' })
+      category_attributes.reject! { |attribute| attribute.external_id == 1848 }
+
+      expect(tyre_attributes(product).map { |attribute| attribute[:id] }).to eq([2918, 2919, 1849])
+    end
+
+    it 'falls back to the title and description of products without a parsed tyre' do
+      product = build(:product, shop: build(:shop), tyre: nil, title: 'Guma 225/55R19 99V', description: 'Sezona: zima')
+
+      expect(tyre_attributes(product)).to eq([
+        { id: 2918, value: '225' },
+        { id: 2919, value: '55' },
+        { id: 1849, value: '19' },
+        { id: 1848, value: 'Zimske' }
+      ])
+    end
+  end
+end
@@ -0,0 +1,281 @@
+require 'rails_helper'
+require 'tmpdir'
+
+RSpec.describe ScraperService do
+  describe '.session_file' do
+    # Shared with scraper/test/session.test.js, so Rails checks the file scrape.js writes
+    let(:cases) { JSON.parse(Rails.root.join('scraper/test/fixtures/session-files.json').read)['cases'] }
+
+    it 'gives the same file names as sessionFile in scraper/lib/session.js' do
+      cases.each do |example|
+        expect(described_class.session_file(example['username']))
+          .to eq(described_class::SESSION_DIR.join(example['file'])), "username #{example['username'].inspect}"
+      end
+    end
+  end
+
+  describe '.parse_scraper_event' do
+    it 'reads event lines' do
+      expect(described_class.parse_scraper_event(%(@@SCRAPER_EVENT {"event":"page_loaded","page":2})))
+        .to eq('event' => 'page_loaded', 'page' => 2)
+    end
+
+    it 'ignores log lines and broken events' do
+      expect(described_class.parse_scraper_event('   ✓ Real products found!')).to be_nil
+      expect(described_class.parse_scraper_event('@@SCRAPER_EVENT {"event":')).to be_nil
+    end
+  end
+
+  describe '.apply_scraper_event' do
+    let(:import_log) { create(:import_log, shop: create(:shop), source: 'intercars', status: 'processing') }
+    let(:progress) { { scraped: 0, failures: [], error: nil } }
+
+    it 'moves the import log through the scraping phases' do
+      described_class.apply_scraper_event({ 'event' => 'login', 'status' => 'started' }, progress, import_log)
+      expect(import_log.reload.current_phase).to eq('logging_in')
+
+      described_class.apply_scraper_event({ 'event' => 'login', 'status' => 'done' }, progress, import_log)
+      expect(import_log.reload.current_phase).to eq('loading_page')
+
+      described_class.apply_scraper_event({ 'event' => 'page_loaded', 'page' => 1, 'products' => 20 }, progress, import_log)
+      expect(import_log.reload.current_phase).to eq('scraping')
+    end
+
+    it 'only counts scraped products upwards' do
+      described_class.apply_scraper_event({ 'event' => 'product_extracted', 'scraped' => 5 }, progress, import_log)
+      described_class.apply_scraper_event({ 'event' => 'product_extracted', 'scraped' => 3 }, progress, import_log)
+
+      expect(progress[:scraped]).to eq(5)
+      expect(import_log.reload.scraped_count).to eq(5)
+    end
+
+    it 'collects per-product failures' do
+      described_class.apply_scraper_event({ 'event' => 'image_failed', 'source_id' => 'ABC123', 'title' => 'Filter', 'error' => 'timeout' }, progress, import_log)
+      described_class.apply_scraper_event({ 'event' => 'product_rejected', 'source_id' => 'DEF456', 'reasons' => ['price: must be a number'] }, progress, import_log)
+
+      expect(progress[:failures]).to eq([
+        'ABC123 - Filter: image extraction failed (timeout)',
+        'DEF456: rejected by the output schema (price: must be a number)'
+      ])
+    end
+
+    it 'records a reported failure' do
+      described_class.apply_scraper_event({ 'event' => 'failed', 'error' => 'Login failed' }, progress, nil)
+
+      expect(progress[:error]).to eq('Login failed')
+    end
+  end
+
+  describe '.resolve_template_hint' do
+    let(:shop) { create(:shop) }
+    let!(:template) { create(:olx_category_template, shop: shop, name: 'Filteri', olx_category: create(:olx_category)) }
+
+    it 'finds a batch list template by id or name' do
+      expect(described_class.resolve_template_hint(shop, template.id.to_s)).to eq(template)
+      expect(described_class.resolve_template_hint(shop, 'Filteri')).to eq(template)
+    end
+
+    it 'ignores blank hints and templates of other shops' do
+      expect(described_class.resolve_template_hint(shop, nil)).to be_nil
+      expect(described_class.resolve_template_hint(shop, 'Gume')).to be_nil
+      expect(described_class.resolve_template_hint(create(:shop), 'Filteri')).to be_nil
+    end
+  end
+
+  describe '.import_scrape_options' do
+    def options_for(metadata)
+      described_class.import_scrape_options(build(:import_log, source: 'intercars', status: 'pending', metadata: metadata&.to_json))
+    end
+
+    it 'reads the page range, workers and article codes of an import' do
+      expect(options_for('workers' => 4, 'start_page' => '3', 'end_page' => '5', 'skus' => ['OC 90', '']))
+        .to eq(workers: 4, start_page: 3, end_page: 5, skus: ['OC 90'])
+    end
+
+    it 'keeps workers within the allowed range' do
+      expect(options_for('workers' => 50)[:workers]).to eq(described_class::WORKERS.max)
+      expect(options_for('workers' => nil)[:workers]).to eq(described_class::WORKERS.min)
+    end
+
+    it 'drops page numbers that make no range' do
+      expect(options_for('start_page' => 0, 'end_page' => -1)).to include(start_page: nil, end_page: nil)
+      expect(options_for('start_page' => 5, 'end_page' => 2)).to include(start_page: 5, end_page: nil)
+    end
+
+    it 'falls back to the defaults without usable metadata' do
+      defaults = { workers: described_class::WORKERS.min, start_page: nil, end_page: nil, skus: nil }
+
+      expect(options_for(nil)).to eq(defaults)
+      expect(described_class.import_scrape_options(build(:import_log, source: 'intercars', status: 'pending', metadata: 'not json'))).to eq(defaults)
+      expect(described_class.import_scrape_options(nil)).to eq(defaults)
+    end
+  end
+
+  describe '.refresh_prices' do
+    let(:shop) { create(:shop) }
+    let(:data_dir) { Pathname.new(Dir.mktmpdir) }
+    let!(:product) do
+      create(:product, shop: shop, source: 'intercars', source_id: 'A1', title: 'Filter ulja', price: 10, quantity: '5', quantity_min: 5, quantity_max: 5)
+    end
+    let(:schema_version) { JSON.parse(File.read(described_class::OUTPUT_SCHEMA_FILE))['version'] }
+    let(:refresh_records) do
+      [
+        { 'refresh' => true, 'source_id' => 'A1', 'price' => 12.5, 'currency' => 'BAM', 'quantity' => '>10',
+          'quantity_min' => 11, 'quantity_max' => nil, 'quantity_at_least' => true, 'branch_availability' => 'Sarajevo' },
+        { 'refresh' => true, 'source_id' => 'Z9', 'price' => 3, 'currency' => 'BAM' }
+      ]
+    end
+    let(:script_args) { [] }
+    let(:requested_ids) { [] }
+
+    before do
+      stub_const('ScraperService::DATA_DIR', data_dir)
+      allow(described_class).to receive(:ensure_setup!)
+      # Stands in for scrape.js --refresh: writes the output and the missing SKUs next to it
+      allow(described_class).to receive(:execute_script_with_progress) do |_script, args:, **|
+        script_args.replace(args.map(&:to_s))
+        output_file = script_args[script_args.index('--output') + 1]
+        requested_ids.replace(File.read(script_args[script_args.index('--existing-ids') + 1]).split("\n"))
+        File.write(output_file, { schema_version: schema_version, run: { mode: 'refresh' }, products: refresh_records }.to_json)
+        File.write(output_file.sub(/\.json\z/, '.missing.txt'), "A7\n")
+        { success: true }
+      end
+    end
+
+    after { FileUtils.rm_rf(data_dir) }
+
+    it 'looks for the known SKUs only and updates their price and stock' do
+      result = described_class.refresh_prices(shop, username: 'user', password: 'secret', product_url: 'https://ba.e-cat.intercars.eu/bs/Filteri/c/tecdoc-10')
+
+      expect(script_args).to include('--refresh', '--headless')
+      expect(requested_ids).to eq(['A1'])
+      expect(result).to include(success: true, refreshed: 1, missing: ['A7'])
+      expect(product.reload).to have_attributes(title: 'Filter ulja', price: 12.5, quantity: '>10', quantity_min: 11, quantity_max: nil, quantity_at_least: true, branch_availability: 'Sarajevo')
+      expect(product.refreshed_at).to be_present
+      expect(Dir.glob(data_dir.join('refresh-ids-*'))).to be_empty
+    end
+
+    it 'never creates products from refresh records' do
+      result = described_class.refresh_prices(shop, username: 'user', password: 'secret', product_url: 'https://ba.e-cat.intercars.eu/bs/Filteri/c/tecdoc-10')
+
+      expect(result[:errors]).to eq(['Product 2: Z9 is not an imported product - run a full import for it'])
+      expect(shop.products.where(source_id: 'Z9')).not_to exist
+    end
+
+    it 'does nothing for a shop without imported products' do
+      product.destroy!
+
+      expect(described_class.refresh_prices(shop, username: 'user', password: 'secret', product_url: nil))
+        .to eq(success: false, message: 'No imported products to refresh')
+      expect(described_class).not_to have_received(:execute_script_with_progress)
+    end
+  end
+
+  describe '.parse_article_codes' do
+    it 'splits codes on lines, commas, semicolons and spaces' do
+      expect(described_class.parse_article_codes("oc90\nW712/95, 24.0125-0150.1;OC90 1K0615301AA"))
+        .to eq(codes: %w[OC90 W712/95 24.0125-0150.1 1K0615301AA], errors: [])
+    end
+
+    it 'rejects codes the site search cannot take' do
+      expect(described_class.parse_article_codes('OC90 OC:91 -X')[:errors])
+        .to eq(['Invalid article code "OC:91"', 'Invalid article code "-X"'])
+    end
+
+    it 'limits the codes per import' do
+      text = (1..described_class::MAX_ARTICLE_CODES + 1).map { |n| "A#{n}" }.join("\n")
+
+      expect(described_class.parse_article_codes(text)[:errors])
+        .to eq(["At most #{described_class::MAX_ARTICLE_CODES} article codes per import (got #{described_class::MAX_ARTICLE_CODES + 1})"])
+    end
+
+    it 'gives no codes for blank input' do
+      expect(described_class.parse_article_codes(nil)).to eq(codes: [], errors: [])
+    end
+  end
+
+  describe '.validate_listing_url' do
+    let(:listing_url) { 'https://ba.e-cat.intercars.eu/bs/Filteri/c/tecdoc-10' }
+
+    def catalog_url_replies(stdout)
+      allow(Open3).to receive(:capture3).and_return([stdout, '', instance_double(Process::Status)])
+    end
+
+    it 'takes the canonical URL from catalog-url.js' do
+      catalog_url_replies(%({"valid":true,"errors":[],"url":"#{listing_url}?q=%3Adefault"}\n))
+
+      expect(described_class.validate_listing_url(" #{listing_url}?q=: "))
+        .to eq(valid: true, errors: [], url: "#{listing_url}?q=%3Adefault")
+    end
+
+    it 'rejects URLs of the wrong shape without running node' do
+      allow(Open3).to receive(:capture3)
+
+      expect(described_class.validate_listing_url('https://example.com/bs/Filteri/c/tecdoc-10'))
+        .to include(valid: false, errors: ['Not an Intercars e-catalog URL: https://example.com/bs/Filteri/c/tecdoc-10'])
+      expect(described_class.validate_listing_url('https://ba.e-cat.intercars.eu/bs/search?q=/c/x'))
+        .to include(valid: false, errors: [a_string_starting_with('No product category in the URL')])
+      expect(Open3).not_to have_received(:capture3)
+    end
+
+    it 'fails closed when catalog-url.js does not answer with JSON' do
+      catalog_url_replies('')
+
+      expect(described_class.validate_listing_url(listing_url))
+        .to include(valid: false, errors: [a_string_including('could not be checked')])
+    end
+
+    it 'keeps a well-shaped URL when node is not installed' do
+      allow(Open3).to receive(:capture3).and_raise(Errno::ENOENT, 'node')
+
+      expect(described_class.validate_listing_url(listing_url)).to eq(valid: true, errors: [], url: listing_url)
+    end
+  end
+
+  describe '.read_scraper_output' do
+    let(:dir) { Pathname.new(Dir.mktmpdir) }
+    let(:file) { dir.join('products-1.json') }
+    let(:schema_version) { JSON.parse(File.read(described_class::OUTPUT_SCHEMA_FILE))['version'] }
+    let(:product) { { 'source_id' => 'A1', 'title' => 'Filter ulja', 'price' => 10.0 } }
+
+    after { FileUtils.rm_rf(dir) }
+
+    it 'reads the run header and products' do
+      run = { 'run_id' => 'run-1', 'mode' => 'listing', 'counts' => { 'products' => 1, 'rejected' => 0 } }
+      File.write(file, { schema_version: schema_version, run: run, products: [product] }.to_json)
+
+      expect(described_class.read_scraper_output(file)).to eq(schema_version: schema_version, run: run, products: [product])
+    end
+
+    it 'reads the bare product array of older runs' do
+      File.write(file, [product].to_json)
+
+      expect(described_class.read_scraper_output(file)).to eq(schema_version: nil, run: nil, products: [product])
+    end
+
+    it 'refuses files that are not scraper output or have another major version' do
+      File.write(file, { products: [] }.to_json)
+      expect { described_class.read_scraper_output(file) }.to raise_error(described_class::ScrapeError, /is not a scraper output file/)
+
+      File.write(file, { schema_version: '99.0.0', run: {}, products: [] }.to_json)
+      expect { described_class.read_scraper_output(file) }.to raise_error(described_class::ScrapeError, /has output schema 99\.0\.0/)
+    end
+  end
+
+  describe '.import_from_json' do
+    let(:dir) { Pathname.new(Dir.mktmpdir) }
+    let(:file) { dir.join('products-1.json') }
+
+    after { FileUtils.rm_rf(dir) }
+
+    it 'does not import products without a price' do
+      shop = create(:shop)
+      File.write(file, [{ 'source_id' => 'A1', 'title' => 'Filter ulja', 'price' => 0.0 }].to_json)
+
+      result = described_class.import_from_json(file, shop)
+
+      expect(result).to include(imported: 0, errors: ['Product 1: A1: no price - not imported'])
+      expect(shop.products).to be_empty
+    end
+  end
+end
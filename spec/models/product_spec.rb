@@ -1,5 +1,101 @@
 require 'rails_helper'
 
 RSpec.describe Product, type: :model do
-  pending "add some examples to (or delete) #{__FILE__}"
+  describe 'fitment' do
+    let(:fitment) do
+      [
+        { 'make' => 'Volkswagen', 'model' => 'GOLF', 'generation' => 'VI (5K1)', 'year_from' => 2008, 'year_to' => 2012, 'engine' => '1.6 TDI' },
+        { 'make' => 'Volkswagen', 'model' => 'PASSAT', 'generation' => nil, 'year_from' => 2005, 'year_to' => nil, 'engine' => nil },
+        { 'make' => 'Audi', 'model' => 'A3', 'generation' => '(8P1)', 'year_from' => nil, 'year_to' => nil, 'engine' => '2.0 TDI' }
+      ]
+    end
+
+    describe '#fitment_makes' do
+      it 'lists each make once' do
+        expect(build(:product, fitment: fitment).fitment_makes).to eq(%w[Volkswagen Audi])
+      end
+
+      it 'is empty without fitment records' do
+        expect(build(:product, fitment: nil).fitment_makes).to eq([])
+      end
+    end
+
+    describe '#compatibility_text' do
+      it 'puts one vehicle per line' do
+        expect(build(:product, fitment: fitment).compatibility_text).to eq(<<~TEXT.chomp)
+          Volkswagen GOLF VI (5K1) 1.6 TDI 2008-2012
+          Volkswagen PASSAT 2005-
+          Audi A3 (8P1) 2.0 TDI
+        TEXT
+      end
+
+      it 'falls back to the models text' do
+        expect(build(:product, fitment: nil, models: 'GOLF IV, PASSAT B5').compatibility_text).to eq('GOLF IV, PASSAT B5')
+      end
+    end
+  end
+
+  describe '#part_numbers_text' do
+    let(:product) do
+      build(:product, part_numbers: {
+        'oe_numbers' => [
+          { 'brand' => 'VW', 'number' => '1K0615301AA', 'normalised' => '1K0615301AA' },
+          { 'brand' => 'AUDI', 'number' => '1K0615301AA', 'normalised' => '1K0615301AA' },
+          { 'brand' => nil, 'number' => '5Q0615301F', 'normalised' => '5Q0615301F' },
+          { 'brand' => 'VW', 'number' => '1K0615301AA', 'normalised' => '1K0615301AA' }
+        ],
+        'cross_references' => []
+      })
+    end
+
+    it 'joins one kind of number with its brands' do
+      expect(product.part_numbers_text('oe_numbers')).to eq('VW 1K0615301AA, AUDI 1K0615301AA, 5Q0615301F')
+    end
+
+    it 'is empty when none were scraped' do
+      expect(product.part_numbers_text('cross_references')).to eq('')
+      expect(product.part_numbers_text('article_numbers')).to eq('')
+      expect(build(:product, part_numbers: nil).part_numbers_text('oe_numbers')).to eq('')
+    end
+  end
+
+  describe 'branch stock' do
+    let(:product) do
+      build(:product, branch_availability: 'Sarajevo', quantity_min: 11, branch_stock: [
+        { 'branch' => 'Sarajevo', 'quantity' => '>10', 'quantity_min' => 11, 'quantity_max' => nil },
+        { 'branch' => 'Mostar', 'quantity' => '1-5', 'quantity_min' => 1, 'quantity_max' => 5 },
+        { 'branch' => 'Tuzla', 'quantity' => 'Nema', 'quantity_min' => 0, 'quantity_max' => 0 }
+      ])
+    end
+
+    describe '#branch_quantity' do
+      it 'gives the lower bound of the branch stock' do
+        expect(product.branch_quantity('Sarajevo')).to eq(11)
+        expect(product.branch_quantity('mostar')).to eq(1)
+        expect(product.branch_quantity('Tuzla')).to eq(0)
+      end
+
+      it 'is nil for branches it knows nothing about' do
+        expect(product.branch_quantity('Zenica')).to be_nil
+      end
+
+      it 'falls back to the card branch without a branch list' do
+        card_only = build(:product, branch_availability: 'Sarajevo', quantity_min: 3, branch_stock: nil)
+
+        expect(card_only.branch_quantity('Sarajevo')).to eq(3)
+        expect(card_only.branch_quantity('Mostar')).to be_nil
+      end
+    end
+
+    describe '#in_stock_at?' do
+      it 'compares the guaranteed quantity with the quantity needed' do
+        expect(product.in_stock_at?('Sarajevo', 11)).to be(true)
+        expect(product.in_stock_at?('Sarajevo', 12)).to be(false)
+        expect(product.in_stock_at?('Mostar')).to be(true)
+        expect(product.in_stock_at?('Mostar', 2)).to be(false)
+        expect(product.in_stock_at?('Tuzla')).to be(false)
+        expect(product.in_stock_at?('Zenica')).to be(false)
+      end
+    end
+  end
 end
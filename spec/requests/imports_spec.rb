@@ -29,4 +29,75 @@ RSpec.describe "Imports", type: :request do
     end
   end
 
+  describe "POST /shops/:shop_id/imports from Intercars" do
+    let(:user) { create(:user) }
+    let(:shop) { create(:shop) }
+    let(:template) { create(:olx_category_template, shop: shop, olx_category: create(:olx_category)) }
+    let(:listing_url) { 'https://ba.e-cat.intercars.eu/bs/Filteri/c/tecdoc-10' }
+
+    before do
+      create(:membership, :manager, user: user, shop: shop)
+      sign_in user
+      allow(ScraperService).to receive(:validate_listing_url) { |url| { valid: true, errors: [], url: url } }
+      allow(IntercarsImportJob).to receive(:perform_later)
+    end
+
+    def post_import(**params)
+      post shop_imports_path(shop), params: {
+        source: 'intercars', username: 'user', password: 'secret',
+        olx_category_template_id: template.id, product_url: listing_url
+      }.merge(params)
+    end
+
+    def saved_metadata
+      JSON.parse(shop.import_logs.last.metadata)
+    end
+
+    it "keeps parallel pages within the scraper's worker range" do
+      post_import(workers: '20')
+      expect(saved_metadata['workers']).to eq(ScraperService::WORKERS.max)
+
+      post_import(workers: '0')
+      expect(saved_metadata['workers']).to eq(ScraperService::WORKERS.min)
+
+      post_import(workers: '')
+      expect(saved_metadata['workers']).to eq(ScraperService::DEFAULT_WORKERS)
+    end
+
+    it "saves the canonical listing URL" do
+      allow(ScraperService).to receive(:validate_listing_url)
+        .and_return({ valid: true, errors: [], url: "#{listing_url}?q=%3Adefault" })
+
+      post_import(product_url: " #{listing_url}?q=: ")
+
+      expect(saved_metadata['product_url']).to eq("#{listing_url}?q=%3Adefault")
+      expect(IntercarsImportJob).to have_received(:perform_later)
+    end
+
+    it "rejects a URL that is not a catalog listing before anything starts" do
+      allow(ScraperService).to receive(:validate_listing_url)
+        .and_return({ valid: false, errors: ['No product category in the URL (/c/<category>)'], url: nil })
+
+      expect { post_import(product_url: 'https://ba.e-cat.intercars.eu/bs/') }.not_to change(ImportLog, :count)
+
+      expect(response).to have_http_status(:unprocessable_entity)
+      expect(response.body).to include('No product category in the URL')
+      expect(IntercarsImportJob).not_to have_received(:perform_later)
+    end
+
+    it "looks up article codes instead of a listing" do
+      post_import(product_url: '', skus: "oc90\nW712/95, oc90")
+
+      expect(saved_metadata).to include('product_url' => nil, 'skus' => %w[OC90 W712/95], 'max_products' => 2)
+      expect(ScraperService).not_to have_received(:validate_listing_url)
+      expect(IntercarsImportJob).to have_received(:perform_later)
+    end
+
+    it "rejects article codes the site search cannot take" do
+      expect { post_import(skus: 'OC90 OC:91') }.not_to change(ImportLog, :count)
+
+      expect(response).to have_http_status(:unprocessable_entity)
+      expect(response.body).to include('Invalid article code &quot;OC:91&quot;')
+    end
+  end
 end